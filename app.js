@@ -31,6 +31,19 @@ const rateLimit = require('express-rate-limit');
 
 // Import routes
 const weatherRoutes = require('./routes/weather');
+const authRoutes = require('./routes/auth');
+const notificationRoutes = require('./routes/notifications');
+const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/import');
+const sensorRoutes = require('./routes/sensors');
+const { authenticate } = require('./lib/auth');
+const { createMqttBridge } = require('./services/mqttBridge');
+const { createStatisticsRollup } = require('./services/statisticsRollup');
+const { createDataRetention } = require('./services/dataRetention');
+const { createNotificationDispatcher } = require('./services/notificationDispatcher');
+const { createSenderWatchdog } = require('./services/senderWatchdog');
+const liveEvents = require('./lib/liveEvents');
+const { getStatus, migrateUp } = require('./database/migrate');
 
 const server = express();
 const PORT = process.env.PORT || 5000;
@@ -83,10 +96,13 @@ const limiter = rateLimit({
 // ============================================================================
 server.use(compr());
 server.use(cors());
-server.use(bodyParser.json());
+// JSON-Bodies bis BODY_LIMIT (Standard 5mb), z.B. Batch-Uploads eines Gateways
+// mit den gepufferten Messwerten eines ganzen Tages (~1440 Einträge, ~190 KB)
+server.use(bodyParser.json({ limit: process.env.BODY_LIMIT || '5mb' }));
 server.use(logger('dev'));
 server.use(cookieParser());
 server.use(express.urlencoded({ extended: false }));
+server.use(authenticate);
 
 // Static file serving with Brotli/Gzip compression
 const distPath = path.join(__dirname, 'Website-v2/dist/')
@@ -120,6 +136,11 @@ if (fs.existsSync(distPath)) {
 // API Routes
 // ============================================================================
 server.use('/api/weather', weatherRoutes);
+server.use('/api/auth', authRoutes);
+server.use('/api/notifications', notificationRoutes);
+server.use('/api/export', exportRoutes);
+server.use('/api/import', importRoutes);
+server.use('/api/sensors', sensorRoutes);
 
 // Backwards compatibility for /names endpoint
 /**
@@ -158,7 +179,12 @@ server.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    mqtt: mqttBridge ? mqttBridge.getMetrics() : undefined,
+    statistics: statisticsRollup ? statisticsRollup.getMetrics() : undefined,
+    retention: dataRetention ? dataRetention.getMetrics() : undefined,
+    notifications: notificationDispatcher ? notificationDispatcher.getMetrics() : undefined,
+    watchdog: senderWatchdog ? senderWatchdog.getMetrics() : undefined
   });
 });
 
@@ -172,21 +198,75 @@ server.get('/api', (req, res) => {
     endpoints: {
       weather_data: {
         'POST /api/weather': 'Submit single weather data entry',
-        'POST /api/weather/batch': 'Submit batch weather data',
-        'GET /api/weather/current/:senderId': 'Get latest data for sender',
-        'GET /api/weather/:senderId': 'Get hourly samples (default: 5 hours)',
-        'GET /api/weather/:senderId/range': 'Get all data in time range',
-        'GET /api/weather/:senderId/averages': 'Get hourly averages',
-        'GET /api/weather/:senderId/statistics': 'Get statistics'
+        'POST /api/weather/batch': 'Submit batch weather data (?mode=best-effort|all-or-nothing)',
+        'GET /api/weather/quarantine': 'Get readings that failed validation (teacher)',
+        'GET /api/weather/stream': 'Server-Sent Events for new readings, alerts and sender status (?sender=&types=)',
+        'GET /api/weather/current/:senderId': 'Get latest data for sender with online status (?derived=dew_point,heat_index,absolute_humidity,sea_level_pressure|all)',
+        'GET /api/weather/:senderId': 'Get hourly samples (?hours= or ?from=&to=, default: 5 hours, max. 720 hours)',
+        'GET /api/weather/:senderId/range': 'Get all data in time range (?from=&to=&derived=, paginated via ?limit=&cursor=)',
+        'GET /api/weather/:senderId/averages': 'Get hourly averages (?from=&to=, paginated via ?limit=&cursor=)',
+        'GET /api/weather/:senderId/aggregate': 'Get aggregated data (?interval=5m|15m|1h|1d|1w|1M&agg=avg,min,max,last,count&derived=) or LTTB-downsampled data (?points=&field=)',
+        'GET /api/weather/:senderId/statistics': 'Get precomputed statistics (?type=hourly|daily|weekly|monthly)'
       },
       senders: {
         'GET /api/weather/senders/list': 'Get all sender names (legacy format)',
-        'GET /api/weather/senders/all': 'Get all senders with details',
-        'PUT /api/weather/senders/:senderId': 'Update sender information'
+        'GET /api/weather/senders/all': 'Get all senders with details, online status and last seen (?include_inactive=true)',
+        'POST /api/weather/senders': 'Create sender with optional coordinates and elevation (admin)',
+        'GET /api/weather/senders/health': 'Device health of all senders (?hours= or ?from=&to=)',
+        'GET /api/weather/senders/:senderId/health': 'Battery, signal and packet loss of a sender',
+        'PUT /api/weather/senders/:senderId': 'Update sender information, coordinates, elevation and expected interval (admin)',
+        'DELETE /api/weather/senders/:senderId': 'Delete sender with all data (?purge=true if it has readings, admin)',
+        'POST /api/weather/senders/:senderId/merge': 'Merge sender into target_sender_id and delete it (admin)',
+        'POST /api/weather/senders/:senderId/api-key': 'Issue or rotate ingestion key (admin)'
       },
       alerts: {
-        'POST /api/weather/alerts': 'Create new alert',
-        'GET /api/weather/alerts/:senderId': 'Get alerts for sender'
+        'GET /api/weather/alerts': 'List alerts (?sender_id=&type=&state=&active=)',
+        'POST /api/weather/alerts': 'Create new alert (teacher)',
+        'GET /api/weather/alerts/events': 'Alert history (?sender_id=&alert_id=&limit=)',
+        'GET /api/weather/alerts/:alertId': 'Get alert',
+        'PUT /api/weather/alerts/:alertId': 'Replace alert (teacher)',
+        'PATCH /api/weather/alerts/:alertId': 'Update alert fields, e.g. is_active (teacher)',
+        'DELETE /api/weather/alerts/:alertId': 'Delete alert (teacher)',
+        'POST /api/weather/alerts/:alertId/acknowledge': 'Acknowledge firing alert (teacher)',
+        'GET /api/weather/alerts/:alertId/events': 'History of one alert (?limit=)'
+      },
+      notifications: {
+        'GET /api/notifications/channels': 'List notification channels (teacher)',
+        'POST /api/notifications/channels': 'Create channel: email, webhook, ntfy, gotify (admin)',
+        'DELETE /api/notifications/channels/:channelId': 'Delete channel (admin)',
+        'POST /api/notifications/channels/:channelId/test': 'Send test message (teacher)',
+        'GET /api/notifications/alerts/:alertId/channels': 'Channels of an alert (teacher)',
+        'PUT /api/notifications/alerts/:alertId/channels': 'Set channels of an alert (teacher)',
+        'GET /api/notifications/deliveries': 'Delivery queue and history (?status=&alert_id=&channel_id=&limit=, teacher)'
+      },
+      export: {
+        'GET /api/export/csv': 'Stream readings as CSV (?sender=&from=&to=&fields=&derived=&interval=&agg=&delimiter=&raw=)',
+        'GET /api/export/ndjson': 'Stream readings as NDJSON (same parameters)',
+        'GET /api/export/parquet': 'Stream readings as Parquet (same parameters)'
+      },
+      sensors: {
+        'GET /api/sensors/types': 'List sensor types',
+        'POST /api/sensors/types': 'Create sensor type (admin)',
+        'PATCH /api/sensors/types/:typeId': 'Update sensor type (admin)',
+        'DELETE /api/sensors/types/:typeId': 'Delete unused sensor type (admin)',
+        'GET /api/sensors/senders/:senderId': 'Installation history of a sender with calibrations',
+        'POST /api/sensors/senders/:senderId': 'Record sensor installation (admin)',
+        'PATCH /api/sensors/installations/:installationId': 'Update installation, e.g. removed_at (admin)',
+        'DELETE /api/sensors/installations/:installationId': 'Delete installation (admin)',
+        'POST /api/sensors/installations/:installationId/calibrations': 'Add calibration: field, offset_value, scale_factor, valid_from (admin)',
+        'DELETE /api/sensors/calibrations/:calibrationId': 'Delete calibration (admin)'
+      },
+      import: {
+        'POST /api/import/csv': 'Import historical readings from CSV body (?sender=&columns=&units=&timestamp_column=&tz=&delimiter=&decimal=, admin)',
+        'POST /api/import/ndjson': 'Import historical readings from NDJSON body (same parameters, admin)'
+      },
+      auth: {
+        'POST /api/auth/login': 'Log in (sets session cookie, returns token)',
+        'POST /api/auth/logout': 'Log out',
+        'GET /api/auth/me': 'Get logged-in user',
+        'GET /api/auth/users': 'List users (admin)',
+        'POST /api/auth/users': 'Create user (admin)',
+        'PATCH /api/auth/users/:userId': 'Update user role/state/password (admin)'
       },
       visualization: {
         'GET /api/weather/visualization/3d': 'Serve 3D visualization page',
@@ -263,32 +343,98 @@ server.use((err, req, res, next) => {
 // Server Startup
 // ============================================================================
 
-// HTTP Server
-const httpServer = http.createServer(server).listen(PORT, HOST, () => {
-  console.log('\n🚀 Weather Station Server gestartet!');
-  console.log(`   📡 HTTP Server: http://${HOST}:${PORT}`);
-  console.log(`   📊 API Doku: http://${HOST}:${PORT}/api`);
-  console.log(`   ❤️  Health Check: http://${HOST}:${PORT}/health`);
-  console.log(`   🌍 Environment: ${process.env.NODE_ENV || 'development'}\n`);
-});
+let httpServer = null;
+let mqttBridge = null;
+let statisticsRollup = null;
+let dataRetention = null;
+let notificationDispatcher = null;
+let senderWatchdog = null;
 
-// HTTPS Server (Production)
-if (process.env.ENABLE_HTTPS === 'true') {
-  try {
-    const options = {
-      key: fs.readFileSync('cert.key'),
-      cert: fs.readFileSync('cert.crt'),
-    };
-    
-    https.createServer(options, server).listen(443, () => {
-      console.log('🔒 HTTPS Server läuft auf Port 443');
-    });
-  } catch (err) {
-    console.log('⚠️  HTTPS Zertifikate nicht gefunden');
-    console.log('   Tipp: Setze ENABLE_HTTPS=true in .env für HTTPS\n');
+/**
+ * Prüft das Datenbankschema und startet Server und Hintergrunddienste
+ * Mit ausstehenden Migrationen startet der Server nicht (außer mit
+ * DB_AUTO_MIGRATE=true, dann werden sie vorher angewendet).
+ */
+async function startServer() {
+  const { pending, unknown } = await getStatus();
+
+  if (unknown.length > 0) {
+    console.error(`❌ Datenbankschema ist neuer als der Code (Version ${unknown[unknown.length - 1].version})`);
+    process.exit(1);
+  }
+
+  if (pending.length > 0) {
+    if (process.env.DB_AUTO_MIGRATE !== 'true') {
+      console.error(`❌ Datenbankschema ist nicht aktuell: ${pending.length} ausstehende Migration(en)`);
+      pending.forEach(migration => console.error(`   - ${migration.version}_${migration.name}`));
+      console.error('   Tipp: npm run migrate\n');
+      process.exit(1);
+    }
+
+    const applied = await migrateUp();
+    console.log(`✅ ${applied.length} Migration(en) angewendet`);
+  }
+
+  // HTTP Server
+  httpServer = http.createServer(server).listen(PORT, HOST, () => {
+    console.log('\n🚀 Weather Station Server gestartet!');
+    console.log(`   📡 HTTP Server: http://${HOST}:${PORT}`);
+    console.log(`   📊 API Doku: http://${HOST}:${PORT}/api`);
+    console.log(`   ❤️  Health Check: http://${HOST}:${PORT}/health`);
+    console.log(`   🌍 Environment: ${process.env.NODE_ENV || 'development'}\n`);
+  });
+
+  // MQTT Bridge (optional)
+  mqttBridge = process.env.MQTT_ENABLED === 'true' ? createMqttBridge() : null;
+  if (mqttBridge) {
+    mqttBridge.start();
+  }
+
+  // Statistik-Rollups (stündlich/täglich/wöchentlich/monatlich) im Hintergrund
+  statisticsRollup = process.env.STATS_ROLLUP_ENABLED !== 'false' ? createStatisticsRollup() : null;
+  if (statisticsRollup) {
+    statisticsRollup.start();
+  }
+
+  // Aufbewahrung der Rohdaten (nur aktiv mit RETENTION_RAW_DAYS)
+  dataRetention = createDataRetention({ rollup: statisticsRollup });
+  dataRetention.start();
+
+  // Zustellung der Alert-Benachrichtigungen (E-Mail, Webhook, Push)
+  notificationDispatcher = process.env.NOTIFICATIONS_ENABLED !== 'false' ? createNotificationDispatcher() : null;
+  if (notificationDispatcher) {
+    notificationDispatcher.start();
+  }
+
+  // Watchdog für Sender ohne neue Daten (Status offline, no_data-Alerts)
+  senderWatchdog = process.env.WATCHDOG_ENABLED !== 'false' ? createSenderWatchdog() : null;
+  if (senderWatchdog) {
+    senderWatchdog.start();
+  }
+
+  // HTTPS Server (Production)
+  if (process.env.ENABLE_HTTPS === 'true') {
+    try {
+      const options = {
+        key: fs.readFileSync('cert.key'),
+        cert: fs.readFileSync('cert.crt'),
+      };
+      
+      https.createServer(options, server).listen(443, () => {
+        console.log('🔒 HTTPS Server läuft auf Port 443');
+      });
+    } catch (err) {
+      console.log('⚠️  HTTPS Zertifikate nicht gefunden');
+      console.log('   Tipp: Setze ENABLE_HTTPS=true in .env für HTTPS\n');
+    }
   }
 }
 
+startServer().catch((err) => {
+  console.error('❌ Serverstart fehlgeschlagen:', err.message);
+  process.exit(1);
+});
+
 // ============================================================================
 // Graceful Shutdown
 // ============================================================================
@@ -300,9 +446,38 @@ if (process.env.ENABLE_HTTPS === 'true') {
 function shutdown() {
   console.log('\n👋 Server wird heruntergefahren...');
   
-  httpServer.close(() => {
+  // Noch beim Start (Schema-Prüfung/Migrationen): nichts zu schließen
+  if (!httpServer) {
+    process.exit(1);
+  }
+  
+  // Offene Live-Streams beenden, sonst wartet close() auf sie
+  liveEvents.closeAll();
+  
+  httpServer.close(async () => {
     console.log('✅ HTTP Server geschlossen');
     
+    if (mqttBridge) {
+      await mqttBridge.stop();
+      console.log('✅ MQTT Bridge getrennt');
+    }
+    
+    if (dataRetention) {
+      await dataRetention.stop();
+    }
+    
+    if (statisticsRollup) {
+      await statisticsRollup.stop();
+    }
+    
+    if (notificationDispatcher) {
+      await notificationDispatcher.stop();
+    }
+    
+    if (senderWatchdog) {
+      await senderWatchdog.stop();
+    }
+    
     const db = require('./database/db');
     db.close((err) => {
       if (err) {
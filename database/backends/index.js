@@ -0,0 +1,57 @@
+const path = require('path');
+const { createSqliteBackend } = require('./sqlite');
+const { createPostgresBackend } = require('./postgres');
+
+// ============================================================================
+// Storage Backends
+// ============================================================================
+
+/**
+ * Speicher-Backends
+ * sqlite: Datei (DB_PATH) oder ':memory:' für Tests
+ * postgres: PostgreSQL/TimescaleDB (DATABASE_URL) für größere Installationen
+ */
+const BACKENDS = {
+  sqlite: createSqliteBackend,
+  postgres: createPostgresBackend
+};
+
+/**
+ * Reads the database configuration from the environment
+ * Relative DB_PATH values are resolved against the project root.
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object} { backend, path, wal, url, ssl }
+ */
+function databaseConfig(env = process.env) {
+  const dbPath = env.DB_PATH || 'weather.db';
+
+  return {
+    backend: env.DB_BACKEND || 'sqlite',
+    path: dbPath === ':memory:' ? dbPath : path.resolve(__dirname, '..', '..', dbPath),
+    wal: env.DB_WAL !== 'false',
+    url: env.DATABASE_URL,
+    ssl: env.DB_SSL === 'true' ? { rejectUnauthorized: env.DB_SSL_REJECT_UNAUTHORIZED !== 'false' } : false
+  };
+}
+
+/**
+ * Creates a storage backend
+ * All backends provide dialect, beginStatement, run, all, get, exec, prepare,
+ * columns and close; statements use "?" placeholders and SQLite syntax.
+ * @param {Object} config - See databaseConfig
+ * @returns {Object} Backend
+ * @throws {Error} If the backend is unknown
+ */
+function createBackend(config) {
+  const factory = BACKENDS[config.backend];
+  if (!factory) {
+    throw new Error(`Unknown DB_BACKEND "${config.backend}". Must be one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return factory(config);
+}
+
+module.exports = {
+  BACKENDS,
+  databaseConfig,
+  createBackend
+};
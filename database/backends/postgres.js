@@ -0,0 +1,197 @@
+// ============================================================================
+// PostgreSQL / TimescaleDB Backend
+// ============================================================================
+
+/**
+ * Result parsers for types that node-postgres returns as strings
+ * bigint (COUNT, SUM, unix timestamps) and numeric become numbers, timestamps
+ * stay "YYYY-MM-DD HH:MM:SS" text in UTC like in SQLite.
+ */
+const TYPE_PARSERS = {
+  20: value => parseInt(value, 10),
+  1700: value => parseFloat(value),
+  1114: value => value.slice(0, 19)
+};
+
+/**
+ * Rewrites "?" placeholders to "$1, $2, ..." (skipping string literals)
+ * @param {string} query - SQL query with ? placeholders
+ * @returns {string}
+ */
+function numberPlaceholders(query) {
+  let index = 0;
+  let inString = false;
+  let result = '';
+
+  for (const char of query) {
+    if (char === "'") inString = !inString;
+    result += char === '?' && !inString ? `$${++index}` : char;
+  }
+
+  return result;
+}
+
+/**
+ * Converts parameters like sqlite3 binds them (booleans as 1/0)
+ * @param {Array} params - Query parameters
+ * @returns {Array}
+ */
+function bindParams(params) {
+  return params.map(value => (typeof value === 'boolean' ? Number(value) : value));
+}
+
+/**
+ * Creates the PostgreSQL storage backend
+ *
+ * Uses one connection like the SQLite backend, so the transaction handling in
+ * queries.js works unchanged. The queries are written for SQLite; placeholders
+ * are rewritten here and the few SQLite functions they use (round on floats,
+ * printf, datetime, strftime) are provided by the initial PostgreSQL
+ * migration. TimescaleDB servers work the same way.
+ *
+ * @param {Object} options - { url, ssl }
+ * @returns {Object} Backend: dialect, beginStatement, run, all, get, exec,
+ *   prepare, columns, close
+ */
+function createPostgresBackend(options) {
+  const { Client, types } = require('pg');
+  const { url, ssl = false } = options;
+  let client = null;
+  let connecting = null;
+
+  const typeOverrides = {
+    getTypeParser: (oid, format) => TYPE_PARSERS[oid] || types.getTypeParser(oid, format)
+  };
+
+  /**
+   * Connects on first use (and again after the connection was lost)
+   * @returns {Promise<Client>}
+   */
+  function connect() {
+    if (connecting) return connecting;
+
+    connecting = (async () => {
+      if (!url) {
+        connecting = null;
+        throw new Error('DATABASE_URL is required for the postgres backend');
+      }
+
+      const connection = new Client({ connectionString: url, ssl, types: typeOverrides });
+
+      connection.on('error', (err) => {
+        console.error('❌ PostgreSQL connection lost:', err.message);
+        client = null;
+        connecting = null;
+      });
+
+      try {
+        await connection.connect();
+        // CURRENT_TIMESTAMP and the timestamp columns are UTC, as in SQLite
+        await connection.query("SET TIME ZONE 'UTC'");
+      } catch (err) {
+        connecting = null;
+        await connection.end().catch(() => {});
+        throw new Error(`Database connection error (postgres): ${err.message}`);
+      }
+
+      client = connection;
+      console.log('✅ Connected to the PostgreSQL database.');
+      return connection;
+    })();
+
+    return connecting;
+  }
+
+  async function query(sql, params = []) {
+    const connection = await connect();
+    return connection.query(numberPlaceholders(sql), bindParams(params));
+  }
+
+  async function run(sql, params = []) {
+    let statement = sql.trim().replace(/;$/, '');
+    // lastID: inserted rows are returned instead
+    const insert = /^INSERT\b/i.test(statement) && !/\bRETURNING\b/i.test(statement);
+    if (insert) statement += ' RETURNING *';
+
+    const result = await query(statement, params);
+    // COMMIT of an aborted transaction succeeds but rolls back
+    if (/^COMMIT$/i.test(statement) && result.command === 'ROLLBACK') {
+      throw new Error('Transaction was rolled back because a statement in it failed');
+    }
+    return {
+      lastID: insert && result.rows.length > 0 ? result.rows[0].id : undefined,
+      changes: result.rowCount || 0
+    };
+  }
+
+  async function all(sql, params = []) {
+    const result = await query(sql, params);
+    return result.rows;
+  }
+
+  async function get(sql, params = []) {
+    const result = await query(sql, params);
+    return result.rows[0] || null;
+  }
+
+  async function exec(sql) {
+    const connection = await connect();
+    await connection.query(sql);
+  }
+
+  /**
+   * Prepares a statement for repeated execution
+   * @param {string} sql - SQL query
+   * @returns {{run: Function, finalize: Function}}
+   */
+  function prepare(sql) {
+    return {
+      run: (params = []) => run(sql, params),
+      finalize: async () => {}
+    };
+  }
+
+  /**
+   * Lists the column names of a table
+   * @param {string} table - Table name
+   * @returns {Promise<Array<string>>}
+   */
+  async function columns(table) {
+    const rows = await all(
+      `SELECT column_name AS name FROM information_schema.columns
+       WHERE table_schema = current_schema() AND table_name = ?
+       ORDER BY ordinal_position`,
+      [table]
+    );
+    return rows.map(row => row.name);
+  }
+
+  /**
+   * Closes the connection
+   * @param {Function} callback - Optional (err) => void
+   * @returns {Promise<void>}
+   */
+  function close(callback) {
+    const connection = client;
+    client = null;
+    connecting = null;
+
+    const closing = connection ? connection.end() : Promise.resolve();
+    if (callback) closing.then(() => callback(null), callback);
+    return closing;
+  }
+
+  return {
+    dialect: 'postgres',
+    beginStatement: 'BEGIN',
+    run,
+    all,
+    get,
+    exec,
+    prepare,
+    columns,
+    close
+  };
+}
+
+module.exports = { createPostgresBackend };
@@ -0,0 +1,181 @@
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// SQLite Backend
+// ============================================================================
+
+/**
+ * Creates the SQLite storage backend
+ *
+ * The connection is opened on first use; connection errors reject the pending
+ * statements instead of ending the process. path ':memory:' keeps the
+ * database in memory (e.g. for tests), WAL lets readers continue while a
+ * transaction writes.
+ *
+ * @param {Object} options - { path, wal, busyTimeoutMs }
+ * @returns {Object} Backend: dialect, beginStatement, run, all, get, exec,
+ *   prepare, columns, close
+ */
+function createSqliteBackend(options) {
+  const { path: dbPath, wal = true, busyTimeoutMs = 5000 } = options;
+  const memory = dbPath === ':memory:';
+  let db = null;
+  let opening = null;
+
+  /**
+   * Opens the connection and applies the pragmas (once)
+   * @returns {Promise<sqlite3.Database>}
+   */
+  function connect() {
+    if (opening) return opening;
+
+    opening = new Promise((resolve, reject) => {
+      if (!memory) {
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+      }
+
+      const connection = new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+          opening = null;
+          reject(new Error(`Database connection error (${dbPath}): ${err.message}`));
+          return;
+        }
+
+        const pragmas = [`PRAGMA busy_timeout = ${busyTimeoutMs}`, 'PRAGMA foreign_keys = ON'];
+        if (wal && !memory) pragmas.push('PRAGMA journal_mode = WAL');
+
+        connection.exec(pragmas.join(';'), (pragmaErr) => {
+          if (pragmaErr) {
+            opening = null;
+            connection.close(() => reject(pragmaErr));
+            return;
+          }
+
+          db = connection;
+          console.log(`✅ Connected to the SQLite database (${memory ? 'in-memory' : dbPath}).`);
+          resolve(connection);
+        });
+      });
+    });
+
+    return opening;
+  }
+
+  async function run(query, params = []) {
+    const connection = await connect();
+    return new Promise((resolve, reject) => {
+      connection.run(query, params, function (err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  async function all(query, params = []) {
+    const connection = await connect();
+    return new Promise((resolve, reject) => {
+      connection.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async function get(query, params = []) {
+    const connection = await connect();
+    return new Promise((resolve, reject) => {
+      connection.get(query, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  async function exec(sql) {
+    const connection = await connect();
+    return new Promise((resolve, reject) => {
+      connection.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  /**
+   * Prepares a statement for repeated execution
+   * @param {string} query - SQL query
+   * @returns {{run: Function, finalize: Function}}
+   */
+  function prepare(query) {
+    const statement = connect().then(connection => connection.prepare(query));
+
+    return {
+      run: async (params = []) => {
+        const stmt = await statement;
+        return new Promise((resolve, reject) => {
+          stmt.run(params, function (err) {
+            // `this` is the shared statement object, copy the values right away
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+          });
+        });
+      },
+      finalize: async () => {
+        const stmt = await statement;
+        return new Promise((resolve) => stmt.finalize(() => resolve()));
+      }
+    };
+  }
+
+  /**
+   * Lists the column names of a table
+   * @param {string} table - Table name
+   * @returns {Promise<Array<string>>}
+   */
+  async function columns(table) {
+    const rows = await all(`PRAGMA table_info(${table})`);
+    return rows.map(row => row.name);
+  }
+
+  /**
+   * Closes the connection
+   * @param {Function} callback - Optional (err) => void
+   * @returns {Promise<void>}
+   */
+  function close(callback) {
+    const closing = new Promise((resolve, reject) => {
+      if (!db) {
+        resolve();
+        return;
+      }
+      db.close((err) => {
+        if (err) {
+          reject(err);
+        } else {
+          db = null;
+          opening = null;
+          resolve();
+        }
+      });
+    });
+
+    if (callback) closing.then(() => callback(null), callback);
+    return closing;
+  }
+
+  return {
+    dialect: 'sqlite',
+    beginStatement: 'BEGIN IMMEDIATE',
+    run,
+    all,
+    get,
+    exec,
+    prepare,
+    columns,
+    close
+  };
+}
+
+module.exports = { createSqliteBackend };
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const { runQuery, getAll, withTransaction, logEvent } = require('./queries');
+
+// ============================================================================
+// Schema Migrations
+// ============================================================================
+
+/**
+ * Verzeichnis der Migrationen (eines pro Backend, z.B. migrations/sqlite)
+ * Dateiname: <Version>_<name>.js (z.B. 002_sender_api_keys.js), Module
+ * exportieren { description, up(tx), down(tx) }. Die Version bestimmt die
+ * Reihenfolge und darf sich nach dem Veröffentlichen nicht mehr ändern.
+ */
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations', db.dialect);
+
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+/**
+ * Loads all migrations ordered by version
+ * @returns {Array} [{ version, name, description, up, down }]
+ * @throws {Error} If a migration is malformed or a version is used twice
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => MIGRATION_FILE.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version, name, description: migration.description || name, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version));
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Creates the bookkeeping table if needed
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationsTable() {
+  await runQuery(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Adds schema helpers to a transaction object
+ * Migrations must be repeatable on databases that were created by the old
+ * schema.sql (which already has most tables and columns), so adding and
+ * dropping columns checks the current table first.
+ * @param {Object} tx - Transaction object from withTransaction
+ * @returns {Object} tx plus hasColumn, addColumn, dropColumn
+ */
+function migrationContext(tx) {
+  async function hasColumn(table, column) {
+    return (await tx.columns(table)).includes(column);
+  }
+
+  return {
+    ...tx,
+    hasColumn,
+
+    async addColumn(table, column, definition) {
+      if (!(await hasColumn(table, column))) {
+        await tx.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    },
+
+    async dropColumn(table, column) {
+      if (await hasColumn(table, column)) {
+        await tx.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  };
+}
+
+/**
+ * Returns applied and pending migrations
+ * @returns {Promise<Object>} { current, applied, pending, unknown }
+ *   unknown: versions recorded in the database without a migration file
+ */
+async function getStatus() {
+  await ensureMigrationsTable();
+
+  const migrations = loadMigrations();
+  const rows = await getAll('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const applied = new Map(rows.map(row => [row.version, row]));
+  const known = new Set(migrations.map(migration => migration.version));
+
+  return {
+    current: rows.length > 0 ? rows[rows.length - 1].version : null,
+    applied: migrations
+      .filter(migration => applied.has(migration.version))
+      .map(migration => ({ ...migration, applied_at: applied.get(migration.version).applied_at })),
+    pending: migrations.filter(migration => !applied.has(migration.version)),
+    unknown: rows.filter(row => !known.has(row.version))
+  };
+}
+
+/**
+ * Applies pending migrations in order, each in its own transaction
+ * @param {Object} options - { to } last version to apply (default: all)
+ * @returns {Promise<Array>} Applied migrations
+ */
+async function migrateUp(options = {}) {
+  const { pending } = await getStatus();
+  const target = options.to !== undefined ? String(options.to) : null;
+  const applied = [];
+
+  for (const migration of pending) {
+    if (target !== null && migration.version > target) break;
+
+    await withTransaction(async (tx) => {
+      await migration.up(migrationContext(tx));
+      await tx.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]);
+    });
+
+    applied.push(migration);
+    // Best effort: system_logs only accepts log entries from 003 (actor column) on
+    await logEvent('info', 'migration_applied', `Migration ${migration.version}_${migration.name} angewendet`,
+      null, { version: migration.version, name: migration.name }).catch(() => {});
+  }
+
+  return applied;
+}
+
+/**
+ * Rolls back the most recently applied migrations, each in its own transaction
+ * @param {Object} options - { steps } number of migrations (default: 1)
+ * @returns {Promise<Array>} Rolled back migrations
+ * @throws {Error} If an applied migration has no file anymore
+ */
+async function migrateDown(options = {}) {
+  const { steps = 1 } = options;
+  const { applied, unknown } = await getStatus();
+
+  if (unknown.length > 0) {
+    throw new Error(`Missing migration files for applied versions: ${unknown.map(row => row.version).join(', ')}`);
+  }
+
+  const rolledBack = [];
+
+  for (const migration of applied.reverse().slice(0, steps)) {
+    await withTransaction(async (tx) => {
+      await migration.down(migrationContext(tx));
+      await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+
+    rolledBack.push(migration);
+    // system_logs is gone after rolling back the initial schema
+    await logEvent('warning', 'migration_rolled_back', `Migration ${migration.version}_${migration.name} zurückgenommen`,
+      null, { version: migration.version, name: migration.name }).catch(() => {});
+  }
+
+  return rolledBack;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,258 @@
+// ============================================================================
+// Migration 000 (PostgreSQL): Initial schema
+// Same tables as the SQLite migrations 000-006. Flags stay INTEGER 0/1 and
+// timestamps are UTC TIMESTAMP columns, so queries.js can treat both backends
+// alike. The SQLite functions used by the queries are provided below.
+// ============================================================================
+
+const COMPAT_FUNCTIONS = `
+CREATE OR REPLACE FUNCTION round(double precision, integer) RETURNS double precision
+    LANGUAGE sql IMMUTABLE AS $$ SELECT round($1::numeric, $2)::double precision $$;
+
+-- Only the "%0Nd" format is supported
+CREATE OR REPLACE FUNCTION printf(text, bigint) RETURNS text
+    LANGUAGE sql IMMUTABLE AS $$ SELECT lpad($2::text, substring($1 from '%0(\\d+)d')::integer, '0') $$;
+
+-- Only the "unixepoch" modifier is supported
+CREATE OR REPLACE FUNCTION datetime(bigint, text) RETURNS timestamp
+    LANGUAGE sql IMMUTABLE AS $$ SELECT to_timestamp($1) AT TIME ZONE 'UTC' $$;
+
+-- Only the "%s" format is supported
+CREATE OR REPLACE FUNCTION strftime(text, timestamp) RETURNS text
+    LANGUAGE sql IMMUTABLE AS $$ SELECT extract(epoch FROM $2)::bigint::text $$;
+`;
+
+const TABLES = `
+CREATE TABLE IF NOT EXISTS senders (
+    id BIGSERIAL PRIMARY KEY,
+    sender_id TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    location TEXT,
+    description TEXT,
+    latitude DOUBLE PRECISION,
+    longitude DOUBLE PRECISION,
+    is_active INTEGER DEFAULT 1,
+    api_key_hash TEXT,
+    api_key_created_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS weather_data (
+    id BIGSERIAL PRIMARY KEY,
+    sender_id TEXT NOT NULL REFERENCES senders(sender_id) ON DELETE CASCADE,
+    temperature DOUBLE PRECISION,
+    humidity DOUBLE PRECISION,
+    pressure INTEGER,
+    light_level DOUBLE PRECISION,
+    battery_level DOUBLE PRECISION,
+    signal_strength INTEGER,
+    unix_timestamp BIGINT NOT NULL,
+    unix BIGINT,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    raw_data_json TEXT,
+    idempotency_key TEXT
+);
+
+CREATE TABLE IF NOT EXISTS sensor_types (
+    id BIGSERIAL PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL,
+    manufacturer TEXT,
+    measures TEXT,
+    accuracy_temp DOUBLE PRECISION,
+    accuracy_humidity DOUBLE PRECISION,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sender_sensors (
+    id BIGSERIAL PRIMARY KEY,
+    sender_id TEXT NOT NULL REFERENCES senders(sender_id) ON DELETE CASCADE,
+    sensor_type_id BIGINT NOT NULL REFERENCES sensor_types(id),
+    installed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    removed_at TIMESTAMP,
+    notes TEXT
+);
+
+CREATE TABLE IF NOT EXISTS alerts (
+    id BIGSERIAL PRIMARY KEY,
+    sender_id TEXT NOT NULL REFERENCES senders(sender_id) ON DELETE CASCADE,
+    alert_type TEXT NOT NULL,
+    condition TEXT NOT NULL,
+    threshold_value DOUBLE PRECISION NOT NULL,
+    is_active INTEGER DEFAULT 1,
+    last_triggered TIMESTAMP,
+    notification_sent INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS weather_statistics (
+    id BIGSERIAL PRIMARY KEY,
+    sender_id TEXT NOT NULL REFERENCES senders(sender_id) ON DELETE CASCADE,
+    stat_type TEXT NOT NULL,
+    period_start TIMESTAMP NOT NULL,
+    period_end TIMESTAMP NOT NULL,
+    avg_temperature DOUBLE PRECISION,
+    min_temperature DOUBLE PRECISION,
+    max_temperature DOUBLE PRECISION,
+    avg_humidity DOUBLE PRECISION,
+    min_humidity DOUBLE PRECISION,
+    max_humidity DOUBLE PRECISION,
+    avg_pressure DOUBLE PRECISION,
+    data_points INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS system_logs (
+    id BIGSERIAL PRIMARY KEY,
+    sender_id TEXT REFERENCES senders(sender_id) ON DELETE SET NULL,
+    log_level TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    message TEXT NOT NULL,
+    metadata_json TEXT,
+    actor TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS users (
+    id BIGSERIAL PRIMARY KEY,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'teacher', 'admin')),
+    is_active INTEGER DEFAULT 1,
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id BIGSERIAL PRIMARY KEY,
+    token_hash TEXT UNIQUE NOT NULL,
+    user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at BIGINT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS quarantined_readings (
+    id BIGSERIAL PRIMARY KEY,
+    sender_id TEXT NOT NULL REFERENCES senders(sender_id) ON DELETE CASCADE,
+    payload_json TEXT NOT NULL,
+    errors_json TEXT NOT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+`;
+
+const VIEWS = `
+CREATE OR REPLACE VIEW v_latest_weather AS
+SELECT
+    s.sender_id,
+    s.name,
+    s.location,
+    s.is_active,
+    wd.temperature,
+    wd.humidity,
+    wd.pressure,
+    wd.battery_level,
+    wd.unix_timestamp,
+    wd.received_at
+FROM senders s
+LEFT JOIN (
+    SELECT DISTINCT ON (sender_id) *
+    FROM weather_data
+    ORDER BY sender_id, unix_timestamp DESC
+) wd ON s.sender_id = wd.sender_id
+WHERE s.is_active = 1;
+
+CREATE OR REPLACE VIEW v_hourly_averages AS
+SELECT
+    sender_id,
+    to_char(to_timestamp(unix_timestamp) AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:00:00') as hour,
+    ROUND(AVG(temperature), 2) as avg_temp,
+    ROUND(AVG(humidity), 2) as avg_humidity,
+    ROUND(AVG(pressure), 0) as avg_pressure,
+    COUNT(*) as measurements
+FROM weather_data
+WHERE unix_timestamp >= extract(epoch FROM now() - interval '24 hours')
+GROUP BY sender_id, hour
+ORDER BY hour DESC;
+`;
+
+const TRIGGERS = `
+CREATE OR REPLACE FUNCTION touch_updated_at() RETURNS trigger
+    LANGUAGE plpgsql AS $$
+BEGIN
+    NEW.updated_at := CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION log_new_sender() RETURNS trigger
+    LANGUAGE plpgsql AS $$
+BEGIN
+    INSERT INTO system_logs (sender_id, log_level, event_type, message)
+    VALUES (NEW.sender_id, 'info', 'sender_created', 'Neuer Sender erstellt: ' || NEW.name);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS update_sender_timestamp ON senders;
+CREATE TRIGGER update_sender_timestamp BEFORE UPDATE ON senders
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+
+DROP TRIGGER IF EXISTS update_user_timestamp ON users;
+CREATE TRIGGER update_user_timestamp BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+
+DROP TRIGGER IF EXISTS log_new_sender ON senders;
+CREATE TRIGGER log_new_sender AFTER INSERT ON senders
+    FOR EACH ROW EXECUTE FUNCTION log_new_sender();
+`;
+
+const INDEXES = `
+CREATE INDEX IF NOT EXISTS idx_weather_sender_id ON weather_data(sender_id);
+CREATE INDEX IF NOT EXISTS idx_weather_unix_timestamp ON weather_data(unix_timestamp);
+CREATE INDEX IF NOT EXISTS idx_weather_received_at ON weather_data(received_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_weather_sender_time_unique ON weather_data(sender_id, unix_timestamp);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_weather_sender_idempotency ON weather_data(sender_id, idempotency_key) WHERE idempotency_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stats_sender_period ON weather_statistics(sender_id, period_start);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stats_period_unique ON weather_statistics(sender_id, stat_type, period_start);
+CREATE INDEX IF NOT EXISTS idx_quarantine_sender ON quarantined_readings(sender_id, received_at);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON user_sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_logs_created_at ON system_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_logs_level ON system_logs(log_level);
+`;
+
+module.exports = {
+  description: 'Initial schema incl. API keys, users, quarantine, duplicate protection and rollups',
+
+  async up(tx) {
+    await tx.exec(COMPAT_FUNCTIONS);
+    await tx.exec(TABLES);
+    await tx.exec(VIEWS);
+    await tx.exec(TRIGGERS);
+    await tx.exec(INDEXES);
+  },
+
+  async down(tx) {
+    await tx.exec(`
+      DROP VIEW IF EXISTS v_hourly_averages;
+      DROP VIEW IF EXISTS v_latest_weather;
+      DROP TABLE IF EXISTS quarantined_readings;
+      DROP TABLE IF EXISTS user_sessions;
+      DROP TABLE IF EXISTS users;
+      DROP TABLE IF EXISTS system_logs;
+      DROP TABLE IF EXISTS weather_statistics;
+      DROP TABLE IF EXISTS alerts;
+      DROP TABLE IF EXISTS sender_sensors;
+      DROP TABLE IF EXISTS sensor_types;
+      DROP TABLE IF EXISTS weather_data;
+      DROP TABLE IF EXISTS senders;
+      DROP FUNCTION IF EXISTS log_new_sender();
+      DROP FUNCTION IF EXISTS touch_updated_at();
+      DROP FUNCTION IF EXISTS strftime(text, timestamp);
+      DROP FUNCTION IF EXISTS datetime(bigint, text);
+      DROP FUNCTION IF EXISTS printf(text, bigint);
+      DROP FUNCTION IF EXISTS round(double precision, integer);
+    `);
+  }
+};
@@ -0,0 +1,48 @@
+// ============================================================================
+// Migration 007 (PostgreSQL): Alert states and event history
+// See migrations/sqlite/007_alert_states.js
+// ============================================================================
+
+const ALERT_COLUMNS = [
+  ['clear_threshold', 'DOUBLE PRECISION'],
+  ['duration_minutes', 'INTEGER NOT NULL DEFAULT 0'],
+  ['cooldown_minutes', 'INTEGER NOT NULL DEFAULT 0'],
+  ['state', "TEXT NOT NULL DEFAULT 'ok'"],
+  ['pending_since', 'BIGINT'],
+  ['last_resolved_at', 'BIGINT'],
+  ['evaluated_at', 'BIGINT']
+];
+
+module.exports = {
+  description: 'Alert states (duration, hysteresis, cooldown) and alert_events',
+
+  async up(tx) {
+    for (const [column, definition] of ALERT_COLUMNS) {
+      await tx.addColumn('alerts', column, definition);
+    }
+
+    await tx.exec(`
+      CREATE TABLE IF NOT EXISTS alert_events (
+          id BIGSERIAL PRIMARY KEY,
+          alert_id BIGINT NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+          sender_id TEXT NOT NULL REFERENCES senders(sender_id) ON DELETE CASCADE,
+          started_at BIGINT NOT NULL,
+          ended_at BIGINT,
+          trigger_value DOUBLE PRECISION,
+          peak_value DOUBLE PRECISION,
+          clear_value DOUBLE PRECISION,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_alert_events_alert ON alert_events(alert_id, started_at);
+      CREATE INDEX IF NOT EXISTS idx_alert_events_sender ON alert_events(sender_id, started_at);
+    `);
+  },
+
+  async down(tx) {
+    await tx.exec('DROP TABLE IF EXISTS alert_events;');
+    for (const [column] of [...ALERT_COLUMNS].reverse()) {
+      await tx.dropColumn('alerts', column);
+    }
+  }
+};
@@ -0,0 +1,6 @@
+// ============================================================================
+// Migration 008 (PostgreSQL): Canonical alert rule names
+// Plain UPDATEs, identical to the SQLite migration.
+// ============================================================================
+
+module.exports = require('../sqlite/008_alert_rule_names');
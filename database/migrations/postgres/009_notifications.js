@@ -0,0 +1,55 @@
+// ============================================================================
+// Migration 009 (PostgreSQL): Alert notifications
+// See migrations/sqlite/009_notifications.js
+// ============================================================================
+
+module.exports = {
+  description: 'Notification channels, alert_channels and notification_deliveries',
+
+  async up(tx) {
+    await tx.exec(`
+      CREATE TABLE IF NOT EXISTS notification_channels (
+          id BIGSERIAL PRIMARY KEY,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          config_json TEXT NOT NULL,
+          is_active INTEGER DEFAULT 1,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS alert_channels (
+          alert_id BIGINT NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+          channel_id BIGINT NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+          PRIMARY KEY (alert_id, channel_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+          id BIGSERIAL PRIMARY KEY,
+          channel_id BIGINT NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+          alert_id BIGINT REFERENCES alerts(id) ON DELETE CASCADE,
+          event_id BIGINT REFERENCES alert_events(id) ON DELETE SET NULL,
+          sender_id TEXT,
+          event_type TEXT NOT NULL,
+          payload_json TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at BIGINT NOT NULL,
+          last_error TEXT,
+          sent_at BIGINT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_alert_channels_channel ON alert_channels(channel_id);
+      CREATE INDEX IF NOT EXISTS idx_deliveries_due ON notification_deliveries(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_deliveries_alert ON notification_deliveries(alert_id);
+    `);
+  },
+
+  async down(tx) {
+    await tx.exec(`
+      DROP TABLE IF EXISTS notification_deliveries;
+      DROP TABLE IF EXISTS alert_channels;
+      DROP TABLE IF EXISTS notification_channels;
+    `);
+  }
+};
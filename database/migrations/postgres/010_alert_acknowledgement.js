@@ -0,0 +1,6 @@
+// ============================================================================
+// Migration 010 (PostgreSQL): Alert acknowledgement
+// Same column types as SQLite, see migrations/sqlite/010_alert_acknowledgement.js
+// ============================================================================
+
+module.exports = require('../sqlite/010_alert_acknowledgement');
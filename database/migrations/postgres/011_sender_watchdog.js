@@ -0,0 +1,46 @@
+// ============================================================================
+// Migration 011 (PostgreSQL): Sender watchdog
+// See migrations/sqlite/011_sender_watchdog.js
+// ============================================================================
+
+const SENDER_COLUMNS = [
+  ['expected_interval_seconds', 'INTEGER'],
+  ['learned_interval_seconds', 'INTEGER'],
+  ['last_seen_at', 'BIGINT'],
+  ['online_status', "TEXT NOT NULL DEFAULT 'unknown'"],
+  ['status_changed_at', 'BIGINT']
+];
+
+const TOUCHING_COLUMNS = 'name, location, description, latitude, longitude, is_active, ' +
+  'api_key_hash, api_key_created_at, expected_interval_seconds';
+
+const SENDER_TRIGGER = (columns) => `
+DROP TRIGGER IF EXISTS update_sender_timestamp ON senders;
+CREATE TRIGGER update_sender_timestamp BEFORE UPDATE ${columns ? `OF ${columns} ` : ''}ON senders
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+`;
+
+module.exports = {
+  description: 'Sender reporting interval, last seen and online status',
+
+  async up(tx) {
+    for (const [column, definition] of SENDER_COLUMNS) {
+      await tx.addColumn('senders', column, definition);
+    }
+
+    await tx.exec(SENDER_TRIGGER(TOUCHING_COLUMNS));
+
+    await tx.run(`
+      UPDATE senders SET last_seen_at = (
+          SELECT MAX(unix_timestamp) FROM weather_data w WHERE w.sender_id = senders.sender_id
+      )
+    `);
+  },
+
+  async down(tx) {
+    await tx.exec(SENDER_TRIGGER(null));
+    for (const [column] of [...SENDER_COLUMNS].reverse()) {
+      await tx.dropColumn('senders', column);
+    }
+  }
+};
@@ -0,0 +1,33 @@
+// ============================================================================
+// Migration 012 (PostgreSQL): Sensor calibrations
+// See migrations/sqlite/012_sensor_calibrations.js
+// ============================================================================
+
+module.exports = {
+  description: 'sensor_calibrations for installed sensors',
+
+  async up(tx) {
+    await tx.exec(`
+      CREATE TABLE IF NOT EXISTS sensor_calibrations (
+          id BIGSERIAL PRIMARY KEY,
+          sender_sensor_id BIGINT NOT NULL REFERENCES sender_sensors(id) ON DELETE CASCADE,
+          field TEXT NOT NULL,
+          offset_value DOUBLE PRECISION NOT NULL DEFAULT 0,
+          scale_factor DOUBLE PRECISION NOT NULL DEFAULT 1,
+          valid_from BIGINT NOT NULL,
+          notes TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sender_sensors_sender ON sender_sensors(sender_id, installed_at);
+      CREATE INDEX IF NOT EXISTS idx_calibrations_sensor ON sensor_calibrations(sender_sensor_id, field, valid_from);
+    `);
+  },
+
+  async down(tx) {
+    await tx.exec(`
+      DROP TABLE IF EXISTS sensor_calibrations;
+      DROP INDEX IF EXISTS idx_sender_sensors_sender;
+    `);
+  }
+};
@@ -0,0 +1,27 @@
+// ============================================================================
+// Migration 013 (PostgreSQL): Sender elevation
+// See migrations/sqlite/013_sender_elevation.js
+// ============================================================================
+
+const TOUCHING_COLUMNS = 'name, location, description, latitude, longitude, is_active, ' +
+  'api_key_hash, api_key_created_at, expected_interval_seconds';
+
+const SENDER_TRIGGER = (columns) => `
+DROP TRIGGER IF EXISTS update_sender_timestamp ON senders;
+CREATE TRIGGER update_sender_timestamp BEFORE UPDATE OF ${columns} ON senders
+    FOR EACH ROW EXECUTE FUNCTION touch_updated_at();
+`;
+
+module.exports = {
+  description: 'Sender elevation for sea-level pressure',
+
+  async up(tx) {
+    await tx.addColumn('senders', 'elevation', 'REAL');
+    await tx.exec(SENDER_TRIGGER(`${TOUCHING_COLUMNS}, elevation`));
+  },
+
+  async down(tx) {
+    await tx.exec(SENDER_TRIGGER(TOUCHING_COLUMNS));
+    await tx.dropColumn('senders', 'elevation');
+  }
+};
@@ -0,0 +1,20 @@
+// ============================================================================
+// Migration 014 (PostgreSQL): Log history keeps sender IDs
+// See migrations/sqlite/014_system_logs_history.js
+// ============================================================================
+
+module.exports = {
+  description: 'system_logs keep the sender IDs of merged and deleted senders',
+
+  async up(tx) {
+    await tx.run('ALTER TABLE system_logs DROP CONSTRAINT IF EXISTS system_logs_sender_id_fkey');
+  },
+
+  async down(tx) {
+    await tx.run('UPDATE system_logs SET sender_id = NULL WHERE sender_id NOT IN (SELECT sender_id FROM senders)');
+    await tx.run(
+      `ALTER TABLE system_logs ADD CONSTRAINT system_logs_sender_id_fkey
+       FOREIGN KEY (sender_id) REFERENCES senders(sender_id) ON DELETE SET NULL`
+    );
+  }
+};
@@ -0,0 +1,16 @@
+// ============================================================================
+// Migration 015 (PostgreSQL): Purged raw data per sender
+// See migrations/sqlite/015_sender_purged_until.js
+// ============================================================================
+
+module.exports = {
+  description: 'senders.purged_until for the statistics rollup',
+
+  async up(tx) {
+    await tx.addColumn('senders', 'purged_until', 'BIGINT');
+  },
+
+  async down(tx) {
+    await tx.dropColumn('senders', 'purged_until');
+  }
+};
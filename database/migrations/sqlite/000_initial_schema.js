@@ -1,10 +1,10 @@
--- ============================================================================
--- WETTERSTATION DATENBANK SCHEMA
--- ============================================================================
+// ============================================================================
+// Migration 000: Initial schema
+// Tables, views and triggers of the original schema.sql. Uses IF NOT EXISTS,
+// so databases created before migrations existed are adopted as they are.
+// ============================================================================
 
--- ============================================================================
--- 1. SENDERS TABLE
--- ============================================================================
+const TABLES = `
 CREATE TABLE IF NOT EXISTS senders (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     sender_id TEXT UNIQUE NOT NULL,
@@ -18,9 +18,6 @@ CREATE TABLE IF NOT EXISTS senders (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
--- ============================================================================
--- 2. WEATHER_DATA TABLE
--- ============================================================================
 CREATE TABLE IF NOT EXISTS weather_data (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     sender_id TEXT NOT NULL,
@@ -37,9 +34,6 @@ CREATE TABLE IF NOT EXISTS weather_data (
     FOREIGN KEY (sender_id) REFERENCES senders(sender_id) ON DELETE CASCADE
 );
 
--- ============================================================================
--- 3. SENSOR_TYPES TABLE
--- ============================================================================
 CREATE TABLE IF NOT EXISTS sensor_types (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     name TEXT UNIQUE NOT NULL,
@@ -50,9 +44,6 @@ CREATE TABLE IF NOT EXISTS sensor_types (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
--- ============================================================================
--- 4. SENDER_SENSORS TABLE
--- ============================================================================
 CREATE TABLE IF NOT EXISTS sender_sensors (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     sender_id TEXT NOT NULL,
@@ -64,9 +55,6 @@ CREATE TABLE IF NOT EXISTS sender_sensors (
     FOREIGN KEY (sensor_type_id) REFERENCES sensor_types(id)
 );
 
--- ============================================================================
--- 5. ALERTS TABLE
--- ============================================================================
 CREATE TABLE IF NOT EXISTS alerts (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     sender_id TEXT NOT NULL,
@@ -80,9 +68,6 @@ CREATE TABLE IF NOT EXISTS alerts (
     FOREIGN KEY (sender_id) REFERENCES senders(sender_id) ON DELETE CASCADE
 );
 
--- ============================================================================
--- 6. WEATHER_STATISTICS TABLE
--- ============================================================================
 CREATE TABLE IF NOT EXISTS weather_statistics (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     sender_id TEXT NOT NULL,
@@ -101,9 +86,6 @@ CREATE TABLE IF NOT EXISTS weather_statistics (
     FOREIGN KEY (sender_id) REFERENCES senders(sender_id) ON DELETE CASCADE
 );
 
--- ============================================================================
--- 7. SYSTEM_LOGS TABLE
--- ============================================================================
 CREATE TABLE IF NOT EXISTS system_logs (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     sender_id TEXT,
@@ -114,11 +96,9 @@ CREATE TABLE IF NOT EXISTS system_logs (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (sender_id) REFERENCES senders(sender_id) ON DELETE SET NULL
 );
+`;
 
--- ============================================================================
--- VIEWS
--- ============================================================================
-
+const VIEWS = `
 CREATE VIEW IF NOT EXISTS v_latest_weather AS
 SELECT 
     s.sender_id,
@@ -156,11 +136,9 @@ FROM weather_data
 WHERE unix_timestamp >= strftime('%s', 'now', '-24 hours')
 GROUP BY sender_id, hour
 ORDER BY hour DESC;
+`;
 
--- ============================================================================
--- TRIGGERS
--- ============================================================================
-
+const TRIGGERS = `
 CREATE TRIGGER IF NOT EXISTS update_sender_timestamp 
 AFTER UPDATE ON senders
 BEGIN
@@ -172,4 +150,42 @@ AFTER INSERT ON senders
 BEGIN
     INSERT INTO system_logs (sender_id, log_level, event_type, message)
     VALUES (NEW.sender_id, 'info', 'sender_created', 'Neuer Sender erstellt: ' || NEW.name);
-END;
\ No newline at end of file
+END;
+`;
+
+const INDEXES = `
+CREATE INDEX IF NOT EXISTS idx_senders_sender_id ON senders(sender_id);
+CREATE INDEX IF NOT EXISTS idx_weather_sender_id ON weather_data(sender_id);
+CREATE INDEX IF NOT EXISTS idx_weather_unix_timestamp ON weather_data(unix_timestamp);
+CREATE INDEX IF NOT EXISTS idx_weather_sender_time ON weather_data(sender_id, unix_timestamp);
+CREATE INDEX IF NOT EXISTS idx_stats_sender_period ON weather_statistics(sender_id, period_start);
+CREATE INDEX IF NOT EXISTS idx_logs_created_at ON system_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_logs_level ON system_logs(log_level);
+`;
+
+module.exports = {
+  description: 'Initial schema (senders, weather_data, alerts, statistics, logs)',
+
+  async up(tx) {
+    await tx.exec(TABLES);
+    await tx.exec(VIEWS);
+    await tx.exec(TRIGGERS);
+    await tx.exec(INDEXES);
+  },
+
+  async down(tx) {
+    await tx.exec(`
+      DROP TRIGGER IF EXISTS log_new_sender;
+      DROP TRIGGER IF EXISTS update_sender_timestamp;
+      DROP VIEW IF EXISTS v_hourly_averages;
+      DROP VIEW IF EXISTS v_latest_weather;
+      DROP TABLE IF EXISTS system_logs;
+      DROP TABLE IF EXISTS weather_statistics;
+      DROP TABLE IF EXISTS alerts;
+      DROP TABLE IF EXISTS sender_sensors;
+      DROP TABLE IF EXISTS sensor_types;
+      DROP TABLE IF EXISTS weather_data;
+      DROP TABLE IF EXISTS senders;
+    `);
+  }
+};
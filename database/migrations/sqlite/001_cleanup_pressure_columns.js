@@ -0,0 +1,29 @@
+// ============================================================================
+// Migration 001: Cleanup redundant pressure columns
+// Very old databases stored the pressure in gasval, gas_value or bar. Their
+// values are moved to pressure and the columns are dropped. Databases without
+// these columns are left untouched.
+// ============================================================================
+
+const LEGACY_COLUMNS = ['gasval', 'gas_value', 'bar'];
+
+module.exports = {
+  description: 'Move legacy pressure columns (gasval, gas_value, bar) into pressure',
+
+  async up(tx) {
+    for (const column of LEGACY_COLUMNS) {
+      if (!(await tx.hasColumn('weather_data', column))) continue;
+
+      await tx.run(`
+        UPDATE weather_data
+        SET pressure = ${column}
+        WHERE pressure IS NULL AND ${column} IS NOT NULL
+      `);
+      await tx.dropColumn('weather_data', column);
+    }
+  },
+
+  async down() {
+    // The legacy columns are not restored: their values live on in pressure
+  }
+};
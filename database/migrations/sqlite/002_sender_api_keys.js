@@ -0,0 +1,17 @@
+// ============================================================================
+// Migration 002: Per-sender API keys
+// ============================================================================
+
+module.exports = {
+  description: 'API key hash per sender',
+
+  async up(tx) {
+    await tx.addColumn('senders', 'api_key_hash', 'TEXT');
+    await tx.addColumn('senders', 'api_key_created_at', 'DATETIME');
+  },
+
+  async down(tx) {
+    await tx.dropColumn('senders', 'api_key_created_at');
+    await tx.dropColumn('senders', 'api_key_hash');
+  }
+};
@@ -0,0 +1,49 @@
+// ============================================================================
+// Migration 003: Users, sessions and audit actor
+// ============================================================================
+
+module.exports = {
+  description: 'Users, sessions and system_logs.actor',
+
+  async up(tx) {
+    await tx.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT UNIQUE NOT NULL,
+          password_hash TEXT NOT NULL,
+          role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'teacher', 'admin')),
+          is_active BOOLEAN DEFAULT 1,
+          last_login_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS user_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          token_hash TEXT UNIQUE NOT NULL,
+          user_id INTEGER NOT NULL,
+          expires_at BIGINT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sessions_expires ON user_sessions(expires_at);
+
+      CREATE TRIGGER IF NOT EXISTS update_user_timestamp 
+      AFTER UPDATE ON users
+      BEGIN
+          UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+      END;
+    `);
+    await tx.addColumn('system_logs', 'actor', 'TEXT');
+  },
+
+  async down(tx) {
+    await tx.dropColumn('system_logs', 'actor');
+    await tx.exec(`
+      DROP TRIGGER IF EXISTS update_user_timestamp;
+      DROP TABLE IF EXISTS user_sessions;
+      DROP TABLE IF EXISTS users;
+    `);
+  }
+};
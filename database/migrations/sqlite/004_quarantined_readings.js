@@ -0,0 +1,26 @@
+// ============================================================================
+// Migration 004: Quarantine for readings that failed validation
+// ============================================================================
+
+module.exports = {
+  description: 'Quarantined readings',
+
+  async up(tx) {
+    await tx.exec(`
+      CREATE TABLE IF NOT EXISTS quarantined_readings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sender_id TEXT NOT NULL,
+          payload_json TEXT NOT NULL,
+          errors_json TEXT NOT NULL,
+          received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (sender_id) REFERENCES senders(sender_id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_quarantine_sender ON quarantined_readings(sender_id, received_at);
+    `);
+  },
+
+  async down(tx) {
+    await tx.exec('DROP TABLE IF EXISTS quarantined_readings;');
+  }
+};
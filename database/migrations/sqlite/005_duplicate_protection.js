@@ -0,0 +1,35 @@
+// ============================================================================
+// Migration 005: Duplicate protection
+// One reading per sender and timestamp / idempotency key.
+// ============================================================================
+
+module.exports = {
+  description: 'Idempotency key and unique reading indexes',
+
+  async up(tx) {
+    await tx.addColumn('weather_data', 'idempotency_key', 'TEXT');
+
+    const duplicate = await tx.get(`
+      SELECT 1 FROM weather_data
+      GROUP BY sender_id, unix_timestamp
+      HAVING COUNT(*) > 1
+      LIMIT 1
+    `);
+    if (duplicate) {
+      throw new Error('weather_data contains duplicate readings. Run `npm run dedupe` first');
+    }
+
+    await tx.exec(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_weather_sender_time_unique ON weather_data(sender_id, unix_timestamp);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_weather_sender_idempotency ON weather_data(sender_id, idempotency_key) WHERE idempotency_key IS NOT NULL;
+    `);
+  },
+
+  async down(tx) {
+    await tx.exec(`
+      DROP INDEX IF EXISTS idx_weather_sender_idempotency;
+      DROP INDEX IF EXISTS idx_weather_sender_time_unique;
+    `);
+    await tx.dropColumn('weather_data', 'idempotency_key');
+  }
+};
@@ -0,0 +1,25 @@
+// ============================================================================
+// Migration 006: Statistics rollups
+// One upserted row per sender, type and period; received_at finds late data.
+// ============================================================================
+
+module.exports = {
+  description: 'Upsertable statistics rollups',
+
+  async up(tx) {
+    // ADD COLUMN does not allow CURRENT_TIMESTAMP defaults, upserts set it
+    await tx.addColumn('weather_statistics', 'updated_at', 'DATETIME');
+    await tx.exec(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_stats_period_unique ON weather_statistics(sender_id, stat_type, period_start);
+      CREATE INDEX IF NOT EXISTS idx_weather_received_at ON weather_data(received_at);
+    `);
+  },
+
+  async down(tx) {
+    await tx.exec(`
+      DROP INDEX IF EXISTS idx_weather_received_at;
+      DROP INDEX IF EXISTS idx_stats_period_unique;
+    `);
+    await tx.dropColumn('weather_statistics', 'updated_at');
+  }
+};
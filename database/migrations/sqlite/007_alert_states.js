@@ -0,0 +1,51 @@
+// ============================================================================
+// Migration 007: Alert states and event history
+// Duration, hysteresis (clear_threshold) and cooldown per alert, the current
+// state of each alert and one alert_events row per firing (start to end).
+// ============================================================================
+
+const ALERT_COLUMNS = [
+  ['clear_threshold', 'REAL'],
+  ['duration_minutes', 'INTEGER NOT NULL DEFAULT 0'],
+  ['cooldown_minutes', 'INTEGER NOT NULL DEFAULT 0'],
+  ['state', "TEXT NOT NULL DEFAULT 'ok'"],
+  ['pending_since', 'BIGINT'],
+  ['last_resolved_at', 'BIGINT'],
+  ['evaluated_at', 'BIGINT']
+];
+
+module.exports = {
+  description: 'Alert states (duration, hysteresis, cooldown) and alert_events',
+
+  async up(tx) {
+    for (const [column, definition] of ALERT_COLUMNS) {
+      await tx.addColumn('alerts', column, definition);
+    }
+
+    await tx.exec(`
+      CREATE TABLE IF NOT EXISTS alert_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          alert_id INTEGER NOT NULL,
+          sender_id TEXT NOT NULL,
+          started_at BIGINT NOT NULL,
+          ended_at BIGINT,
+          trigger_value REAL,
+          peak_value REAL,
+          clear_value REAL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+          FOREIGN KEY (sender_id) REFERENCES senders(sender_id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_alert_events_alert ON alert_events(alert_id, started_at);
+      CREATE INDEX IF NOT EXISTS idx_alert_events_sender ON alert_events(sender_id, started_at);
+    `);
+  },
+
+  async down(tx) {
+    await tx.exec('DROP TABLE IF EXISTS alert_events;');
+    for (const [column] of [...ALERT_COLUMNS].reverse()) {
+      await tx.dropColumn('alerts', column);
+    }
+  }
+};
@@ -0,0 +1,31 @@
+const { LEGACY_ALERT_TYPES, LEGACY_CONDITIONS } = require('../../../lib/alertRules');
+
+// ============================================================================
+// Migration 008: Canonical alert rule names
+// Alerts used to be stored with "above"/"below"/"equals" and "battery" (test
+// data) or with the operators accepted by the API, which the evaluator did not
+// understand. All alerts now use the names from lib/alertRules.js.
+// ============================================================================
+
+module.exports = {
+  description: 'Rename legacy alert conditions and types to the shared alert rule names',
+
+  async up(tx) {
+    for (const [legacy, condition] of Object.entries(LEGACY_CONDITIONS)) {
+      await tx.run('UPDATE alerts SET condition = ? WHERE condition = ?', [condition, legacy]);
+    }
+    for (const [legacy, alertType] of Object.entries(LEGACY_ALERT_TYPES)) {
+      await tx.run('UPDATE alerts SET alert_type = ? WHERE alert_type = ?', [alertType, legacy]);
+    }
+  },
+
+  // Only names the previous evaluator understood are mapped back
+  async down(tx) {
+    for (const [legacy, condition] of Object.entries(LEGACY_CONDITIONS)) {
+      await tx.run('UPDATE alerts SET condition = ? WHERE condition = ?', [legacy, condition]);
+    }
+    for (const [legacy, alertType] of Object.entries(LEGACY_ALERT_TYPES)) {
+      await tx.run('UPDATE alerts SET alert_type = ? WHERE alert_type = ?', [legacy, alertType]);
+    }
+  }
+};
@@ -0,0 +1,61 @@
+// ============================================================================
+// Migration 009: Alert notifications
+// Notification channels (e-mail, webhook, push), their assignment to alerts
+// and the delivery queue with retry state per message.
+// ============================================================================
+
+module.exports = {
+  description: 'Notification channels, alert_channels and notification_deliveries',
+
+  async up(tx) {
+    await tx.exec(`
+      CREATE TABLE IF NOT EXISTS notification_channels (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          config_json TEXT NOT NULL,
+          is_active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS alert_channels (
+          alert_id INTEGER NOT NULL,
+          channel_id INTEGER NOT NULL,
+          PRIMARY KEY (alert_id, channel_id),
+          FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+          FOREIGN KEY (channel_id) REFERENCES notification_channels(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          channel_id INTEGER NOT NULL,
+          alert_id INTEGER,
+          event_id INTEGER,
+          sender_id TEXT,
+          event_type TEXT NOT NULL,
+          payload_json TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at BIGINT NOT NULL,
+          last_error TEXT,
+          sent_at BIGINT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (channel_id) REFERENCES notification_channels(id) ON DELETE CASCADE,
+          FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+          FOREIGN KEY (event_id) REFERENCES alert_events(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_alert_channels_channel ON alert_channels(channel_id);
+      CREATE INDEX IF NOT EXISTS idx_deliveries_due ON notification_deliveries(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_deliveries_alert ON notification_deliveries(alert_id);
+    `);
+  },
+
+  async down(tx) {
+    await tx.exec(`
+      DROP TABLE IF EXISTS notification_deliveries;
+      DROP TABLE IF EXISTS alert_channels;
+      DROP TABLE IF EXISTS notification_channels;
+    `);
+  }
+};
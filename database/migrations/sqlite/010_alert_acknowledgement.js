@@ -0,0 +1,30 @@
+// ============================================================================
+// Migration 010: Alert acknowledgement
+// Who acknowledged a firing alert and when, on the alert (reset by the next
+// firing) and on its alert_events row.
+// ============================================================================
+
+const COLUMNS = [
+  ['acknowledged_at', 'BIGINT'],
+  ['acknowledged_by', 'TEXT']
+];
+
+module.exports = {
+  description: 'Acknowledgement of firing alerts',
+
+  async up(tx) {
+    for (const table of ['alerts', 'alert_events']) {
+      for (const [column, definition] of COLUMNS) {
+        await tx.addColumn(table, column, definition);
+      }
+    }
+  },
+
+  async down(tx) {
+    for (const table of ['alert_events', 'alerts']) {
+      for (const [column] of [...COLUMNS].reverse()) {
+        await tx.dropColumn(table, column);
+      }
+    }
+  }
+};
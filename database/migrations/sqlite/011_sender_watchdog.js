@@ -0,0 +1,56 @@
+// ============================================================================
+// Migration 011: Sender watchdog
+// Expected reporting interval (configured or learned from history), the time
+// of the last stored reading and the online/offline status of each sender.
+// The updated_at trigger ignores these columns.
+// ============================================================================
+
+const SENDER_COLUMNS = [
+  ['expected_interval_seconds', 'INTEGER'],
+  ['learned_interval_seconds', 'INTEGER'],
+  ['last_seen_at', 'BIGINT'],
+  ['online_status', "TEXT NOT NULL DEFAULT 'unknown'"],
+  ['status_changed_at', 'BIGINT']
+];
+
+/**
+ * updated_at only follows changes of the sender itself, not every reading
+ * touching last_seen_at
+ */
+const TOUCHING_COLUMNS = 'name, location, description, latitude, longitude, is_active, ' +
+  'api_key_hash, api_key_created_at, expected_interval_seconds';
+
+const SENDER_TRIGGER = (columns) => `
+DROP TRIGGER IF EXISTS update_sender_timestamp;
+CREATE TRIGGER update_sender_timestamp
+AFTER UPDATE ${columns ? `OF ${columns} ` : ''}ON senders
+BEGIN
+    UPDATE senders SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+`;
+
+module.exports = {
+  description: 'Sender reporting interval, last seen and online status',
+
+  async up(tx) {
+    for (const [column, definition] of SENDER_COLUMNS) {
+      await tx.addColumn('senders', column, definition);
+    }
+
+    await tx.exec(SENDER_TRIGGER(TOUCHING_COLUMNS));
+
+    // Existing senders: newest reading time as a starting point
+    await tx.run(`
+      UPDATE senders SET last_seen_at = (
+          SELECT MAX(unix_timestamp) FROM weather_data w WHERE w.sender_id = senders.sender_id
+      )
+    `);
+  },
+
+  async down(tx) {
+    await tx.exec(SENDER_TRIGGER(null));
+    for (const [column] of [...SENDER_COLUMNS].reverse()) {
+      await tx.dropColumn('senders', column);
+    }
+  }
+};
@@ -0,0 +1,36 @@
+// ============================================================================
+// Migration 012: Sensor calibrations
+// Offset and scale per measured quantity for an installed sensor
+// (sender_sensors), valid from a point in time. Applied when readings are
+// read (lib/calibration.js); weather_data keeps the raw values.
+// ============================================================================
+
+module.exports = {
+  description: 'sensor_calibrations for installed sensors',
+
+  async up(tx) {
+    await tx.exec(`
+      CREATE TABLE IF NOT EXISTS sensor_calibrations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sender_sensor_id INTEGER NOT NULL,
+          field TEXT NOT NULL,
+          offset_value REAL NOT NULL DEFAULT 0,
+          scale_factor REAL NOT NULL DEFAULT 1,
+          valid_from BIGINT NOT NULL,
+          notes TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (sender_sensor_id) REFERENCES sender_sensors(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sender_sensors_sender ON sender_sensors(sender_id, installed_at);
+      CREATE INDEX IF NOT EXISTS idx_calibrations_sensor ON sensor_calibrations(sender_sensor_id, field, valid_from);
+    `);
+  },
+
+  async down(tx) {
+    await tx.exec(`
+      DROP TABLE IF EXISTS sensor_calibrations;
+      DROP INDEX IF EXISTS idx_sender_sensors_sender;
+    `);
+  }
+};
@@ -0,0 +1,32 @@
+// ============================================================================
+// Migration 013: Sender elevation
+// Station elevation in meters above sea level, used to reduce the measured
+// pressure to sea level. Changing it touches updated_at like the other
+// sender settings.
+// ============================================================================
+
+const TOUCHING_COLUMNS = 'name, location, description, latitude, longitude, is_active, ' +
+  'api_key_hash, api_key_created_at, expected_interval_seconds';
+
+const SENDER_TRIGGER = (columns) => `
+DROP TRIGGER IF EXISTS update_sender_timestamp;
+CREATE TRIGGER update_sender_timestamp
+AFTER UPDATE OF ${columns} ON senders
+BEGIN
+    UPDATE senders SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+`;
+
+module.exports = {
+  description: 'Sender elevation for sea-level pressure',
+
+  async up(tx) {
+    await tx.addColumn('senders', 'elevation', 'REAL');
+    await tx.exec(SENDER_TRIGGER(`${TOUCHING_COLUMNS}, elevation`));
+  },
+
+  async down(tx) {
+    await tx.exec(SENDER_TRIGGER(TOUCHING_COLUMNS));
+    await tx.dropColumn('senders', 'elevation');
+  }
+};
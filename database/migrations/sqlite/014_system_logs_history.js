@@ -0,0 +1,51 @@
+// ============================================================================
+// Migration 014: Log history keeps sender IDs
+// system_logs.sender_id no longer references senders, so log entries keep the
+// ID of a sender that was merged into another one or deleted. SQLite cannot
+// drop a foreign key, so the table is rebuilt; the sender trigger that writes
+// to it is dropped first, since the rename checks it.
+// ============================================================================
+
+const COLUMNS = 'id, sender_id, log_level, event_type, message, metadata_json, actor, created_at';
+
+const REBUILD = (reference) => `
+DROP TRIGGER IF EXISTS log_new_sender;
+
+CREATE TABLE system_logs_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sender_id TEXT${reference},
+    log_level TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    message TEXT NOT NULL,
+    metadata_json TEXT,
+    actor TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO system_logs_new (${COLUMNS}) SELECT ${COLUMNS} FROM system_logs;
+DROP TABLE system_logs;
+ALTER TABLE system_logs_new RENAME TO system_logs;
+
+CREATE INDEX IF NOT EXISTS idx_logs_created_at ON system_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_logs_level ON system_logs(log_level);
+
+CREATE TRIGGER log_new_sender
+AFTER INSERT ON senders
+BEGIN
+    INSERT INTO system_logs (sender_id, log_level, event_type, message)
+    VALUES (NEW.sender_id, 'info', 'sender_created', 'Neuer Sender erstellt: ' || NEW.name);
+END;
+`;
+
+module.exports = {
+  description: 'system_logs keep the sender IDs of merged and deleted senders',
+
+  async up(tx) {
+    await tx.exec(REBUILD(''));
+  },
+
+  async down(tx) {
+    await tx.run('UPDATE system_logs SET sender_id = NULL WHERE sender_id NOT IN (SELECT sender_id FROM senders)');
+    await tx.exec(REBUILD(' REFERENCES senders(sender_id) ON DELETE SET NULL'));
+  }
+};
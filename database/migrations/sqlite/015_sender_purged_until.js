@@ -0,0 +1,18 @@
+// ============================================================================
+// Migration 015: Purged raw data per sender
+// Timestamp of the newest raw reading the retention job deleted for a sender.
+// Rollup periods up to it keep their statistics, since a recompute would only
+// see the remaining readings.
+// ============================================================================
+
+module.exports = {
+  description: 'senders.purged_until for the statistics rollup',
+
+  async up(tx) {
+    await tx.addColumn('senders', 'purged_until', 'BIGINT');
+  },
+
+  async down(tx) {
+    await tx.dropColumn('senders', 'purged_until');
+  }
+};
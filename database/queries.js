@@ -1,9 +1,56 @@
 const db = require('./db');
+const { MEASURED_FIELDS } = require('../lib/aggregation');
+const { MEASUREMENT_SCHEMA } = require('../lib/measurementSchema');
+const { DEFAULT_TIMEZONE, hourBoundaryShift } = require('../lib/timezone');
+const { alertValue, peakValue } = require('../lib/alertRules');
+const { nextAlertState } = require('../lib/alertEngine');
 
 // ============================================================================
 // Database Helper Functions
 // ============================================================================
 
+/**
+ * Statement queue of the shared connection (FIFO)
+ * All statements share one connection. A transaction starts only after every
+ * statement queued before it has finished, and statements queued after it
+ * wait until it has ended, so nothing runs inside someone else's transaction.
+ * Statements between two transactions run side by side.
+ *
+ * lastTransaction: resolves when the most recently queued transaction has ended
+ * pendingStatements: settled promises of the statements queued since then
+ */
+let lastTransaction = Promise.resolve();
+const pendingStatements = new Set();
+
+/**
+ * Queues a single statement (waits for the transactions queued before it)
+ * @param {Function} fn - () => Promise
+ * @returns {Promise<any>} Result of fn
+ */
+function queueStatement(fn) {
+  const result = lastTransaction.then(fn);
+  const settled = result.then(() => {}, () => {});
+
+  pendingStatements.add(settled);
+  settled.then(() => pendingStatements.delete(settled));
+
+  return result;
+}
+
+/**
+ * Queues a transaction (waits for everything queued before it)
+ * @param {Function} fn - () => Promise
+ * @returns {Promise<any>} Result of fn
+ */
+function queueTransaction(fn) {
+  const result = Promise.all([lastTransaction, ...pendingStatements]).then(fn);
+
+  lastTransaction = result.then(() => {}, () => {});
+  pendingStatements.clear();
+
+  return result;
+}
+
 /**
  * Executes a database query with parameters
  * @param {string} query - SQL query
@@ -11,12 +58,7 @@ const db = require('./db');
  * @returns {Promise<any>}
  */
 function runQuery(query, params = []) {
-  return new Promise((resolve, reject) => {
-    db.run(query, params, function (err) {
-      if (err) reject(err);
-      else resolve(this);
-    });
-  });
+  return queueStatement(() => run(query, params));
 }
 
 /**
@@ -26,12 +68,7 @@ function runQuery(query, params = []) {
  * @returns {Promise<Array>}
  */
 function getAll(query, params = []) {
-  return new Promise((resolve, reject) => {
-    db.all(query, params, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
+  return queueStatement(() => all(query, params));
 }
 
 /**
@@ -41,11 +78,75 @@ function getAll(query, params = []) {
  * @returns {Promise<Object|null>}
  */
 function getOne(query, params = []) {
-  return new Promise((resolve, reject) => {
-    db.get(query, params, (err, row) => {
-      if (err) reject(err);
-      else resolve(row || null);
-    });
+  return queueStatement(() => get(query, params));
+}
+
+/**
+ * Raw statement helpers without the statement queue
+ * Only used by the queued helpers above and inside withTransaction. They
+ * delegate to the configured backend (database/backends/).
+ */
+function run(query, params = []) {
+  return db.run(query, params);
+}
+
+function all(query, params = []) {
+  return db.all(query, params);
+}
+
+function get(query, params = []) {
+  return db.get(query, params);
+}
+
+/**
+ * Executes several semicolon-separated statements (e.g. a migration script)
+ * @param {string} sql - SQL statements
+ * @returns {Promise<void>}
+ */
+function exec(sql) {
+  return db.exec(sql);
+}
+
+/**
+ * Prepares a statement for repeated execution inside a transaction
+ * @param {string} query - SQL query
+ * @returns {{run: Function, finalize: Function}}
+ */
+function prepare(query) {
+  return db.prepare(query);
+}
+
+/**
+ * Lists the column names of a table
+ * @param {string} table - Table name
+ * @returns {Promise<Array<string>>}
+ */
+function columns(table) {
+  return db.columns(table);
+}
+
+/**
+ * Runs a function inside a transaction
+ * The function receives a transaction object ({ run, all, get, exec, prepare, columns }) and
+ * must use it for all statements: runQuery/getAll/getOne (and everything built
+ * on them, e.g. logEvent) wait for the transaction and would deadlock.
+ * The transaction is committed when the function resolves and rolled back
+ * when it throws.
+ * @param {Function} fn - async (tx) => result
+ * @returns {Promise<any>} Result of fn
+ */
+function withTransaction(fn) {
+  return queueTransaction(async () => {
+    await run(db.beginStatement);
+
+    try {
+      const result = await fn({ run, all, get, exec, prepare, columns });
+      await run('COMMIT');
+      return result;
+    } catch (err) {
+      await run('ROLLBACK').catch(() => {});
+      throw err;
+    }
   });
 }
 
@@ -53,6 +154,14 @@ function getOne(query, params = []) {
 // Sender Functions
 // ============================================================================
 
+/**
+ * Public sender columns (everything except credentials)
+ */
+const SENDER_COLUMNS = `id, sender_id, name, location, description,
+  latitude, longitude, elevation, is_active, api_key_created_at, expected_interval_seconds,
+  learned_interval_seconds, last_seen_at, online_status, status_changed_at,
+  created_at, updated_at`;
+
 /**
  * Ensures a sender exists in the database
  * @param {string} senderId - Sender ID
@@ -63,12 +172,36 @@ async function ensureSender(senderId, name = null) {
   const senderName = name || `Sender ${senderId}`;
   
   await runQuery(
-    `INSERT OR IGNORE INTO senders (sender_id, name, is_active) 
-     VALUES (?, ?, 1)`,
+    `INSERT INTO senders (sender_id, name, is_active) 
+     VALUES (?, ?, 1)
+     ON CONFLICT DO NOTHING`,
     [senderId, senderName]
   );
 }
 
+/**
+ * Creates a sender
+ * @param {string} senderId - Sender ID
+ * @param {Object} data - { name, location, description, latitude, longitude, elevation, expected_interval_seconds }
+ * @returns {Promise<any>}
+ */
+function createSender(senderId, data) {
+  return runQuery(
+    `INSERT INTO senders (sender_id, name, location, description, latitude, longitude, elevation, expected_interval_seconds, is_active)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)`,
+    [
+      senderId,
+      data.name || `Sender ${senderId}`,
+      data.location ?? null,
+      data.description ?? null,
+      data.latitude ?? null,
+      data.longitude ?? null,
+      data.elevation ?? null,
+      data.expected_interval_seconds ?? null
+    ]
+  );
+}
+
 /**
  * Gets a sender by ID
  * @param {string} senderId - Sender ID
@@ -76,18 +209,47 @@ async function ensureSender(senderId, name = null) {
  */
 function getSender(senderId) {
   return getOne(
-    'SELECT * FROM senders WHERE sender_id = ?',
+    `SELECT ${SENDER_COLUMNS} FROM senders WHERE sender_id = ?`,
     [senderId]
   );
 }
 
 /**
  * Gets all active senders
+ * @param {Object} options - { includeInactive: boolean } to list deactivated senders too
  * @returns {Promise<Array>}
  */
-function getAllSenders() {
+function getAllSenders(options = {}) {
+  const where = options.includeInactive ? '' : ' WHERE is_active = 1';
   return getAll(
-    'SELECT * FROM senders WHERE is_active = 1 ORDER BY name'
+    `SELECT ${SENDER_COLUMNS} FROM senders${where} ORDER BY name`
+  );
+}
+
+/**
+ * Gets the stored ingestion key hash of a sender
+ * @param {string} senderId - Sender ID
+ * @returns {Promise<string|null>}
+ */
+async function getSenderApiKeyHash(senderId) {
+  const row = await getOne(
+    'SELECT api_key_hash FROM senders WHERE sender_id = ?',
+    [senderId]
+  );
+  return row ? row.api_key_hash : null;
+}
+
+/**
+ * Stores a new ingestion key hash for a sender (replaces the old one)
+ * @param {string} senderId - Sender ID
+ * @param {string} keyHash - SHA-256 hash of the key
+ * @returns {Promise<any>}
+ */
+function setSenderApiKeyHash(senderId, keyHash) {
+  return runQuery(
+    `UPDATE senders SET api_key_hash = ?, api_key_created_at = CURRENT_TIMESTAMP
+     WHERE sender_id = ?`,
+    [keyHash, senderId]
   );
 }
 
@@ -117,6 +279,22 @@ async function updateSender(senderId, data) {
     fields.push('is_active = ?');
     values.push(data.is_active);
   }
+  if (data.expected_interval_seconds !== undefined) {
+    fields.push('expected_interval_seconds = ?');
+    values.push(data.expected_interval_seconds);
+  }
+  if (data.latitude !== undefined) {
+    fields.push('latitude = ?');
+    values.push(data.latitude);
+  }
+  if (data.longitude !== undefined) {
+    fields.push('longitude = ?');
+    values.push(data.longitude);
+  }
+  if (data.elevation !== undefined) {
+    fields.push('elevation = ?');
+    values.push(data.elevation);
+  }
   
   if (fields.length === 0) return;
   
@@ -128,43 +306,375 @@ async function updateSender(senderId, data) {
   );
 }
 
+/**
+ * Counts the stored readings of a sender
+ * @param {string} senderId - Sender ID
+ * @returns {Promise<number>}
+ */
+async function countSenderReadings(senderId) {
+  const row = await getOne('SELECT COUNT(*) as count FROM weather_data WHERE sender_id = ?', [senderId]);
+  return Number(row.count);
+}
+
+/**
+ * Deletes a sender with its readings, alerts, statistics and installations
+ * System logs are kept without sender (ON DELETE SET NULL).
+ * @param {string} senderId - Sender ID
+ * @returns {Promise<any>}
+ */
+function deleteSender(senderId) {
+  return runQuery('DELETE FROM senders WHERE sender_id = ?', [senderId]);
+}
+
+/**
+ * Tables whose rows are moved to the target sender as they are
+ */
+const MERGE_TABLES = [
+  'alerts',
+  'alert_events',
+  'quarantined_readings',
+  'sender_sensors',
+  'notification_deliveries'
+];
+
+/**
+ * Merges a sender into another one and deletes it (e.g. after re-flashing a
+ * node with a new ID)
+ *
+ * Runs in one transaction. Readings of the source move to the target unless
+ * the target already has a reading at the same time (or with the same
+ * idempotency key); those duplicates are dropped. Statistics periods that
+ * only the source has are moved, periods both senders have are recomputed
+ * from the merged readings. Alerts, alert history, quarantined readings,
+ * sensor installations and deliveries move along; log entries keep the
+ * source ID as history. Empty location, description, coordinates and
+ * elevation of the target are taken from the source.
+ *
+ * @param {string} sourceId - Sender that is merged and deleted
+ * @param {string} targetId - Sender that keeps the data
+ * @returns {Promise<Object>} Number of moved rows per table
+ */
+function mergeSenders(sourceId, targetId) {
+  return withTransaction(async (tx) => {
+    const result = {};
+
+    const moved = await tx.run(
+      `UPDATE weather_data SET sender_id = ?
+       WHERE sender_id = ? AND NOT EXISTS (
+         SELECT 1 FROM weather_data t
+         WHERE t.sender_id = ?
+           AND (t.unix_timestamp = weather_data.unix_timestamp OR t.idempotency_key = weather_data.idempotency_key)
+       )`,
+      [targetId, sourceId, targetId]
+    );
+    const duplicates = await tx.run('DELETE FROM weather_data WHERE sender_id = ?', [sourceId]);
+    result.readings = moved.changes;
+    result.duplicate_readings = duplicates.changes;
+
+    const overlapping = await tx.all(
+      `SELECT s.stat_type, CAST(strftime('%s', s.period_start) AS INTEGER) as period_start,
+         CAST(strftime('%s', s.period_end) AS INTEGER) as period_end
+       FROM weather_statistics s
+       WHERE s.sender_id = ? AND EXISTS (
+         SELECT 1 FROM weather_statistics t
+         WHERE t.sender_id = ? AND t.stat_type = s.stat_type AND t.period_start = s.period_start
+       )`,
+      [sourceId, targetId]
+    );
+    for (const period of overlapping) {
+      const start = Number(period.period_start);
+      const end = Number(period.period_end);
+      await tx.run(UPSERT_STATISTICS, [targetId, period.stat_type, start, end, targetId, start, end]);
+    }
+    await tx.run(
+      `DELETE FROM weather_statistics
+       WHERE sender_id = ? AND EXISTS (
+         SELECT 1 FROM weather_statistics t
+         WHERE t.sender_id = ? AND t.stat_type = weather_statistics.stat_type AND t.period_start = weather_statistics.period_start
+       )`,
+      [sourceId, targetId]
+    );
+    const statistics = await tx.run('UPDATE weather_statistics SET sender_id = ? WHERE sender_id = ?', [targetId, sourceId]);
+    result.statistics = statistics.changes;
+    result.recomputed_statistics = overlapping.length;
+
+    for (const table of MERGE_TABLES) {
+      const changed = await tx.run(`UPDATE ${table} SET sender_id = ? WHERE sender_id = ?`, [targetId, sourceId]);
+      result[table] = changed.changes;
+    }
+
+    const source = await tx.get('SELECT * FROM senders WHERE sender_id = ?', [sourceId]);
+    const target = await tx.get('SELECT last_seen_at, purged_until FROM senders WHERE sender_id = ?', [targetId]);
+    const newest = column => {
+      const values = [source[column], target[column]].filter(value => value !== null).map(Number);
+      return values.length > 0 ? Math.max(...values) : null;
+    };
+
+    await tx.run(
+      `UPDATE senders SET
+         location = COALESCE(location, ?),
+         description = COALESCE(description, ?),
+         latitude = COALESCE(latitude, ?),
+         longitude = COALESCE(longitude, ?),
+         elevation = COALESCE(elevation, ?),
+         last_seen_at = ?,
+         purged_until = ?
+       WHERE sender_id = ?`,
+      [
+        source.location, source.description, source.latitude, source.longitude, source.elevation,
+        newest('last_seen_at'), newest('purged_until'),
+        targetId
+      ]
+    );
+    await tx.run('DELETE FROM senders WHERE sender_id = ?', [sourceId]);
+
+    return result;
+  });
+}
+
+/**
+ * Gets the active senders with their watchdog state
+ * @returns {Promise<Array>} sender_id, expected_interval_seconds,
+ *   learned_interval_seconds, last_seen_at, online_status
+ */
+function getWatchdogSenders() {
+  return getAll(
+    `SELECT sender_id, expected_interval_seconds, learned_interval_seconds, last_seen_at, online_status
+     FROM senders WHERE is_active = 1 ORDER BY sender_id`
+  );
+}
+
+/**
+ * Gets the newest reading timestamps of a sender (newest first)
+ * @param {string} senderId - Sender ID
+ * @param {number} limit - Number of timestamps
+ * @returns {Promise<Array<number>>} Unix seconds
+ */
+async function getRecentReadingTimes(senderId, limit) {
+  const rows = await getAll(
+    `SELECT unix_timestamp FROM weather_data
+     WHERE sender_id = ?
+     ORDER BY unix_timestamp DESC
+     LIMIT ?`,
+    [senderId, limit]
+  );
+  return rows.map(row => Number(row.unix_timestamp));
+}
+
+/**
+ * Stores the reporting interval learned from the history of a sender
+ * @param {string} senderId - Sender ID
+ * @param {number|null} seconds - Typical gap between readings
+ * @returns {Promise<any>}
+ */
+function setLearnedInterval(senderId, seconds) {
+  return runQuery(
+    'UPDATE senders SET learned_interval_seconds = ? WHERE sender_id = ?',
+    [seconds, senderId]
+  );
+}
+
+/**
+ * Stores a new online status of a sender
+ * @param {string} senderId - Sender ID
+ * @param {string} status - 'online', 'offline' or 'unknown'
+ * @param {number} changedAt - Unix seconds
+ * @returns {Promise<any>}
+ */
+function setSenderOnlineStatus(senderId, status, changedAt) {
+  return runQuery(
+    'UPDATE senders SET online_status = ?, status_changed_at = ? WHERE sender_id = ?',
+    [status, changedAt, senderId]
+  );
+}
+
 // ============================================================================
 // Weather Data Functions
 // ============================================================================
 
+/**
+ * Insert statement for weather_data (see weatherDataParams)
+ * Readings that already exist (same sender and timestamp or idempotency key)
+ * are ignored; the statement then reports 0 changes.
+ */
+const INSERT_WEATHER_DATA = `INSERT INTO weather_data 
+  (sender_id, temperature, humidity, pressure,
+   light_level, battery_level, signal_strength, 
+   unix_timestamp, unix, raw_data_json, idempotency_key)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT DO NOTHING`;
+
+/**
+ * Finds the stored row a duplicate reading collided with
+ */
+const FIND_EXISTING_READING = `SELECT id FROM weather_data
+  WHERE sender_id = ? AND (unix_timestamp = ? OR idempotency_key = ?)
+  ORDER BY id LIMIT 1`;
+
+/**
+ * Marks a sender as seen (server time of the last stored reading)
+ */
+const TOUCH_SENDER = 'UPDATE senders SET last_seen_at = ? WHERE sender_id = ?';
+
+/**
+ * Builds the parameters for INSERT_WEATHER_DATA
+ * @param {string} senderId - Sender ID
+ * @param {Object} reading - Normalized reading
+ * @param {Object} raw - Original payload (optional)
+ * @returns {Array}
+ */
+function weatherDataParams(senderId, reading, raw) {
+  return [
+    senderId,
+    reading.temperature,
+    reading.humidity,
+    reading.pressure,
+    reading.light_level,
+    reading.battery_level,
+    reading.signal_strength,
+    reading.unix_timestamp,
+    reading.unix_timestamp, // unix (duplicate for compatibility)
+    raw ? JSON.stringify({ ...raw, api_key: undefined }) : null,
+    reading.idempotency_key === undefined ? null : reading.idempotency_key
+  ];
+}
+
+/**
+ * Builds the parameters for FIND_EXISTING_READING
+ * @param {string} senderId - Sender ID
+ * @param {Object} reading - Normalized reading
+ * @returns {Array}
+ */
+function existingReadingParams(senderId, reading) {
+  return [senderId, reading.unix_timestamp, reading.idempotency_key === undefined ? null : reading.idempotency_key];
+}
+
 /**
  * Inserts weather data
+ * The sender must already exist (see ensureSender / lib/senderAuth.js) and the
+ * reading must be normalized (see validateMeasurement in lib/measurementSchema.js).
+ * Retried uploads are detected and not stored twice.
+ * @param {string} senderId - Sender ID
+ * @param {Object} reading - Normalized reading (canonical columns and units)
+ * @param {Object} raw - Original payload for raw_data_json (optional)
+ * @returns {Promise<{id: number, duplicate: boolean}>} id of the new or the already stored row
+ */
+async function insertWeatherData(senderId, reading, raw = null) {
+  const result = await runQuery(INSERT_WEATHER_DATA, weatherDataParams(senderId, reading, raw));
+
+  if (result.changes > 0) {
+    await runQuery(TOUCH_SENDER, [Math.floor(Date.now() / 1000), senderId]);
+    return { id: result.lastID, duplicate: false };
+  }
+
+  const existing = await getOne(FIND_EXISTING_READING, existingReadingParams(senderId, reading));
+  return { id: existing ? existing.id : null, duplicate: true };
+}
+
+/**
+ * Inserts many readings in one transaction with a prepared statement
+ *
+ * atomic = true: the first failing row rolls back the whole batch; the thrown
+ * error carries the row position in err.index. Duplicates are not failures.
+ * atomic = false: failing rows are skipped, all others are committed. Each
+ * row runs in its own savepoint, because on PostgreSQL a failed statement
+ * aborts the whole transaction.
+ * touch = false leaves last_seen_at unchanged (historical imports).
+ *
+ * @param {Array<{senderId: string, reading: Object, raw: Object}>} rows - Normalized readings
+ * @param {Object} options - { atomic: boolean, touch: boolean (default: true) }
+ * @returns {Promise<Array<{ok: boolean, id?: number, duplicate?: boolean, error?: string}>>} One result per row
+ */
+function insertWeatherDataBatch(rows, options = {}) {
+  return withTransaction(async (tx) => {
+    const stmt = tx.prepare(INSERT_WEATHER_DATA);
+    const outcomes = [];
+
+    try {
+      for (const [index, row] of rows.entries()) {
+        const params = weatherDataParams(row.senderId, row.reading, row.raw);
+
+        if (options.atomic) {
+          try {
+            outcomes.push({ status: 'fulfilled', value: await stmt.run(params) });
+          } catch (err) {
+            err.index = index;
+            throw err;
+          }
+          continue;
+        }
+
+        await tx.run('SAVEPOINT batch_row');
+        try {
+          outcomes.push({ status: 'fulfilled', value: await stmt.run(params) });
+        } catch (err) {
+          await tx.run('ROLLBACK TO SAVEPOINT batch_row');
+          outcomes.push({ status: 'rejected', reason: err });
+        }
+        await tx.run('RELEASE SAVEPOINT batch_row');
+      }
+    } finally {
+      await stmt.finalize();
+    }
+
+    const results = [];
+    const seen = new Set();
+    for (const [i, outcome] of outcomes.entries()) {
+      if (outcome.status === 'rejected') {
+        results.push({ ok: false, error: outcome.reason.message });
+      } else if (outcome.value.changes > 0) {
+        results.push({ ok: true, id: outcome.value.lastID, duplicate: false });
+        seen.add(rows[i].senderId);
+      } else {
+        const existing = await tx.get(FIND_EXISTING_READING, existingReadingParams(rows[i].senderId, rows[i].reading));
+        results.push({ ok: true, id: existing ? existing.id : null, duplicate: true });
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    for (const senderId of options.touch === false ? [] : seen) {
+      await tx.run(TOUCH_SENDER, [now, senderId]);
+    }
+
+    return results;
+  });
+}
+
+/**
+ * Stores a reading that failed validation for later inspection
  * @param {string} senderId - Sender ID
- * @param {Object} data - Weather data
+ * @param {Object} payload - Original payload
+ * @param {Array} errors - Validation errors
  * @returns {Promise<any>}
  */
-async function insertWeatherData(senderId, data) {
-  await ensureSender(senderId, data.name);
-  
-  // Handle all possible timestamp field names
-  const timestamp = data.unix_timestamp || data.unix || data.time || Math.floor(Date.now() / 1000);
-  
-  // Handle all possible pressure field names (for backward compatibility)
-  const pressure = data.pressure || data.bar || data.gasval || data.gas_value;
-  
+function insertQuarantinedReading(senderId, payload, errors) {
   return runQuery(
-    `INSERT INTO weather_data 
-     (sender_id, temperature, humidity, pressure,
-      light_level, battery_level, signal_strength, 
-      unix_timestamp, unix, raw_data_json)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [
-      senderId,
-      data.temperature,
-      data.humidity,
-      pressure,
-      data.light_level,
-      data.battery_level,
-      data.signal_strength,
-      timestamp,
-      timestamp, // unix (duplicate for compatibility)
-      JSON.stringify(data)
-    ]
+    `INSERT INTO quarantined_readings (sender_id, payload_json, errors_json)
+     VALUES (?, ?, ?)`,
+    [senderId, JSON.stringify({ ...payload, api_key: undefined }), JSON.stringify(errors)]
+  );
+}
+
+/**
+ * Gets quarantined readings, newest first
+ * @param {string} senderId - Optional sender ID filter
+ * @param {number} limit - Number of results
+ * @returns {Promise<Array>}
+ */
+function getQuarantinedReadings(senderId = null, limit = 100) {
+  if (senderId) {
+    return getAll(
+      `SELECT * FROM quarantined_readings
+       WHERE sender_id = ?
+       ORDER BY received_at DESC, id DESC
+       LIMIT ?`,
+      [senderId, limit]
+    );
+  }
+
+  return getAll(
+    'SELECT * FROM quarantined_readings ORDER BY received_at DESC, id DESC LIMIT ?',
+    [limit]
   );
 }
 
@@ -185,172 +695,1105 @@ function getLatestWeatherData(senderId) {
   );
 }
 
+/**
+ * Normalizes a time window argument
+ * @param {number|Object} window - Hours to look back, or { from, to, timeZone }
+ *   in unix seconds
+ * @returns {{from: number, to: number, timeZone: string}}
+ */
+function toTimeWindow(window) {
+  if (window && typeof window === 'object') {
+    return { timeZone: DEFAULT_TIMEZONE, ...window };
+  }
+
+  const parsedHours = parseInt(window);
+  const hours = Number.isInteger(parsedHours) && parsedHours > 0 ? parsedHours : 24;
+  const now = Math.floor(Date.now() / 1000);
+
+  return { from: now - hours * 3600, to: now, timeZone: DEFAULT_TIMEZONE };
+}
+
+/**
+ * SQL expression for the start of the local hour containing unix_timestamp
+ * Takes the boundary shift (see hourBoundaryShift) twice as parameters.
+ */
+const LOCAL_HOUR_BUCKET = '((unix_timestamp - ?) / 3600) * 3600 + ?';
+
 /**
  * Gets weather data for a time range
+ * Rows are ordered by (unix_timestamp, id), so a page continues after the
+ * position of the last row of the previous page.
  * @param {string} senderId - Sender ID
- * @param {number} hoursAgo - How many hours to look back
+ * @param {number|Object} window - Hours to look back, or { from, to } in unix seconds
+ * @param {Object} page - { limit, after: { t, id } } (optional)
  * @returns {Promise<Array>}
  */
-function getWeatherDataRange(senderId, hoursAgo = 24) {
-  const unixTimestamp = Math.floor(Date.now() / 1000) - (hoursAgo * 3600);
-  
-  return getAll(
-    `SELECT * FROM weather_data
-     WHERE sender_id = ? AND unix_timestamp >= ?
-     ORDER BY unix_timestamp ASC`,
-    [senderId, unixTimestamp]
-  );
+function getWeatherDataRange(senderId, window = 24, page = {}) {
+  const { from, to } = toTimeWindow(window);
+  const params = [senderId, from, to];
+  let query = `SELECT * FROM weather_data
+     WHERE sender_id = ? AND unix_timestamp >= ? AND unix_timestamp <= ?`;
+
+  if (page.after) {
+    query += ' AND (unix_timestamp > ? OR (unix_timestamp = ? AND id > ?))';
+    params.push(page.after.t, page.after.t, page.after.id);
+  }
+
+  query += ' ORDER BY unix_timestamp ASC, id ASC';
+
+  if (page.limit) {
+    query += ' LIMIT ?';
+    params.push(page.limit);
+  }
+
+  return getAll(query, params);
+}
+
+/**
+ * SQL expression for a measured field with the calibration of each reading
+ * applied (value * scale_factor + offset_value, rounded like the corrected
+ * readings), so aggregates over a calibration change stay exact
+ * @param {string} field - Measured field
+ * @param {Object|null} segments - Result of calibrationSegments (lib/calibration.js)
+ * @returns {string} The column itself without calibrations
+ */
+function calibratedField(field, segments) {
+  const fieldSegments = segments && segments[field];
+  if (!fieldSegments || fieldSegments.length === 0) return field;
+
+  const decimals = MEASUREMENT_SCHEMA[field].integer ? 0 : 2;
+  const cases = fieldSegments.map(({ from, to, offset, scale }) => {
+    const range = Number.isFinite(to)
+      ? `unix_timestamp >= ${Number(from)} AND unix_timestamp < ${Number(to)}`
+      : `unix_timestamp >= ${Number(from)}`;
+    return `WHEN ${range} THEN ROUND(${field} * ${Number(scale)} + ${Number(offset)}, ${decimals})`;
+  });
+
+  return `(CASE ${cases.join(' ')} ELSE ${field} END)`;
 }
 
 /**
- * Gets hourly averages for the last N hours
+ * Gets hourly averages for a time range
+ * Hours follow the local time of window.timeZone.
  * @param {string} senderId - Sender ID
- * @param {number} hours - Number of hours
- * @returns {Promise<Array>}
+ * @param {number|Object} window - Hours to look back, or { from, to, timeZone }
+ * @param {Object} page - { limit, after: { bucket } } (optional)
+ * @param {Object|null} calibrations - Result of calibrationSegments (optional)
+ * @returns {Promise<Array>} Rows with bucket (start of the hour, unix seconds)
  */
-function getHourlyAverages(senderId, hours = 24) {
-  return getAll(
-    `SELECT 
-       strftime('%Y-%m-%d %H:00:00', datetime(unix_timestamp, 'unixepoch')) as hour,
-       ROUND(AVG(temperature), 2) as avg_temp,
-       ROUND(MIN(temperature), 2) as min_temp,
-       ROUND(MAX(temperature), 2) as max_temp,
-       ROUND(AVG(humidity), 2) as avg_humidity,
-       ROUND(AVG(pressure), 0) as avg_pressure,
+function getHourlyAverages(senderId, window = 24, page = {}, calibrations = null) {
+  const { from, to, timeZone } = toTimeWindow(window);
+  const shift = hourBoundaryShift(from, timeZone);
+  const params = [shift, shift, senderId, from, to];
+  const temperature = calibratedField('temperature', calibrations);
+  let query = `SELECT 
+       ${LOCAL_HOUR_BUCKET} as bucket,
+       ROUND(AVG(${temperature}), 2) as avg_temp,
+       ROUND(MIN(${temperature}), 2) as min_temp,
+       ROUND(MAX(${temperature}), 2) as max_temp,
+       ROUND(AVG(${calibratedField('humidity', calibrations)}), 2) as avg_humidity,
+       ROUND(AVG(${calibratedField('pressure', calibrations)}), 0) as avg_pressure,
        COUNT(*) as measurements
      FROM weather_data
      WHERE sender_id = ? 
-       AND unix_timestamp >= strftime('%s', 'now', '-${hours} hours')
-     GROUP BY hour
-     ORDER BY hour ASC`,
-    [senderId]
-  );
+       AND unix_timestamp >= ? AND unix_timestamp <= ?
+     GROUP BY bucket`;
+
+  if (page.after) {
+    // PostgreSQL does not allow output aliases in HAVING
+    query = `SELECT * FROM (${query}) AS buckets WHERE bucket > ?`;
+    params.push(page.after.bucket);
+  }
+
+  query += ' ORDER BY bucket ASC';
+
+  if (page.limit) {
+    query += ' LIMIT ?';
+    params.push(page.limit);
+  }
+
+  return getAll(query, params);
 }
 
 /**
  * Gets one data point per hour (for charts)
+ * Hours follow the local time of window.timeZone.
  * @param {string} senderId - Sender ID
- * @param {number} hours - Number of hours
+ * @param {number|Object} window - Hours to look back, or { from, to, timeZone }
  * @returns {Promise<Array>}
  */
-function getHourlySamples(senderId, hours = 5) {
-  // Validate and sanitize hours parameter to ensure it's a positive integer
-  const parsedHours = parseInt(hours);
-  const safeHours = Number.isInteger(parsedHours) && parsedHours > 0 ? parsedHours : 5;
+function getHourlySamples(senderId, window = 5) {
+  const { from, to, timeZone } = toTimeWindow(window);
+  const shift = hourBoundaryShift(from, timeZone);
   
   return getAll(
     `SELECT t.*
      FROM weather_data t
      JOIN (
-       SELECT strftime('%Y-%m-%d %H', unix_timestamp, 'unixepoch') AS hour,
+       SELECT ${LOCAL_HOUR_BUCKET} AS bucket,
               MIN(unix_timestamp) AS min_unix
        FROM weather_data
        WHERE sender_id = ? 
-         AND unix_timestamp >= strftime('%s', 'now', '-${safeHours} hours')
-       GROUP BY hour
-       ORDER BY hour DESC
-       LIMIT ?
-     ) s ON strftime('%Y-%m-%d %H', t.unix_timestamp, 'unixepoch') = s.hour
-          AND t.unix_timestamp = s.min_unix
+         AND unix_timestamp >= ? AND unix_timestamp <= ?
+       GROUP BY bucket
+     ) s ON t.unix_timestamp = s.min_unix
      WHERE t.sender_id = ?
      ORDER BY t.unix_timestamp ASC`,
-    [senderId, safeHours, senderId]
+    [shift, shift, senderId, from, to, senderId]
   );
 }
 
-// ============================================================================
-// Alert Functions
-// ============================================================================
-
 /**
- * Creates an alert
- * @param {Object} alertData - Alert configuration
- * @returns {Promise<any>}
+ * Gets partial aggregates per fixed-size bucket (input for aggregateBuckets)
+ * Per field: <field>_sum, _count, _min, _max and _last ("<timestamp> <value>"
+ * of the newest non-null value, so buckets can be merged later).
+ * @param {string} senderId - Sender ID
+ * @param {Object} window - { from, to } in unix seconds
+ * @param {number} bucketSeconds - Bucket size
+ * @param {Array} fields - Measured fields
+ * @param {Object|null} calibrations - Result of calibrationSegments (optional)
+ * @returns {Promise<Array>} Rows with bucket (start, unix seconds) and count
  */
-function createAlert(alertData) {
-  return runQuery(
-    `INSERT INTO alerts 
-     (sender_id, alert_type, condition, threshold_value, is_active)
-     VALUES (?, ?, ?, ?, 1)`,
-    [
-      alertData.sender_id,
-      alertData.alert_type,
-      alertData.condition,
-      alertData.threshold_value
-    ]
+function getBucketedData(senderId, window, bucketSeconds, fields, calibrations = null) {
+  const columns = fields.filter(field => MEASURED_FIELDS.includes(field)).map((field) => {
+    const value = calibratedField(field, calibrations);
+    return `
+       SUM(${value}) as ${field}_sum,
+       COUNT(${value}) as ${field}_count,
+       MIN(${value}) as ${field}_min,
+       MAX(${value}) as ${field}_max,
+       MAX(printf('%010d', unix_timestamp) || ' ' || ${value}) as ${field}_last`;
+  });
+
+  return getAll(
+    `SELECT (unix_timestamp / ?) * ? as bucket,
+       COUNT(*) as count,${columns.join(',')}
+     FROM weather_data
+     WHERE sender_id = ? AND unix_timestamp >= ? AND unix_timestamp <= ?
+     GROUP BY bucket
+     ORDER BY bucket ASC`,
+    [bucketSeconds, bucketSeconds, senderId, window.from, window.to]
   );
 }
 
 /**
- * Gets all alerts for a sender
+ * Gets the non-null values of one field (input for downsampling)
  * @param {string} senderId - Sender ID
+ * @param {Object} window - { from, to } in unix seconds
+ * @param {string} field - Measured field
+ * @returns {Promise<Array>} Rows with id, unix_timestamp and the field
+ */
+function getFieldSeries(senderId, window, field) {
+  if (!MEASURED_FIELDS.includes(field)) {
+    return Promise.reject(new Error(`Unknown field: ${field}`));
+  }
+
+  return getAll(
+    `SELECT id, unix_timestamp, ${field}
+     FROM weather_data
+     WHERE sender_id = ? AND unix_timestamp >= ? AND unix_timestamp <= ?
+       AND ${field} IS NOT NULL
+     ORDER BY unix_timestamp ASC`,
+    [senderId, window.from, window.to]
+  );
+}
+
+/**
+ * Gets the time of the first and last reading of a sender in a window
+ * @param {string} senderId - Sender ID
+ * @param {Object} window - { from, to } in unix seconds
+ * @returns {Promise<{first: number|null, last: number|null}>}
+ */
+function getReadingTimeRange(senderId, window) {
+  return getOne(
+    `SELECT MIN(unix_timestamp) as first, MAX(unix_timestamp) as last
+     FROM weather_data
+     WHERE sender_id = ? AND unix_timestamp >= ? AND unix_timestamp <= ?`,
+    [senderId, window.from, window.to]
+  );
+}
+
+/**
+ * Gets the device readings of a sender (battery and signal) in time order
+ * @param {string} senderId - Sender ID
+ * @param {Object} window - { from, to } in unix seconds
+ * @returns {Promise<Array>} unix_timestamp, battery_level, signal_strength
+ */
+function getDeviceSamples(senderId, window) {
+  return getAll(
+    `SELECT unix_timestamp, battery_level, signal_strength
+     FROM weather_data
+     WHERE sender_id = ? AND unix_timestamp >= ? AND unix_timestamp <= ?
+     ORDER BY unix_timestamp ASC`,
+    [senderId, window.from, window.to]
+  );
+}
+
+// ============================================================================
+// Maintenance Functions
+// ============================================================================
+
+/**
+ * Finds readings stored more than once (same sender and timestamp)
+ * Duplicate idempotency keys are removed by deleteDuplicateReadings as well.
+ * @returns {Promise<Array>} One row per group: sender_id, unix_timestamp, count, keep_id
+ */
+function findDuplicateReadings() {
+  return getAll(
+    `SELECT sender_id, unix_timestamp, COUNT(*) as count, MIN(id) as keep_id
+     FROM weather_data
+     GROUP BY sender_id, unix_timestamp
+     HAVING COUNT(*) > 1
+     ORDER BY sender_id, unix_timestamp`
+  );
+}
+
+/**
+ * Deletes duplicate readings, keeping the first stored row of each group
+ * The unique indexes that prevent new duplicates are created by migration
+ * 005_duplicate_protection, which refuses to run while duplicates exist.
+ * @returns {Promise<number>} Number of deleted rows
+ */
+function deleteDuplicateReadings() {
+  return withTransaction(async (tx) => {
+    const byTimestamp = await tx.run(
+      `DELETE FROM weather_data
+       WHERE id NOT IN (
+         SELECT MIN(id) FROM weather_data GROUP BY sender_id, unix_timestamp
+       )`
+    );
+
+    // Databases before migration 005 have no idempotency keys yet
+    if (!(await tx.columns('weather_data')).includes('idempotency_key')) {
+      return byTimestamp.changes;
+    }
+
+    // Retries with the same idempotency key but a server-assigned timestamp
+    const byKey = await tx.run(
+      `DELETE FROM weather_data
+       WHERE idempotency_key IS NOT NULL AND id NOT IN (
+         SELECT MIN(id) FROM weather_data
+         WHERE idempotency_key IS NOT NULL
+         GROUP BY sender_id, idempotency_key
+       )`
+    );
+
+    return byTimestamp.changes + byKey.changes;
+  });
+}
+
+/**
+ * Summarizes readings older than a cutoff per sender (retention report)
+ * @param {number} cutoff - Unix timestamp, readings before it are expired
+ * @returns {Promise<Array>} Rows with sender_id, count, oldest, newest, max_id
+ */
+function getExpiredReadingsSummary(cutoff) {
+  return getAll(
+    `SELECT sender_id, COUNT(*) as count, MIN(unix_timestamp) as oldest,
+            MAX(unix_timestamp) as newest, MAX(id) as max_id
+     FROM weather_data
+     WHERE unix_timestamp < ?
+     GROUP BY sender_id
+     ORDER BY sender_id`,
+    [cutoff]
+  );
+}
+
+/**
+ * Gets a page of expired readings (for archiving)
+ * @param {number} cutoff - Unix timestamp, readings before it are expired
+ * @param {number} maxId - Highest ID included in this purge
+ * @param {number} afterId - Last ID of the previous page (0 for the first)
+ * @param {number} limit - Page size
+ * @returns {Promise<Array>}
+ */
+function getExpiredReadings(cutoff, maxId, afterId = 0, limit = 5000) {
+  return getAll(
+    `SELECT * FROM weather_data
+     WHERE unix_timestamp < ? AND id <= ? AND id > ?
+     ORDER BY id ASC
+     LIMIT ?`,
+    [cutoff, maxId, afterId, limit]
+  );
+}
+
+/**
+ * Deletes expired readings in chunks (keeps write locks short)
+ * Rows with an ID above maxId arrived after the report/archive and are kept
+ * for the next purge.
+ * @param {number} cutoff - Unix timestamp, readings before it are deleted
+ * @param {number} maxId - Highest ID to delete
+ * @param {number} chunkSize - Rows per DELETE
+ * @returns {Promise<number>} Number of deleted rows
+ */
+async function deleteExpiredReadings(cutoff, maxId, chunkSize = 5000) {
+  let deleted = 0;
+  let changes;
+
+  do {
+    const result = await runQuery(
+      `DELETE FROM weather_data WHERE id IN (
+         SELECT id FROM weather_data WHERE unix_timestamp < ? AND id <= ? LIMIT ?
+       )`,
+      [cutoff, maxId, chunkSize]
+    );
+    changes = result.changes;
+    deleted += changes;
+  } while (changes > 0);
+
+  return deleted;
+}
+
+/**
+ * Records the newest purged reading per sender (see getPurgedUntil)
+ * Called before the readings are deleted, so an interrupted purge still
+ * protects the rollups of the periods it may have touched.
+ * @param {Array<Object>} perSender - Rows with sender_id and newest (getExpiredReadingsSummary)
+ * @returns {Promise<void>}
+ */
+async function markReadingsPurged(perSender) {
+  for (const { sender_id: senderId, newest } of perSender) {
+    await runQuery(
+      `UPDATE senders SET purged_until = ?
+       WHERE sender_id = ? AND (purged_until IS NULL OR purged_until < ?)`,
+      [newest, senderId, newest]
+    );
+  }
+}
+
+/**
+ * Gets up to where the raw readings of each sender were purged
+ * @returns {Promise<Map<string, number>>} sender_id -> unix timestamp of the
+ *   newest purged reading (senders without purged readings are missing)
+ */
+async function getPurgedUntil() {
+  const rows = await getAll('SELECT sender_id, purged_until FROM senders WHERE purged_until IS NOT NULL');
+  return new Map(rows.map(row => [row.sender_id, Number(row.purged_until)]));
+}
+
+// ============================================================================
+// Alert Functions
+// ============================================================================
+
+/**
+ * Creates an alert
+ * @param {Object} alertData - Alert configuration: sender_id, alert_type,
+ *   condition, threshold_value and optionally clear_threshold,
+ *   duration_minutes, cooldown_minutes
+ * @returns {Promise<any>}
+ */
+function createAlert(alertData) {
+  return runQuery(
+    `INSERT INTO alerts 
+     (sender_id, alert_type, condition, threshold_value, clear_threshold,
+      duration_minutes, cooldown_minutes, is_active)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 1)`,
+    [
+      alertData.sender_id,
+      alertData.alert_type,
+      alertData.condition,
+      alertData.threshold_value,
+      alertData.clear_threshold === undefined ? null : alertData.clear_threshold,
+      alertData.duration_minutes || 0,
+      alertData.cooldown_minutes || 0
+    ]
+  );
+}
+
+/**
+ * Gets an alert
+ * @param {number} alertId - Alert ID
+ * @returns {Promise<Object|null>}
+ */
+function getAlert(alertId) {
+  return getOne('SELECT * FROM alerts WHERE id = ?', [alertId]);
+}
+
+/**
+ * Lists alerts across all senders
+ * @param {Object} filters - { senderId, alertType, state, active } (all optional)
+ * @returns {Promise<Array>}
+ */
+function getAlerts(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.senderId) {
+    conditions.push('sender_id = ?');
+    params.push(filters.senderId);
+  }
+  if (filters.alertType) {
+    conditions.push('alert_type = ?');
+    params.push(filters.alertType);
+  }
+  if (filters.state) {
+    conditions.push('state = ?');
+    params.push(filters.state);
+  }
+  if (filters.active !== undefined && filters.active !== null) {
+    conditions.push('is_active = ?');
+    params.push(filters.active ? 1 : 0);
+  }
+
+  return getAll(
+    `SELECT * FROM alerts
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY sender_id, id`,
+    params
+  );
+}
+
+/**
+ * Ends the running firing of an alert without a resolving reading
+ * Used when an alert is paused or its rule changes; runs inside a transaction.
+ * @param {Object} tx - Transaction helpers
+ * @param {Object} alert - Alert row
+ * @returns {Promise<void>}
+ */
+async function resetAlertState(tx, alert) {
+  if (alert.state === 'firing') {
+    await tx.run('UPDATE alert_events SET ended_at = ? WHERE alert_id = ? AND ended_at IS NULL',
+      [Math.floor(Date.now() / 1000), alert.id]);
+  }
+  await tx.run("UPDATE alerts SET state = 'ok', pending_since = NULL WHERE id = ?", [alert.id]);
+}
+
+/**
+ * Updates an alert
+ * Pausing an alert or changing its type, condition or threshold ends a
+ * running firing and evaluation starts again from 'ok'.
+ * @param {number} alertId - Alert ID
+ * @param {Object} data - Validated fields (see validateAlertRule)
+ * @returns {Promise<Object|null>} Updated alert or null if not found
+ */
+function updateAlert(alertId, data) {
+  const columns = ['sender_id', 'alert_type', 'condition', 'threshold_value', 'clear_threshold',
+    'duration_minutes', 'cooldown_minutes', 'is_active'];
+
+  return withTransaction(async (tx) => {
+    const alert = await tx.get('SELECT * FROM alerts WHERE id = ?', [alertId]);
+    if (!alert) return null;
+
+    const fields = [];
+    const values = [];
+    for (const column of columns) {
+      if (data[column] === undefined) continue;
+      fields.push(`${column} = ?`);
+      values.push(data[column]);
+    }
+
+    if (fields.length > 0) {
+      values.push(alertId);
+      await tx.run(`UPDATE alerts SET ${fields.join(', ')} WHERE id = ?`, values);
+    }
+
+    const ruleChanged = ['sender_id', 'alert_type', 'condition', 'threshold_value']
+      .some(column => data[column] !== undefined && data[column] !== alert[column]);
+    if ((ruleChanged || data.is_active === 0) && alert.state !== 'ok') {
+      await resetAlertState(tx, alert);
+    }
+
+    return tx.get('SELECT * FROM alerts WHERE id = ?', [alertId]);
+  });
+}
+
+/**
+ * Deletes an alert with its events, channel assignments and queued notifications
+ * @param {number} alertId - Alert ID
+ * @returns {Promise<any>}
+ */
+function deleteAlert(alertId) {
+  return runQuery('DELETE FROM alerts WHERE id = ?', [alertId]);
+}
+
+/**
+ * Acknowledges the running firing of an alert
+ * The acknowledgement is stored on the alert (until the next firing) and on
+ * the open alert_events row.
+ * @param {number} alertId - Alert ID
+ * @param {string} actor - Username
+ * @returns {Promise<Object>} Updated alert
+ */
+function acknowledgeAlert(alertId, actor) {
+  const now = Math.floor(Date.now() / 1000);
+
+  return withTransaction(async (tx) => {
+    await tx.run('UPDATE alerts SET acknowledged_at = ?, acknowledged_by = ? WHERE id = ?', [now, actor, alertId]);
+    await tx.run(
+      'UPDATE alert_events SET acknowledged_at = ?, acknowledged_by = ? WHERE alert_id = ? AND ended_at IS NULL',
+      [now, actor, alertId]
+    );
+    return tx.get('SELECT * FROM alerts WHERE id = ?', [alertId]);
+  });
+}
+
+/**
+ * Evaluates the alerts of a sender for new readings
+ *
+ * Runs the state machine of lib/alertEngine.js for each active alert and
+ * reading (oldest first) and stores the new states. A firing opens an
+ * alert_events row, resolving closes it. Readings older than the newest
+ * evaluated one are skipped, so late uploads do not rewind the state. Each
+ * state change is queued for the alert's notification channels in the same
+ * transaction.
+ *
+ * @param {string} senderId - Sender ID
+ * @param {Object|Array} data - Reading or readings
+ * @returns {Promise<Array>} State changes: alert_id, event_id, alert_type,
+ *   condition, threshold_value, clear_threshold, state ('firing' or
+ *   'resolved'), value, timestamp
+ */
+async function checkAlerts(senderId, data) {
+  const readings = (Array.isArray(data) ? [...data] : [data])
+    .sort((a, b) => a.unix_timestamp - b.unix_timestamp);
+
+  return withTransaction(async (tx) => {
+    const alerts = await tx.all('SELECT * FROM alerts WHERE sender_id = ? AND is_active = 1', [senderId]);
+    const changes = [];
+
+    for (const alert of alerts) {
+      let openEvent = alert.state === 'firing'
+        ? await tx.get('SELECT * FROM alert_events WHERE alert_id = ? AND ended_at IS NULL ORDER BY id DESC LIMIT 1', [alert.id])
+        : null;
+      let evaluated = false;
+      let fired = false;
+
+      for (const reading of readings) {
+        const value = alertValue(alert, reading);
+        const timestamp = reading.unix_timestamp;
+        if (value === null || (alert.evaluated_at && timestamp < alert.evaluated_at)) continue;
+
+        const { transition, ...next } = nextAlertState(alert, value, timestamp);
+        Object.assign(alert, next, { evaluated_at: timestamp });
+        evaluated = true;
+
+        if (transition === 'firing') {
+          const result = await tx.run(
+            `INSERT INTO alert_events (alert_id, sender_id, started_at, trigger_value, peak_value)
+             VALUES (?, ?, ?, ?, ?)`,
+            [alert.id, senderId, timestamp, value, value]
+          );
+          openEvent = { id: result.lastID, peak_value: value };
+          fired = true;
+        } else if (openEvent) {
+          openEvent.peak_value = peakValue(alert.condition, openEvent.peak_value, value);
+        }
+
+        if (transition === 'resolved' && openEvent) {
+          await tx.run(
+            'UPDATE alert_events SET ended_at = ?, clear_value = ?, peak_value = ? WHERE id = ?',
+            [timestamp, value, openEvent.peak_value, openEvent.id]
+          );
+        }
+
+        if (transition) {
+          const change = {
+            alert_id: alert.id,
+            event_id: openEvent ? openEvent.id : null,
+            alert_type: alert.alert_type,
+            condition: alert.condition,
+            threshold_value: alert.threshold_value,
+            clear_threshold: alert.clear_threshold,
+            state: transition,
+            value,
+            timestamp
+          };
+          changes.push(change);
+          await enqueueAlertNotifications(tx, senderId, change);
+        }
+
+        if (transition === 'resolved') openEvent = null;
+      }
+
+      if (!evaluated) continue;
+
+      if (openEvent) {
+        await tx.run('UPDATE alert_events SET peak_value = ? WHERE id = ?', [openEvent.peak_value, openEvent.id]);
+      }
+
+      await tx.run(
+        `UPDATE alerts SET state = ?, pending_since = ?, last_resolved_at = ?, evaluated_at = ?
+         ${fired ? ', last_triggered = CURRENT_TIMESTAMP, notification_sent = 0, acknowledged_at = NULL, acknowledged_by = NULL' : ''}
+         WHERE id = ?`,
+        [alert.state, alert.pending_since, alert.last_resolved_at, alert.evaluated_at, alert.id]
+      );
+    }
+
+    return changes;
+  });
+}
+
+/**
+ * Gets the firing history of alerts (newest first)
+ * @param {Object} options - { senderId, alertId, limit }
+ * @returns {Promise<Array>} alert_events rows with alert_type, condition and
+ *   threshold_value of their alert; ended_at is null while still firing
+ */
+function getAlertEvents(options = {}) {
+  const { senderId = null, alertId = null, limit = 100 } = options;
+  const conditions = [];
+  const params = [];
+
+  if (senderId !== null) {
+    conditions.push('e.sender_id = ?');
+    params.push(senderId);
+  }
+  if (alertId !== null) {
+    conditions.push('e.alert_id = ?');
+    params.push(alertId);
+  }
+
+  params.push(limit);
+
+  return getAll(
+    `SELECT e.*, a.alert_type, a.condition, a.threshold_value, a.clear_threshold
+     FROM alert_events e
+     JOIN alerts a ON a.id = e.alert_id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY e.started_at DESC, e.id DESC
+     LIMIT ?`,
+    params
+  );
+}
+
+// ============================================================================
+// Notification Functions
+// ============================================================================
+
+/**
+ * Queues an alert state change for all active channels of the alert
+ * Runs inside the transaction of checkAlerts.
+ * @param {Object} tx - Transaction helpers
+ * @param {string} senderId - Sender ID
+ * @param {Object} change - State change as returned by checkAlerts
+ * @returns {Promise<any>}
+ */
+function enqueueAlertNotifications(tx, senderId, change) {
+  return tx.run(
+    `INSERT INTO notification_deliveries
+     (channel_id, alert_id, event_id, sender_id, event_type, payload_json, next_attempt_at)
+     SELECT ac.channel_id, ?, ?, ?, ?, ?, ?
+     FROM alert_channels ac
+     JOIN notification_channels c ON c.id = ac.channel_id
+     WHERE ac.alert_id = ? AND c.is_active = 1`,
+    [
+      change.alert_id,
+      change.event_id,
+      senderId,
+      change.state,
+      JSON.stringify({ sender_id: senderId, ...change }),
+      Math.floor(Date.now() / 1000),
+      change.alert_id
+    ]
+  );
+}
+
+/**
+ * Creates a notification channel
+ * @param {Object} channelData - { name, type, config }
+ * @returns {Promise<any>}
+ */
+function createNotificationChannel(channelData) {
+  return runQuery(
+    'INSERT INTO notification_channels (name, type, config_json, is_active) VALUES (?, ?, ?, 1)',
+    [channelData.name, channelData.type, JSON.stringify(channelData.config)]
+  );
+}
+
+/**
+ * Gets a notification channel
+ * @param {number} channelId - Channel ID
+ * @returns {Promise<Object|null>}
+ */
+function getNotificationChannel(channelId) {
+  return getOne('SELECT * FROM notification_channels WHERE id = ?', [channelId]);
+}
+
+/**
+ * Gets all notification channels with the number of alerts using them
+ * @returns {Promise<Array>}
+ */
+function getNotificationChannels() {
+  return getAll(
+    `SELECT c.*, (SELECT COUNT(*) FROM alert_channels ac WHERE ac.channel_id = c.id) as alert_count
+     FROM notification_channels c
+     ORDER BY c.id`
+  );
+}
+
+/**
+ * Deletes a notification channel (its assignments and queued deliveries too)
+ * @param {number} channelId - Channel ID
+ * @returns {Promise<any>}
+ */
+function deleteNotificationChannel(channelId) {
+  return runQuery('DELETE FROM notification_channels WHERE id = ?', [channelId]);
+}
+
+/**
+ * Gets the channel IDs assigned to an alert
+ * @param {number} alertId - Alert ID
+ * @returns {Promise<Array<number>>}
+ */
+async function getAlertChannelIds(alertId) {
+  const rows = await getAll('SELECT channel_id FROM alert_channels WHERE alert_id = ? ORDER BY channel_id', [alertId]);
+  return rows.map(row => row.channel_id);
+}
+
+/**
+ * Replaces the channels assigned to an alert
+ * @param {number} alertId - Alert ID
+ * @param {Array<number>} channelIds - Channel IDs
+ * @returns {Promise<void>}
+ */
+function setAlertChannels(alertId, channelIds) {
+  return withTransaction(async (tx) => {
+    await tx.run('DELETE FROM alert_channels WHERE alert_id = ?', [alertId]);
+    for (const channelId of new Set(channelIds)) {
+      await tx.run('INSERT INTO alert_channels (alert_id, channel_id) VALUES (?, ?)', [alertId, channelId]);
+    }
+  });
+}
+
+/**
+ * Records a test message that was sent directly (not queued)
+ * @param {number} channelId - Channel ID
+ * @param {Object} payload - Test payload
+ * @param {Object} outcome - { status: 'sent'|'failed', last_error }
+ * @returns {Promise<any>}
+ */
+function recordTestNotification(channelId, payload, outcome) {
+  const now = Math.floor(Date.now() / 1000);
+
+  return runQuery(
+    `INSERT INTO notification_deliveries
+     (channel_id, event_type, payload_json, status, attempts, next_attempt_at, last_error, sent_at)
+     VALUES (?, 'test', ?, ?, 1, ?, ?, ?)`,
+    [
+      channelId,
+      JSON.stringify(payload),
+      outcome.status,
+      now,
+      outcome.last_error || null,
+      outcome.status === 'sent' ? now : null
+    ]
+  );
+}
+
+/**
+ * Gets queued deliveries that are due, with their channel
+ * Deliveries of deactivated channels stay queued.
+ * @param {number} now - Current time (unix seconds)
+ * @param {number} limit - Maximum number of deliveries
+ * @returns {Promise<Array>} Deliveries with channel_name, type and config_json
+ */
+function getDueNotifications(now, limit = 50) {
+  return getAll(
+    `SELECT d.*, c.name as channel_name, c.type, c.config_json
+     FROM notification_deliveries d
+     JOIN notification_channels c ON c.id = d.channel_id
+     WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND c.is_active = 1
+     ORDER BY d.next_attempt_at, d.id
+     LIMIT ?`,
+    [now, limit]
+  );
+}
+
+/**
+ * Records the outcome of a delivery attempt
+ * A delivered firing marks its alert as notified (alerts.notification_sent).
+ * @param {Object} delivery - Delivery row (id, alert_id, event_type)
+ * @param {Object} outcome - { status, attempts, next_attempt_at, last_error, sent_at }
+ * @returns {Promise<void>}
+ */
+async function recordNotificationAttempt(delivery, outcome) {
+  await runQuery(
+    `UPDATE notification_deliveries
+     SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, sent_at = ?
+     WHERE id = ?`,
+    [
+      outcome.status,
+      outcome.attempts,
+      outcome.next_attempt_at,
+      outcome.last_error || null,
+      outcome.sent_at || null,
+      delivery.id
+    ]
+  );
+
+  if (outcome.status === 'sent' && delivery.event_type === 'firing' && delivery.alert_id) {
+    await runQuery('UPDATE alerts SET notification_sent = 1 WHERE id = ?', [delivery.alert_id]);
+  }
+}
+
+/**
+ * Gets deliveries (newest first)
+ * @param {Object} options - { status, alertId, channelId, limit }
+ * @returns {Promise<Array>}
+ */
+function getNotificationDeliveries(options = {}) {
+  const { status = null, alertId = null, channelId = null, limit = 100 } = options;
+  const conditions = [];
+  const params = [];
+
+  if (status !== null) {
+    conditions.push('d.status = ?');
+    params.push(status);
+  }
+  if (alertId !== null) {
+    conditions.push('d.alert_id = ?');
+    params.push(alertId);
+  }
+  if (channelId !== null) {
+    conditions.push('d.channel_id = ?');
+    params.push(channelId);
+  }
+
+  params.push(limit);
+
+  return getAll(
+    `SELECT d.id, d.channel_id, c.name as channel_name, c.type, d.alert_id, d.event_id,
+            d.sender_id, d.event_type, d.status, d.attempts, d.next_attempt_at,
+            d.last_error, d.sent_at, d.created_at
+     FROM notification_deliveries d
+     JOIN notification_channels c ON c.id = d.channel_id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY d.id DESC
+     LIMIT ?`,
+    params
+  );
+}
+
+/**
+ * Counts deliveries per status
+ * @returns {Promise<Object>} e.g. { pending: 2, sent: 10, failed: 1 }
+ */
+async function getNotificationQueueCounts() {
+  const rows = await getAll('SELECT status, COUNT(*) as count FROM notification_deliveries GROUP BY status');
+  return Object.fromEntries(rows.map(row => [row.status, row.count]));
+}
+
+// ============================================================================
+// Sensor Registry Functions
+// ============================================================================
+
+/**
+ * Columns of an installation with its sensor type
+ */
+const SENDER_SENSOR_COLUMNS = `ss.id, ss.sender_id, ss.sensor_type_id, st.name as sensor_name,
+  st.manufacturer, st.measures, ss.installed_at, ss.removed_at, ss.notes`;
+
+/**
+ * Creates a sensor type
+ * @param {Object} data - { name, manufacturer, measures, accuracy_temp, accuracy_humidity }
+ * @returns {Promise<any>}
+ */
+function createSensorType(data) {
+  return runQuery(
+    `INSERT INTO sensor_types (name, manufacturer, measures, accuracy_temp, accuracy_humidity)
+     VALUES (?, ?, ?, ?, ?)`,
+    [data.name, data.manufacturer ?? null, data.measures ?? null, data.accuracy_temp ?? null, data.accuracy_humidity ?? null]
+  );
+}
+
+/**
+ * Gets a sensor type with the number of installations using it
+ * @param {number} typeId - Sensor type ID
+ * @returns {Promise<Object|null>}
+ */
+function getSensorType(typeId) {
+  return getOne(
+    `SELECT st.*, (SELECT COUNT(*) FROM sender_sensors ss WHERE ss.sensor_type_id = st.id) as installation_count
+     FROM sensor_types st WHERE st.id = ?`,
+    [typeId]
+  );
+}
+
+/**
+ * Gets a sensor type by name
+ * @param {string} name - Sensor type name
+ * @returns {Promise<Object|null>}
+ */
+function getSensorTypeByName(name) {
+  return getOne('SELECT * FROM sensor_types WHERE name = ?', [name]);
+}
+
+/**
+ * Gets all sensor types with the number of installations using them
  * @returns {Promise<Array>}
  */
-function getAlerts(senderId) {
+function getSensorTypes() {
   return getAll(
-    'SELECT * FROM alerts WHERE sender_id = ? AND is_active = 1',
-    [senderId]
+    `SELECT st.*, (SELECT COUNT(*) FROM sender_sensors ss WHERE ss.sensor_type_id = st.id) as installation_count
+     FROM sensor_types st ORDER BY st.name`
   );
 }
 
 /**
- * Checks if any alerts should be triggered
+ * Updates a sensor type
+ * @param {number} typeId - Sensor type ID
+ * @param {Object} data - Fields to change (see createSensorType)
+ * @returns {Promise<any>}
+ */
+function updateSensorType(typeId, data) {
+  const columns = ['name', 'manufacturer', 'measures', 'accuracy_temp', 'accuracy_humidity'];
+  const fields = [];
+  const values = [];
+
+  for (const column of columns) {
+    if (data[column] === undefined) continue;
+    fields.push(`${column} = ?`);
+    values.push(data[column]);
+  }
+
+  if (fields.length === 0) return Promise.resolve();
+
+  values.push(typeId);
+  return runQuery(`UPDATE sensor_types SET ${fields.join(', ')} WHERE id = ?`, values);
+}
+
+/**
+ * Deletes a sensor type (only possible without installations)
+ * @param {number} typeId - Sensor type ID
+ * @returns {Promise<any>}
+ */
+function deleteSensorType(typeId) {
+  return runQuery('DELETE FROM sensor_types WHERE id = ?', [typeId]);
+}
+
+/**
+ * Gets the installation history of a sender (newest first)
  * @param {string} senderId - Sender ID
- * @param {Object} data - Current weather data
  * @returns {Promise<Array>}
  */
-async function checkAlerts(senderId, data) {
-  const alerts = await getAlerts(senderId);
-  const triggered = [];
-  
-  for (const alert of alerts) {
-    let value;
-    
-    switch (alert.alert_type) {
-      case 'temperature':
-        value = data.temperature;
-        break;
-      case 'humidity':
-        value = data.humidity;
-        break;
-      case 'pressure':
-        value = data.pressure;
-        break;
-      case 'battery':
-        value = data.battery_level;
-        break;
-      default:
-        continue;
-    }
-    
-    if (value === undefined || value === null) continue;
-    
-    let shouldTrigger = false;
-    
-    switch (alert.condition) {
-      case 'above':
-        shouldTrigger = value > alert.threshold_value;
-        break;
-      case 'below':
-        shouldTrigger = value < alert.threshold_value;
-        break;
-      case 'equals':
-        shouldTrigger = Math.abs(value - alert.threshold_value) < 0.1;
-        break;
-    }
-    
-    if (shouldTrigger) {
-      triggered.push(alert);
-      
-      // Update last triggered time
-      await runQuery(
-        'UPDATE alerts SET last_triggered = CURRENT_TIMESTAMP WHERE id = ?',
-        [alert.id]
-      );
-    }
+function getSenderSensors(senderId) {
+  return getAll(
+    `SELECT ${SENDER_SENSOR_COLUMNS}
+     FROM sender_sensors ss
+     JOIN sensor_types st ON st.id = ss.sensor_type_id
+     WHERE ss.sender_id = ?
+     ORDER BY ss.installed_at DESC, ss.id DESC`,
+    [senderId]
+  );
+}
+
+/**
+ * Gets one installation
+ * @param {number} installationId - sender_sensors ID
+ * @returns {Promise<Object|null>}
+ */
+function getSenderSensor(installationId) {
+  return getOne(
+    `SELECT ${SENDER_SENSOR_COLUMNS}
+     FROM sender_sensors ss
+     JOIN sensor_types st ON st.id = ss.sensor_type_id
+     WHERE ss.id = ?`,
+    [installationId]
+  );
+}
+
+/**
+ * Records the installation of a sensor in a sender
+ * @param {string} senderId - Sender ID
+ * @param {Object} data - { sensor_type_id, installed_at, removed_at, notes }
+ *   (times as "YYYY-MM-DD HH:MM:SS" UTC; installed_at defaults to now)
+ * @returns {Promise<any>}
+ */
+function createSenderSensor(senderId, data) {
+  return runQuery(
+    `INSERT INTO sender_sensors (sender_id, sensor_type_id, installed_at, removed_at, notes)
+     VALUES (?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?)`,
+    [senderId, data.sensor_type_id, data.installed_at ?? null, data.removed_at ?? null, data.notes ?? null]
+  );
+}
+
+/**
+ * Updates an installation (e.g. sets removed_at when the sensor is replaced)
+ * @param {number} installationId - sender_sensors ID
+ * @param {Object} data - { installed_at, removed_at, notes }
+ * @returns {Promise<any>}
+ */
+function updateSenderSensor(installationId, data) {
+  const fields = [];
+  const values = [];
+
+  for (const column of ['installed_at', 'removed_at', 'notes']) {
+    if (data[column] === undefined) continue;
+    fields.push(`${column} = ?`);
+    values.push(data[column]);
   }
-  
-  return triggered;
+
+  if (fields.length === 0) return Promise.resolve();
+
+  values.push(installationId);
+  return runQuery(`UPDATE sender_sensors SET ${fields.join(', ')} WHERE id = ?`, values);
+}
+
+/**
+ * Deletes an installation with its calibrations
+ * @param {number} installationId - sender_sensors ID
+ * @returns {Promise<any>}
+ */
+function deleteSenderSensor(installationId) {
+  return runQuery('DELETE FROM sender_sensors WHERE id = ?', [installationId]);
+}
+
+/**
+ * Creates a calibration for an installation
+ * @param {number} installationId - sender_sensors ID
+ * @param {Object} data - { field, offset_value, scale_factor, valid_from, notes }
+ * @returns {Promise<any>}
+ */
+function createCalibration(installationId, data) {
+  return runQuery(
+    `INSERT INTO sensor_calibrations (sender_sensor_id, field, offset_value, scale_factor, valid_from, notes)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [installationId, data.field, data.offset_value, data.scale_factor, data.valid_from, data.notes ?? null]
+  );
+}
+
+/**
+ * Gets a calibration with the sender of its installation
+ * @param {number} calibrationId - Calibration ID
+ * @returns {Promise<Object|null>}
+ */
+function getCalibration(calibrationId) {
+  return getOne(
+    `SELECT c.*, ss.sender_id
+     FROM sensor_calibrations c
+     JOIN sender_sensors ss ON ss.id = c.sender_sensor_id
+     WHERE c.id = ?`,
+    [calibrationId]
+  );
+}
+
+/**
+ * Gets the calibrations of the installations of a sender
+ * installed_from/removed_from are the installation window in unix seconds
+ * (removed_from null while installed).
+ * @param {string} senderId - Sender ID
+ * @returns {Promise<Array>} Ordered by installation, field and valid_from
+ */
+function getSenderCalibrations(senderId) {
+  return getAll(
+    `SELECT c.*,
+       CAST(strftime('%s', ss.installed_at) AS INTEGER) as installed_from,
+       CAST(strftime('%s', ss.removed_at) AS INTEGER) as removed_from
+     FROM sensor_calibrations c
+     JOIN sender_sensors ss ON ss.id = c.sender_sensor_id
+     WHERE ss.sender_id = ?
+     ORDER BY c.sender_sensor_id, c.field, c.valid_from, c.id`,
+    [senderId]
+  );
+}
+
+/**
+ * Deletes a calibration
+ * @param {number} calibrationId - Calibration ID
+ * @returns {Promise<any>}
+ */
+function deleteCalibration(calibrationId) {
+  return runQuery('DELETE FROM sensor_calibrations WHERE id = ?', [calibrationId]);
 }
 
 // ============================================================================
@@ -358,43 +1801,132 @@ async function checkAlerts(senderId, data) {
 // ============================================================================
 
 /**
- * Calculates and stores hourly statistics
- * @param {string} senderId - Sender ID
- * @param {Date} startTime - Start time
- * @returns {Promise<any>}
+ * SELECT list of the rollup columns (avg_temperature ... data_points)
+ * @param {Object|null} calibrations - Result of calibrationSegments
+ *   (lib/calibration.js), null for raw values
+ * @returns {string}
  */
-async function calculateHourlyStats(senderId, startTime = null) {
-  const periodStart = startTime || new Date(Date.now() - 3600000); // 1 hour ago
-  
-  return runQuery(
-    `INSERT INTO weather_statistics 
+function statisticsAggregates(calibrations) {
+  const temperature = calibratedField('temperature', calibrations);
+  const humidity = calibratedField('humidity', calibrations);
+
+  return `ROUND(AVG(${temperature}), 2) as avg_temperature,
+       ROUND(MIN(${temperature}), 2) as min_temperature,
+       ROUND(MAX(${temperature}), 2) as max_temperature,
+       ROUND(AVG(${humidity}), 2) as avg_humidity,
+       ROUND(MIN(${humidity}), 2) as min_humidity,
+       ROUND(MAX(${humidity}), 2) as max_humidity,
+       ROUND(AVG(${calibratedField('pressure', calibrations)}), 0) as avg_pressure,
+       COUNT(*) as data_points`;
+}
+
+/**
+ * Upsert of one rollup period, computed from the raw values in weather_data
+ * Parameters: sender_id, stat_type, period start and end (unix seconds),
+ * followed by sender_id, start and end again for the WHERE clause.
+ */
+const UPSERT_STATISTICS = `INSERT INTO weather_statistics 
      (sender_id, stat_type, period_start, period_end,
       avg_temperature, min_temperature, max_temperature,
-      avg_humidity, min_humidity, max_humidity, avg_pressure, data_points)
+      avg_humidity, min_humidity, max_humidity, avg_pressure, data_points, updated_at)
      SELECT 
        ?,
-       'hourly',
+       ?,
+       datetime(?, 'unixepoch'),
        datetime(?, 'unixepoch'),
-       datetime(?, 'unixepoch', '+1 hour'),
-       ROUND(AVG(temperature), 2),
-       ROUND(MIN(temperature), 2),
-       ROUND(MAX(temperature), 2),
-       ROUND(AVG(humidity), 2),
-       ROUND(MIN(humidity), 2),
-       ROUND(MAX(humidity), 2),
-       ROUND(AVG(pressure), 0),
-       COUNT(*)
+       ${statisticsAggregates(null)},
+       CURRENT_TIMESTAMP
      FROM weather_data
      WHERE sender_id = ? 
-       AND unix_timestamp BETWEEN ? AND ?`,
-    [
-      senderId,
-      Math.floor(periodStart.getTime() / 1000),
-      Math.floor(periodStart.getTime() / 1000) + 3600,
-      senderId,
-      Math.floor(periodStart.getTime() / 1000),
-      Math.floor(periodStart.getTime() / 1000) + 3600
-    ]
+       AND unix_timestamp >= ? AND unix_timestamp < ?
+     ON CONFLICT(sender_id, stat_type, period_start) DO UPDATE SET
+       period_end = excluded.period_end,
+       avg_temperature = excluded.avg_temperature,
+       min_temperature = excluded.min_temperature,
+       max_temperature = excluded.max_temperature,
+       avg_humidity = excluded.avg_humidity,
+       min_humidity = excluded.min_humidity,
+       max_humidity = excluded.max_humidity,
+       avg_pressure = excluded.avg_pressure,
+       data_points = excluded.data_points,
+       updated_at = excluded.updated_at`;
+
+/**
+ * Computes and stores (or replaces) rollup periods in one transaction
+ * @param {Array} periods - [{ sender_id, stat_type, start, end }] in unix seconds,
+ *   end exclusive
+ * @returns {Promise<number>} Number of stored periods
+ */
+function upsertStatistics(periods) {
+  return withTransaction(async (tx) => {
+    const stmt = tx.prepare(UPSERT_STATISTICS);
+
+    try {
+      for (const period of periods) {
+        await stmt.run([
+          period.sender_id, period.stat_type, period.start, period.end,
+          period.sender_id, period.start, period.end
+        ]);
+      }
+    } finally {
+      await stmt.finalize();
+    }
+
+    return periods.length;
+  });
+}
+
+/**
+ * Gets the newest receive time per sender and time bucket
+ * Used to find rollup periods that got new (or late) data.
+ * @param {number} bucketSeconds - Bucket size
+ * @param {string|null} since - Only rows received at or after this UTC
+ *   datetime ("YYYY-MM-DD HH:MM:SS"), null for all rows
+ * @returns {Promise<Array>} Rows with sender_id, bucket, last_received
+ */
+function getReceivedBuckets(bucketSeconds, since = null) {
+  const params = [bucketSeconds, bucketSeconds];
+  let query = `SELECT sender_id, (unix_timestamp / ?) * ? as bucket, MAX(received_at) as last_received
+     FROM weather_data`;
+
+  if (since) {
+    query += ' WHERE received_at >= ?';
+    params.push(since);
+  }
+
+  query += ' GROUP BY sender_id, bucket ORDER BY sender_id, bucket';
+
+  return getAll(query, params);
+}
+
+/**
+ * Gets the stored rollup periods and when they were computed
+ * @returns {Promise<Array>} Rows with sender_id, stat_type, start (unix seconds), updated_at
+ */
+function getStatisticsPeriods() {
+  return getAll(
+    `SELECT sender_id, stat_type, CAST(strftime('%s', period_start) AS INTEGER) as start, updated_at
+     FROM weather_statistics`
+  );
+}
+
+/**
+ * Computes the rollup columns of one period from weather_data with the
+ * calibration of each reading applied
+ * Used for periods a calibration starts or ends within, as long as their raw
+ * readings are kept.
+ * @param {string} senderId - Sender ID
+ * @param {Object} period - { start, end } in unix seconds, end exclusive
+ * @param {Object} calibrations - Result of calibrationSegments
+ * @returns {Promise<Object>} avg_temperature ... data_points
+ */
+function getCalibratedStatistics(senderId, period, calibrations) {
+  return getOne(
+    `SELECT ${statisticsAggregates(calibrations)}
+     FROM weather_data
+     WHERE sender_id = ?
+       AND unix_timestamp >= ? AND unix_timestamp < ?`,
+    [senderId, period.start, period.end]
   );
 }
 
@@ -415,6 +1947,171 @@ function getStatistics(senderId, statType = 'hourly', limit = 24) {
   );
 }
 
+// ============================================================================
+// User & Session Functions
+// ============================================================================
+
+/**
+ * Public user columns (everything except the password hash)
+ */
+const USER_COLUMNS = 'id, username, role, is_active, last_login_at, created_at, updated_at';
+
+/**
+ * Creates a user
+ * @param {Object} userData - { username, password_hash, role }
+ * @returns {Promise<any>}
+ */
+function createUser(userData) {
+  return runQuery(
+    `INSERT INTO users (username, password_hash, role, is_active)
+     VALUES (?, ?, ?, 1)`,
+    [userData.username, userData.password_hash, userData.role]
+  );
+}
+
+/**
+ * Gets a user by ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>}
+ */
+function getUser(userId) {
+  return getOne(
+    `SELECT ${USER_COLUMNS} FROM users WHERE id = ?`,
+    [userId]
+  );
+}
+
+/**
+ * Gets a user including the password hash (for login only)
+ * @param {string} username - Username
+ * @returns {Promise<Object|null>}
+ */
+function getUserCredentials(username) {
+  return getOne(
+    'SELECT * FROM users WHERE username = ?',
+    [username]
+  );
+}
+
+/**
+ * Gets all users
+ * @returns {Promise<Array>}
+ */
+function getAllUsers() {
+  return getAll(
+    `SELECT ${USER_COLUMNS} FROM users ORDER BY username`
+  );
+}
+
+/**
+ * Updates user information
+ * @param {number} userId - User ID
+ * @param {Object} data - { role?, is_active?, password_hash? }
+ * @returns {Promise<any>}
+ */
+async function updateUser(userId, data) {
+  const fields = [];
+  const values = [];
+
+  if (data.role !== undefined) {
+    fields.push('role = ?');
+    values.push(data.role);
+  }
+  if (data.is_active !== undefined) {
+    fields.push('is_active = ?');
+    values.push(data.is_active);
+  }
+  if (data.password_hash !== undefined) {
+    fields.push('password_hash = ?');
+    values.push(data.password_hash);
+  }
+
+  if (fields.length === 0) return;
+
+  values.push(userId);
+
+  return runQuery(
+    `UPDATE users SET ${fields.join(', ')} WHERE id = ?`,
+    values
+  );
+}
+
+/**
+ * Records a successful login
+ * @param {number} userId - User ID
+ * @returns {Promise<any>}
+ */
+function touchUserLogin(userId) {
+  return runQuery(
+    'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [userId]
+  );
+}
+
+/**
+ * Stores a new session
+ * @param {number} userId - User ID
+ * @param {string} tokenHash - SHA-256 hash of the session token
+ * @param {number} expiresAt - Expiry as unix timestamp (seconds)
+ * @returns {Promise<any>}
+ */
+function createSession(userId, tokenHash, expiresAt) {
+  return runQuery(
+    'INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+    [tokenHash, userId, expiresAt]
+  );
+}
+
+/**
+ * Gets the active user of a valid, unexpired session
+ * @param {string} tokenHash - SHA-256 hash of the session token
+ * @returns {Promise<Object|null>}
+ */
+function getSessionUser(tokenHash) {
+  return getOne(
+    `SELECT u.id, u.username, u.role
+     FROM user_sessions us
+     JOIN users u ON us.user_id = u.id
+     WHERE us.token_hash = ? AND us.expires_at > ? AND u.is_active = 1`,
+    [tokenHash, Math.floor(Date.now() / 1000)]
+  );
+}
+
+/**
+ * Deletes a session (logout)
+ * @param {string} tokenHash - SHA-256 hash of the session token
+ * @returns {Promise<any>}
+ */
+function deleteSession(tokenHash) {
+  return runQuery(
+    'DELETE FROM user_sessions WHERE token_hash = ?',
+    [tokenHash]
+  );
+}
+
+/**
+ * Deletes all sessions of a user (e.g. after a password or role change)
+ * @param {number} userId - User ID
+ * @returns {Promise<any>}
+ */
+function deleteUserSessions(userId) {
+  return runQuery(
+    'DELETE FROM user_sessions WHERE user_id = ?',
+    [userId]
+  );
+}
+
+/**
+ * Removes expired sessions
+ * @returns {Promise<any>}
+ */
+function deleteExpiredSessions() {
+  return runQuery(
+    'DELETE FROM user_sessions WHERE expires_at <= ?',
+    [Math.floor(Date.now() / 1000)]
+  );
+}
+
 // ============================================================================
 // Logging Functions
 // ============================================================================
@@ -426,19 +2123,21 @@ function getStatistics(senderId, statType = 'hourly', limit = 24) {
  * @param {string} message - Log message
  * @param {string} senderId - Optional sender ID
  * @param {Object} metadata - Optional metadata
+ * @param {string} actor - Optional username of the user who caused the event
  * @returns {Promise<any>}
  */
-function logEvent(level, eventType, message, senderId = null, metadata = null) {
+function logEvent(level, eventType, message, senderId = null, metadata = null, actor = null) {
   return runQuery(
     `INSERT INTO system_logs 
-     (sender_id, log_level, event_type, message, metadata_json)
-     VALUES (?, ?, ?, ?, ?)`,
+     (sender_id, log_level, event_type, message, metadata_json, actor)
+     VALUES (?, ?, ?, ?, ?, ?)`,
     [
       senderId,
       level,
       eventType,
       message,
-      metadata ? JSON.stringify(metadata) : null
+      metadata ? JSON.stringify(metadata) : null,
+      actor
     ]
   );
 }
@@ -470,28 +2169,106 @@ module.exports = {
   runQuery,
   getAll,
   getOne,
+  withTransaction,
   
   // Sender functions
   ensureSender,
+  createSender,
   getSender,
   getAllSenders,
   updateSender,
+  countSenderReadings,
+  deleteSender,
+  mergeSenders,
+  getSenderApiKeyHash,
+  setSenderApiKeyHash,
+  getWatchdogSenders,
+  getRecentReadingTimes,
+  setLearnedInterval,
+  setSenderOnlineStatus,
   
   // Weather data functions
   insertWeatherData,
+  insertWeatherDataBatch,
+  insertQuarantinedReading,
+  getQuarantinedReadings,
   getLatestWeatherData,
   getWeatherDataRange,
   getHourlyAverages,
   getHourlySamples,
+  getBucketedData,
+  getFieldSeries,
+  getDeviceSamples,
+  getReadingTimeRange,
+  
+  // Maintenance functions
+  findDuplicateReadings,
+  deleteDuplicateReadings,
+  getExpiredReadingsSummary,
+  getExpiredReadings,
+  deleteExpiredReadings,
+  markReadingsPurged,
+  getPurgedUntil,
   
   // Alert functions
   createAlert,
+  getAlert,
   getAlerts,
+  updateAlert,
+  deleteAlert,
+  acknowledgeAlert,
   checkAlerts,
+  getAlertEvents,
+  
+  // Notification functions
+  createNotificationChannel,
+  getNotificationChannel,
+  getNotificationChannels,
+  deleteNotificationChannel,
+  getAlertChannelIds,
+  setAlertChannels,
+  recordTestNotification,
+  getDueNotifications,
+  recordNotificationAttempt,
+  getNotificationDeliveries,
+  getNotificationQueueCounts,
+  
+  // Sensor registry functions
+  createSensorType,
+  getSensorType,
+  getSensorTypeByName,
+  getSensorTypes,
+  updateSensorType,
+  deleteSensorType,
+  getSenderSensors,
+  getSenderSensor,
+  createSenderSensor,
+  updateSenderSensor,
+  deleteSenderSensor,
+  createCalibration,
+  getCalibration,
+  getSenderCalibrations,
+  deleteCalibration,
   
   // Statistics functions
-  calculateHourlyStats,
+  upsertStatistics,
+  getReceivedBuckets,
+  getStatisticsPeriods,
   getStatistics,
+  getCalibratedStatistics,
+  
+  // User & session functions
+  createUser,
+  getUser,
+  getUserCredentials,
+  getAllUsers,
+  updateUser,
+  touchUserLogin,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  deleteUserSessions,
+  deleteExpiredSessions,
   
   // Logging functions
   logEvent,
@@ -0,0 +1,292 @@
+const { MEASUREMENT_SCHEMA } = require('./measurementSchema');
+const { DEFAULT_TIMEZONE, zonedParts, zonedTimeToUnix, timezoneOffset, formatLocalIso } = require('./timezone');
+
+// ============================================================================
+// Aggregation and Downsampling
+// ============================================================================
+
+/**
+ * Aggregationsintervalle
+ * Alle Intervalle folgen der lokalen Zeit (tz). Kalenderintervalle (Tag, Woche,
+ * Monat) sind 23 bis 25 Stunden bzw. unterschiedlich lang, `seconds` ist dort
+ * nur ein Richtwert.
+ */
+const INTERVALS = {
+  '5m': { seconds: 300 },
+  '15m': { seconds: 900 },
+  '1h': { seconds: 3600 },
+  '1d': { seconds: 86400, calendar: true },
+  '1w': { seconds: 7 * 86400, calendar: true },
+  '1M': { seconds: 30 * 86400, calendar: true }
+};
+
+/**
+ * Aggregatfunktionen
+ */
+const AGG_FUNCTIONS = ['avg', 'min', 'max', 'last', 'count'];
+
+/**
+ * Alle gemessenen Größen (Spalten in weather_data)
+ */
+const MEASURED_FIELDS = Object.keys(MEASUREMENT_SCHEMA);
+
+/**
+ * Größe der Datenbank-Buckets, aus denen längere Intervalle zusammengesetzt werden
+ * (15 Minuten, damit auch Zeitzonen mit Versatz wie +05:45 passen)
+ */
+const BASE_BUCKET_SECONDS = 900;
+
+/**
+ * Maximale Anzahl Buckets pro Abfrage
+ */
+const MAX_BUCKETS = 10000;
+
+/**
+ * Maximale Punktzahl für Downsampling
+ */
+const MAX_POINTS = 5000;
+
+/**
+ * Parses a comma-separated list against a whitelist
+ * @param {string} value - Raw query value
+ * @param {Array} allowed - Allowed entries
+ * @returns {Array|null} null if an entry is not allowed
+ */
+function parseList(value, allowed) {
+  const entries = String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0 || entries.some(entry => !allowed.includes(entry))) return null;
+  return [...new Set(entries)];
+}
+
+/**
+ * Resolves the aggregation parameters of a request
+ *
+ * Bucket mode: interval (default 1h), agg (default avg,min,max), fields
+ * (default all measured fields). Downsampling mode: points and field
+ * (default temperature).
+ *
+ * @param {Object} query - req.query
+ * @param {{from: number, to: number}} window - Resolved time window
+ * @returns {Object} { mode: 'buckets', interval, aggs, fields } or
+ *   { mode: 'lttb', points, field } or { error }
+ */
+function resolveAggregation(query, window) {
+  if (query.points !== undefined) {
+    const points = parseInt(query.points);
+    if (isNaN(points) || points < 3 || points > MAX_POINTS) {
+      return { error: `Invalid points. Must be between 3 and ${MAX_POINTS}` };
+    }
+
+    const field = query.field || 'temperature';
+    if (!MEASURED_FIELDS.includes(field)) {
+      return { error: `Invalid field. Must be one of: ${MEASURED_FIELDS.join(', ')}` };
+    }
+
+    return { mode: 'lttb', points, field };
+  }
+
+  const interval = query.interval || '1h';
+  if (!INTERVALS[interval]) {
+    return { error: `Invalid interval. Must be one of: ${Object.keys(INTERVALS).join(', ')}` };
+  }
+
+  const aggs = parseList(query.agg || 'avg,min,max', AGG_FUNCTIONS);
+  if (!aggs) {
+    return { error: `Invalid agg. Must be any of: ${AGG_FUNCTIONS.join(', ')}` };
+  }
+
+  const fields = query.fields ? parseList(query.fields, MEASURED_FIELDS) : MEASURED_FIELDS;
+  if (!fields) {
+    return { error: `Invalid fields. Must be any of: ${MEASURED_FIELDS.join(', ')}` };
+  }
+
+  if ((window.to - window.from) / INTERVALS[interval].seconds > MAX_BUCKETS) {
+    return { error: `Too many buckets (max ${MAX_BUCKETS}). Choose a larger interval or a shorter time range` };
+  }
+
+  return { mode: 'buckets', interval, aggs, fields };
+}
+
+/**
+ * Size of the buckets queried from the database for an interval
+ * @param {string} interval - Interval key
+ * @returns {number} Seconds
+ */
+function baseBucketSeconds(interval) {
+  return Math.min(INTERVALS[interval].seconds, BASE_BUCKET_SECONDS);
+}
+
+/**
+ * Start of the interval bucket containing a timestamp
+ * Buckets follow local time: hours and days start at local midnight/full hour
+ * (so DST days have 23 or 25 hourly buckets), weeks start on Monday.
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} interval - Interval key
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Unix timestamp in seconds
+ */
+function bucketStart(timestamp, interval, timeZone = DEFAULT_TIMEZONE) {
+  const spec = INTERVALS[interval];
+
+  if (!spec.calendar) {
+    const offset = timezoneOffset(timestamp, timeZone);
+    return Math.floor((timestamp + offset) / spec.seconds) * spec.seconds - offset;
+  }
+
+  const { year, month, day, weekday } = zonedParts(timestamp, timeZone);
+
+  if (interval === '1M') return zonedTimeToUnix(year, month, 1, 0, 0, 0, timeZone);
+  if (interval === '1w') return zonedTimeToUnix(year, month, day - weekday, 0, 0, 0, timeZone);
+  return zonedTimeToUnix(year, month, day, 0, 0, 0, timeZone);
+}
+
+/**
+ * End (exclusive) of the interval bucket starting at a timestamp
+ * @param {number} start - Bucket start (see bucketStart)
+ * @param {string} interval - Interval key
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Unix timestamp in seconds
+ */
+function bucketEnd(start, interval, timeZone = DEFAULT_TIMEZONE) {
+  const spec = INTERVALS[interval];
+  if (!spec.calendar) return start + spec.seconds;
+
+  // A little more than one nominal interval always lands in the next bucket
+  // (days have 23-25 hours, months 28-31 days)
+  return bucketStart(start + spec.seconds * 1.1, interval, timeZone);
+}
+
+/**
+ * Merges database buckets (see getBucketedData) into interval buckets and
+ * computes the requested aggregates
+ * @param {Array} rows - Base buckets ordered by time
+ * @param {Object} options - { interval, aggs, fields, timeZone }
+ * @returns {Array} One entry per bucket: bucket, time (local ISO 8601), count
+ *   and <field>_<agg> for each requested field and aggregate
+ */
+function aggregateBuckets(rows, options) {
+  const { interval, aggs, fields, timeZone = DEFAULT_TIMEZONE } = options;
+  const buckets = new Map();
+
+  for (const row of rows) {
+    const start = bucketStart(row.bucket, interval, timeZone);
+    let bucket = buckets.get(start);
+
+    if (!bucket) {
+      bucket = { start, count: 0, fields: {} };
+      for (const field of fields) {
+        bucket.fields[field] = { sum: 0, count: 0, min: null, max: null, last: null };
+      }
+      buckets.set(start, bucket);
+    }
+
+    bucket.count += row.count;
+
+    for (const field of fields) {
+      const acc = bucket.fields[field];
+      if (!row[`${field}_count`]) continue;
+
+      acc.sum += row[`${field}_sum`];
+      acc.count += row[`${field}_count`];
+      acc.min = acc.min === null ? row[`${field}_min`] : Math.min(acc.min, row[`${field}_min`]);
+      acc.max = acc.max === null ? row[`${field}_max`] : Math.max(acc.max, row[`${field}_max`]);
+      // "<zero-padded timestamp> <value>" compares chronologically as text
+      if (acc.last === null || row[`${field}_last`] > acc.last) acc.last = row[`${field}_last`];
+    }
+  }
+
+  return [...buckets.values()].map((bucket) => {
+    const result = {
+      bucket: bucket.start,
+      time: formatLocalIso(bucket.start, timeZone),
+      count: bucket.count
+    };
+
+    for (const field of fields) {
+      const acc = bucket.fields[field];
+      const values = {
+        avg: acc.count > 0 ? Math.round(acc.sum / acc.count * 100) / 100 : null,
+        min: acc.min,
+        max: acc.max,
+        last: acc.last !== null ? parseFloat(acc.last.slice(acc.last.indexOf(' ') + 1)) : null,
+        count: acc.count
+      };
+      for (const agg of aggs) {
+        result[`${field}_${agg}`] = values[agg];
+      }
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Largest-Triangle-Three-Buckets downsampling
+ * Keeps the first and last point and, per bucket, the point forming the
+ * largest triangle with the previously kept point and the next bucket's average.
+ * @param {Array} data - Points ordered by x
+ * @param {number} threshold - Number of points to return
+ * @param {Function} x - X accessor
+ * @param {Function} y - Y accessor
+ * @returns {Array} Subset of data
+ */
+function lttb(data, threshold, x, y) {
+  if (threshold >= data.length || threshold < 3) return data;
+
+  const sampled = [data[0]];
+  const every = (data.length - 2) / (threshold - 2);
+  let previous = 0;
+
+  for (let i = 0; i < threshold - 2; i++) {
+    // Average of the next bucket
+    const avgStart = Math.floor((i + 1) * every) + 1;
+    const avgEnd = Math.min(Math.floor((i + 2) * every) + 1, data.length);
+    let avgX = 0;
+    let avgY = 0;
+
+    for (let j = avgStart; j < avgEnd; j++) {
+      avgX += x(data[j]);
+      avgY += y(data[j]);
+    }
+    avgX /= avgEnd - avgStart;
+    avgY /= avgEnd - avgStart;
+
+    // Point of the current bucket with the largest triangle
+    const rangeStart = Math.floor(i * every) + 1;
+    const rangeEnd = Math.floor((i + 1) * every) + 1;
+    const pointX = x(data[previous]);
+    const pointY = y(data[previous]);
+    let maxArea = -1;
+    let selected = rangeStart;
+
+    for (let j = rangeStart; j < rangeEnd; j++) {
+      const area = Math.abs(
+        (pointX - avgX) * (y(data[j]) - pointY) - (pointX - x(data[j])) * (avgY - pointY)
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        selected = j;
+      }
+    }
+
+    sampled.push(data[selected]);
+    previous = selected;
+  }
+
+  sampled.push(data[data.length - 1]);
+  return sampled;
+}
+
+module.exports = {
+  INTERVALS,
+  AGG_FUNCTIONS,
+  MEASURED_FIELDS,
+  BASE_BUCKET_SECONDS,
+  parseList,
+  resolveAggregation,
+  baseBucketSeconds,
+  bucketStart,
+  bucketEnd,
+  aggregateBuckets,
+  lttb
+};
@@ -0,0 +1,82 @@
+const { conditionHolds } = require('./alertRules');
+
+// ============================================================================
+// Alert Engine
+// State machine per alert rule: ok → pending → firing → resolved
+// ============================================================================
+
+/**
+ * Alert-Zustände
+ * ok: Bedingung nicht erfüllt
+ * pending: Bedingung erfüllt, aber noch nicht lange genug (duration_minutes)
+ *   oder die Abklingzeit (cooldown_minutes) läuft noch
+ * firing: Alarm aktiv, endet erst unterhalb der Rücksetzschwelle (clear_threshold)
+ * resolved: letzter Alarm beendet, bis die Bedingung wieder erfüllt ist
+ */
+const ALERT_STATES = ['ok', 'pending', 'firing', 'resolved'];
+
+/**
+ * Computes the next state of an alert for one reading
+ *
+ * The condition starts a firing once it held for duration_minutes (measured
+ * between reading timestamps) and no firing ended within the last
+ * cooldown_minutes. A firing ends when the value no longer meets the
+ * condition against clear_threshold (default: threshold_value), so values
+ * hovering around the threshold do not toggle the alert.
+ *
+ * @param {Object} alert - Alert row (state, pending_since, last_resolved_at, ...)
+ * @param {number} value - Measured value
+ * @param {number} timestamp - Reading time (unix seconds)
+ * @returns {Object} { state, pending_since, last_resolved_at, transition }
+ *   transition: 'firing' (started), 'resolved' (ended) or null
+ */
+function nextAlertState(alert, value, timestamp) {
+  const state = alert.state || 'ok';
+  const next = {
+    state,
+    pending_since: alert.pending_since,
+    last_resolved_at: alert.last_resolved_at,
+    transition: null
+  };
+
+  if (state === 'firing') {
+    const clearThreshold = alert.clear_threshold ?? alert.threshold_value;
+    if (!conditionHolds(alert.condition, value, clearThreshold)) {
+      next.state = 'resolved';
+      next.pending_since = null;
+      next.last_resolved_at = timestamp;
+      next.transition = 'resolved';
+    }
+    return next;
+  }
+
+  if (!conditionHolds(alert.condition, value, alert.threshold_value)) {
+    // A pending alert falls back, a resolved one stays resolved
+    if (state === 'pending') {
+      next.state = alert.last_resolved_at ? 'resolved' : 'ok';
+      next.pending_since = null;
+    }
+    return next;
+  }
+
+  const since = state === 'pending' && alert.pending_since ? alert.pending_since : timestamp;
+  const held = timestamp - since >= (alert.duration_minutes || 0) * 60;
+  const cooledDown = !alert.last_resolved_at ||
+    timestamp - alert.last_resolved_at >= (alert.cooldown_minutes || 0) * 60;
+
+  if (held && cooledDown) {
+    next.state = 'firing';
+    next.pending_since = null;
+    next.transition = 'firing';
+  } else {
+    next.state = 'pending';
+    next.pending_since = since;
+  }
+
+  return next;
+}
+
+module.exports = {
+  ALERT_STATES,
+  nextAlertState
+};
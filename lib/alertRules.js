@@ -0,0 +1,271 @@
+const { MEASUREMENT_SCHEMA } = require('./measurementSchema');
+
+// ============================================================================
+// Alert Rules
+// Shared definition of alert types and conditions, used when alerts are
+// created (routes) and when they are evaluated (lib/alertEngine.js)
+// ============================================================================
+
+/**
+ * Alert-Typ für ausbleibende Daten (ausgewertet vom Sender-Watchdog)
+ * Wert: Minuten seit dem letzten Messwert, solange der Sender als offline
+ * gilt, sonst 0. "no_data > 0" löst also aus, sobald der Sender offline ist.
+ */
+const NO_DATA_ALERT_TYPE = 'no_data';
+
+/**
+ * Alert-Typ für die vorhergesagte Akku-Restlaufzeit in Tagen (ausgewertet vom
+ * Sender-Watchdog, siehe lib/deviceHealth.js), z.B. "battery_days < 7"
+ */
+const BATTERY_DAYS_ALERT_TYPE = 'battery_days';
+
+/**
+ * Alert-Typen, die nicht mit jedem Messwert, sondern regelmäßig vom
+ * Sender-Watchdog ausgewertet werden, und ihre Einheiten
+ */
+const DEVICE_ALERT_UNITS = {
+  [NO_DATA_ALERT_TYPE]: 'min',
+  [BATTERY_DAYS_ALERT_TYPE]: 'Tage'
+};
+
+/**
+ * Gültige Alert-Typen: jede gemessene Größe aus dem Messwert-Schema und die
+ * Geräte-Alerts
+ */
+const ALERT_TYPES = [...Object.keys(MEASUREMENT_SCHEMA), ...Object.keys(DEVICE_ALERT_UNITS)];
+
+/**
+ * Toleranz für "==" und "!=" (Messwerte sind Fließkommazahlen)
+ */
+const EQUALITY_TOLERANCE = 0.1;
+
+/**
+ * Gültige Alert-Bedingungen
+ * direction: Richtung, in der ein Wert "schlimmer" wird (für den Spitzenwert)
+ */
+const CONDITIONS = {
+  '>': { test: (value, threshold) => value > threshold, direction: 'max' },
+  '>=': { test: (value, threshold) => value >= threshold, direction: 'max' },
+  '<': { test: (value, threshold) => value < threshold, direction: 'min' },
+  '<=': { test: (value, threshold) => value <= threshold, direction: 'min' },
+  '==': { test: (value, threshold) => Math.abs(value - threshold) < EQUALITY_TOLERANCE, direction: null },
+  '!=': { test: (value, threshold) => Math.abs(value - threshold) >= EQUALITY_TOLERANCE, direction: null }
+};
+
+/**
+ * Ältere Schreibweisen (Testdaten, frühere Versionen) und ihre Entsprechung
+ */
+const LEGACY_ALERT_TYPES = { battery: 'battery_level' };
+const LEGACY_CONDITIONS = { above: '>', below: '<', equals: '==' };
+
+/**
+ * Normalizes an alert type, accepting legacy names
+ * @param {string} alertType - Alert type
+ * @returns {string|null} Canonical alert type or null if unknown
+ */
+function normalizeAlertType(alertType) {
+  const type = LEGACY_ALERT_TYPES[alertType] || alertType;
+  return ALERT_TYPES.includes(type) ? type : null;
+}
+
+/**
+ * Normalizes a condition, accepting legacy names
+ * @param {string} condition - Alert condition
+ * @returns {string|null} Canonical condition or null if unknown
+ */
+function normalizeCondition(condition) {
+  const canonical = LEGACY_CONDITIONS[condition] || condition;
+  return Object.prototype.hasOwnProperty.call(CONDITIONS, canonical) ? canonical : null;
+}
+
+/**
+ * Checks whether an alert type is evaluated by the sender watchdog
+ * @param {string} alertType - Alert type
+ * @returns {boolean}
+ */
+function isDeviceAlertType(alertType) {
+  return Object.prototype.hasOwnProperty.call(DEVICE_ALERT_UNITS, alertType);
+}
+
+/**
+ * Gets the unit of an alert value
+ * @param {string} alertType - Alert type
+ * @returns {string} Empty if unknown
+ */
+function alertUnit(alertType) {
+  const type = normalizeAlertType(alertType);
+  if (!type) return '';
+  return isDeviceAlertType(type) ? DEVICE_ALERT_UNITS[type] : MEASUREMENT_SCHEMA[type].unit;
+}
+
+/**
+ * Gets the value an alert looks at
+ * @param {Object} alert - Alert row
+ * @param {Object} reading - Normalized reading, or { unix_timestamp, no_data,
+ *   battery_days } from the sender watchdog
+ * @returns {number|null} null if the reading has no value for the alert
+ */
+function alertValue(alert, reading) {
+  const field = normalizeAlertType(alert.alert_type);
+  if (!field) return null;
+
+  const value = reading[field];
+  return value === undefined || value === null ? null : value;
+}
+
+/**
+ * Checks a condition against a threshold
+ * @param {string} condition - Alert condition
+ * @param {number} value - Measured value
+ * @param {number} threshold - Threshold
+ * @returns {boolean} false for unknown conditions
+ */
+function conditionHolds(condition, value, threshold) {
+  const rule = CONDITIONS[normalizeCondition(condition)];
+  return rule ? rule.test(value, threshold) : false;
+}
+
+/**
+ * Keeps the more extreme value in the direction of the condition
+ * @param {string} condition - Alert condition
+ * @param {number|null} peak - Current peak
+ * @param {number} value - New value
+ * @returns {number}
+ */
+function peakValue(condition, peak, value) {
+  if (peak === null || peak === undefined) return value;
+
+  const rule = CONDITIONS[normalizeCondition(condition)];
+  if (rule && rule.direction === 'max') return Math.max(peak, value);
+  if (rule && rule.direction === 'min') return Math.min(peak, value);
+  return peak;
+}
+
+/**
+ * Reads an optional number of minutes (alert duration/cooldown)
+ * @param {*} value - Raw input value
+ * @returns {number|null} 0 if missing, null if invalid
+ */
+function parseMinutes(value) {
+  if (value === undefined || value === null) return 0;
+  const minutes = Number(value);
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : null;
+}
+
+/**
+ * Checks that the clear threshold lies on the non-firing side of the threshold
+ * (for > and >= not above it, for < and <= not below it)
+ * @param {Object} rule - condition, threshold_value, clear_threshold
+ * @returns {string|null} Error message or null if valid
+ */
+function clearThresholdError(rule) {
+  if (rule.clear_threshold === null || rule.clear_threshold === undefined) return null;
+
+  const direction = CONDITIONS[rule.condition] && CONDITIONS[rule.condition].direction;
+  if (direction === 'max' && rule.clear_threshold > rule.threshold_value) {
+    return `clear_threshold must not be above threshold_value for condition ${rule.condition}`;
+  }
+  if (direction === 'min' && rule.clear_threshold < rule.threshold_value) {
+    return `clear_threshold must not be below threshold_value for condition ${rule.condition}`;
+  }
+  return null;
+}
+
+/**
+ * Validates alert input from the API (create, replace or partial update)
+ *
+ * Without `partial`, sender_id, alert_type, condition and threshold_value are
+ * required and the optional settings fall back to their defaults. With
+ * `partial`, only the given fields are checked and returned; the clear
+ * threshold then has to be checked against the stored alert with
+ * clearThresholdError. Types and conditions are returned in their canonical
+ * form.
+ *
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial }
+ * @returns {Object} { values } or { error }
+ */
+function validateAlertRule(input, options = {}) {
+  const { partial = false } = options;
+  const given = field => input[field] !== undefined;
+  const values = {};
+
+  if (!partial && (!input.sender_id || !input.alert_type || !input.condition || !given('threshold_value'))) {
+    return { error: 'Missing required fields: sender_id, alert_type, condition, threshold_value' };
+  }
+
+  if (given('sender_id')) {
+    if (!input.sender_id) return { error: 'sender_id must not be empty' };
+    values.sender_id = String(input.sender_id);
+  }
+
+  if (given('alert_type')) {
+    values.alert_type = normalizeAlertType(input.alert_type);
+    if (!values.alert_type) {
+      return { error: `Invalid alert_type. Must be one of: ${ALERT_TYPES.join(', ')}` };
+    }
+  }
+
+  if (given('condition')) {
+    values.condition = normalizeCondition(input.condition);
+    if (!values.condition) {
+      return { error: `Invalid condition. Must be one of: ${Object.keys(CONDITIONS).join(', ')}` };
+    }
+  }
+
+  if (given('threshold_value')) {
+    values.threshold_value = parseFloat(input.threshold_value);
+    if (isNaN(values.threshold_value)) return { error: 'threshold_value must be a valid number' };
+  }
+
+  if (given('clear_threshold') || !partial) {
+    values.clear_threshold = input.clear_threshold === undefined || input.clear_threshold === null
+      ? null
+      : parseFloat(input.clear_threshold);
+    if (Number.isNaN(values.clear_threshold)) return { error: 'clear_threshold must be a valid number' };
+  }
+
+  for (const field of ['duration_minutes', 'cooldown_minutes']) {
+    if (!given(field) && partial) continue;
+    values[field] = parseMinutes(input[field]);
+    if (values[field] === null) {
+      return { error: 'duration_minutes and cooldown_minutes must be non-negative integers' };
+    }
+  }
+
+  if (given('is_active')) {
+    if (typeof input.is_active !== 'boolean' && input.is_active !== 0 && input.is_active !== 1) {
+      return { error: 'is_active must be a boolean or 0/1' };
+    }
+    values.is_active = input.is_active ? 1 : 0;
+  }
+
+  if (partial && Object.keys(values).length === 0) {
+    return { error: 'At least one alert field must be provided' };
+  }
+
+  if (!partial) {
+    const clearError = clearThresholdError(values);
+    if (clearError) return { error: clearError };
+  }
+
+  return { values };
+}
+
+module.exports = {
+  NO_DATA_ALERT_TYPE,
+  BATTERY_DAYS_ALERT_TYPE,
+  ALERT_TYPES,
+  CONDITIONS,
+  LEGACY_ALERT_TYPES,
+  LEGACY_CONDITIONS,
+  normalizeAlertType,
+  normalizeCondition,
+  isDeviceAlertType,
+  alertUnit,
+  alertValue,
+  conditionHolds,
+  peakValue,
+  clearThresholdError,
+  validateAlertRule
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const createError = require('http-errors');
+const {
+  createSession,
+  getSessionUser,
+  deleteSession,
+  logEvent
+} = require('../database/queries');
+
+// ============================================================================
+// User Authentication & Roles
+// ============================================================================
+
+/**
+ * Rollen in aufsteigender Berechtigung
+ * viewer: nur lesen, teacher: Alerts verwalten, admin: alles inkl. Sender und Benutzer
+ */
+const ROLES = ['viewer', 'teacher', 'admin'];
+
+/**
+ * Name des Session-Cookies
+ */
+const SESSION_COOKIE = 'whg_session';
+
+/**
+ * Gültigkeit einer Session in Stunden
+ */
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+
+/**
+ * Mindestlänge für Passwörter
+ */
+const MIN_PASSWORD_LENGTH = 10;
+
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Hashes a password with scrypt and a random salt
+ * @param {string} password - Plain password
+ * @returns {Promise<string>} Format: scrypt$<salt>$<hash>
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derived) => {
+      if (err) reject(err);
+      else resolve(`scrypt$${salt}$${derived.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Verifies a password against a stored scrypt hash
+ * @param {string} password - Plain password
+ * @param {string} storedHash - Hash from the users table
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return Promise.resolve(false);
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, SCRYPT_KEYLEN, (err, derived) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derived.length && crypto.timingSafeEqual(expected, derived));
+    });
+  });
+}
+
+/**
+ * Hashes a session token for storage
+ * @param {string} token - Plain session token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Creates a new session for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<{token: string, expiresAt: number}>}
+ */
+async function startSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Math.floor(Date.now() / 1000) + SESSION_TTL_HOURS * 3600;
+
+  await createSession(userId, hashToken(token), expiresAt);
+
+  return { token, expiresAt };
+}
+
+/**
+ * Ends a session
+ * @param {string} token - Plain session token
+ * @returns {Promise<any>}
+ */
+function endSession(token) {
+  return deleteSession(hashToken(token));
+}
+
+/**
+ * Reads the session token from cookie or Authorization header
+ * @param {Object} req - Express Request
+ * @returns {string|null}
+ */
+function getSessionToken(req) {
+  if (req.cookies && req.cookies[SESSION_COOKIE]) {
+    return req.cookies[SESSION_COOKIE];
+  }
+
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  return null;
+}
+
+/**
+ * Middleware: Resolves the logged-in user and sets req.user
+ * Never rejects a request; use requireRole() to protect routes.
+ */
+async function authenticate(req, res, next) {
+  const token = getSessionToken(req);
+  if (!token) return next();
+
+  try {
+    const user = await getSessionUser(hashToken(token));
+    if (user) {
+      req.user = user;
+      req.sessionToken = token;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Middleware factory: Requires a logged-in user with at least the given role
+ * @param {string} minRole - 'viewer', 'teacher' or 'admin'
+ * @returns {Function} Express middleware
+ */
+function requireRole(minRole) {
+  const minLevel = ROLES.indexOf(minRole);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(createError(401, 'Anmeldung erforderlich'));
+    }
+
+    if (ROLES.indexOf(req.user.role) < minLevel) {
+      return next(createError(403, `Rolle "${minRole}" erforderlich`));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Logs a change made by the logged-in user to system_logs
+ * @param {Object} req - Express Request (req.user must be set)
+ * @param {string} eventType - Type of event
+ * @param {string} message - Log message
+ * @param {string} senderId - Optional sender ID
+ * @param {Object} metadata - Optional metadata (e.g. the changed fields)
+ * @returns {Promise<any>}
+ */
+function logAudit(req, eventType, message, senderId = null, metadata = null) {
+  const actor = req.user ? req.user.username : null;
+
+  return logEvent('info', eventType, message, senderId,
+    { ...metadata, user_id: req.user ? req.user.id : null },
+    actor
+  );
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_TTL_HOURS,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  startSession,
+  endSession,
+  authenticate,
+  requireRole,
+  logAudit
+};
@@ -0,0 +1,208 @@
+const { getSenderCalibrations } = require('../database/queries');
+const { MEASUREMENT_SCHEMA } = require('./measurementSchema');
+
+// ============================================================================
+// Sensor Calibration
+// Corrects readings when they are read: value * scale_factor + offset_value
+// of the calibration valid at the time of the reading. weather_data keeps the
+// raw values, so a new calibration also corrects older readings.
+// ============================================================================
+
+/**
+ * Kalibrierbare Messgrößen (Akkustand und Signalstärke sind Gerätewerte)
+ */
+const CALIBRATION_FIELDS = ['temperature', 'humidity', 'pressure', 'light_level'];
+
+/**
+ * Spalten der Statistiken (weather_statistics) je Messgröße
+ */
+const STATISTICS_COLUMNS = {
+  temperature: ['avg_temperature', 'min_temperature', 'max_temperature'],
+  humidity: ['avg_humidity', 'min_humidity', 'max_humidity'],
+  pressure: ['avg_pressure']
+};
+
+/**
+ * Turns calibration rows into validity periods per field
+ * A calibration is valid from valid_from until the next calibration of the
+ * same installation and field, within the installation window.
+ * @param {Array<Object>} rows - Result of getSenderCalibrations
+ * @returns {Object} field -> [{ from, to, valid_from, offset, scale }]
+ */
+function calibrationPeriods(rows) {
+  const periods = {};
+
+  rows.forEach((row, i) => {
+    const next = rows[i + 1];
+    const sameGroup = next && next.sender_sensor_id === row.sender_sensor_id && next.field === row.field;
+    const installedFrom = row.installed_from === null ? -Infinity : Number(row.installed_from);
+    const removedFrom = row.removed_from === null ? Infinity : Number(row.removed_from);
+
+    const from = Math.max(Number(row.valid_from), installedFrom);
+    const to = Math.min(sameGroup ? Number(next.valid_from) : Infinity, removedFrom);
+    if (from >= to) return;
+
+    if (!periods[row.field]) periods[row.field] = [];
+    periods[row.field].push({
+      from,
+      to,
+      valid_from: Number(row.valid_from),
+      offset: row.offset_value,
+      scale: row.scale_factor
+    });
+  });
+
+  return periods;
+}
+
+/**
+ * Loads the calibrations of a sender
+ * @param {string} senderId - Sender ID
+ * @returns {Promise<Object|null>} Periods per field, null without calibrations
+ */
+async function loadCalibrations(senderId) {
+  const rows = await getSenderCalibrations(senderId);
+  return rows.length > 0 ? calibrationPeriods(rows) : null;
+}
+
+/**
+ * Loads the calibrations for a read route
+ * @param {string} senderId - Sender ID
+ * @param {Object} query - req.query (?raw=true returns uncorrected values)
+ * @returns {Promise<Object|null>} null if nothing is to be corrected
+ */
+function resolveCalibrations(senderId, query) {
+  if (query.raw === 'true' || query.raw === '1') return Promise.resolve(null);
+  return loadCalibrations(senderId);
+}
+
+/**
+ * Finds the calibration of a field at a point in time
+ * With overlapping installations the most recent calibration wins.
+ * @param {Object|null} periods - Result of loadCalibrations
+ * @param {string} field - Measured field
+ * @param {number} timestamp - Unix seconds
+ * @returns {{offset: number, scale: number}|null}
+ */
+function calibrationAt(periods, field, timestamp) {
+  if (!periods || !periods[field]) return null;
+
+  let found = null;
+  for (const period of periods[field]) {
+    if (timestamp >= period.from && timestamp < period.to && (!found || period.valid_from >= found.valid_from)) {
+      found = period;
+    }
+  }
+  return found;
+}
+
+/**
+ * Applies a calibration to a value
+ * @param {string} field - Measured field (for the rounding of its column)
+ * @param {number|null} value - Raw value
+ * @param {Object|null} calibration - Result of calibrationAt
+ * @returns {number|null}
+ */
+function correctValue(field, value, calibration) {
+  if (value === null || value === undefined || !calibration) return value;
+
+  const corrected = value * calibration.scale + calibration.offset;
+  return MEASUREMENT_SCHEMA[field].integer ? Math.round(corrected) : Math.round(corrected * 100) / 100;
+}
+
+/**
+ * Corrects readings (rows with the measured fields as columns)
+ * @param {Array<Object>} rows - Readings
+ * @param {Object|null} periods - Result of loadCalibrations
+ * @returns {Array<Object>} New rows (the input rows are not changed)
+ */
+function calibrateReadings(rows, periods) {
+  if (!periods) return rows;
+
+  return rows.map((row) => {
+    const timestamp = Number(row.unix_timestamp);
+    const corrected = { ...row };
+    for (const field of Object.keys(periods)) {
+      if (row[field] === undefined) continue;
+      corrected[field] = correctValue(field, row[field], calibrationAt(periods, field, timestamp));
+    }
+    return corrected;
+  });
+}
+
+/**
+ * Splits the calibrations of each field into segments that do not overlap
+ * Each segment carries the calibration calibrationAt finds inside it, so the
+ * database can correct every reading (see getBucketedData).
+ * @param {Object|null} periods - Result of loadCalibrations
+ * @returns {Object|null} field -> [{ from, to, offset, scale }], to exclusive
+ */
+function calibrationSegments(periods) {
+  if (!periods) return null;
+
+  const segments = {};
+  for (const [field, fieldPeriods] of Object.entries(periods)) {
+    const bounds = [...new Set(fieldPeriods.flatMap(period => [period.from, period.to]))].sort((a, b) => a - b);
+
+    segments[field] = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      const calibration = calibrationAt(periods, field, bounds[i]);
+      if (calibration) {
+        segments[field].push({ from: bounds[i], to: bounds[i + 1], offset: calibration.offset, scale: calibration.scale });
+      }
+    }
+  }
+  return segments;
+}
+
+/**
+ * Checks whether the calibration of any of the fields changes within a period
+ * @param {Object|null} segments - Result of calibrationSegments
+ * @param {Array<string>} fields - Measured fields
+ * @param {number} start - Period start (unix seconds)
+ * @param {number} end - Period end (unix seconds, exclusive)
+ * @returns {boolean} true if a segment starts or ends inside the period
+ */
+function calibrationChangesWithin(segments, fields, start, end) {
+  if (!segments) return false;
+
+  const inside = bound => bound > start && bound < end;
+  return fields.some(field => (segments[field] || []).some(({ from, to }) => inside(from) || inside(to)));
+}
+
+/**
+ * Corrects rollups (weather_statistics) with the calibration valid at the
+ * start of each period
+ * Exact for periods that one calibration covers completely (see
+ * calibrationChangesWithin); otherwise only an approximation.
+ * @param {Array<Object>} rows - Aggregated rows
+ * @param {Object|null} periods - Result of loadCalibrations
+ * @param {Function} startOf - Returns the period start of a row (unix seconds)
+ * @param {Object} columns - Field -> columns, e.g. STATISTICS_COLUMNS
+ * @returns {Array<Object>}
+ */
+function calibrateAggregates(rows, periods, startOf, columns) {
+  if (!periods) return rows;
+
+  return rows.map((row) => {
+    const start = startOf(row);
+    const corrected = { ...row };
+    for (const [field, names] of Object.entries(columns)) {
+      const calibration = calibrationAt(periods, field, start);
+      for (const name of names) corrected[name] = correctValue(field, row[name], calibration);
+    }
+    return corrected;
+  });
+}
+
+module.exports = {
+  CALIBRATION_FIELDS,
+  STATISTICS_COLUMNS,
+  loadCalibrations,
+  resolveCalibrations,
+  calibrationAt,
+  calibrateReadings,
+  calibrationSegments,
+  calibrationChangesWithin,
+  calibrateAggregates
+};
@@ -0,0 +1,374 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { getWeatherDataRange, getBucketedData, getReadingTimeRange } = require('../database/queries');
+const { MEASUREMENT_SCHEMA } = require('./measurementSchema');
+const {
+  INTERVALS,
+  AGG_FUNCTIONS,
+  MEASURED_FIELDS,
+  parseList,
+  baseBucketSeconds,
+  bucketStart,
+  bucketEnd,
+  aggregateBuckets
+} = require('./aggregation');
+const { formatLocalIso } = require('./timezone');
+const { loadCalibrations, calibrateReadings, calibrationSegments } = require('./calibration');
+const {
+  DERIVED_METRICS,
+  DERIVED_AGGS,
+  resolveDerived,
+  derivedInputs,
+  deriveReadings,
+  deriveAggregates
+} = require('./derivedMetrics');
+
+// ============================================================================
+// Data Export
+// Streams readings of one or many senders as CSV, NDJSON or Parquet, raw or
+// aggregated, page by page (never the whole range in memory)
+// ============================================================================
+
+/**
+ * Exportformate
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+};
+
+/**
+ * Trennzeichen für CSV (";" für Excel mit deutschen Einstellungen)
+ */
+const CSV_DELIMITERS = { ',': ',', ';': ';', tab: '\t' };
+
+/**
+ * Zeilen pro Datenbankabfrage (Rohdaten) bzw. Buckets pro Abfrage (aggregiert)
+ */
+const PAGE_SIZE = 5000;
+const CHUNK_BUCKETS = 1000;
+
+/**
+ * Zeilen pro Parquet-Row-Group
+ */
+const PARQUET_ROW_GROUP_SIZE = 10000;
+
+/**
+ * Resolves the export options of a request
+ * Without interval the raw readings are exported; with interval (5m, 15m, 1h,
+ * 1d, 1w, 1M) one row per bucket with the aggregates in agg (default: avg).
+ * Values are calibrated unless raw=true. derived adds derived metrics (with
+ * interval from the avg/last values, see lib/derivedMetrics.js).
+ * @param {Object} query - req.query
+ * @returns {Object} { fields, derived, interval, aggs, delimiter, raw } or { error }
+ */
+function resolveExportOptions(query) {
+  const fields = query.fields ? parseList(query.fields, MEASURED_FIELDS) : MEASURED_FIELDS;
+  if (!fields) {
+    return { error: `Invalid fields. Must be any of: ${MEASURED_FIELDS.join(', ')}` };
+  }
+
+  const interval = query.interval || null;
+  if (interval !== null && !INTERVALS[interval]) {
+    return { error: `Invalid interval. Must be one of: ${Object.keys(INTERVALS).join(', ')}` };
+  }
+
+  const aggs = interval ? parseList(query.agg || 'avg', AGG_FUNCTIONS) : null;
+  if (interval && !aggs) {
+    return { error: `Invalid agg. Must be any of: ${AGG_FUNCTIONS.join(', ')}` };
+  }
+
+  const derived = resolveDerived(query.derived);
+  if (derived.error) {
+    return { error: derived.error };
+  }
+
+  if (interval && derived.metrics.length > 0 && !aggs.some(agg => DERIVED_AGGS.includes(agg))) {
+    return { error: `derived requires agg ${DERIVED_AGGS.join(' or ')}` };
+  }
+
+  const delimiter = CSV_DELIMITERS[query.delimiter || ','];
+  if (!delimiter) {
+    return { error: `Invalid delimiter. Must be one of: ${Object.keys(CSV_DELIMITERS).join(' ')}` };
+  }
+
+  const raw = query.raw === 'true' || query.raw === '1';
+
+  return { fields, derived: derived.metrics, interval, aggs, delimiter, raw };
+}
+
+/**
+ * Lists the value columns of an export with their units
+ * @param {Object} options - Result of resolveExportOptions
+ * @returns {Array<{name: string, unit: string|null, count: boolean}>}
+ */
+function valueColumns(options) {
+  if (!options.interval) {
+    return [
+      ...options.fields.map(field => ({ name: field, unit: MEASUREMENT_SCHEMA[field].unit, count: false })),
+      ...options.derived.map(metric => ({ name: metric, unit: DERIVED_METRICS[metric].unit, count: false }))
+    ];
+  }
+
+  const columns = [{ name: 'count', unit: null, count: true }];
+  for (const field of options.fields) {
+    for (const agg of options.aggs) {
+      columns.push({
+        name: `${field}_${agg}`,
+        unit: agg === 'count' ? null : MEASUREMENT_SCHEMA[field].unit,
+        count: agg === 'count'
+      });
+    }
+  }
+  for (const metric of options.derived) {
+    for (const agg of options.aggs.filter(name => DERIVED_AGGS.includes(name))) {
+      columns.push({ name: `${metric}_${agg}`, unit: DERIVED_METRICS[metric].unit, count: false });
+    }
+  }
+  return columns;
+}
+
+/**
+ * Builds the metadata written at the start of an export
+ * @param {Array<Object>} senders - Sender rows
+ * @param {Object} window - { from, to, timeZone }
+ * @param {Object} options - Result of resolveExportOptions
+ * @returns {Object}
+ */
+function exportMetadata(senders, window, options) {
+  const units = {};
+  for (const column of valueColumns(options)) {
+    if (column.unit) units[column.name] = column.unit;
+  }
+
+  return {
+    source: 'WHG-Wetterstation',
+    exported_at: new Date().toISOString(),
+    from: formatLocalIso(window.from, window.timeZone),
+    to: formatLocalIso(window.to, window.timeZone),
+    tz: window.timeZone,
+    interval: options.interval || 'raw',
+    agg: options.aggs || undefined,
+    calibrated: !options.raw,
+    senders: senders.map(sender => ({
+      sender_id: sender.sender_id,
+      name: sender.name,
+      location: sender.location,
+      latitude: sender.latitude,
+      longitude: sender.longitude,
+      elevation: sender.elevation
+    })),
+    units
+  };
+}
+
+/**
+ * Reads the rows of one sender page by page
+ * @param {Object} sender - Sender row
+ * @param {Object} window - { from, to, timeZone }
+ * @param {Object} options - Result of resolveExportOptions
+ * @returns {AsyncGenerator<Array<Object>>} Pages of export rows
+ */
+async function* senderPages(sender, window, options) {
+  const senderId = sender.sender_id;
+  const calibrations = options.raw ? null : await loadCalibrations(senderId);
+  const names = valueColumns(options).map(column => column.name);
+  const toRow = (timestamp, values) => {
+    const row = {
+      sender_id: senderId,
+      unix_timestamp: timestamp,
+      time: formatLocalIso(timestamp, window.timeZone)
+    };
+    for (const name of names) row[name] = values[name];
+    return row;
+  };
+
+  if (!options.interval) {
+    let after = null;
+    for (;;) {
+      const page = await getWeatherDataRange(senderId, window, { after, limit: PAGE_SIZE });
+      if (page.length === 0) return;
+
+      yield deriveReadings(calibrateReadings(page, calibrations), options.derived, sender)
+        .map(reading => toRow(Number(reading.unix_timestamp), reading));
+
+      const last = page[page.length - 1];
+      after = { t: Number(last.unix_timestamp), id: last.id };
+    }
+  }
+
+  // Only the part of the window that has data, in chunks of whole buckets
+  const range = await getReadingTimeRange(senderId, window);
+  if (!range || range.first === null) return;
+
+  const { interval, aggs } = options;
+  const fields = [...new Set([...options.fields, ...derivedInputs(options.derived)])];
+  const last = Number(range.last);
+  let start = bucketStart(Number(range.first), interval, window.timeZone);
+  const segments = calibrationSegments(calibrations);
+
+  while (start <= last) {
+    let end = start;
+    for (let i = 0; i < CHUNK_BUCKETS && end <= last; i++) end = bucketEnd(end, interval, window.timeZone);
+
+    const rows = await getBucketedData(senderId,
+      { from: Math.max(start, window.from), to: Math.min(end - 1, window.to) },
+      baseBucketSeconds(interval), fields, segments);
+    const buckets = deriveAggregates(aggregateBuckets(rows, { interval, aggs, fields, timeZone: window.timeZone }),
+      options.derived, aggs, sender);
+
+    if (buckets.length > 0) {
+      yield buckets.map(({ bucket, time, ...values }) => toRow(bucket, values));
+    }
+    start = end;
+  }
+}
+
+/**
+ * Reads the rows of all senders (one sender after the other)
+ * @param {Array<Object>} senders - Sender rows
+ * @param {Object} window - { from, to, timeZone }
+ * @param {Object} options - Result of resolveExportOptions
+ * @returns {AsyncGenerator<Array<Object>>}
+ */
+async function* exportPages(senders, window, options) {
+  for (const sender of senders) {
+    yield* senderPages(sender, window, options);
+  }
+}
+
+/**
+ * Quotes a CSV value if needed
+ * @param {*} value - Cell value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string}
+ */
+function csvCell(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Generates CSV text: metadata as "#" comment lines, then header and rows
+ * @param {Object} metadata - Result of exportMetadata
+ * @param {AsyncIterable<Array<Object>>} pages - Export rows
+ * @param {Array<string>} columns - Column names
+ * @param {string} delimiter - Field delimiter
+ * @returns {AsyncGenerator<string>}
+ */
+async function* csvChunks(metadata, pages, columns, delimiter) {
+  const units = Object.entries(metadata.units).map(([column, unit]) => `${column}=${unit}`).join(', ');
+  const lines = [
+    `# ${metadata.source} Export (${metadata.exported_at})`,
+    `# Zeitraum: ${metadata.from} bis ${metadata.to} (${metadata.tz})`,
+    `# Intervall: ${metadata.interval}${metadata.agg ? ` (${metadata.agg.join(', ')})` : ''}`,
+    `# Werte: ${metadata.calibrated ? 'kalibriert' : 'Rohwerte (ohne Kalibrierung)'}`,
+    ...metadata.senders.map(sender => `# Sender ${sender.sender_id}: ${sender.name}` +
+      `${sender.location ? `, ${sender.location}` : ''}` +
+      `${sender.latitude !== null && sender.longitude !== null ? ` (${sender.latitude}, ${sender.longitude})` : ''}`),
+    `# Einheiten: ${units}`,
+    columns.join(delimiter)
+  ];
+  yield lines.join('\n') + '\n';
+
+  for await (const page of pages) {
+    yield page.map(row => columns.map(column => csvCell(row[column], delimiter)).join(delimiter)).join('\n') + '\n';
+  }
+}
+
+/**
+ * Generates NDJSON: first line { "metadata": ... }, then one object per row
+ * @param {Object} metadata - Result of exportMetadata
+ * @param {AsyncIterable<Array<Object>>} pages - Export rows
+ * @returns {AsyncGenerator<string>}
+ */
+async function* ndjsonChunks(metadata, pages) {
+  yield JSON.stringify({ metadata }) + '\n';
+
+  for await (const page of pages) {
+    yield page.map(row => JSON.stringify(row)).join('\n') + '\n';
+  }
+}
+
+/**
+ * Writes Parquet with one row group per PARQUET_ROW_GROUP_SIZE rows
+ * time is a UTC timestamp column; the metadata is stored as JSON in the file
+ * metadata (key "whg.metadata").
+ * @param {stream.Writable} output - Target stream (ended when done)
+ * @param {Object} metadata - Result of exportMetadata
+ * @param {AsyncIterable<Array<Object>>} pages - Export rows
+ * @param {Array<Object>} columns - Result of valueColumns
+ * @returns {Promise<void>}
+ */
+async function writeParquet(output, metadata, pages, columns) {
+  const parquet = require('parquetjs-lite');
+
+  const schema = {
+    sender_id: { type: 'UTF8' },
+    unix_timestamp: { type: 'INT64' },
+    time: { type: 'TIMESTAMP_MILLIS' }
+  };
+  for (const column of columns) {
+    schema[column.name] = { type: column.count ? 'INT64' : 'DOUBLE', optional: true };
+  }
+
+  const writer = await parquet.ParquetWriter.openStream(new parquet.ParquetSchema(schema), output,
+    { rowGroupSize: PARQUET_ROW_GROUP_SIZE });
+  writer.setMetadata('whg.metadata', JSON.stringify(metadata));
+
+  for await (const page of pages) {
+    // Client went away: stop reading, the response is gone anyway
+    if (output.destroyed) return;
+
+    for (const row of page) {
+      const record = { ...row, time: new Date(row.unix_timestamp * 1000) };
+      for (const column of columns) {
+        if (record[column.name] === null) delete record[column.name];
+      }
+      await writer.appendRow(record);
+    }
+  }
+
+  await writer.close();
+}
+
+/**
+ * Streams an export to a writable stream
+ * @param {stream.Writable} output - Target (e.g. the HTTP response), ended when done
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Array<Object>} senders - Sender rows
+ * @param {Object} window - { from, to, timeZone }
+ * @param {Object} options - Result of resolveExportOptions
+ * @returns {Promise<number>} Number of exported rows
+ */
+async function writeExport(output, format, senders, window, options) {
+  const metadata = exportMetadata(senders, window, options);
+  const columns = valueColumns(options);
+  let rows = 0;
+
+  async function* counted() {
+    for await (const page of exportPages(senders, window, options)) {
+      rows += page.length;
+      yield page;
+    }
+  }
+
+  if (format === 'parquet') {
+    await writeParquet(output, metadata, counted(), columns);
+  } else if (format === 'ndjson') {
+    await pipeline(Readable.from(ndjsonChunks(metadata, counted())), output);
+  } else {
+    const names = ['sender_id', 'unix_timestamp', 'time', ...columns.map(column => column.name)];
+    await pipeline(Readable.from(csvChunks(metadata, counted(), names, options.delimiter)), output);
+  }
+
+  return rows;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  resolveExportOptions,
+  writeExport
+};
@@ -0,0 +1,452 @@
+const readline = require('readline');
+const { getSender, insertWeatherDataBatch } = require('../database/queries');
+const { MEASUREMENT_SCHEMA, validateMeasurement } = require('./measurementSchema');
+const { parseTimestamp } = require('./timeWindow');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('./timezone');
+
+// ============================================================================
+// Data Import
+// Loads historical readings (SD-card logs, old station) from CSV or NDJSON,
+// validated like live ingestion and stored in batches without duplicates
+// ============================================================================
+
+/**
+ * Importformate
+ */
+const IMPORT_FORMATS = ['csv', 'ndjson'];
+
+/**
+ * Trennzeichen für CSV; ohne Angabe wird das häufigste in der Kopfzeile verwendet
+ */
+const CSV_DELIMITERS = { ',': ',', ';': ';', tab: '\t' };
+
+/**
+ * Spalten, in denen ohne Zuordnung der Zeitstempel bzw. die Sender-ID gesucht
+ * wird (in dieser Reihenfolge)
+ */
+const TIMESTAMP_COLUMNS = ['unix_timestamp', 'unix', 'time', 'timestamp', 'datetime', 'date'];
+const SENDER_COLUMNS = ['sender_id', 'id'];
+
+/**
+ * Messwerte pro Schreibvorgang (eine Transaktion)
+ */
+const IMPORT_BATCH_SIZE = 1000;
+
+/**
+ * Höchstzahl der im Bericht aufgeführten abgelehnten Zeilen
+ */
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Reads "field:value" pairs from a comma-separated string or an object
+ * @param {string|Object|undefined} value - e.g. "temperature:Temp (C),humidity:RH"
+ * @returns {Object|null} null if malformed
+ */
+function parsePairs(value) {
+  if (value === undefined || value === null || value === '') return {};
+  if (typeof value === 'object' && !Array.isArray(value)) return { ...value };
+  if (typeof value !== 'string') return null;
+
+  const pairs = {};
+  for (const part of value.split(',')) {
+    const separator = part.indexOf(':');
+    if (separator <= 0) return null;
+    pairs[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+  }
+  return pairs;
+}
+
+/**
+ * Resolves the column mapping of an import
+ *
+ * Columns named like the measured fields (or their aliases, e.g. pressure_pa)
+ * and like TIMESTAMP_COLUMNS / SENDER_COLUMNS are used without a mapping.
+ * `columns` maps fields to other column names, `units` gives the unit of a
+ * field (e.g. temperature:F), `decimal: ','` accepts decimal commas. Timestamps
+ * may be unix seconds/milliseconds or ISO 8601; without an offset they are
+ * local time in `tz`.
+ *
+ * @param {Object} input - { format, sender, sender_column, timestamp_column,
+ *   columns, units, delimiter, decimal, tz } (query params, CLI options or a
+ *   mapping file)
+ * @returns {Object} Mapping or { error }
+ */
+function resolveImportMapping(input) {
+  const format = input.format;
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { error: `Invalid format. Must be one of: ${IMPORT_FORMATS.join(', ')}` };
+  }
+
+  const columns = parsePairs(input.columns);
+  if (!columns) return { error: 'columns must look like "field:column,field:column"' };
+  for (const field of Object.keys(columns)) {
+    if (!MEASUREMENT_SCHEMA[field]) {
+      return { error: `Invalid field in columns: ${field}. Must be any of: ${Object.keys(MEASUREMENT_SCHEMA).join(', ')}` };
+    }
+  }
+
+  const units = parsePairs(input.units);
+  if (!units) return { error: 'units must look like "field:unit,field:unit"' };
+  for (const [field, unit] of Object.entries(units)) {
+    const spec = MEASUREMENT_SCHEMA[field];
+    if (!spec) {
+      return { error: `Invalid field in units: ${field}. Must be any of: ${Object.keys(MEASUREMENT_SCHEMA).join(', ')}` };
+    }
+    if (!spec.units[unit]) {
+      return { error: `Invalid unit for ${field}. Must be one of: ${Object.keys(spec.units).join(', ')}` };
+    }
+  }
+
+  let delimiter = null;
+  if (input.delimiter !== undefined && input.delimiter !== '') {
+    delimiter = CSV_DELIMITERS[input.delimiter];
+    if (!delimiter) {
+      return { error: `Invalid delimiter. Must be one of: ${Object.keys(CSV_DELIMITERS).join(' ')}` };
+    }
+  }
+
+  const decimal = input.decimal || '.';
+  if (decimal !== '.' && decimal !== ',') {
+    return { error: 'Invalid decimal. Must be "." or ","' };
+  }
+  if (decimal === ',' && delimiter === ',') {
+    return { error: 'decimal "," needs another delimiter (";" or tab)' };
+  }
+
+  const timeZone = input.tz || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) {
+    return { error: `Invalid time zone: ${timeZone}` };
+  }
+
+  return {
+    format,
+    sender: input.sender ? String(input.sender) : null,
+    senderColumn: input.sender_column || null,
+    timestampColumn: input.timestamp_column || null,
+    columns,
+    units,
+    delimiter,
+    decimal,
+    timeZone
+  };
+}
+
+/**
+ * Splits one CSV record into its cells ("" inside quotes is a quote)
+ * @param {string} text - Record (may span lines inside quotes)
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<string>}
+ */
+function parseCsvRecord(text, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell);
+  return cells;
+}
+
+/**
+ * Picks the delimiter that occurs most often in the header line
+ * @param {string} header - Header line
+ * @returns {string}
+ */
+function detectDelimiter(header) {
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of Object.values(CSV_DELIMITERS)) {
+    const count = header.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Reads the lines of a stream with their line numbers
+ * @param {stream.Readable} input - Uploaded file or file stream
+ * @returns {AsyncGenerator<{line: number, text: string}>}
+ */
+async function* numberedLines(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let line = 0;
+
+  for await (const text of lines) {
+    line++;
+    yield { line, text: line === 1 ? text.replace(/^\uFEFF/, '') : text };
+  }
+}
+
+/**
+ * Reads CSV records as objects (header -> cell)
+ * Empty lines and "#" comment lines (e.g. the metadata of an export) are skipped.
+ * @param {stream.Readable} input - CSV text
+ * @param {Object} mapping - Result of resolveImportMapping
+ * @returns {AsyncGenerator<{line: number, row?: Object, error?: string}>}
+ */
+async function* csvRecords(input, mapping) {
+  let header = null;
+  let delimiter = mapping.delimiter;
+  let pending = null;
+
+  for await (const { line, text } of numberedLines(input)) {
+    // Quoted cell continues on the next line
+    if (pending) {
+      pending.text += '\n' + text;
+    } else {
+      if (text.trim() === '' || text.startsWith('#')) continue;
+      pending = { line, text };
+    }
+    if ((pending.text.match(/"/g) || []).length % 2 !== 0) continue;
+
+    const record = pending;
+    pending = null;
+
+    if (!header) {
+      delimiter = delimiter || detectDelimiter(record.text);
+      header = parseCsvRecord(record.text, delimiter).map(name => name.trim());
+      continue;
+    }
+
+    const cells = parseCsvRecord(record.text, delimiter);
+    const row = {};
+    header.forEach((name, i) => {
+      if (name && cells[i] !== undefined) row[name] = cells[i].trim();
+    });
+    yield { line: record.line, row };
+  }
+
+  if (pending) {
+    yield { line: pending.line, error: 'Unterminated quoted value' };
+  }
+}
+
+/**
+ * Reads NDJSON records (one JSON object per line)
+ * The metadata line of an export ({ "metadata": ... }) is skipped.
+ * @param {stream.Readable} input - NDJSON text
+ * @returns {AsyncGenerator<{line: number, row?: Object, error?: string}>}
+ */
+async function* ndjsonRecords(input) {
+  for await (const { line, text } of numberedLines(input)) {
+    if (text.trim() === '') continue;
+
+    let row;
+    try {
+      row = JSON.parse(text);
+    } catch (err) {
+      yield { line, error: 'Invalid JSON' };
+      continue;
+    }
+
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      yield { line, error: 'Line must be a JSON object' };
+      continue;
+    }
+    if (Object.keys(row).length === 1 && row.metadata) continue;
+
+    yield { line, row };
+  }
+}
+
+/**
+ * Finds the first of several columns that has a value
+ * @param {Object} row - Record
+ * @param {Array<string>} names - Column names
+ * @returns {string|undefined}
+ */
+function firstColumn(row, names) {
+  return names.find(name => row[name] !== undefined && row[name] !== null && row[name] !== '');
+}
+
+/**
+ * Turns a record into a payload for validateMeasurement
+ * Empty cells count as missing, mapped columns are renamed to their field and
+ * the timestamp is converted to unix seconds.
+ * @param {Object} row - Record
+ * @param {Object} mapping - Result of resolveImportMapping
+ * @returns {{senderId: string|null, payload: Object, timestampError: Object|null}}
+ */
+function recordPayload(row, mapping) {
+  const payload = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (value === '' || value === null) continue;
+    payload[column] = typeof value === 'string' && mapping.decimal === ',' ? value.replace(',', '.') : value;
+  }
+
+  for (const [field, column] of Object.entries(mapping.columns)) {
+    delete payload[field];
+    if (payload[column] !== undefined) payload[field] = payload[column];
+  }
+
+  if (Object.keys(mapping.units).length > 0) payload.units = mapping.units;
+
+  const timestampColumn = mapping.timestampColumn || firstColumn(row, TIMESTAMP_COLUMNS);
+  const rawTimestamp = timestampColumn ? row[timestampColumn] : undefined;
+  for (const name of TIMESTAMP_COLUMNS) delete payload[name];
+
+  let timestampError = null;
+  if (rawTimestamp !== undefined && rawTimestamp !== '') {
+    payload.unix_timestamp = parseTimestamp(rawTimestamp, mapping.timeZone);
+    if (payload.unix_timestamp === null) {
+      timestampError = {
+        field: timestampColumn,
+        code: 'invalid_type',
+        message: 'must be unix seconds/milliseconds or ISO 8601',
+        value: rawTimestamp
+      };
+    }
+  }
+
+  const senderColumn = mapping.senderColumn || firstColumn(row, SENDER_COLUMNS);
+  const senderId = mapping.sender || (senderColumn && row[senderColumn] !== undefined && row[senderColumn] !== ''
+    ? String(row[senderColumn])
+    : null);
+
+  return { senderId, payload, timestampError };
+}
+
+/**
+ * Imports readings from a CSV or NDJSON stream
+ *
+ * Every record is validated with validateMeasurement (ranges, units,
+ * timestamps) and must have a timestamp and an existing sender. Valid readings
+ * are written in transactions of IMPORT_BATCH_SIZE rows; readings that are
+ * already stored (same sender and timestamp) count as duplicates. Imported
+ * readings do not trigger alerts or live updates and do not change
+ * last_seen_at; statistics are updated by the next rollup.
+ *
+ * @param {stream.Readable} input - File content
+ * @param {Object} mapping - Result of resolveImportMapping
+ * @returns {Promise<Object>} Report { total, accepted, duplicates, rejected,
+ *   from, to, per_sender, errors, errors_truncated }
+ */
+async function importReadings(input, mapping) {
+  const report = {
+    format: mapping.format,
+    total: 0,
+    accepted: 0,
+    duplicates: 0,
+    rejected: 0,
+    from: null,
+    to: null,
+    per_sender: {},
+    errors: [],
+    errors_truncated: false
+  };
+  const senders = new Map();
+  let batch = [];
+
+  function reject(line, senderId, reason, errors) {
+    report.rejected++;
+    if (senderId && report.per_sender[senderId]) report.per_sender[senderId].rejected++;
+    if (report.errors.length < MAX_REPORTED_ERRORS) {
+      report.errors.push({ line, sender_id: senderId || undefined, reason, errors });
+    } else {
+      report.errors_truncated = true;
+    }
+  }
+
+  async function senderExists(senderId) {
+    if (!senders.has(senderId)) {
+      const exists = Boolean(await getSender(senderId));
+      senders.set(senderId, exists);
+      if (exists) report.per_sender[senderId] = { accepted: 0, duplicates: 0, rejected: 0 };
+    }
+    return senders.get(senderId);
+  }
+
+  async function flush() {
+    if (batch.length === 0) return;
+
+    const rows = batch;
+    batch = [];
+    const outcomes = await insertWeatherDataBatch(rows, { touch: false });
+
+    outcomes.forEach((outcome, i) => {
+      const { senderId, reading, line } = rows[i];
+      if (!outcome.ok) return reject(line, senderId, outcome.error);
+
+      const counts = report.per_sender[senderId];
+      if (outcome.duplicate) {
+        report.duplicates++;
+        counts.duplicates++;
+        return;
+      }
+
+      report.accepted++;
+      counts.accepted++;
+      report.from = report.from === null ? reading.unix_timestamp : Math.min(report.from, reading.unix_timestamp);
+      report.to = report.to === null ? reading.unix_timestamp : Math.max(report.to, reading.unix_timestamp);
+    });
+  }
+
+  const records = mapping.format === 'csv' ? csvRecords(input, mapping) : ndjsonRecords(input);
+
+  for await (const { line, row, error } of records) {
+    report.total++;
+    if (error) {
+      reject(line, null, error);
+      continue;
+    }
+
+    const { senderId, payload, timestampError } = recordPayload(row, mapping);
+    if (!senderId) {
+      reject(line, null, 'No sender ID');
+      continue;
+    }
+    if (!(await senderExists(senderId))) {
+      reject(line, senderId, 'Unknown sender');
+      continue;
+    }
+    if (payload.unix_timestamp === undefined) {
+      reject(line, senderId, 'No timestamp');
+      continue;
+    }
+    if (timestampError) {
+      reject(line, senderId, 'Invalid timestamp', [timestampError]);
+      continue;
+    }
+
+    const validation = validateMeasurement(payload);
+    if (!validation.valid) {
+      reject(line, senderId, 'Invalid measurement', validation.errors);
+      continue;
+    }
+
+    batch.push({ senderId, reading: validation.reading, raw: row, line });
+    if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+  }
+
+  await flush();
+  return report;
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  resolveImportMapping,
+  importReadings
+};
@@ -0,0 +1,236 @@
+const { parseList } = require('./aggregation');
+
+// ============================================================================
+// Derived Meteorological Quantities
+// Computed from the (calibrated) measured values when they are read; nothing
+// derived is stored in weather_data.
+// ============================================================================
+
+/**
+ * Magnus-Konstanten über Wasser (Sonntag 1990), gültig von -45 bis 60 °C
+ */
+const MAGNUS = { a: 17.62, b: 243.12, e0: 6.112 };
+
+/**
+ * Temperaturgradient der Standardatmosphäre (K/m) und Exponent g·M/(R·L)
+ * der barometrischen Höhenformel
+ */
+const LAPSE_RATE = 0.0065;
+const BAROMETRIC_EXPONENT = 5.255;
+
+/**
+ * Saturation vapour pressure over water
+ * @param {number} temperature - °C
+ * @returns {number} hPa
+ */
+function saturationVapourPressure(temperature) {
+  return MAGNUS.e0 * Math.exp(MAGNUS.a * temperature / (MAGNUS.b + temperature));
+}
+
+/**
+ * Dew point (Magnus formula)
+ * @param {number} temperature - °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} °C, null for humidity 0
+ */
+function dewPoint(temperature, humidity) {
+  if (humidity <= 0) return null;
+
+  const gamma = Math.log(humidity / 100) + MAGNUS.a * temperature / (MAGNUS.b + temperature);
+  return MAGNUS.b * gamma / (MAGNUS.a - gamma);
+}
+
+/**
+ * Heat index / feels-like temperature (NWS: Rothfusz regression with its low
+ * and high humidity adjustments)
+ * Below about 27 °C (80 °F, judged by Steadman's simple formula) the heat
+ * index is not defined and the air temperature is returned unchanged.
+ * @param {number} temperature - °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number} °C
+ */
+function heatIndex(temperature, humidity) {
+  const t = temperature * 9 / 5 + 32;
+  const rh = humidity;
+
+  const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if ((simple + t) / 2 < 80) return temperature;
+
+  let hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh -
+    0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh +
+    0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+  if (rh < 13 && t >= 80 && t <= 112) {
+    hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+  } else if (rh > 85 && t >= 80 && t <= 87) {
+    hi += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+
+  return (hi - 32) * 5 / 9;
+}
+
+/**
+ * Absolute humidity (water vapour density)
+ * @param {number} temperature - °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number} g/m³
+ */
+function absoluteHumidity(temperature, humidity) {
+  const vapourPressure = humidity / 100 * saturationVapourPressure(temperature);
+  // 216.7 = 100 (hPa -> Pa) * 1000 (kg -> g) / 461.5 (J/(kg·K), gas constant of water vapour)
+  return 216.7 * vapourPressure / (temperature + 273.15);
+}
+
+/**
+ * Pressure reduced to sea level (barometric formula with the station
+ * temperature and the lapse rate of the standard atmosphere)
+ * @param {number} pressure - Station pressure in hPa
+ * @param {number} temperature - Station temperature in °C
+ * @param {number} elevation - Station elevation in m above sea level
+ * @returns {number} hPa
+ */
+function seaLevelPressure(pressure, temperature, elevation) {
+  const lapse = LAPSE_RATE * elevation;
+  return pressure * Math.pow(1 - lapse / (temperature + lapse + 273.15), -BAROMETRIC_EXPONENT);
+}
+
+/**
+ * Abgeleitete Messgrößen: Einheit, benötigte Messgrößen, Nachkommastellen
+ * sea_level_pressure braucht zusätzlich die Höhe des Senders (elevation).
+ */
+const DERIVED_METRICS = {
+  dew_point: {
+    unit: '°C',
+    inputs: ['temperature', 'humidity'],
+    decimals: 1,
+    compute: values => dewPoint(values.temperature, values.humidity)
+  },
+  heat_index: {
+    unit: '°C',
+    inputs: ['temperature', 'humidity'],
+    decimals: 1,
+    compute: values => heatIndex(values.temperature, values.humidity)
+  },
+  absolute_humidity: {
+    unit: 'g/m³',
+    inputs: ['temperature', 'humidity'],
+    decimals: 2,
+    compute: values => absoluteHumidity(values.temperature, values.humidity)
+  },
+  sea_level_pressure: {
+    unit: 'hPa',
+    inputs: ['pressure', 'temperature'],
+    decimals: 1,
+    compute: (values, sender) => (sender.elevation === null || sender.elevation === undefined
+      ? null
+      : seaLevelPressure(values.pressure, values.temperature, sender.elevation))
+  }
+};
+
+const DERIVED_FIELDS = Object.keys(DERIVED_METRICS);
+
+/**
+ * Aggregate, aus denen abgeleitete Größen berechnet werden (aus Mittelwerten
+ * bzw. den letzten Werten der Eingangsgrößen; min/max der Eingangsgrößen
+ * gehören nicht zur selben Messung)
+ */
+const DERIVED_AGGS = ['avg', 'last'];
+
+/**
+ * Parses the derived query param
+ * @param {string|undefined} value - Comma-separated metrics or "all"
+ * @returns {{metrics: Array<string>}|{error: string}} Empty list if not requested
+ */
+function resolveDerived(value) {
+  if (value === undefined || value === '') return { metrics: [] };
+  if (value === 'all') return { metrics: DERIVED_FIELDS };
+
+  const metrics = parseList(value, DERIVED_FIELDS);
+  if (!metrics) {
+    return { error: `Invalid derived. Must be "all" or any of: ${DERIVED_FIELDS.join(', ')}` };
+  }
+  return { metrics };
+}
+
+/**
+ * Lists the measured fields the given metrics are computed from
+ * @param {Array<string>} metrics - Derived metrics
+ * @returns {Array<string>}
+ */
+function derivedInputs(metrics) {
+  return [...new Set(metrics.flatMap(metric => DERIVED_METRICS[metric].inputs))];
+}
+
+/**
+ * Computes one derived metric
+ * @param {string} metric - Key of DERIVED_METRICS
+ * @param {Object} values - Input values by field name
+ * @param {Object} sender - Sender row (elevation)
+ * @returns {number|null} Rounded value, null if an input is missing
+ */
+function computeMetric(metric, values, sender) {
+  const definition = DERIVED_METRICS[metric];
+  if (definition.inputs.some(field => values[field] === null || values[field] === undefined)) return null;
+
+  const value = definition.compute(values, sender);
+  if (value === null || !Number.isFinite(value)) return null;
+
+  const factor = Math.pow(10, definition.decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Adds derived metrics to readings
+ * @param {Array<Object>} rows - Readings with the measured fields as columns
+ * @param {Array<string>} metrics - Result of resolveDerived
+ * @param {Object} sender - Sender row (elevation)
+ * @returns {Array<Object>} New rows (the input rows are not changed)
+ */
+function deriveReadings(rows, metrics, sender) {
+  if (metrics.length === 0) return rows;
+
+  return rows.map((row) => {
+    const derived = { ...row };
+    for (const metric of metrics) derived[metric] = computeMetric(metric, row, sender);
+    return derived;
+  });
+}
+
+/**
+ * Adds derived metrics to aggregated buckets (result of aggregateBuckets)
+ * Adds <metric>_avg and/or <metric>_last, computed from the avg or last
+ * values of the input fields.
+ * @param {Array<Object>} rows - Buckets with <field>_<agg> columns
+ * @param {Array<string>} metrics - Result of resolveDerived
+ * @param {Array<string>} aggs - Requested aggregates
+ * @param {Object} sender - Sender row (elevation)
+ * @returns {Array<Object>}
+ */
+function deriveAggregates(rows, metrics, aggs, sender) {
+  const derivedAggs = aggs.filter(agg => DERIVED_AGGS.includes(agg));
+  if (metrics.length === 0 || derivedAggs.length === 0) return rows;
+
+  return rows.map((row) => {
+    const derived = { ...row };
+    for (const agg of derivedAggs) {
+      const values = {};
+      for (const field of derivedInputs(metrics)) values[field] = row[`${field}_${agg}`];
+      for (const metric of metrics) derived[`${metric}_${agg}`] = computeMetric(metric, values, sender);
+    }
+    return derived;
+  });
+}
+
+module.exports = {
+  DERIVED_METRICS,
+  DERIVED_FIELDS,
+  DERIVED_AGGS,
+  dewPoint,
+  heatIndex,
+  absoluteHumidity,
+  seaLevelPressure,
+  resolveDerived,
+  derivedInputs,
+  deriveReadings,
+  deriveAggregates
+};
@@ -0,0 +1,250 @@
+// ============================================================================
+// Device Health
+// Battery discharge and lifetime prediction, signal quality and packet loss
+// of a sender, computed from battery_level, signal_strength and the gaps
+// between unix_timestamp values in weather_data
+// ============================================================================
+
+/**
+ * Standard-Zeitraum für die Auswertung (Stunden)
+ */
+const DEFAULT_WINDOW_HOURS = 7 * 24;
+
+/**
+ * Mindestens so lange müssen Messwerte zurückreichen, damit ein Trend
+ * (Entladerate, Signalverlauf) berechnet wird (Sekunden)
+ */
+const MIN_TREND_SPAN_SECONDS = 6 * 3600;
+
+/**
+ * Änderung des Akkustands pro Tag (in %), ab der er als "entlädt" bzw.
+ * "lädt" gilt; dazwischen "stabil"
+ */
+const BATTERY_STABLE_PER_DAY = 0.5;
+
+/**
+ * Längste ausgewiesene Restlaufzeit (Tage); gilt auch als Wert für
+ * battery_days-Alerts, solange der Akku nicht entlädt
+ */
+const MAX_PREDICTION_DAYS = 365;
+
+/**
+ * Signalqualität nach mittlerer Signalstärke (dBm)
+ */
+const SIGNAL_QUALITY = [
+  { min: -70, quality: 'good' },
+  { min: -85, quality: 'fair' },
+  { min: -Infinity, quality: 'poor' }
+];
+
+/**
+ * Grenzwerte, ab denen ein Sender gewartet werden sollte (Übersicht "needs_service")
+ * percent: Akkustand unter diesem Wert, days: voraussichtlich leer in weniger
+ * Tagen, packetLoss: Anteil verlorener Messwerte
+ */
+const SERVICE_THRESHOLDS = {
+  percent: parseFloat(process.env.DEVICE_LOW_BATTERY_PERCENT) || 20,
+  days: parseFloat(process.env.DEVICE_LOW_BATTERY_DAYS) || 14,
+  packetLoss: 0.2
+};
+
+/**
+ * Rounds to a number of decimals
+ * @param {number|null} value - Value
+ * @param {number} decimals - Decimals
+ * @returns {number|null}
+ */
+function round(value, decimals) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Least-squares slope of y over x
+ * @param {Array<Array<number>>} points - [x, y] pairs
+ * @returns {number|null} Change of y per unit of x, null if x does not vary
+ */
+function linearSlope(points) {
+  if (points.length < 2) return null;
+
+  const n = points.length;
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+
+  let covariance = 0;
+  let variance = 0;
+  for (const [x, y] of points) {
+    covariance += (x - meanX) * (y - meanY);
+    variance += (x - meanX) ** 2;
+  }
+
+  return variance === 0 ? null : covariance / variance;
+}
+
+/**
+ * Typical gap between readings (median)
+ * @param {Array<number>} timestamps - Unix seconds (any order)
+ * @param {number} minSamples - Gaps needed for a result
+ * @returns {number|null} Seconds, null if too few readings
+ */
+function typicalInterval(timestamps, minSamples = 5) {
+  const sorted = [...timestamps].sort((a, b) => a - b);
+  const gaps = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const gap = sorted[i] - sorted[i - 1];
+    if (gap > 0) gaps.push(gap);
+  }
+  if (gaps.length < minSamples) return null;
+
+  gaps.sort((a, b) => a - b);
+  const middle = Math.floor(gaps.length / 2);
+  const median = gaps.length % 2 ? gaps[middle] : (gaps[middle - 1] + gaps[middle]) / 2;
+  return Math.round(median);
+}
+
+/**
+ * Battery level, discharge rate and predicted days until empty
+ * @param {Array<Object>} samples - Rows with unix_timestamp and battery_level (oldest first)
+ * @returns {Object} { level, min, trend, discharge_per_day, days_until_empty }
+ *   trend: 'discharging', 'charging', 'stable' or null (too little history);
+ *   days_until_empty only while discharging (at most MAX_PREDICTION_DAYS)
+ */
+function batteryHealth(samples) {
+  const points = samples
+    .filter(row => row.battery_level !== null && row.battery_level !== undefined)
+    .map(row => [Number(row.unix_timestamp), row.battery_level]);
+
+  const report = {
+    level: points.length > 0 ? points[points.length - 1][1] : null,
+    min: points.length > 0 ? Math.min(...points.map(([, level]) => level)) : null,
+    trend: null,
+    discharge_per_day: null,
+    days_until_empty: null
+  };
+
+  const span = points.length > 1 ? points[points.length - 1][0] - points[0][0] : 0;
+  const slope = span >= MIN_TREND_SPAN_SECONDS ? linearSlope(points) : null;
+  if (slope === null) return report;
+
+  const dischargePerDay = -slope * 86400;
+  report.discharge_per_day = round(dischargePerDay, 2);
+
+  if (dischargePerDay > BATTERY_STABLE_PER_DAY) {
+    report.trend = 'discharging';
+    report.days_until_empty = round(Math.min(report.level / dischargePerDay, MAX_PREDICTION_DAYS), 1);
+  } else {
+    report.trend = dischargePerDay < -BATTERY_STABLE_PER_DAY ? 'charging' : 'stable';
+  }
+
+  return report;
+}
+
+/**
+ * Signal strength summary and trend
+ * @param {Array<Object>} samples - Rows with unix_timestamp and signal_strength (oldest first)
+ * @returns {Object} { latest, average, min, trend_per_day, quality }
+ */
+function signalHealth(samples) {
+  const points = samples
+    .filter(row => row.signal_strength !== null && row.signal_strength !== undefined)
+    .map(row => [Number(row.unix_timestamp), row.signal_strength]);
+
+  if (points.length === 0) {
+    return { latest: null, average: null, min: null, trend_per_day: null, quality: null };
+  }
+
+  const average = points.reduce((sum, [, value]) => sum + value, 0) / points.length;
+  const span = points[points.length - 1][0] - points[0][0];
+  const slope = span >= MIN_TREND_SPAN_SECONDS ? linearSlope(points) : null;
+
+  return {
+    latest: points[points.length - 1][1],
+    average: round(average, 1),
+    min: Math.min(...points.map(([, value]) => value)),
+    trend_per_day: slope === null ? null : round(slope * 86400, 2),
+    quality: SIGNAL_QUALITY.find(level => average >= level.min).quality
+  };
+}
+
+/**
+ * Estimates lost readings from gaps between timestamps
+ * A gap of n intervals counts as n - 1 missed readings.
+ * @param {Array<number>} timestamps - Unix seconds (oldest first)
+ * @param {number|null} interval - Expected interval in seconds
+ * @returns {Object} { interval_seconds, received, missed, loss_ratio, largest_gap_seconds }
+ */
+function packetLoss(timestamps, interval) {
+  let missed = 0;
+  let largestGap = 0;
+
+  for (let i = 1; i < timestamps.length; i++) {
+    const gap = timestamps[i] - timestamps[i - 1];
+    largestGap = Math.max(largestGap, gap);
+    if (interval) missed += Math.max(0, Math.round(gap / interval) - 1);
+  }
+
+  const received = timestamps.length;
+  return {
+    interval_seconds: interval || null,
+    received,
+    missed: interval ? missed : null,
+    loss_ratio: interval && received > 0 ? round(missed / (received + missed), 3) : null,
+    largest_gap_seconds: received > 1 ? largestGap : null
+  };
+}
+
+/**
+ * Builds the health report of a sender
+ * @param {Object} sender - Sender row (expected/learned interval, online_status)
+ * @param {Array<Object>} samples - Rows from getDeviceSamples (oldest first)
+ * @returns {Object} { battery, signal, packets, needs_service, reasons }
+ */
+function deviceHealth(sender, samples) {
+  const timestamps = samples.map(row => Number(row.unix_timestamp));
+  const interval = sender.expected_interval_seconds || sender.learned_interval_seconds ||
+    typicalInterval(timestamps);
+
+  const battery = batteryHealth(samples);
+  const signal = signalHealth(samples);
+  const packets = packetLoss(timestamps, interval);
+
+  const reasons = [];
+  if (sender.online_status === 'offline') reasons.push('offline');
+  if (battery.level !== null && battery.level < SERVICE_THRESHOLDS.percent) reasons.push('battery_low');
+  if (battery.days_until_empty !== null && battery.days_until_empty < SERVICE_THRESHOLDS.days) {
+    reasons.push('battery_days');
+  }
+  if (signal.quality === 'poor') reasons.push('signal_poor');
+  if (packets.loss_ratio !== null && packets.loss_ratio > SERVICE_THRESHOLDS.packetLoss) reasons.push('packet_loss');
+
+  return {
+    battery,
+    signal,
+    packets,
+    needs_service: reasons.length > 0,
+    reasons
+  };
+}
+
+/**
+ * Value of a battery_days alert for a battery report
+ * @param {Object} battery - Result of batteryHealth
+ * @returns {number|null} Days until empty, MAX_PREDICTION_DAYS if not
+ *   discharging, null without a trend (alert is not evaluated)
+ */
+function batteryDaysValue(battery) {
+  if (battery.trend === null) return null;
+  return battery.days_until_empty ?? MAX_PREDICTION_DAYS;
+}
+
+module.exports = {
+  DEFAULT_WINDOW_HOURS,
+  SERVICE_THRESHOLDS,
+  typicalInterval,
+  batteryHealth,
+  signalHealth,
+  packetLoss,
+  deviceHealth,
+  batteryDaysValue
+};
@@ -0,0 +1,237 @@
+const {
+  insertWeatherData,
+  insertWeatherDataBatch,
+  insertQuarantinedReading,
+  checkAlerts,
+  logEvent
+} = require('../database/queries');
+const { authorizeIngestion } = require('./senderAuth');
+const { validateMeasurement } = require('./measurementSchema');
+const { publish, publishReading } = require('./liveEvents');
+const { loadCalibrations, calibrateReadings } = require('./calibration');
+
+// ============================================================================
+// Ingestion Pipeline
+// Shared by the HTTP routes (routes/weather.js) and the MQTT bridge
+// ============================================================================
+
+/**
+ * Umgang mit ungültigen Messwerten: 'reject' (verwerfen) oder 'quarantine'
+ * (in quarantined_readings zur späteren Prüfung speichern)
+ */
+const INVALID_READING_MODE = process.env.INVALID_READING_MODE === 'quarantine' ? 'quarantine' : 'reject';
+
+/**
+ * Rejects or quarantines a reading that failed validation
+ * @param {string} senderId - Sender ID
+ * @param {Object} payload - Original payload
+ * @param {Array} errors - Per-field validation errors
+ * @returns {Promise<{quarantined: boolean, quarantine_id?: number}>}
+ */
+async function handleInvalidReading(senderId, payload, errors) {
+  if (INVALID_READING_MODE === 'quarantine') {
+    const result = await insertQuarantinedReading(senderId, payload, errors);
+    await logEvent('warning', 'reading_quarantined', 'Ungültiger Messwert in Quarantäne', senderId,
+      { quarantine_id: result.lastID, errors });
+    return { quarantined: true, quarantine_id: result.lastID };
+  }
+
+  await logEvent('warning', 'reading_rejected', 'Ungültiger Messwert verworfen', senderId, { errors });
+  return { quarantined: false };
+}
+
+/**
+ * Logs alerts that started or stopped firing
+ * @param {string} senderId - Sender ID
+ * @param {Array} alerts - State changes from checkAlerts
+ * @returns {Promise<void>}
+ */
+async function logAlertChanges(senderId, alerts) {
+  const fired = alerts.filter(alert => alert.state === 'firing');
+  const resolved = alerts.filter(alert => alert.state === 'resolved');
+
+  if (fired.length > 0) {
+    console.log(`⚠️  ${fired.length} alert(s) triggered for sender ${senderId}`);
+    await logEvent('warning', 'alert_triggered', `${fired.length} alert(s) triggered`, senderId, { alerts: fired });
+  }
+  if (resolved.length > 0) {
+    await logEvent('info', 'alert_resolved', `${resolved.length} alert(s) resolved`, senderId, { alerts: resolved });
+  }
+}
+
+/**
+ * Authenticates, validates, stores a single reading and evaluates its alerts
+ *
+ * Result status:
+ * - 'accepted': stored, `id` and `alerts` are set
+ * - 'duplicate': already stored before (retry), `id` of the existing row
+ * - 'unauthorized': key check failed, `httpStatus` and `reason` are set
+ * - 'invalid': validation failed, `errors` plus quarantine info are set
+ *
+ * @param {string} senderId - Claimed sender ID
+ * @param {Object} payload - Incoming payload
+ * @param {string|null} apiKey - Ingestion key of the sender
+ * @returns {Promise<Object>}
+ */
+async function ingestReading(senderId, payload, apiKey) {
+  const auth = await authorizeIngestion(senderId, apiKey, payload);
+  if (!auth.ok) {
+    return { status: 'unauthorized', httpStatus: auth.status, reason: auth.reason };
+  }
+
+  const { valid, reading, errors } = validateMeasurement(payload);
+  if (!valid) {
+    const outcome = await handleInvalidReading(senderId, payload, errors);
+    return { status: 'invalid', errors, ...outcome };
+  }
+
+  const result = await insertWeatherData(senderId, reading, payload);
+
+  // Retried upload: already stored, alerts were evaluated the first time
+  if (result.duplicate) {
+    return { status: 'duplicate', id: result.id };
+  }
+
+  // Alerts and live updates see calibrated values, weather_data the raw ones
+  const [calibrated] = calibrateReadings([reading], await loadCalibrations(senderId));
+  const alerts = await checkAlerts(senderId, calibrated);
+  await logAlertChanges(senderId, alerts);
+
+  publishReading(senderId, result.id, calibrated, alerts);
+
+  return { status: 'accepted', id: result.id, reading, alerts };
+}
+
+/**
+ * Authenticates, validates and stores many readings in one transaction
+ *
+ * Entries without a sender ID (empty gateway slots) are skipped. With atomic
+ * a single rejected entry discards the whole batch. Entries that are already
+ * stored (retries) are reported as duplicates. Alerts are evaluated per sender
+ * over its accepted readings in time order, so durations and hysteresis see
+ * the whole batch.
+ *
+ * @param {Array<Object>} entries - Payloads with id (sender ID)
+ * @param {Object} options - { atomic, apiKeyFor: entry -> ingestion key or null }
+ * @returns {Promise<{results: Array<Object>, rolledBack: boolean, alerts: Array<Object>}>}
+ *   One result per entry (index, sender_id, status accepted | duplicate |
+ *   rejected | skipped, id or reason); alerts as [{ senderId, alerts }]
+ */
+async function ingestBatch(entries, options) {
+  const { atomic = false, apiKeyFor } = options;
+  const results = [];
+  const rows = [];
+  const authCache = new Map();
+
+  // Step 1: Authenticate and validate every entry
+  for (const [index, entry] of entries.entries()) {
+    const id = entry && entry.id;
+
+    // Empty gateway slots
+    if (typeof id == "undefined" || id === null || id === -1) {
+      results.push({ index, status: 'skipped', reason: 'No sender ID' });
+      continue;
+    }
+
+    const senderId = String(id);
+    const apiKey = apiKeyFor(entry);
+    const cacheKey = `${senderId}\u0000${apiKey}`;
+
+    if (!authCache.has(cacheKey)) {
+      authCache.set(cacheKey, await authorizeIngestion(senderId, apiKey, entry));
+    }
+
+    const auth = authCache.get(cacheKey);
+    if (!auth.ok) {
+      results.push({ index, sender_id: senderId, status: 'rejected', reason: auth.reason });
+      continue;
+    }
+
+    const validation = validateMeasurement(entry);
+    if (!validation.valid) {
+      const outcome = await handleInvalidReading(senderId, entry, validation.errors);
+      results.push({
+        index,
+        sender_id: senderId,
+        status: 'rejected',
+        reason: 'Invalid measurement',
+        errors: validation.errors,
+        ...outcome
+      });
+      continue;
+    }
+
+    const result = { index, sender_id: senderId, status: 'accepted' };
+    results.push(result);
+    rows.push({ result, senderId, reading: validation.reading, raw: entry });
+  }
+
+  // Step 2: Write all accepted entries in one transaction
+  let rolledBack = atomic && results.some(result => result.status === 'rejected');
+
+  if (!rolledBack && rows.length > 0) {
+    try {
+      const outcomes = await insertWeatherDataBatch(rows, { atomic });
+
+      outcomes.forEach((outcome, i) => {
+        if (outcome.ok) {
+          rows[i].result.id = outcome.id;
+          if (outcome.duplicate) rows[i].result.status = 'duplicate';
+        } else {
+          Object.assign(rows[i].result, { status: 'rejected', reason: outcome.error });
+        }
+      });
+    } catch (err) {
+      if (err.index === undefined) throw err;
+
+      Object.assign(rows[err.index].result, { status: 'rejected', reason: err.message });
+      rolledBack = true;
+    }
+  }
+
+  if (rolledBack) {
+    const causes = results.filter(result => result.status === 'rejected').map(result => result.index);
+
+    for (const row of rows) {
+      if (row.result.status === 'accepted') {
+        Object.assign(row.result, { status: 'rejected', reason: 'Batch rolled back (all-or-nothing)', id: undefined });
+      }
+    }
+
+    await logEvent('warning', 'batch_rolled_back',
+      'Batch verworfen (all-or-nothing)', null,
+      { total: entries.length, rejected_indexes: causes }
+    );
+  }
+
+  // Step 3: Evaluate alerts per sender over all accepted readings, calibrated
+  const rowsBySender = new Map();
+  for (const row of rows) {
+    if (row.result.status !== 'accepted') continue;
+    if (!rowsBySender.has(row.senderId)) rowsBySender.set(row.senderId, []);
+    rowsBySender.get(row.senderId).push(row);
+  }
+
+  const alerts = [];
+  for (const [senderId, senderRows] of rowsBySender) {
+    const readings = calibrateReadings(senderRows.map(row => row.reading), await loadCalibrations(senderId));
+    senderRows.forEach((row, i) => publishReading(senderId, row.result.id, readings[i]));
+
+    const triggeredAlerts = await checkAlerts(senderId, readings);
+    if (triggeredAlerts.length > 0) {
+      alerts.push({ senderId, alerts: triggeredAlerts });
+      publish('alert', senderId, { alerts: triggeredAlerts });
+      await logAlertChanges(senderId, triggeredAlerts);
+    }
+  }
+
+  return { results, rolledBack, alerts };
+}
+
+module.exports = {
+  INVALID_READING_MODE,
+  handleInvalidReading,
+  logAlertChanges,
+  ingestReading,
+  ingestBatch
+};
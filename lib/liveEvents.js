@@ -0,0 +1,107 @@
+const { EventEmitter } = require('events');
+
+// ============================================================================
+// Live Event Hub
+// Verteilt neue Messwerte und ausgelöste Alerts an Streaming-Clients (SSE)
+// ============================================================================
+
+/**
+ * Anzahl der Events, die für Wiederaufnahme (Last-Event-ID) vorgehalten werden
+ */
+const REPLAY_BUFFER_SIZE = parseInt(process.env.LIVE_REPLAY_BUFFER) || 1000;
+
+/**
+ * Event-Typen (status: Sender online/offline, siehe services/senderWatchdog.js)
+ */
+const EVENT_TYPES = ['reading', 'alert', 'status'];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffer = [];
+
+// IDs start at the boot time in ms so they keep increasing across restarts
+const bootId = Date.now();
+let lastId = bootId;
+
+/**
+ * Publishes an event to all subscribers
+ * @param {string} type - 'reading', 'alert' or 'status'
+ * @param {string} senderId - Sender ID
+ * @param {Object} data - Event payload
+ * @returns {Object} The published event
+ */
+function publish(type, senderId, data) {
+  const event = {
+    id: ++lastId,
+    type,
+    sender_id: senderId,
+    data: { sender_id: senderId, ...data }
+  };
+
+  buffer.push(event);
+  if (buffer.length > REPLAY_BUFFER_SIZE) buffer.shift();
+
+  emitter.emit('event', event);
+  return event;
+}
+
+/**
+ * Publishes a stored reading and the alert state changes it caused
+ * @param {string} senderId - Sender ID
+ * @param {number} id - weather_data row ID
+ * @param {Object} reading - Normalized reading
+ * @param {Array} alerts - Alerts that started or stopped firing (optional)
+ */
+function publishReading(senderId, id, reading, alerts = []) {
+  publish('reading', senderId, { id, ...reading, idempotency_key: undefined });
+
+  if (alerts.length > 0) {
+    publish('alert', senderId, { reading_id: id, alerts });
+  }
+}
+
+/**
+ * Subscribes to live events
+ * @param {Function} listener - Called with each event
+ * @param {Function} onClose - Called when the hub shuts down (optional)
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(listener, onClose = null) {
+  emitter.on('event', listener);
+  if (onClose) emitter.on('close', onClose);
+
+  return () => {
+    emitter.off('event', listener);
+    if (onClose) emitter.off('close', onClose);
+  };
+}
+
+/**
+ * Ends all open streams (graceful shutdown)
+ */
+function closeAll() {
+  emitter.emit('close');
+}
+
+/**
+ * Returns buffered events newer than the given ID
+ * @param {number} lastEventId - Last event ID the client has seen
+ * @returns {{events: Array, complete: boolean}} complete = false if events
+ *   were already dropped from the buffer or were sent before a server restart
+ *   (client must reload via REST)
+ */
+function replaySince(lastEventId) {
+  const events = buffer.filter(event => event.id > lastEventId);
+  const complete = lastEventId >= bootId && (buffer.length === 0 || buffer[0].id <= lastEventId + 1);
+  return { events, complete };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publish,
+  publishReading,
+  subscribe,
+  closeAll,
+  replaySince
+};
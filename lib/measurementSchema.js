@@ -0,0 +1,329 @@
+// ============================================================================
+// Measurement Payload Schema
+// ============================================================================
+
+/**
+ * Spannungsbereich der Akkus (LiPo) für die Umrechnung mV -> %
+ */
+const BATTERY_VOLTAGE_MV = {
+  EMPTY: 3300,
+  FULL: 4200
+};
+
+/**
+ * Zulässige Abweichung von Zeitstempeln in die Zukunft (Sekunden)
+ */
+const MAX_FUTURE_SKEW_SECONDS = 10 * 60;
+
+/**
+ * Frühester plausibler Zeitstempel (2000-01-01)
+ */
+const MIN_TIMESTAMP = 946684800;
+
+/**
+ * Declarative schema of all measured quantities
+ *
+ * Each field describes the canonical unit stored in weather_data, the
+ * physically plausible range (in that unit), the accepted alternate units with
+ * their conversion to the canonical unit and payload aliases. An alias maps to
+ * the unit its value is given in. `detectUnit` guesses the unit of values sent
+ * without one (e.g. pressure in Pa instead of hPa).
+ */
+const MEASUREMENT_SCHEMA = {
+  temperature: {
+    unit: '°C',
+    min: -50,
+    max: 70,
+    units: {
+      C: (v) => v,
+      F: (v) => (v - 32) * 5 / 9,
+      K: (v) => v - 273.15
+    },
+    aliases: { temperature_f: 'F' }
+  },
+  humidity: {
+    unit: '%',
+    min: 0,
+    max: 100,
+    units: { '%': (v) => v }
+  },
+  pressure: {
+    unit: 'hPa',
+    min: 800,
+    max: 1100,
+    integer: true,
+    units: {
+      hPa: (v) => v,
+      mbar: (v) => v,
+      Pa: (v) => v / 100,
+      kPa: (v) => v * 10
+    },
+    // Legacy field names used by older sender firmware
+    aliases: { bar: 'hPa', gasval: 'hPa', gas_value: 'hPa', pressure_pa: 'Pa' },
+    detectUnit: (v) => (v > 10000 ? 'Pa' : 'hPa')
+  },
+  light_level: {
+    unit: 'lx',
+    min: 0,
+    max: 200000,
+    units: { lx: (v) => v }
+  },
+  battery_level: {
+    unit: '%',
+    min: 0,
+    max: 100,
+    units: {
+      '%': (v) => v,
+      mV: (v) => batteryPercentFromMillivolts(v),
+      V: (v) => batteryPercentFromMillivolts(v * 1000)
+    },
+    aliases: { battery_mv: 'mV', battery_voltage: 'V' },
+    detectUnit: (v) => (v > 1000 ? 'mV' : '%')
+  },
+  signal_strength: {
+    unit: 'dBm',
+    min: -150,
+    max: 0,
+    integer: true,
+    units: { dBm: (v) => v }
+  }
+};
+
+/**
+ * Payload fields that may carry the measurement timestamp
+ */
+const TIMESTAMP_FIELDS = ['unix_timestamp', 'unix', 'time'];
+
+/**
+ * Payload fields that may carry a client-supplied idempotency key or sequence number
+ */
+const IDEMPOTENCY_FIELDS = ['idempotency_key', 'seq'];
+
+/**
+ * Maximale Länge eines Idempotency-Keys
+ */
+const MAX_IDEMPOTENCY_KEY_LENGTH = 128;
+
+/**
+ * Converts a battery voltage to a charge level
+ * Linear between BATTERY_VOLTAGE_MV.EMPTY and .FULL, clamped to 0-100.
+ * @param {number} millivolts - Battery voltage in mV
+ * @returns {number}
+ */
+function batteryPercentFromMillivolts(millivolts) {
+  const percent = (millivolts - BATTERY_VOLTAGE_MV.EMPTY) /
+    (BATTERY_VOLTAGE_MV.FULL - BATTERY_VOLTAGE_MV.EMPTY) * 100;
+  return Math.min(100, Math.max(0, Math.round(percent * 10) / 10));
+}
+
+/**
+ * Parses a numeric payload value (numbers and numeric strings)
+ * @param {any} value - Raw value
+ * @returns {number|null} null if not numeric
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '') {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+}
+
+/**
+ * Reads, converts and range-checks one measured quantity
+ * @param {string} field - Canonical field name
+ * @param {Object} spec - Schema entry
+ * @param {Object} payload - Incoming payload
+ * @param {Object} units - Explicit units from payload.units
+ * @param {Array} errors - Error list to append to
+ * @returns {number|null|undefined} undefined if the field is absent
+ */
+function readField(field, spec, payload, units, errors) {
+  let sourceField = field;
+  let unit = units[field];
+
+  if (payload[field] === undefined || payload[field] === null) {
+    const alias = Object.keys(spec.aliases || {}).find(
+      (name) => payload[name] !== undefined && payload[name] !== null
+    );
+    if (!alias) return undefined;
+    sourceField = alias;
+    unit = unit || spec.aliases[alias];
+  }
+
+  const raw = payload[sourceField];
+  const value = toNumber(raw);
+
+  if (value === null) {
+    errors.push({ field: sourceField, code: 'invalid_type', message: 'must be a number', value: raw });
+    return null;
+  }
+
+  if (!unit) {
+    unit = spec.detectUnit ? spec.detectUnit(value) : Object.keys(spec.units)[0];
+  }
+
+  // Only the schema's own units (a name like "toString" must not reach the prototype)
+  const convert = Object.prototype.hasOwnProperty.call(spec.units, unit) ? spec.units[unit] : null;
+  if (!convert) {
+    errors.push({
+      field: sourceField,
+      code: 'unknown_unit',
+      message: `unit must be one of: ${Object.keys(spec.units).join(', ')}`,
+      value: unit
+    });
+    return null;
+  }
+
+  let converted = convert(value);
+  converted = spec.integer ? Math.round(converted) : Math.round(converted * 100) / 100;
+
+  // NaN fails no comparison, so check it explicitly
+  if (!Number.isFinite(converted) || converted < spec.min || converted > spec.max) {
+    errors.push({
+      field: sourceField,
+      code: 'out_of_range',
+      message: `must be between ${spec.min} and ${spec.max} ${spec.unit}`,
+      value: raw,
+      normalized: converted,
+      min: spec.min,
+      max: spec.max
+    });
+    return null;
+  }
+
+  return converted;
+}
+
+/**
+ * Reads and checks the measurement timestamp
+ * Millisecond timestamps are converted to seconds; missing timestamps default to now.
+ * @param {Object} payload - Incoming payload
+ * @param {Array} errors - Error list to append to
+ * @returns {number|null}
+ */
+function readTimestamp(payload, errors) {
+  const now = Math.floor(Date.now() / 1000);
+  const sourceField = TIMESTAMP_FIELDS.find(
+    (name) => payload[name] !== undefined && payload[name] !== null
+  );
+
+  if (!sourceField) return now;
+
+  const raw = payload[sourceField];
+  let value = toNumber(raw);
+
+  if (value === null || !Number.isInteger(value)) {
+    errors.push({ field: sourceField, code: 'invalid_type', message: 'must be an integer unix timestamp', value: raw });
+    return null;
+  }
+
+  if (value > 1e12) value = Math.floor(value / 1000);
+
+  if (value < MIN_TIMESTAMP || value > now + MAX_FUTURE_SKEW_SECONDS) {
+    errors.push({
+      field: sourceField,
+      code: 'out_of_range',
+      message: 'must not be before 2000-01-01 or in the future',
+      value: raw
+    });
+    return null;
+  }
+
+  return value;
+}
+
+/**
+ * Reads the optional idempotency key / sequence number
+ * @param {Object} payload - Incoming payload
+ * @param {Array} errors - Error list to append to
+ * @returns {string|undefined}
+ */
+function readIdempotencyKey(payload, errors) {
+  const sourceField = IDEMPOTENCY_FIELDS.find(
+    (name) => payload[name] !== undefined && payload[name] !== null
+  );
+
+  if (!sourceField) return undefined;
+
+  const raw = payload[sourceField];
+  const valid = (typeof raw === 'string' && raw.length > 0 && raw.length <= MAX_IDEMPOTENCY_KEY_LENGTH) ||
+    Number.isInteger(raw);
+
+  if (!valid) {
+    errors.push({
+      field: sourceField,
+      code: 'invalid_type',
+      message: `must be an integer or a string of 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters`,
+      value: raw
+    });
+    return undefined;
+  }
+
+  return String(raw);
+}
+
+/**
+ * Validates and normalizes an incoming measurement payload
+ *
+ * Alternate units are given either via an alias field (e.g. temperature_f,
+ * pressure_pa, battery_mv) or via a units object, e.g.
+ * { "temperature": 68, "units": { "temperature": "F" } }.
+ * An optional idempotency_key / seq is passed through for duplicate detection.
+ *
+ * @param {Object} payload - Incoming payload (single entry)
+ * @returns {{valid: boolean, reading: Object, errors: Array}} reading uses the
+ *   canonical weather_data columns and units
+ */
+function validateMeasurement(payload) {
+  const errors = [];
+  const reading = {};
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return {
+      valid: false,
+      reading,
+      errors: [{ field: null, code: 'invalid_type', message: 'entry must be an object' }]
+    };
+  }
+
+  let units = {};
+  if (payload.units !== undefined) {
+    if (typeof payload.units !== 'object' || payload.units === null || Array.isArray(payload.units)) {
+      errors.push({ field: 'units', code: 'invalid_type', message: 'must be an object', value: payload.units });
+    } else {
+      units = payload.units;
+    }
+  }
+
+  let measured = 0;
+  for (const [field, spec] of Object.entries(MEASUREMENT_SCHEMA)) {
+    const value = readField(field, spec, payload, units, errors);
+    if (value === undefined) continue;
+    measured++;
+    reading[field] = value;
+  }
+
+  if (measured === 0) {
+    errors.push({
+      field: null,
+      code: 'required',
+      message: `at least one measurement is required (${Object.keys(MEASUREMENT_SCHEMA).join(', ')})`
+    });
+  }
+
+  reading.unix_timestamp = readTimestamp(payload, errors);
+
+  const idempotencyKey = readIdempotencyKey(payload, errors);
+  if (idempotencyKey !== undefined) reading.idempotency_key = idempotencyKey;
+
+  return { valid: errors.length === 0, reading, errors };
+}
+
+module.exports = {
+  MEASUREMENT_SCHEMA,
+  BATTERY_VOLTAGE_MV,
+  validateMeasurement,
+  batteryPercentFromMillivolts
+};
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const { NO_DATA_ALERT_TYPE, alertUnit } = require('./alertRules');
+
+// ============================================================================
+// Notification Channels
+// E-mail (SMTP), HTTP webhook (HMAC-signed) and ntfy/Gotify push
+// ============================================================================
+
+/**
+ * SMTP-Server für E-Mail-Kanäle (gilt für alle Kanäle)
+ */
+const SMTP_OPTIONS = {
+  host: process.env.SMTP_HOST || 'localhost',
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER || undefined,
+  password: process.env.SMTP_PASSWORD || undefined,
+  from: process.env.SMTP_FROM || 'Wetterstation <wetterstation@localhost>'
+};
+
+/**
+ * Timeout für HTTP-Zustellungen (Webhook, ntfy, Gotify) in Millisekunden
+ */
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Header der Webhook-Signatur: "sha256=" + HMAC-SHA256 über "<timestamp>.<body>"
+ */
+const SIGNATURE_HEADER = 'X-Whg-Signature';
+const TIMESTAMP_HEADER = 'X-Whg-Timestamp';
+
+/**
+ * Konfigurationsfelder, die in API-Antworten nicht ausgegeben werden
+ */
+const SECRET_FIELDS = ['secret', 'token'];
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+$/;
+
+let mailTransport = null;
+
+/**
+ * Checks that a value is an http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Checks an optional integer priority
+ * @param {*} value - Priority from the channel config
+ * @param {number} min - Lowest priority
+ * @param {number} max - Highest priority
+ * @returns {boolean}
+ */
+function isPriority(value, min, max) {
+  return value === undefined || (Number.isInteger(value) && value >= min && value <= max);
+}
+
+/**
+ * Posts JSON and fails on non-2xx responses
+ * @param {string} url - Target URL
+ * @param {string} body - JSON body
+ * @param {Object} headers - Additional headers
+ * @returns {Promise<void>}
+ */
+async function postJson(url, body, headers = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+    });
+  } catch (err) {
+    // fetch only reports "fetch failed", the reason is in the cause
+    throw new Error(err.cause ? `${err.message}: ${err.cause.code || err.cause.message}` : err.message);
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+}
+
+/**
+ * Computes the webhook signature
+ * @param {string} secret - Shared secret of the channel
+ * @param {number} timestamp - Unix seconds (sent as X-Whg-Timestamp)
+ * @param {string} body - Raw request body
+ * @returns {string} "sha256=<hex>"
+ */
+function signWebhook(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Creates the SMTP transport on first use
+ * @returns {Object} nodemailer transport
+ */
+function getMailTransport() {
+  if (!mailTransport) {
+    const nodemailer = require('nodemailer');
+    mailTransport = nodemailer.createTransport({
+      host: SMTP_OPTIONS.host,
+      port: SMTP_OPTIONS.port,
+      secure: SMTP_OPTIONS.secure,
+      auth: SMTP_OPTIONS.user ? { user: SMTP_OPTIONS.user, pass: SMTP_OPTIONS.password } : undefined
+    });
+  }
+  return mailTransport;
+}
+
+/**
+ * Channel types
+ * validate(config) returns a list of errors, send(config, message) delivers a
+ * formatted message ({ event, title, text, data }) and throws on failure.
+ */
+const CHANNEL_TYPES = {
+  email: {
+    validate(config) {
+      const recipients = [].concat(config.to || []);
+      if (recipients.length === 0 || !recipients.every(to => EMAIL_PATTERN.test(to))) {
+        return ['to must be an e-mail address or a list of them'];
+      }
+      return [];
+    },
+    async send(config, message) {
+      await getMailTransport().sendMail({
+        from: SMTP_OPTIONS.from,
+        to: [].concat(config.to).join(', '),
+        subject: message.title,
+        text: message.text
+      });
+    }
+  },
+
+  webhook: {
+    validate(config) {
+      const errors = [];
+      if (!isHttpUrl(config.url)) errors.push('url must be an http(s) URL');
+      if (config.secret !== undefined && (typeof config.secret !== 'string' || config.secret.length < 16)) {
+        errors.push('secret must be a string of at least 16 characters');
+      }
+      return errors;
+    },
+    async send(config, message) {
+      const body = JSON.stringify({
+        event: message.event,
+        title: message.title,
+        text: message.text,
+        ...message.data
+      });
+      const timestamp = Math.floor(Date.now() / 1000);
+      const headers = { [TIMESTAMP_HEADER]: String(timestamp) };
+      if (config.secret) headers[SIGNATURE_HEADER] = signWebhook(config.secret, timestamp, body);
+
+      await postJson(config.url, body, headers);
+    }
+  },
+
+  ntfy: {
+    validate(config) {
+      const errors = [];
+      if (!isHttpUrl(config.url)) errors.push('url must be the http(s) URL of the ntfy server');
+      if (typeof config.topic !== 'string' || !/^[\w-]{1,64}$/.test(config.topic)) {
+        errors.push('topic must consist of letters, digits, "_" or "-"');
+      }
+      if (!isPriority(config.priority, 1, 5)) errors.push('priority must be an integer from 1 to 5');
+      return errors;
+    },
+    async send(config, message) {
+      const body = JSON.stringify({
+        topic: config.topic,
+        title: message.title,
+        message: message.text,
+        priority: message.event === 'alert.firing' ? config.priority || 4 : 3
+      });
+      const headers = config.token ? { Authorization: `Bearer ${config.token}` } : {};
+
+      await postJson(config.url, body, headers);
+    }
+  },
+
+  gotify: {
+    validate(config) {
+      const errors = [];
+      if (!isHttpUrl(config.url)) errors.push('url must be the http(s) URL of the Gotify server');
+      if (typeof config.token !== 'string' || config.token === '') errors.push('token (application token) is required');
+      if (!isPriority(config.priority, 0, 10)) errors.push('priority must be an integer from 0 to 10');
+      return errors;
+    },
+    async send(config, message) {
+      const body = JSON.stringify({
+        title: message.title,
+        message: message.text,
+        priority: message.event === 'alert.firing' ? config.priority ?? 8 : 4
+      });
+
+      await postJson(new URL('message', config.url.replace(/\/?$/, '/')).toString(), body,
+        { 'X-Gotify-Key': config.token });
+    }
+  }
+};
+
+/**
+ * Validates the configuration of a channel
+ * @param {string} type - Channel type
+ * @param {Object} config - Channel configuration
+ * @returns {Array<string>} Errors (empty if valid)
+ */
+function validateChannelConfig(type, config) {
+  const channelType = CHANNEL_TYPES[type];
+  if (!channelType) return [`type must be one of: ${Object.keys(CHANNEL_TYPES).join(', ')}`];
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['config must be an object'];
+  return channelType.validate(config);
+}
+
+/**
+ * Hides secrets of a channel row for API responses
+ * @param {Object} channel - notification_channels row
+ * @returns {Object} Channel with parsed config
+ */
+function redactChannel(channel) {
+  const { config_json: configJson, ...rest } = channel;
+  const config = JSON.parse(configJson);
+
+  for (const field of SECRET_FIELDS) {
+    if (config[field]) config[field] = '***';
+  }
+
+  return { ...rest, config };
+}
+
+/**
+ * Formats a queued delivery as a notification
+ * @param {string} eventType - 'firing', 'resolved' or 'test'
+ * @param {Object} payload - Alert state change (see checkAlerts) or test info
+ * @returns {Object} { event, title, text, data }
+ */
+function formatNotification(eventType, payload) {
+  if (eventType === 'test') {
+    return {
+      event: 'test',
+      title: 'Testnachricht der Wetterstation',
+      text: `Der Benachrichtigungskanal "${payload.channel_name}" ist richtig eingerichtet.`,
+      data: payload
+    };
+  }
+
+  const unit = alertUnit(payload.alert_type) ? ` ${alertUnit(payload.alert_type)}` : '';
+  const rule = `${payload.alert_type} ${payload.condition} ${payload.threshold_value}${unit}`;
+  const time = new Date(payload.timestamp * 1000).toISOString();
+  const firing = eventType === 'firing';
+
+  if (payload.alert_type === NO_DATA_ALERT_TYPE) {
+    return {
+      event: `alert.${eventType}`,
+      title: `${firing ? 'Keine Daten' : 'Wieder online'}: Sender ${payload.sender_id}`,
+      text: firing
+        ? `Sender ${payload.sender_id} hat seit ${payload.value} Minuten keine Daten gesendet (Stand ${time}).`
+        : `Sender ${payload.sender_id} sendet wieder Daten (${time}), Alarm beendet.`,
+      data: payload
+    };
+  }
+
+  return {
+    event: `alert.${eventType}`,
+    title: `${firing ? 'Alarm' : 'Entwarnung'}: Sender ${payload.sender_id} (${rule})`,
+    text: firing
+      ? `Sender ${payload.sender_id}: ${payload.alert_type} = ${payload.value}${unit} um ${time} (Regel: ${rule}).`
+      : `Sender ${payload.sender_id}: ${payload.alert_type} wieder bei ${payload.value}${unit} um ${time}, Alarm beendet.`,
+    data: payload
+  };
+}
+
+/**
+ * Sends a message through a channel
+ * @param {Object} channel - notification_channels row (type, config_json)
+ * @param {Object} message - Result of formatNotification
+ * @returns {Promise<void>}
+ */
+function sendNotification(channel, message) {
+  const channelType = CHANNEL_TYPES[channel.type];
+  if (!channelType) return Promise.reject(new Error(`Unknown channel type: ${channel.type}`));
+  return channelType.send(JSON.parse(channel.config_json), message);
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signWebhook,
+  validateChannelConfig,
+  redactChannel,
+  formatNotification,
+  sendNotification
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const {
+  ensureSender,
+  getSender,
+  getSenderApiKeyHash,
+  setSenderApiKeyHash,
+  logEvent
+} = require('../database/queries');
+
+// ============================================================================
+// Sender Authentication (Ingestion API Keys)
+// ============================================================================
+
+/**
+ * Auto-Register-Modus: Unbekannte Sender werden beim ersten Kontakt angelegt
+ * und Sender ohne hinterlegten Schlüssel werden weiterhin akzeptiert.
+ * Nur für die Einrichtung neuer Stationen bzw. den Übergangsbetrieb gedacht.
+ * @returns {boolean}
+ */
+function isAutoRegisterEnabled() {
+  return process.env.SENDER_AUTO_REGISTER === 'true';
+}
+
+/**
+ * Generates a new random ingestion key
+ * @returns {string}
+ */
+function generateApiKey() {
+  return `whg_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Hashes an ingestion key for storage
+ * Keys are random with 192 bits of entropy, so a plain SHA-256 is sufficient.
+ * @param {string} apiKey - Plain key
+ * @returns {string}
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+/**
+ * Compares a plain key against a stored hash in constant time
+ * @param {string} apiKey - Plain key
+ * @param {string} storedHash - Hash from the senders table
+ * @returns {boolean}
+ */
+function verifyApiKey(apiKey, storedHash) {
+  if (!apiKey || !storedHash) return false;
+
+  const given = Buffer.from(hashApiKey(apiKey), 'hex');
+  const expected = Buffer.from(storedHash, 'hex');
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Reads the ingestion key from a request
+ * Supported: X-API-Key header, Authorization: Bearer header, api_key body field.
+ * A key inside a batch entry takes precedence over the request headers.
+ * @param {Object} req - Express Request
+ * @param {Object} entry - Payload entry (optional)
+ * @returns {string|null}
+ */
+function extractApiKey(req, entry = null) {
+  if (entry && entry.api_key) return String(entry.api_key);
+
+  const header = req.get('x-api-key');
+  if (header) return header;
+
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  return null;
+}
+
+/**
+ * Issues (or rotates) the ingestion key of a sender
+ * The plain key is only returned once and never stored.
+ * @param {string} senderId - Sender ID
+ * @returns {Promise<string>} Plain key
+ */
+async function issueApiKey(senderId) {
+  const apiKey = generateApiKey();
+  await setSenderApiKeyHash(senderId, hashApiKey(apiKey));
+  return apiKey;
+}
+
+/**
+ * Checks whether a sender may submit data with the given key
+ * Unknown senders are only created in auto-register mode. Every rejection is
+ * written to system_logs.
+ * @param {string} senderId - Claimed sender ID
+ * @param {string|null} apiKey - Provided key
+ * @param {Object} data - Payload (used for the name of new senders)
+ * @returns {Promise<{ok: boolean, status?: number, reason?: string}>}
+ */
+async function authorizeIngestion(senderId, apiKey, data = {}) {
+  const sender = await getSender(senderId);
+
+  if (!sender) {
+    if (isAutoRegisterEnabled()) {
+      await ensureSender(senderId, data.name);
+      await logEvent('info', 'sender_auto_registered', `Sender ${senderId} automatisch registriert`, senderId);
+      return { ok: true };
+    }
+
+    return reject(senderId, 404, 'Unknown sender ID', false);
+  }
+
+  const storedHash = await getSenderApiKeyHash(senderId);
+
+  if (!storedHash) {
+    if (isAutoRegisterEnabled()) return { ok: true };
+    return reject(senderId, 401, 'No API key issued for this sender', true);
+  }
+
+  if (!apiKey) {
+    return reject(senderId, 401, 'API key required', true);
+  }
+
+  if (!verifyApiKey(apiKey, storedHash)) {
+    return reject(senderId, 403, 'API key does not match sender ID', true);
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Logs a rejected ingestion attempt and builds the result object
+ * @param {string} senderId - Claimed sender ID
+ * @param {number} status - HTTP status
+ * @param {string} reason - Rejection reason
+ * @param {boolean} senderExists - Whether the sender row exists (FK on system_logs)
+ * @returns {Promise<{ok: boolean, status: number, reason: string}>}
+ */
+async function reject(senderId, status, reason, senderExists) {
+  await logEvent('warning', 'ingest_rejected', `${reason}: ${senderId}`,
+    senderExists ? senderId : null,
+    { claimed_sender_id: senderId, reason }
+  );
+
+  return { ok: false, status, reason };
+}
+
+module.exports = {
+  isAutoRegisterEnabled,
+  generateApiKey,
+  hashApiKey,
+  verifyApiKey,
+  extractApiKey,
+  issueApiKey,
+  authorizeIngestion
+};
@@ -0,0 +1,169 @@
+const { DEFAULT_TIMEZONE, isValidTimeZone, zonedTimeToUnix } = require('./timezone');
+
+// ============================================================================
+// Time Window and Pagination Parameters
+// Shared by the read routes (routes/weather.js)
+// ============================================================================
+
+/**
+ * Seitengröße für paginierte Abfragen
+ */
+const PAGE_SIZE = {
+  DEFAULT: 5000,
+  MAX: 10000
+};
+
+/**
+ * ISO 8601 date with optional time and offset
+ */
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Parses an absolute point in time
+ * Accepts unix seconds, unix milliseconds and ISO 8601 dates
+ * (e.g. "2024-01-15" or "2024-01-15T08:00:00+01:00"). Dates without an offset
+ * are local time in the given time zone.
+ * @param {string|number} value - Raw query value
+ * @param {string} timeZone - IANA time zone (default: DEFAULT_TIMEZONE)
+ * @returns {number|null} Unix timestamp in seconds, null if invalid
+ */
+function parseTimestamp(value, timeZone = DEFAULT_TIMEZONE) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) {
+    const number = parseInt(text, 10);
+    return number > 1e12 ? Math.floor(number / 1000) : number;
+  }
+
+  // Date.parse accepts a lot of free-form text, only allow ISO 8601
+  const match = ISO_DATE.exec(text);
+  if (!match) return null;
+
+  if (match[7]) {
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+  }
+
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1, 7).map(
+    part => (part === undefined ? undefined : parseInt(part, 10))
+  );
+
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  return zonedTimeToUnix(year, month, day, hour, minute, second, timeZone);
+}
+
+/**
+ * Resolves the requested time window of a read route
+ *
+ * Absolute windows use `from` and/or `to`; a missing `from` defaults to
+ * `hours` (or defaultHours) before `to`, a missing `to` to now. Without
+ * `from`/`to` the window is the last `hours` hours, capped at maxHours as before.
+ * `tz` selects the time zone for local dates and calendar buckets.
+ *
+ * @param {Object} query - req.query
+ * @param {Object} options - { defaultHours, maxHours, maxSpanHours }
+ *   maxSpanHours rejects absolute windows that are longer (optional)
+ * @returns {{from: number, to: number, hours: number, timeZone: string}|{error: string}}
+ */
+function resolveTimeWindow(query, options) {
+  const { defaultHours, maxHours, maxSpanHours = null } = options;
+  const now = Math.floor(Date.now() / 1000);
+
+  const timeZone = query.tz || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) {
+    return { error: 'Invalid tz. Must be an IANA time zone, e.g. Europe/Berlin' };
+  }
+
+  let hours = parseInt(query.hours);
+  if (isNaN(hours) || hours < 1) hours = defaultHours;
+
+  if (query.from === undefined && query.to === undefined) {
+    hours = Math.min(hours, maxHours);
+    return { from: now - hours * 3600, to: now, hours, timeZone };
+  }
+
+  const to = query.to !== undefined ? parseTimestamp(query.to, timeZone) : now;
+  if (to === null) {
+    return { error: 'Invalid to. Must be an ISO 8601 date or unix timestamp' };
+  }
+
+  const from = query.from !== undefined ? parseTimestamp(query.from, timeZone) : to - hours * 3600;
+  if (from === null) {
+    return { error: 'Invalid from. Must be an ISO 8601 date or unix timestamp' };
+  }
+
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  const spanHours = (to - from) / 3600;
+  if (maxSpanHours && spanHours > maxSpanHours) {
+    return { error: `Time window too long. Maximum is ${maxSpanHours} hours` };
+  }
+
+  return { from, to, hours: Math.ceil(spanHours), timeZone };
+}
+
+/**
+ * Encodes a pagination cursor (opaque to clients)
+ * @param {Object} position - Position of the last returned row
+ * @returns {string}
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decodes a pagination cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @param {Array<string>} fields - Position fields the route expects (integers)
+ * @returns {Object|null} null if the cursor is malformed or belongs to another route
+ */
+function decodeCursor(cursor, fields) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+
+  if (!position || typeof position !== 'object' || Array.isArray(position)) return null;
+  return fields.every(field => Number.isSafeInteger(position[field])) ? position : null;
+}
+
+/**
+ * Resolves limit and cursor of a paginated read route
+ * @param {Object} query - req.query
+ * @param {Array<string>} cursorFields - Fields of the route's cursor, e.g. ['t', 'id']
+ * @returns {{limit: number, after: Object|null}|{error: string}}
+ */
+function resolvePage(query, cursorFields) {
+  let limit = parseInt(query.limit);
+  if (isNaN(limit) || limit < 1) limit = PAGE_SIZE.DEFAULT;
+  limit = Math.min(limit, PAGE_SIZE.MAX);
+
+  if (query.cursor === undefined) {
+    return { limit, after: null };
+  }
+
+  const after = decodeCursor(query.cursor, cursorFields);
+  if (!after) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return { limit, after };
+}
+
+module.exports = {
+  PAGE_SIZE,
+  parseTimestamp,
+  resolveTimeWindow,
+  encodeCursor,
+  decodeCursor,
+  resolvePage
+};
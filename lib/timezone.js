@@ -0,0 +1,149 @@
+// ============================================================================
+// Time Zone Helpers
+// Local calendar boundaries for aggregation and reporting
+// ============================================================================
+
+/**
+ * Standard-Zeitzone für Tages-, Wochen- und Monatsgrenzen (IANA-Name)
+ */
+const DEFAULT_TIMEZONE = process.env.TIMEZONE || 'Europe/Berlin';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const formatters = new Map();
+
+/**
+ * Returns a cached formatter for a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat}
+ * @throws {RangeError} If the time zone is unknown
+ */
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    formatters.set(timeZone, formatter);
+  }
+
+  return formatter;
+}
+
+/**
+ * Checks whether a time zone name is known
+ * @param {string} timeZone - IANA time zone, e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Splits a point in time into local calendar fields
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year, month, day, hour, minute, second, weekday}} month 1-12,
+ *   weekday 0 = Monday ... 6 = Sunday
+ */
+function zonedParts(timestamp, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(timestamp * 1000))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * UTC offset of a time zone at a point in time
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in seconds (e.g. 3600 for CET, 7200 for CEST)
+ */
+function timezoneOffset(timestamp, timeZone) {
+  const p = zonedParts(timestamp, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) / 1000 - Math.floor(timestamp);
+}
+
+/**
+ * Converts a local wall-clock time to a unix timestamp
+ * Out-of-range fields roll over like Date.UTC (e.g. day 0 = last day of the
+ * previous month). Times skipped by a DST change resolve to the later offset.
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour (default 0)
+ * @param {number} minute - Minute (default 0)
+ * @param {number} second - Second (default 0)
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Unix timestamp in seconds
+ */
+function zonedTimeToUnix(year, month, day, hour = 0, minute = 0, second = 0, timeZone = DEFAULT_TIMEZONE) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second) / 1000;
+  const firstGuess = wallClock - timezoneOffset(wallClock, timeZone);
+  const offset = timezoneOffset(firstGuess, timeZone);
+  return wallClock - offset;
+}
+
+/**
+ * Formats a point in time as local ISO 8601 with offset
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} e.g. "2025-03-30T00:00:00+01:00"
+ */
+function formatLocalIso(timestamp, timeZone) {
+  const p = zonedParts(timestamp, timeZone);
+  const offset = timezoneOffset(timestamp, timeZone);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const sign = offset < 0 ? '-' : '+';
+  const absOffset = Math.abs(offset);
+
+  return `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(absOffset / 3600))}:${pad(Math.floor(absOffset % 3600 / 60))}`;
+}
+
+/**
+ * Remainder of the local hour boundaries relative to UTC hours
+ * 0 for zones with whole-hour offsets, 1800 for e.g. Asia/Kolkata (+05:30).
+ * @param {number} timestamp - Unix timestamp in seconds (reference point)
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Seconds (0-3599)
+ */
+function hourBoundaryShift(timestamp, timeZone) {
+  return ((-timezoneOffset(timestamp, timeZone) % 3600) + 3600) % 3600;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  zonedParts,
+  timezoneOffset,
+  zonedTimeToUnix,
+  formatLocalIso,
+  hourBoundaryShift
+};
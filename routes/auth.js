@@ -0,0 +1,265 @@
+const express = require('express');
+const router = express.Router();
+const createError = require('http-errors');
+const rateLimit = require('express-rate-limit');
+const {
+  createUser,
+  getUser,
+  getUserCredentials,
+  getAllUsers,
+  updateUser,
+  touchUserLogin,
+  deleteUserSessions,
+  deleteExpiredSessions,
+  logEvent
+} = require('../database/queries');
+const {
+  ROLES,
+  SESSION_COOKIE,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  startSession,
+  endSession,
+  requireRole,
+  logAudit
+} = require('../lib/auth');
+
+/**
+ * Rate Limiting für Login-Versuche (Schutz vor Brute-Force)
+ */
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 Minuten
+  max: 10,
+  message: { status: 'error', error: 'Zu viele Login-Versuche, bitte später erneut versuchen.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// ============================================================================
+// Session Routes
+// ============================================================================
+
+/**
+ * POST /login - Log in and start a session
+ * Body: { username, password }
+ * Sets the session cookie and also returns the token for API clients
+ */
+router.post('/login', loginLimiter, async (req, res, next) => {
+  const { username, password } = req.body || {};
+
+  if (!username || !password) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'Missing required fields: username, password'
+    });
+  }
+
+  try {
+    const user = await getUserCredentials(String(username));
+    const valid = user && user.is_active && await verifyPassword(password, user.password_hash);
+
+    if (!valid) {
+      await logEvent('warning', 'login_failed', `Fehlgeschlagener Login: ${username}`, null,
+        { ip: req.ip }, String(username));
+      return next(createError(401, 'Benutzername oder Passwort falsch'));
+    }
+
+    await deleteExpiredSessions();
+    const session = await startSession(user.id);
+    await touchUserLogin(user.id);
+    await logEvent('info', 'login', `Login: ${user.username}`, null, { ip: req.ip }, user.username);
+
+    res.cookie(SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: process.env.NODE_ENV === 'production',
+      expires: new Date(session.expiresAt * 1000)
+    });
+
+    res.status(200).json({
+      status: 'success',
+      user: { id: user.id, username: user.username, role: user.role },
+      token: session.token,
+      expires_at: session.expiresAt
+    });
+
+  } catch (err) {
+    console.error('❌ Error during login:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * POST /logout - End the current session
+ */
+router.post('/logout', async (req, res, next) => {
+  try {
+    if (req.sessionToken) {
+      await endSession(req.sessionToken);
+      await logEvent('info', 'logout', `Logout: ${req.user.username}`, null, null, req.user.username);
+    }
+
+    res.clearCookie(SESSION_COOKIE);
+    res.status(200).json({ status: 'success' });
+
+  } catch (err) {
+    console.error('❌ Error during logout:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * GET /me - Get the logged-in user
+ */
+router.get('/me', requireRole('viewer'), (req, res) => {
+  res.status(200).json({ user: req.user });
+});
+
+// ============================================================================
+// User Management Routes (admin only)
+// ============================================================================
+
+/**
+ * GET /users - List all users
+ */
+router.get('/users', requireRole('admin'), async (req, res, next) => {
+  try {
+    const users = await getAllUsers();
+
+    res.status(200).json({
+      users: users,
+      count: users.length
+    });
+
+  } catch (err) {
+    console.error('❌ Error getting users:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * POST /users - Create a user
+ * Body: { username, password, role }
+ */
+router.post('/users', requireRole('admin'), async (req, res, next) => {
+  const { username, password, role = 'viewer' } = req.body || {};
+
+  if (!username || !password) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'Missing required fields: username, password'
+    });
+  }
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({
+      status: 'error',
+      error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+    });
+  }
+
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      status: 'error',
+      error: `password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+    });
+  }
+
+  try {
+    if (await getUserCredentials(String(username))) {
+      return next(createError(409, `Benutzer existiert bereits: ${username}`));
+    }
+
+    const result = await createUser({
+      username: String(username),
+      password_hash: await hashPassword(String(password)),
+      role
+    });
+
+    await logAudit(req, 'user_created', `Benutzer ${username} (${role}) erstellt`, null,
+      { target_user_id: result.lastID, role });
+
+    res.status(201).json({
+      status: 'success',
+      user: await getUser(result.lastID)
+    });
+
+  } catch (err) {
+    console.error('❌ Error creating user:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * PATCH /users/:userId - Change role, active state or password of a user
+ * Body: { role?, is_active?, password? }
+ */
+router.patch('/users/:userId', requireRole('admin'), async (req, res, next) => {
+  const userId = parseInt(req.params.userId);
+  const { role, is_active, password } = req.body || {};
+
+  if (role === undefined && is_active === undefined && password === undefined) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'At least one field (role, is_active, password) must be provided'
+    });
+  }
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    return res.status(400).json({
+      status: 'error',
+      error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+    });
+  }
+
+  if (is_active !== undefined && typeof is_active !== 'boolean' && is_active !== 0 && is_active !== 1) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'is_active must be a boolean or 0/1'
+    });
+  }
+
+  if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      status: 'error',
+      error: `password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+    });
+  }
+
+  try {
+    const existingUser = await getUser(userId);
+    if (!existingUser) {
+      return next(createError(404, `Benutzer nicht gefunden: ${req.params.userId}`));
+    }
+
+    if (userId === req.user.id && ((role !== undefined && role !== 'admin') || is_active === false || is_active === 0)) {
+      return next(createError(400, 'Eigene Admin-Rechte können nicht entzogen werden'));
+    }
+
+    await updateUser(userId, {
+      role,
+      is_active,
+      password_hash: password !== undefined ? await hashPassword(String(password)) : undefined
+    });
+
+    // Force re-login after security-relevant changes
+    await deleteUserSessions(userId);
+
+    await logAudit(req, 'user_updated', `Benutzer ${existingUser.username} aktualisiert`, null, {
+      target_user_id: userId,
+      changes: { role, is_active, password_changed: password !== undefined }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      user: await getUser(userId)
+    });
+
+  } catch (err) {
+    console.error('❌ Error updating user:', err);
+    next(createError(500, err.message));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const createError = require('http-errors');
+const { getSender, getAllSenders, logEvent } = require('../database/queries');
+const { resolveTimeWindow } = require('../lib/timeWindow');
+const { EXPORT_FORMATS, resolveExportOptions, writeExport } = require('../lib/dataExport');
+
+/**
+ * Standard-Zeitraum eines Exports ohne from/to bzw. hours (Stunden)
+ */
+const DEFAULT_EXPORT_HOURS = 7 * 24;
+
+/**
+ * Loads the requested senders (?sender=1,2, default: all active senders)
+ * @param {string|undefined} value - Query value
+ * @returns {Promise<{senders: Array}|{missing: string}>}
+ */
+async function resolveSenders(value) {
+  if (!value) return { senders: await getAllSenders() };
+
+  const senders = [];
+  for (const senderId of [...new Set(String(value).split(',').map(id => id.trim()).filter(Boolean))]) {
+    const sender = await getSender(senderId);
+    if (!sender) return { missing: senderId };
+    senders.push(sender);
+  }
+  return { senders };
+}
+
+/**
+ * GET /:format - Export readings as csv, ndjson or parquet
+ * Query params:
+ *   sender    - comma-separated sender IDs (default: all active senders)
+ *   from/to   - any time range (ISO 8601 or unix seconds), or hours (default: 168)
+ *   tz        - time zone for local times and calendar intervals
+ *   fields    - measured fields (default: all)
+ *   interval  - 5m|15m|1h|1d|1w|1M for one row per bucket (default: raw readings)
+ *   agg       - aggregates per field with interval (avg,min,max,last,count; default: avg)
+ *   derived   - derived metrics (dew_point, heat_index, absolute_humidity,
+ *               sea_level_pressure or all); with interval from avg/last
+ *   delimiter - CSV only: "," (default), ";" or "tab"
+ *   raw       - true: values without sensor calibration
+ * The response is streamed; metadata (senders, units, range) comes first.
+ */
+router.get('/:format', async (req, res, next) => {
+  const format = EXPORT_FORMATS[req.params.format];
+
+  if (!format) {
+    return res.status(400).json({
+      status: 'error',
+      error: `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  const window = resolveTimeWindow(req.query, { defaultHours: DEFAULT_EXPORT_HOURS, maxHours: Infinity });
+  if (window.error) {
+    return res.status(400).json({ status: 'error', error: window.error });
+  }
+
+  const options = resolveExportOptions(req.query);
+  if (options.error) {
+    return res.status(400).json({ status: 'error', error: options.error });
+  }
+
+  try {
+    const { senders, missing } = await resolveSenders(req.query.sender);
+    if (missing) {
+      return next(createError(404, `Sender nicht gefunden: ${missing}`));
+    }
+
+    const day = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+    const name = senders.length === 1 ? `sender_${senders[0].sender_id}` : 'wetterdaten';
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition',
+      `attachment; filename="${name}_${day(window.from)}_${day(window.to)}.${format.extension}"`);
+
+    const rows = await writeExport(res, req.params.format, senders, window, options);
+
+    await logEvent('info', 'data_exported', `${rows} Zeilen als ${req.params.format} exportiert`, null,
+      { senders: senders.map(sender => sender.sender_id), from: window.from, to: window.to, interval: options.interval, rows },
+      req.user ? req.user.username : null
+    );
+
+  } catch (err) {
+    // Client closed the connection during the download
+    if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+
+    console.error('❌ Error exporting data:', err);
+    await logEvent('error', 'export_failed', err.message);
+
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      next(createError(500, err.message));
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const createError = require('http-errors');
+const { getSender, logEvent } = require('../database/queries');
+const { requireRole, logAudit } = require('../lib/auth');
+const { resolveImportMapping, importReadings } = require('../lib/dataImport');
+
+/**
+ * Content-Types, die als Datei (Rohdaten im Body) angenommen werden
+ */
+const UPLOAD_TYPES = ['text/*', 'application/x-ndjson', 'application/octet-stream'];
+
+/**
+ * POST /:format - Import historical readings from a CSV or NDJSON upload
+ * Body: the file itself (Content-Type text/csv, application/x-ndjson or
+ * application/octet-stream), streamed row by row
+ * Query params (column mapping, see lib/dataImport.js):
+ *   sender           - sender of all rows (otherwise column sender_id/id or sender_column)
+ *   columns          - field:column pairs, e.g. temperature:Temp,humidity:RH
+ *   units            - field:unit pairs, e.g. temperature:F
+ *   timestamp_column - column with unix seconds/ms or ISO 8601 (default: unix_timestamp, time, ...)
+ *   tz               - time zone of timestamps without offset
+ *   delimiter        - CSV only: "," ";" or "tab" (default: detected)
+ *   decimal          - "," for decimal commas
+ * Requires role: admin
+ */
+router.post('/:format', requireRole('admin'), async (req, res, next) => {
+  const mapping = resolveImportMapping({ ...req.query, format: req.params.format });
+  if (mapping.error) {
+    return res.status(400).json({ status: 'error', error: mapping.error });
+  }
+
+  if (!req.is(UPLOAD_TYPES)) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'Send the file as request body with Content-Type text/csv or application/x-ndjson'
+    });
+  }
+
+  try {
+    if (mapping.sender && !(await getSender(mapping.sender))) {
+      return next(createError(404, `Sender nicht gefunden: ${mapping.sender}`));
+    }
+
+    const report = await importReadings(req, mapping);
+
+    await logAudit(req, 'data_imported',
+      `${report.accepted} Messwerte importiert (${report.duplicates} Duplikate, ${report.rejected} abgelehnt)`,
+      mapping.sender, {
+        format: mapping.format,
+        total: report.total,
+        accepted: report.accepted,
+        duplicates: report.duplicates,
+        rejected: report.rejected,
+        from: report.from,
+        to: report.to
+      });
+
+    res.json({ status: 'success', ...report });
+
+  } catch (err) {
+    console.error('❌ Error importing data:', err);
+    await logEvent('error', 'import_failed', err.message, mapping.sender, null,
+      req.user ? req.user.username : null);
+    next(createError(500, err.message));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,280 @@
+const express = require('express');
+const router = express.Router();
+const createError = require('http-errors');
+const {
+  getAlert,
+  createNotificationChannel,
+  getNotificationChannel,
+  getNotificationChannels,
+  deleteNotificationChannel,
+  getAlertChannelIds,
+  setAlertChannels,
+  recordTestNotification,
+  getNotificationDeliveries,
+  getNotificationQueueCounts,
+  logEvent
+} = require('../database/queries');
+const { requireRole, logAudit } = require('../lib/auth');
+const {
+  validateChannelConfig,
+  redactChannel,
+  formatNotification,
+  sendNotification
+} = require('../lib/notificationChannels');
+
+/**
+ * Zustände einer Zustellung (notification_deliveries.status)
+ */
+const DELIVERY_STATUSES = ['pending', 'sent', 'failed'];
+
+/**
+ * Checks a list of channel IDs against the existing channels
+ * @param {*} channelIds - Value from the request body
+ * @returns {Promise<string|null>} Error message or null if valid
+ */
+async function validateChannelIds(channelIds) {
+  if (!Array.isArray(channelIds) || !channelIds.every(Number.isInteger)) {
+    return 'channel_ids must be an array of channel IDs';
+  }
+
+  const known = new Set((await getNotificationChannels()).map(channel => channel.id));
+  const unknown = channelIds.filter(id => !known.has(id));
+  return unknown.length > 0 ? `Unknown channel IDs: ${unknown.join(', ')}` : null;
+}
+
+// ============================================================================
+// Channel Routes
+// ============================================================================
+
+/**
+ * GET /channels - List notification channels (secrets hidden)
+ * Requires role: teacher
+ */
+router.get('/channels', requireRole('teacher'), async (req, res, next) => {
+  try {
+    const channels = (await getNotificationChannels()).map(redactChannel);
+
+    res.status(200).json({
+      channels: channels,
+      count: channels.length
+    });
+
+  } catch (err) {
+    console.error('❌ Error getting notification channels:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * POST /channels - Create a notification channel
+ * Body: { name, type, config }
+ *   email:   { to }                             (SMTP server from SMTP_* env)
+ *   webhook: { url, secret? }                   (HMAC-SHA256 signature if secret is set)
+ *   ntfy:    { url, topic, token?, priority? }
+ *   gotify:  { url, token, priority? }
+ * Requires role: admin
+ */
+router.post('/channels', requireRole('admin'), async (req, res, next) => {
+  const { name, type, config } = req.body || {};
+
+  if (!name || !type || config === undefined) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'Missing required fields: name, type, config'
+    });
+  }
+
+  const errors = validateChannelConfig(type, config);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'Invalid channel configuration',
+      details: errors
+    });
+  }
+
+  try {
+    const result = await createNotificationChannel({ name: String(name), type, config });
+
+    await logAudit(req, 'notification_channel_created', `Benachrichtigungskanal "${name}" (${type}) erstellt`, null,
+      { channel_id: result.lastID, type });
+
+    res.status(201).json({
+      status: 'success',
+      channel: redactChannel(await getNotificationChannel(result.lastID))
+    });
+
+  } catch (err) {
+    console.error('❌ Error creating notification channel:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * DELETE /channels/:channelId - Delete a channel with its queued deliveries
+ * Requires role: admin
+ */
+router.delete('/channels/:channelId', requireRole('admin'), async (req, res, next) => {
+  const channelId = parseInt(req.params.channelId);
+
+  try {
+    const channel = await getNotificationChannel(channelId);
+    if (!channel) {
+      return next(createError(404, `Kanal nicht gefunden: ${req.params.channelId}`));
+    }
+
+    await deleteNotificationChannel(channelId);
+    await logAudit(req, 'notification_channel_deleted', `Benachrichtigungskanal "${channel.name}" gelöscht`, null,
+      { channel_id: channelId });
+
+    res.status(200).json({ status: 'success' });
+
+  } catch (err) {
+    console.error('❌ Error deleting notification channel:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * POST /channels/:channelId/test - Send a test message right away
+ * Returns 502 with the error if the channel could not be reached.
+ * Requires role: teacher
+ */
+router.post('/channels/:channelId/test', requireRole('teacher'), async (req, res, next) => {
+  const channelId = parseInt(req.params.channelId);
+
+  try {
+    const channel = await getNotificationChannel(channelId);
+    if (!channel) {
+      return next(createError(404, `Kanal nicht gefunden: ${req.params.channelId}`));
+    }
+
+    const payload = { channel_id: channel.id, channel_name: channel.name };
+    let error = null;
+    try {
+      await sendNotification(channel, formatNotification('test', payload));
+    } catch (err) {
+      error = err.message;
+    }
+
+    await recordTestNotification(channelId, payload, { status: error ? 'failed' : 'sent', last_error: error });
+
+    if (error) {
+      return res.status(502).json({ status: 'error', error: `Zustellung fehlgeschlagen: ${error}` });
+    }
+    res.status(200).json({ status: 'success' });
+
+  } catch (err) {
+    console.error('❌ Error testing notification channel:', err);
+    next(createError(500, err.message));
+  }
+});
+
+// ============================================================================
+// Alert Assignment Routes
+// ============================================================================
+
+/**
+ * GET /alerts/:alertId/channels - Channels notified for an alert
+ * Requires role: teacher
+ */
+router.get('/alerts/:alertId/channels', requireRole('teacher'), async (req, res, next) => {
+  try {
+    res.status(200).json({
+      alert_id: parseInt(req.params.alertId),
+      channel_ids: await getAlertChannelIds(parseInt(req.params.alertId))
+    });
+
+  } catch (err) {
+    console.error('❌ Error getting alert channels:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * PUT /alerts/:alertId/channels - Replace the channels notified for an alert
+ * Body: { channel_ids: [1, 2] }
+ * Requires role: teacher
+ */
+router.put('/alerts/:alertId/channels', requireRole('teacher'), async (req, res, next) => {
+  const alertId = parseInt(req.params.alertId);
+  const channelIds = (req.body || {}).channel_ids;
+
+  try {
+    if (!await getAlert(alertId)) {
+      return next(createError(404, `Alert nicht gefunden: ${req.params.alertId}`));
+    }
+
+    const error = await validateChannelIds(channelIds);
+    if (error) {
+      return res.status(400).json({ status: 'error', error });
+    }
+
+    await setAlertChannels(alertId, channelIds);
+    await logAudit(req, 'alert_channels_updated', `Benachrichtigungen für Alert ${alertId} geändert`, null,
+      { alert_id: alertId, channel_ids: channelIds });
+
+    res.status(200).json({
+      status: 'success',
+      alert_id: alertId,
+      channel_ids: await getAlertChannelIds(alertId)
+    });
+
+  } catch (err) {
+    console.error('❌ Error setting alert channels:', err);
+    await logEvent('error', 'set_alert_channels_failed', err.message);
+    next(createError(500, err.message));
+  }
+});
+
+// ============================================================================
+// Delivery Routes
+// ============================================================================
+
+/**
+ * GET /deliveries - Delivery queue and history (newest first)
+ * Query params: status (pending|sent|failed), alert_id, channel_id,
+ * limit (default: 100, max: 1000)
+ * Requires role: teacher
+ */
+router.get('/deliveries', requireRole('teacher'), async (req, res, next) => {
+  const { status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const alertId = req.query.alert_id !== undefined ? parseInt(req.query.alert_id) : null;
+  const channelId = req.query.channel_id !== undefined ? parseInt(req.query.channel_id) : null;
+
+  if (Number.isNaN(alertId) || Number.isNaN(channelId)) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'alert_id and channel_id must be numbers'
+    });
+  }
+
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      status: 'error',
+      error: `Invalid status. Must be one of: ${DELIVERY_STATUSES.join(', ')}`
+    });
+  }
+
+  try {
+    const deliveries = await getNotificationDeliveries({
+      status: status || null,
+      alertId,
+      channelId,
+      limit
+    });
+
+    res.status(200).json({
+      queue: await getNotificationQueueCounts(),
+      deliveries: deliveries,
+      count: deliveries.length
+    });
+
+  } catch (err) {
+    console.error('❌ Error getting notification deliveries:', err);
+    next(createError(500, err.message));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,529 @@
+const express = require('express');
+const router = express.Router();
+const createError = require('http-errors');
+const {
+  getSender,
+  createSensorType,
+  getSensorType,
+  getSensorTypeByName,
+  getSensorTypes,
+  updateSensorType,
+  deleteSensorType,
+  getSenderSensors,
+  getSenderSensor,
+  createSenderSensor,
+  updateSenderSensor,
+  deleteSenderSensor,
+  createCalibration,
+  getCalibration,
+  getSenderCalibrations,
+  deleteCalibration
+} = require('../database/queries');
+const { requireRole, logAudit } = require('../lib/auth');
+const { parseTimestamp } = require('../lib/timeWindow');
+const { CALIBRATION_FIELDS } = require('../lib/calibration');
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Parses the measured fields of a sensor type
+ * @param {string|Array<string>|null} value - Array or comma-separated list
+ * @returns {{value: string|null}|{error: string}} Comma-separated list for the DB
+ */
+function parseMeasures(value) {
+  if (value === null || value === '') return { value: null };
+
+  const fields = (Array.isArray(value) ? value : String(value).split(','))
+    .map(field => String(field).trim())
+    .filter(Boolean);
+  const unknown = fields.filter(field => !CALIBRATION_FIELDS.includes(field));
+
+  if (unknown.length > 0) {
+    return { error: `Unknown measures: ${unknown.join(', ')} (allowed: ${CALIBRATION_FIELDS.join(', ')})` };
+  }
+
+  return { value: [...new Set(fields)].join(',') || null };
+}
+
+/**
+ * Validates the body of POST/PATCH /types
+ * @param {Object} body - Request body
+ * @param {boolean} partial - PATCH (only given fields are checked)
+ * @returns {{data: Object}|{error: string}}
+ */
+function validateSensorType(body, partial) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name must be a non-empty string' };
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.manufacturer !== undefined) {
+    data.manufacturer = body.manufacturer === null ? null : String(body.manufacturer);
+  }
+
+  if (body.measures !== undefined) {
+    const measures = parseMeasures(body.measures);
+    if (measures.error) return { error: measures.error };
+    data.measures = measures.value;
+  }
+
+  for (const column of ['accuracy_temp', 'accuracy_humidity']) {
+    if (body[column] === undefined) continue;
+    if (body[column] !== null && (typeof body[column] !== 'number' || !Number.isFinite(body[column]) || body[column] < 0)) {
+      return { error: `${column} must be a non-negative number` };
+    }
+    data[column] = body[column];
+  }
+
+  return { data };
+}
+
+/**
+ * Converts a point in time from the request body to a DATETIME column value
+ * @param {string|number} value - Unix seconds/ms or ISO 8601
+ * @returns {string|null} "YYYY-MM-DD HH:MM:SS" UTC, null if invalid
+ */
+function toDateTime(value) {
+  const timestamp = parseTimestamp(value);
+  if (timestamp === null) return null;
+  return new Date(timestamp * 1000).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Formats a sensor type for the API (measures as array)
+ * @param {Object} type - Row of sensor_types
+ * @returns {Object}
+ */
+function formatSensorType(type) {
+  return {
+    ...type,
+    measures: type.measures ? type.measures.split(',') : [],
+    installation_count: Number(type.installation_count)
+  };
+}
+
+/**
+ * Formats an installation for the API
+ * @param {Object} installation - Result of getSenderSensor(s)
+ * @param {Array<Object>} [calibrations] - Calibrations of the installation
+ * @returns {Object}
+ */
+function formatInstallation(installation, calibrations) {
+  const formatted = {
+    ...installation,
+    measures: installation.measures ? installation.measures.split(',') : [],
+    is_installed: !installation.removed_at
+  };
+  if (calibrations) formatted.calibrations = calibrations.map(formatCalibration);
+  return formatted;
+}
+
+/**
+ * Formats a calibration for the API
+ * @param {Object} calibration - Row of sensor_calibrations
+ * @returns {Object}
+ */
+function formatCalibration(calibration) {
+  const { installed_from, removed_from, ...rest } = calibration;
+  return {
+    ...rest,
+    valid_from: Number(calibration.valid_from),
+    valid_from_iso: new Date(Number(calibration.valid_from) * 1000).toISOString()
+  };
+}
+
+// ============================================================================
+// Sensor Types
+// ============================================================================
+
+/**
+ * GET /types - List all sensor types with their number of installations
+ */
+router.get('/types', async (req, res, next) => {
+  try {
+    const types = await getSensorTypes();
+
+    res.json({
+      sensor_types: types.map(formatSensorType),
+      count: types.length
+    });
+
+  } catch (err) {
+    console.error('❌ Error getting sensor types:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * POST /types - Create a sensor type
+ * Body: { name, manufacturer?, measures?, accuracy_temp?, accuracy_humidity? }
+ *   measures - measured fields, e.g. ["temperature", "humidity"]
+ *              (calibrations are limited to these fields if set)
+ * Requires role: admin
+ */
+router.post('/types', requireRole('admin'), async (req, res, next) => {
+  const result = validateSensorType(req.body || {}, false);
+  if (result.error) {
+    return res.status(400).json({ status: 'error', error: result.error });
+  }
+
+  try {
+    if (await getSensorTypeByName(result.data.name)) {
+      return next(createError(409, `Sensortyp existiert bereits: ${result.data.name}`));
+    }
+
+    const created = await createSensorType(result.data);
+    await logAudit(req, 'sensor_type_created', `Sensortyp "${result.data.name}" erstellt`, null,
+      { sensor_type_id: created.lastID });
+
+    res.status(201).json({
+      status: 'success',
+      sensor_type: formatSensorType(await getSensorType(created.lastID))
+    });
+
+  } catch (err) {
+    console.error('❌ Error creating sensor type:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * PATCH /types/:typeId - Update a sensor type
+ * Body: any of the fields of POST /types
+ * Requires role: admin
+ */
+router.patch('/types/:typeId', requireRole('admin'), async (req, res, next) => {
+  const typeId = parseInt(req.params.typeId);
+
+  const result = validateSensorType(req.body || {}, true);
+  if (result.error) {
+    return res.status(400).json({ status: 'error', error: result.error });
+  }
+
+  try {
+    const type = await getSensorType(typeId);
+    if (!type) {
+      return next(createError(404, `Sensortyp nicht gefunden: ${req.params.typeId}`));
+    }
+
+    if (result.data.name && result.data.name !== type.name && await getSensorTypeByName(result.data.name)) {
+      return next(createError(409, `Sensortyp existiert bereits: ${result.data.name}`));
+    }
+
+    await updateSensorType(typeId, result.data);
+    await logAudit(req, 'sensor_type_updated', `Sensortyp "${type.name}" geändert`, null,
+      { sensor_type_id: typeId, fields: Object.keys(result.data) });
+
+    res.json({
+      status: 'success',
+      sensor_type: formatSensorType(await getSensorType(typeId))
+    });
+
+  } catch (err) {
+    console.error('❌ Error updating sensor type:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * DELETE /types/:typeId - Delete a sensor type that is not installed anywhere
+ * Requires role: admin
+ */
+router.delete('/types/:typeId', requireRole('admin'), async (req, res, next) => {
+  const typeId = parseInt(req.params.typeId);
+
+  try {
+    const type = await getSensorType(typeId);
+    if (!type) {
+      return next(createError(404, `Sensortyp nicht gefunden: ${req.params.typeId}`));
+    }
+
+    if (Number(type.installation_count) > 0) {
+      return next(createError(409, `Sensortyp "${type.name}" ist noch in ${type.installation_count} Installation(en) eingetragen`));
+    }
+
+    await deleteSensorType(typeId);
+    await logAudit(req, 'sensor_type_deleted', `Sensortyp "${type.name}" gelöscht`, null,
+      { sensor_type_id: typeId });
+
+    res.status(200).json({ status: 'success' });
+
+  } catch (err) {
+    console.error('❌ Error deleting sensor type:', err);
+    next(createError(500, err.message));
+  }
+});
+
+// ============================================================================
+// Installations
+// ============================================================================
+
+/**
+ * GET /senders/:senderId - Installation history of a sender (newest first)
+ * with the calibrations of each installation
+ */
+router.get('/senders/:senderId', async (req, res, next) => {
+  const { senderId } = req.params;
+
+  try {
+    const sender = await getSender(senderId);
+    if (!sender) {
+      return next(createError(404, `Sender nicht gefunden: ${senderId}`));
+    }
+
+    const [installations, calibrations] = await Promise.all([
+      getSenderSensors(senderId),
+      getSenderCalibrations(senderId)
+    ]);
+
+    res.json({
+      sender_id: senderId,
+      sensors: installations.map(installation => formatInstallation(
+        installation,
+        calibrations.filter(calibration => calibration.sender_sensor_id === installation.id)
+      )),
+      count: installations.length
+    });
+
+  } catch (err) {
+    console.error('❌ Error getting sensors:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * POST /senders/:senderId - Record the installation of a sensor
+ * Body: { sensor_type_id, installed_at?, notes? }
+ *   installed_at - unix seconds/ms or ISO 8601 (default: now)
+ * Requires role: admin
+ */
+router.post('/senders/:senderId', requireRole('admin'), async (req, res, next) => {
+  const { senderId } = req.params;
+  const { sensor_type_id: typeId, installed_at: installedAt, notes } = req.body || {};
+
+  if (!Number.isInteger(typeId)) {
+    return res.status(400).json({ status: 'error', error: 'sensor_type_id must be an integer' });
+  }
+
+  const installedAtValue = installedAt === undefined ? null : toDateTime(installedAt);
+  if (installedAt !== undefined && installedAtValue === null) {
+    return res.status(400).json({ status: 'error', error: 'Invalid installed_at (unix timestamp or ISO 8601 expected)' });
+  }
+
+  try {
+    const sender = await getSender(senderId);
+    if (!sender) {
+      return next(createError(404, `Sender nicht gefunden: ${senderId}`));
+    }
+
+    const type = await getSensorType(typeId);
+    if (!type) {
+      return next(createError(404, `Sensortyp nicht gefunden: ${typeId}`));
+    }
+
+    const created = await createSenderSensor(senderId, {
+      sensor_type_id: typeId,
+      installed_at: installedAtValue,
+      notes: notes === undefined || notes === null ? null : String(notes)
+    });
+    await logAudit(req, 'sensor_installed', `Sensor "${type.name}" eingebaut`, senderId,
+      { installation_id: created.lastID, sensor_type_id: typeId });
+
+    res.status(201).json({
+      status: 'success',
+      sensor: formatInstallation(await getSenderSensor(created.lastID))
+    });
+
+  } catch (err) {
+    console.error('❌ Error creating installation:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * PATCH /installations/:installationId - Update an installation
+ * Body: { installed_at?, removed_at?, notes? }
+ *   removed_at - set when the sensor is replaced (null: installed again);
+ *                its calibrations no longer apply to later readings
+ * Requires role: admin
+ */
+router.patch('/installations/:installationId', requireRole('admin'), async (req, res, next) => {
+  const installationId = parseInt(req.params.installationId);
+  const body = req.body || {};
+  const data = {};
+
+  for (const column of ['installed_at', 'removed_at']) {
+    if (body[column] === undefined) continue;
+    if (body[column] === null && column === 'removed_at') {
+      data.removed_at = null;
+      continue;
+    }
+    data[column] = toDateTime(body[column]);
+    if (data[column] === null) {
+      return res.status(400).json({ status: 'error', error: `Invalid ${column} (unix timestamp or ISO 8601 expected)` });
+    }
+  }
+
+  if (body.notes !== undefined) {
+    data.notes = body.notes === null ? null : String(body.notes);
+  }
+
+  try {
+    const installation = await getSenderSensor(installationId);
+    if (!installation) {
+      return next(createError(404, `Installation nicht gefunden: ${req.params.installationId}`));
+    }
+
+    const installedAt = data.installed_at ?? installation.installed_at;
+    const removedAt = data.removed_at === undefined ? installation.removed_at : data.removed_at;
+    if (removedAt && installedAt && removedAt < installedAt) {
+      return res.status(400).json({ status: 'error', error: 'removed_at must not be before installed_at' });
+    }
+
+    await updateSenderSensor(installationId, data);
+    await logAudit(req, 'sensor_installation_updated',
+      data.removed_at ? `Sensor "${installation.sensor_name}" ausgebaut` : `Installation von "${installation.sensor_name}" geändert`,
+      installation.sender_id, { installation_id: installationId, fields: Object.keys(data) });
+
+    res.json({
+      status: 'success',
+      sensor: formatInstallation(await getSenderSensor(installationId))
+    });
+
+  } catch (err) {
+    console.error('❌ Error updating installation:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * DELETE /installations/:installationId - Delete an installation with its calibrations
+ * Requires role: admin
+ */
+router.delete('/installations/:installationId', requireRole('admin'), async (req, res, next) => {
+  const installationId = parseInt(req.params.installationId);
+
+  try {
+    const installation = await getSenderSensor(installationId);
+    if (!installation) {
+      return next(createError(404, `Installation nicht gefunden: ${req.params.installationId}`));
+    }
+
+    await deleteSenderSensor(installationId);
+    await logAudit(req, 'sensor_installation_deleted', `Installation von "${installation.sensor_name}" gelöscht`,
+      installation.sender_id, { installation_id: installationId });
+
+    res.status(200).json({ status: 'success' });
+
+  } catch (err) {
+    console.error('❌ Error deleting installation:', err);
+    next(createError(500, err.message));
+  }
+});
+
+// ============================================================================
+// Calibrations
+// ============================================================================
+
+/**
+ * POST /installations/:installationId/calibrations - Calibrate a measured field
+ * Body: { field, offset_value?, scale_factor?, valid_from?, notes? }
+ *   Read routes return value * scale_factor + offset_value for readings from
+ *   valid_from on (until the next calibration of the field or the removal)
+ *   offset_value - default 0
+ *   scale_factor - default 1, must be > 0
+ *   valid_from   - unix seconds/ms or ISO 8601 (default: installation time)
+ * Requires role: admin
+ */
+router.post('/installations/:installationId/calibrations', requireRole('admin'), async (req, res, next) => {
+  const installationId = parseInt(req.params.installationId);
+  const { field, offset_value: offset = 0, scale_factor: scale = 1, valid_from: validFrom, notes } = req.body || {};
+
+  if (!CALIBRATION_FIELDS.includes(field)) {
+    return res.status(400).json({
+      status: 'error',
+      error: `field must be one of: ${CALIBRATION_FIELDS.join(', ')}`
+    });
+  }
+
+  if (typeof offset !== 'number' || !Number.isFinite(offset)) {
+    return res.status(400).json({ status: 'error', error: 'offset_value must be a number' });
+  }
+
+  if (typeof scale !== 'number' || !Number.isFinite(scale) || scale <= 0) {
+    return res.status(400).json({ status: 'error', error: 'scale_factor must be a number greater than 0' });
+  }
+
+  const validFromValue = validFrom === undefined ? null : parseTimestamp(validFrom);
+  if (validFrom !== undefined && validFromValue === null) {
+    return res.status(400).json({ status: 'error', error: 'Invalid valid_from (unix timestamp or ISO 8601 expected)' });
+  }
+
+  try {
+    const installation = await getSenderSensor(installationId);
+    if (!installation) {
+      return next(createError(404, `Installation nicht gefunden: ${req.params.installationId}`));
+    }
+
+    if (installation.measures && !installation.measures.split(',').includes(field)) {
+      return res.status(400).json({
+        status: 'error',
+        error: `Sensor type ${installation.sensor_name} does not measure ${field}`
+      });
+    }
+
+    const created = await createCalibration(installationId, {
+      field,
+      offset_value: offset,
+      scale_factor: scale,
+      valid_from: validFromValue ?? parseTimestamp(installation.installed_at.replace(' ', 'T') + 'Z'),
+      notes: notes === undefined || notes === null ? null : String(notes)
+    });
+    await logAudit(req, 'calibration_created',
+      `Kalibrierung für ${field} (${installation.sensor_name}) erstellt: x ${scale} + ${offset}`,
+      installation.sender_id, { calibration_id: created.lastID, installation_id: installationId, field });
+
+    res.status(201).json({
+      status: 'success',
+      calibration: formatCalibration(await getCalibration(created.lastID))
+    });
+
+  } catch (err) {
+    console.error('❌ Error creating calibration:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * DELETE /calibrations/:calibrationId - Delete a calibration
+ * Readings in its period are returned with the previous calibration (or raw) again.
+ * Requires role: admin
+ */
+router.delete('/calibrations/:calibrationId', requireRole('admin'), async (req, res, next) => {
+  const calibrationId = parseInt(req.params.calibrationId);
+
+  try {
+    const calibration = await getCalibration(calibrationId);
+    if (!calibration) {
+      return next(createError(404, `Kalibrierung nicht gefunden: ${req.params.calibrationId}`));
+    }
+
+    await deleteCalibration(calibrationId);
+    await logAudit(req, 'calibration_deleted', `Kalibrierung für ${calibration.field} gelöscht`,
+      calibration.sender_id, { calibration_id: calibrationId, field: calibration.field });
+
+    res.status(200).json({ status: 'success' });
+
+  } catch (err) {
+    console.error('❌ Error deleting calibration:', err);
+    next(createError(500, err.message));
+  }
+});
+
+module.exports = router;
@@ -6,82 +6,138 @@ const {
   ensureSender,
   getSender,
   getAllSenders,
+  createSender,
   updateSender,
-  insertWeatherData,
+  countSenderReadings,
+  deleteSender,
+  mergeSenders,
+  getQuarantinedReadings,
   getLatestWeatherData,
   getWeatherDataRange,
   getHourlyAverages,
   getHourlySamples,
+  getBucketedData,
+  getFieldSeries,
+  getDeviceSamples,
   createAlert,
+  getAlert,
   getAlerts,
-  checkAlerts,
+  updateAlert,
+  deleteAlert,
+  acknowledgeAlert,
+  getAlertEvents,
   getStatistics,
+  getCalibratedStatistics,
+  getPurgedUntil,
   logEvent
 } = require('../database/queries');
+const { extractApiKey, issueApiKey } = require('../lib/senderAuth');
+const { requireRole, logAudit } = require('../lib/auth');
+const { normalizeAlertType, validateAlertRule, clearThresholdError } = require('../lib/alertRules');
+const { ALERT_STATES } = require('../lib/alertEngine');
+const { ingestReading, ingestBatch } = require('../lib/ingestion');
+const liveEvents = require('../lib/liveEvents');
+const { STAT_TYPES } = require('../services/statisticsRollup');
+const { resolveTimeWindow, resolvePage, encodeCursor } = require('../lib/timeWindow');
+const { DEFAULT_TIMEZONE, formatLocalIso } = require('../lib/timezone');
+const { resolveAggregation, baseBucketSeconds, aggregateBuckets, lttb } = require('../lib/aggregation');
+const { DEFAULT_WINDOW_HOURS, deviceHealth } = require('../lib/deviceHealth');
+const {
+  STATISTICS_COLUMNS,
+  resolveCalibrations,
+  calibrateReadings,
+  calibrationSegments,
+  calibrationChangesWithin,
+  calibrateAggregates
+} = require('../lib/calibration');
+const { DERIVED_AGGS, resolveDerived, derivedInputs, deriveReadings, deriveAggregates } = require('../lib/derivedMetrics');
 
 // ============================================================================
 // Configuration Constants
 // ============================================================================
 
 /**
- * Gültige Alert-Typen
- */
-const VALID_ALERT_TYPES = ['temperature', 'humidity', 'pressure'];
-
-/**
- * Gültige Alert-Bedingungen
+ * Modi für Batch-Uploads
+ * best-effort: gültige Einträge speichern, ungültige melden
+ * all-or-nothing: bei einem ungültigen Eintrag wird nichts gespeichert
  */
-const VALID_CONDITIONS = ['>', '<', '>=', '<=', '==', '!='];
+const BATCH_MODES = ['best-effort', 'all-or-nothing'];
 
 /**
  * Maximale Zeiträume für Datenabfragen (in Stunden)
+ * STANDARD begrenzt nur ?hours=N; absolute Zeiträume (from/to) werden seitenweise
+ * abgefragt. VISUALIZATION gilt für beide Varianten.
  */
 const MAX_HOURS = {
   STANDARD: 720,      // 30 Tage für normale Abfragen
   VISUALIZATION: 168  // 7 Tage für Visualisierung (Performance)
 };
 
+/**
+ * Erlaubte Sender-IDs (werden in URLs und MQTT-Topics verwendet)
+ */
+const SENDER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
 // ============================================================================
 // POST Routes - Data Ingestion
 // ============================================================================
 
 /**
  * POST / - Single weather data entry
- * Body: { id, temperature, humidity, pressure, time/unix, hour, name }
+ * Body: { id, temperature, humidity, pressure, time/unix, hour, name, api_key?, idempotency_key? }
+ * Auth: X-API-Key header, Authorization: Bearer <key> or api_key in body
+ * Retries (same sender + timestamp or Idempotency-Key) return status 'duplicate'
  */
 router.post('/', async (req, res, next) => {
   const { id } = req.body;
-  const senderId = String(id);
 
   // Validation
-  if (!senderId) {
+  if (id === undefined || id === null || id === '') {
     return res.status(400).json({ 
       status: 'error', 
       error: 'Sender ID is required' 
     });
   }
 
+  const senderId = String(id);
+
   try {
-    // Insert weather data
-    const result = await insertWeatherData(senderId, req.body);
-    
-    // Check alerts
-    const triggeredAlerts = await checkAlerts(senderId, req.body);
-    
-    if (triggeredAlerts.length > 0) {
-      console.log(`⚠️  ${triggeredAlerts.length} alert(s) triggered for sender ${senderId}`);
-      await logEvent('warning', 'alert_triggered', 
-        `${triggeredAlerts.length} alert(s) triggered`, 
-        senderId, 
-        { alerts: triggeredAlerts }
-      );
+    // Idempotency-Key header for clients that retry the same request
+    const payload = req.get('idempotency-key') && req.body.idempotency_key === undefined
+      ? { ...req.body, idempotency_key: req.get('idempotency-key') }
+      : req.body;
+
+    const result = await ingestReading(senderId, payload, extractApiKey(req, req.body));
+
+    switch (result.status) {
+      case 'unauthorized':
+        return res.status(result.httpStatus).json({
+          status: 'error',
+          error: result.reason
+        });
+
+      case 'invalid':
+        return res.status(422).json({
+          status: 'error',
+          error: 'Invalid measurement',
+          errors: result.errors,
+          quarantined: result.quarantined,
+          quarantine_id: result.quarantine_id
+        });
+
+      case 'duplicate':
+        return res.status(200).json({
+          status: 'duplicate',
+          sender: senderId,
+          id: result.id
+        });
     }
     
     res.json({
       status: 'success',
       sender: senderId,
-      id: result.lastID,
-      alerts: triggeredAlerts.length > 0 ? triggeredAlerts : undefined
+      id: result.id,
+      alerts: result.alerts.length > 0 ? result.alerts : undefined
     });
     
   } catch (err) {
@@ -96,11 +152,23 @@ router.post('/', async (req, res, next) => {
 
 /**
  * POST /batch - Batch weather data entry
- * Body: [{ id, temperature, humidity, pressure, unix, hour, name }, ...]
+ * Body: [{ id, temperature, humidity, pressure, unix, hour, name, api_key? }, ...]
+ * Query params: mode (best-effort | all-or-nothing, default: best-effort)
+ * Auth: api_key per entry, otherwise the key from the request headers
+ * See ingestBatch (lib/ingestion.js), which the MQTT bridge uses as well.
  */
 router.post('/batch', async (req, res) => {
+  const mode = req.query.mode || 'best-effort';
+
   try {
     // Validation
+    if (!BATCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        status: 'error',
+        error: `Invalid mode. Must be one of: ${BATCH_MODES.join(', ')}`
+      });
+    }
+
     if (!Array.isArray(req.body)) {
       return res.status(400).json({ 
         status: 'error',
@@ -115,49 +183,23 @@ router.post('/batch', async (req, res) => {
       });
     }
 
-    let processedCount = 0;
-    const errors = [];
-    const allTriggeredAlerts = [];
+    const { results, rolledBack, alerts } = await ingestBatch(req.body, {
+      atomic: mode === 'all-or-nothing',
+      apiKeyFor: entry => extractApiKey(req, entry)
+    });
 
-    for (const entry of req.body) {
-      const { id } = entry;
-      
-      // Skip invalid entries
-      if (typeof id == "undefined" || id === -1) continue;
-      
-      const senderId = String(id);
-
-      try {
-        await insertWeatherData(senderId, entry);
-        
-        // Check alerts
-        const triggeredAlerts = await checkAlerts(senderId, entry);
-        if (triggeredAlerts.length > 0) {
-          allTriggeredAlerts.push({ senderId, alerts: triggeredAlerts });
-        }
-        
-        processedCount++;
-      } catch (err) {
-        console.error(`❌ Error processing entry for sender ${senderId}:`, err);
-        errors.push({ senderId, error: err.message });
-        await logEvent('error', 'batch_entry_failed', err.message, senderId);
-      }
-    }
+    const count = (status) => results.filter(result => result.status === status).length;
 
-    if (allTriggeredAlerts.length > 0) {
-      await logEvent('warning', 'batch_alerts_triggered', 
-        `Alerts triggered during batch import`, 
-        null, 
-        { alerts: allTriggeredAlerts }
-      );
-    }
-    console.log(req.body);
-    res.status(200).json({
-      status: 'success',
-      processed: processedCount,
+    res.status(rolledBack ? 422 : 200).json({
+      status: rolledBack ? 'error' : 'success',
+      mode: mode,
+      processed: count('accepted'),
+      duplicates: count('duplicate'),
+      rejected: count('rejected'),
+      skipped: count('skipped'),
       total: req.body.length,
-      errors: errors.length > 0 ? errors : undefined,
-      alerts: allTriggeredAlerts.length > 0 ? allTriggeredAlerts : undefined
+      results: results,
+      alerts: alerts.length > 0 ? alerts : undefined
     });
 
   } catch (err) {
@@ -170,15 +212,173 @@ router.post('/batch', async (req, res) => {
   }
 });
 
+/**
+ * GET /quarantine - Get readings that failed validation
+ * Query params: sender_id (optional), limit (default: 100)
+ * Requires role: teacher
+ * Muss vor GET /:senderId registriert werden
+ */
+router.get('/quarantine', requireRole('teacher'), async (req, res, next) => {
+  const senderId = req.query.sender_id || null;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  try {
+    const rows = await getQuarantinedReadings(senderId, limit);
+
+    res.status(200).json({
+      readings: rows.map(row => ({
+        ...row,
+        payload_json: undefined,
+        errors_json: undefined,
+        payload: JSON.parse(row.payload_json),
+        errors: JSON.parse(row.errors_json)
+      })),
+      count: rows.length
+    });
+
+  } catch (err) {
+    console.error('❌ Error getting quarantined readings:', err);
+    await logEvent('error', 'get_quarantine_failed', err.message);
+    next(createError(500, err.message));
+  }
+});
+
+// ============================================================================
+// Live Streaming Routes
+// ============================================================================
+
+/**
+ * Intervall für Keep-Alive-Kommentare im Stream (verhindert Proxy-Timeouts)
+ */
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * GET /stream - Server-Sent Events for new readings and triggered alerts
+ * Query params: sender (comma-separated sender IDs, optional),
+ *               types (reading,alert; default: both),
+ *               lastEventId (alternative to the Last-Event-ID header)
+ * After a reconnect, missed events are replayed from the Last-Event-ID on. If
+ * they are no longer available, a "resync" event tells the client to reload
+ * via the REST endpoints.
+ * Muss vor GET /:senderId registriert werden
+ */
+router.get('/stream', (req, res) => {
+  const senders = req.query.sender ? String(req.query.sender).split(',').filter(Boolean) : null;
+  const types = req.query.types ? String(req.query.types).split(',') : liveEvents.EVENT_TYPES;
+
+  const invalidTypes = types.filter(type => !liveEvents.EVENT_TYPES.includes(type));
+  if (invalidTypes.length > 0) {
+    return res.status(400).json({
+      status: 'error',
+      error: `Invalid types. Must be any of: ${liveEvents.EVENT_TYPES.join(', ')}`
+    });
+  }
+
+  const matches = (event) => types.includes(event.type) &&
+    (!senders || senders.includes(event.sender_id));
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    // compression() buffers the response otherwise
+    if (res.flush) res.flush();
+  };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  // Resume after reconnect
+  const lastEventId = parseInt(req.get('last-event-id') || req.query.lastEventId);
+  if (!isNaN(lastEventId)) {
+    const { events, complete } = liveEvents.replaySince(lastEventId);
+    if (!complete) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Events since last ID are no longer available' })}\n\n`);
+    }
+    events.filter(matches).forEach(send);
+  }
+  if (res.flush) res.flush();
+
+  const unsubscribe = liveEvents.subscribe((event) => {
+    if (matches(event)) send(event);
+  }, () => res.end());
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    if (res.flush) res.flush();
+  }, STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * GET /alerts - List alerts of all senders
+ * Query params (all optional): sender_id, type (alert_type), state
+ * (ok|pending|firing|resolved), active (true|false, default: all)
+ * Muss vor GET /:senderId registriert werden
+ */
+router.get('/alerts', async (req, res, next) => {
+  const { sender_id: senderId, type, state, active } = req.query;
+
+  const alertType = type !== undefined ? normalizeAlertType(type) : null;
+  if (type !== undefined && !alertType) {
+    return res.status(400).json({ status: 'error', error: `Invalid type: ${type}` });
+  }
+
+  if (state !== undefined && !ALERT_STATES.includes(state)) {
+    return res.status(400).json({
+      status: 'error',
+      error: `Invalid state. Must be one of: ${ALERT_STATES.join(', ')}`
+    });
+  }
+
+  if (active !== undefined && active !== 'true' && active !== 'false') {
+    return res.status(400).json({ status: 'error', error: 'active must be true or false' });
+  }
+
+  try {
+    const alerts = await getAlerts({
+      senderId: senderId || null,
+      alertType,
+      state: state || null,
+      active: active !== undefined ? active === 'true' : null
+    });
+
+    res.status(200).json({
+      alerts: alerts,
+      count: alerts.length
+    });
+
+  } catch (err) {
+    console.error('❌ Error getting alerts:', err);
+    await logEvent('error', 'get_alerts_failed', err.message, senderId || null);
+    next(createError(500, err.message));
+  }
+});
+
 // ============================================================================
 // GET Routes - Data Retrieval
 // ============================================================================
 
 /**
  * GET /current/:senderId - Get latest weather data for a sender
+ * Includes online_status ('online', 'offline', 'unknown') and last_seen_at
+ * (unix seconds) from the sender watchdog. Values are calibrated unless ?raw=true.
+ * derived: dew_point, heat_index, absolute_humidity, sea_level_pressure or all
  */
 router.get('/current/:senderId', async (req, res, next) => {
   const senderId = req.params.senderId;
+  const derived = resolveDerived(req.query.derived);
+
+  if (derived.error) {
+    return res.status(400).json({ status: 'error', error: derived.error });
+  }
 
   try {
     const sender = await getSender(senderId);
@@ -187,13 +387,20 @@ router.get('/current/:senderId', async (req, res, next) => {
       return next(createError(404, `Keine Daten gefunden für Sender ID: ${senderId}`));
     }
 
-    const data = await getLatestWeatherData(senderId);
+    const latest = await getLatestWeatherData(senderId);
     
-    if (!data) {
+    if (!latest) {
       return next(createError(404, 'Keine aktuellen Daten gefunden'));
     }
+
+    const [data] = deriveReadings(calibrateReadings([latest], await resolveCalibrations(senderId, req.query)),
+      derived.metrics, sender);
     
-    res.status(200).json(data);
+    res.status(200).json({
+      ...data,
+      online_status: sender.online_status,
+      last_seen_at: sender.last_seen_at
+    });
     
   } catch (error) {
     console.error('❌ Error:', error);
@@ -204,17 +411,20 @@ router.get('/current/:senderId', async (req, res, next) => {
 
 /**
  * GET /:senderId - Get hourly weather data samples
- * Query params: hours (default: 5, max: 720 = 30 days)
+ * Query params: hours (default: 5, max: 720 = 30 days) or from/to
+ * (ISO 8601 or unix seconds, at most 720 hours apart), raw (true: without
+ * calibration)
  */
 router.get('/:senderId', async (req, res, next) => {
   const senderId = req.params.senderId;
-  let hours = parseInt(req.query.hours) || 5;
+  const window = resolveTimeWindow(req.query, {
+    defaultHours: 5,
+    maxHours: MAX_HOURS.STANDARD,
+    maxSpanHours: MAX_HOURS.STANDARD
+  });
 
-  // Validate hours parameter
-  if (isNaN(hours) || hours < 1) {
-    hours = 5;
-  } else if (hours > MAX_HOURS.STANDARD) {
-    hours = MAX_HOURS.STANDARD;
+  if (window.error) {
+    return res.status(400).json({ status: 'error', error: window.error });
   }
 
   try {
@@ -224,13 +434,13 @@ router.get('/:senderId', async (req, res, next) => {
       return next(createError(404, `Keine Daten gefunden für Sender ID: ${senderId}`));
     }
 
-    const data = await getHourlySamples(senderId, hours);
-    
-    console.log(`✅ Gefundene Einträge für ${senderId} (${hours}h):`, data.length);
-    console.log('📊 Sample data:', data.length > 0 ? data[0] : 'KEINE DATEN');
+    const data = calibrateReadings(await getHourlySamples(senderId, window),
+      await resolveCalibrations(senderId, req.query));
     
     res.status(200).json({ 
-      data: data
+      data: data,
+      from: window.from,
+      to: window.to
     });
     
   } catch (error) {
@@ -242,17 +452,19 @@ router.get('/:senderId', async (req, res, next) => {
 
 /**
  * GET /:senderId/range - Get all data in a time range
- * Query params: hours (default: 24, max: 720 = 30 days)
+ * Query params: hours (default: 24, max: 720 = 30 days) or from/to
+ * (ISO 8601 or unix seconds), limit (page size), cursor (next_cursor of the
+ * previous page), raw (true: without calibration), derived (derived metrics,
+ * see /current/:senderId)
  */
 router.get('/:senderId/range', async (req, res, next) => {
   const senderId = req.params.senderId;
-  let hours = parseInt(req.query.hours) || 24;
+  const window = resolveTimeWindow(req.query, { defaultHours: 24, maxHours: MAX_HOURS.STANDARD });
+  const page = resolvePage(req.query, ['t', 'id']);
+  const derived = resolveDerived(req.query.derived);
 
-  // Validate hours parameter
-  if (isNaN(hours) || hours < 1) {
-    hours = 24;
-  } else if (hours > MAX_HOURS.STANDARD) {
-    hours = MAX_HOURS.STANDARD;
+  if (window.error || page.error || derived.error) {
+    return res.status(400).json({ status: 'error', error: window.error || page.error || derived.error });
   }
 
   try {
@@ -262,13 +474,21 @@ router.get('/:senderId/range', async (req, res, next) => {
       return next(createError(404, `Sender nicht gefunden: ${senderId}`));
     }
 
-    const data = await getWeatherDataRange(senderId, hours);
+    // One extra row tells whether another page follows
+    const rows = await getWeatherDataRange(senderId, window, { limit: page.limit + 1, after: page.after });
+    const data = deriveReadings(
+      calibrateReadings(rows.slice(0, page.limit), await resolveCalibrations(senderId, req.query)),
+      derived.metrics, sender);
+    const last = data[data.length - 1];
     
     res.status(200).json({ 
       sender: sender,
       data: data,
-      hours: hours,
-      count: data.length
+      hours: window.hours,
+      from: window.from,
+      to: window.to,
+      count: data.length,
+      next_cursor: rows.length > page.limit ? encodeCursor({ t: last.unix_timestamp, id: last.id }) : null
     });
     
   } catch (error) {
@@ -279,18 +499,18 @@ router.get('/:senderId/range', async (req, res, next) => {
 });
 
 /**
- * GET /:senderId/averages - Get hourly averages
- * Query params: hours (default: 24, max: 720 = 30 days)
+ * GET /:senderId/averages - Get hourly averages (local hours)
+ * Query params: hours (default: 24, max: 720 = 30 days) or from/to
+ * (ISO 8601 or unix seconds), tz, limit (page size), cursor (next_cursor of the
+ * previous page), raw (true: without calibration)
  */
 router.get('/:senderId/averages', async (req, res, next) => {
   const senderId = req.params.senderId;
-  let hours = parseInt(req.query.hours) || 24;
+  const window = resolveTimeWindow(req.query, { defaultHours: 24, maxHours: MAX_HOURS.STANDARD });
+  const page = resolvePage(req.query, ['bucket']);
 
-  // Validate hours parameter
-  if (isNaN(hours) || hours < 1) {
-    hours = 24;
-  } else if (hours > MAX_HOURS.STANDARD) {
-    hours = MAX_HOURS.STANDARD;
+  if (window.error || page.error) {
+    return res.status(400).json({ status: 'error', error: window.error || page.error });
   }
 
   try {
@@ -300,12 +520,21 @@ router.get('/:senderId/averages', async (req, res, next) => {
       return next(createError(404, `Sender nicht gefunden: ${senderId}`));
     }
 
-    const data = await getHourlyAverages(senderId, hours);
+    const calibrations = calibrationSegments(await resolveCalibrations(senderId, req.query));
+    const rows = await getHourlyAverages(senderId, window, { limit: page.limit + 1, after: page.after }, calibrations);
+    const data = rows.slice(0, page.limit).map((row) => {
+      const time = formatLocalIso(row.bucket, window.timeZone);
+      return { hour: `${time.slice(0, 10)} ${time.slice(11, 19)}`, time, ...row };
+    });
     
     res.status(200).json({ 
       sender: sender,
       data: data,
-      hours: hours
+      hours: window.hours,
+      from: window.from,
+      to: window.to,
+      tz: window.timeZone,
+      next_cursor: rows.length > page.limit ? encodeCursor({ bucket: data[data.length - 1].bucket }) : null
     });
     
   } catch (error) {
@@ -315,15 +544,118 @@ router.get('/:senderId/averages', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /:senderId/aggregate - Get aggregated or downsampled data for charts
+ * Query params: hours or from/to, tz (default: Europe/Berlin), and either
+ * interval (5m|15m|1h|1d|1w|1M, default: 1h), agg (avg,min,max,last,count),
+ * fields (default: all measured fields), derived (derived metrics as
+ * <metric>_avg/<metric>_last, computed from the avg/last values of the
+ * fields they need; those fields are added)
+ * or points (LTTB downsampling to N points, reads every reading of the window,
+ * so from/to may be at most 720 hours apart) and field (default: temperature)
+ * raw=true returns values without calibration
+ */
+router.get('/:senderId/aggregate', async (req, res, next) => {
+  const senderId = req.params.senderId;
+  const window = resolveTimeWindow(req.query, {
+    defaultHours: 24,
+    maxHours: MAX_HOURS.STANDARD,
+    maxSpanHours: req.query.points !== undefined ? MAX_HOURS.STANDARD : null
+  });
+
+  if (window.error) {
+    return res.status(400).json({ status: 'error', error: window.error });
+  }
+
+  const aggregation = resolveAggregation(req.query, window);
+  const derived = resolveDerived(req.query.derived);
+
+  if (aggregation.error || derived.error) {
+    return res.status(400).json({ status: 'error', error: aggregation.error || derived.error });
+  }
+
+  if (derived.metrics.length > 0) {
+    if (aggregation.mode === 'lttb' || !aggregation.aggs.some(agg => DERIVED_AGGS.includes(agg))) {
+      return res.status(400).json({
+        status: 'error',
+        error: `derived requires interval mode with agg ${DERIVED_AGGS.join(' or ')}`
+      });
+    }
+    aggregation.fields = [...new Set([...aggregation.fields, ...derivedInputs(derived.metrics)])];
+  }
+
+  try {
+    const sender = await getSender(senderId);
+    
+    if (!sender) {
+      return next(createError(404, `Sender nicht gefunden: ${senderId}`));
+    }
+
+    const calibrations = await resolveCalibrations(senderId, req.query);
+
+    if (aggregation.mode === 'lttb') {
+      const { field, points } = aggregation;
+      const series = calibrateReadings(await getFieldSeries(senderId, window, field), calibrations);
+      const data = lttb(series, points, row => row.unix_timestamp, row => row[field]);
+
+      return res.status(200).json({
+        sender: sender,
+        from: window.from,
+        to: window.to,
+        field: field,
+        points: data.length,
+        total: series.length,
+        data: data
+      });
+    }
+
+    const rows = await getBucketedData(senderId, window, baseBucketSeconds(aggregation.interval), aggregation.fields,
+      calibrationSegments(calibrations));
+    const data = deriveAggregates(aggregateBuckets(rows, { ...aggregation, timeZone: window.timeZone }),
+      derived.metrics, aggregation.aggs, sender);
+
+    res.status(200).json({
+      sender: sender,
+      from: window.from,
+      to: window.to,
+      tz: window.timeZone,
+      interval: aggregation.interval,
+      agg: aggregation.aggs,
+      fields: aggregation.fields,
+      derived: derived.metrics,
+      data: data
+    });
+    
+  } catch (error) {
+    console.error('❌ Error:', error);
+    await logEvent('error', 'get_aggregate_failed', error.message, senderId);
+    next(createError(500, error.message));
+  }
+});
+
 /**
  * GET /:senderId/statistics - Get statistics
- * Query params: type (hourly/daily/weekly/monthly), limit (default: 24)
+ * Query params: type (hourly/daily/weekly/monthly), limit (default: 24),
+ * raw (true: without calibration)
+ * Rollups are computed in the background (services/statisticsRollup.js) from
+ * raw values and calibrated here: periods one calibration covers completely
+ * are corrected with it, periods a calibration starts or ends within are
+ * recomputed from their readings. If those readings were purged, the
+ * calibration at the start of the period is applied and the row is marked
+ * with calibration_approximate.
  */
 router.get('/:senderId/statistics', async (req, res, next) => {
   const senderId = req.params.senderId;
   const statType = req.query.type || 'hourly';
   const limit = parseInt(req.query.limit) || 24;
 
+  if (!STAT_TYPES[statType]) {
+    return res.status(400).json({
+      status: 'error',
+      error: `Invalid type. Must be one of: ${Object.keys(STAT_TYPES).join(', ')}`
+    });
+  }
+
   try {
     const sender = await getSender(senderId);
     
@@ -331,12 +663,38 @@ router.get('/:senderId/statistics', async (req, res, next) => {
       return next(createError(404, `Sender nicht gefunden: ${senderId}`));
     }
 
-    const stats = await getStatistics(senderId, statType, limit);
+    // period_start/period_end are stored in UTC, periods follow local time
+    const toUnix = (datetime) => Date.parse(`${datetime.replace(' ', 'T')}Z`) / 1000;
+    const toLocal = (datetime) => formatLocalIso(toUnix(datetime), DEFAULT_TIMEZONE);
+
+    const calibrations = await resolveCalibrations(senderId, req.query);
+    const segments = calibrationSegments(calibrations);
+    const purgedUntil = calibrations ? (await getPurgedUntil()).get(senderId) : undefined;
+    const stats = [];
+
+    for (const row of await getStatistics(senderId, statType, limit)) {
+      const period = { start: toUnix(row.period_start), end: toUnix(row.period_end) };
+      const [corrected] = calibrateAggregates([row], calibrations, () => period.start, STATISTICS_COLUMNS);
+
+      if (!calibrationChangesWithin(segments, Object.keys(STATISTICS_COLUMNS), period.start, period.end)) {
+        stats.push(corrected);
+      } else if (purgedUntil === undefined || period.start > purgedUntil) {
+        stats.push({ ...row, ...await getCalibratedStatistics(senderId, period, segments) });
+      } else {
+        stats.push({ ...corrected, calibration_approximate: true });
+      }
+    }
     
     res.status(200).json({ 
       sender: sender,
-      statistics: stats,
-      type: statType
+      statistics: stats.map(row => ({
+        ...row,
+        period_start_local: toLocal(row.period_start),
+        period_end_local: toLocal(row.period_end)
+      })),
+      type: statType,
+      tz: DEFAULT_TIMEZONE,
+      calibration: calibrations ? 'per_reading' : null
     });
     
   } catch (error) {
@@ -374,10 +732,15 @@ router.get('/senders/list', async (req, res, next) => {
 
 /**
  * GET /senders/all - Get all senders with details
+ * Each sender includes online_status, last_seen_at, status_changed_at and its
+ * configured (expected_interval_seconds) or learned reporting interval.
+ * Query params: include_inactive=true also lists deactivated senders
  */
 router.get('/senders/all', async (req, res, next) => {
+  const includeInactive = req.query.include_inactive === 'true' || req.query.include_inactive === '1';
+
   try {
-    const senders = await getAllSenders();
+    const senders = await getAllSenders({ includeInactive });
     
     res.status(200).json({ 
       senders: senders,
@@ -391,19 +754,190 @@ router.get('/senders/all', async (req, res, next) => {
   }
 });
 
+/**
+ * Builds the health report of a sender for a time window
+ * @param {Object} sender - Sender row
+ * @param {Object} window - Resolved time window
+ * @returns {Promise<Object>}
+ */
+async function senderHealthReport(sender, window) {
+  const samples = await getDeviceSamples(sender.sender_id, window);
+
+  return {
+    sender_id: sender.sender_id,
+    name: sender.name,
+    location: sender.location,
+    online_status: sender.online_status,
+    last_seen_at: sender.last_seen_at,
+    readings: samples.length,
+    ...deviceHealth(sender, samples)
+  };
+}
+
+/**
+ * GET /senders/health - Device health of all active senders
+ * Senders that need service come first, ordered by predicted days until the
+ * battery is empty. Query params: hours (default: 168 = 7 days) or from/to
+ */
+router.get('/senders/health', async (req, res, next) => {
+  const window = resolveTimeWindow(req.query, { defaultHours: DEFAULT_WINDOW_HOURS, maxHours: MAX_HOURS.STANDARD });
+
+  if (window.error) {
+    return res.status(400).json({ status: 'error', error: window.error });
+  }
+
+  try {
+    const reports = [];
+    for (const sender of await getAllSenders()) {
+      reports.push(await senderHealthReport(sender, window));
+    }
+
+    const daysLeft = report => report.battery.days_until_empty ?? Infinity;
+    reports.sort((a, b) => (b.needs_service - a.needs_service) || (daysLeft(a) - daysLeft(b)));
+
+    res.status(200).json({
+      from: window.from,
+      to: window.to,
+      senders: reports,
+      count: reports.length,
+      needs_service: reports.filter(report => report.needs_service).length
+    });
+
+  } catch (err) {
+    console.error('❌ Error getting device health:', err);
+    await logEvent('error', 'get_device_health_failed', err.message);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * GET /senders/:senderId/health - Device health of a sender
+ * Battery level, discharge rate (%/day) and predicted days until empty,
+ * signal strength with trend (dBm/day) and quality, packet loss estimated
+ * from gaps between readings, plus needs_service with its reasons.
+ * Query params: hours (default: 168 = 7 days) or from/to
+ */
+router.get('/senders/:senderId/health', async (req, res, next) => {
+  const senderId = req.params.senderId;
+  const window = resolveTimeWindow(req.query, { defaultHours: DEFAULT_WINDOW_HOURS, maxHours: MAX_HOURS.STANDARD });
+
+  if (window.error) {
+    return res.status(400).json({ status: 'error', error: window.error });
+  }
+
+  try {
+    const sender = await getSender(senderId);
+    if (!sender) {
+      return next(createError(404, `Sender nicht gefunden: ${senderId}`));
+    }
+
+    res.status(200).json({
+      from: window.from,
+      to: window.to,
+      ...await senderHealthReport(sender, window)
+    });
+
+  } catch (err) {
+    console.error('❌ Error getting device health:', err);
+    await logEvent('error', 'get_device_health_failed', err.message, senderId);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * Validates the optional sender fields of POST and PUT /senders
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message or null if valid
+ */
+function validateSenderFields(body) {
+  const { latitude, longitude, elevation, expected_interval_seconds } = body;
+
+  if (latitude !== undefined && latitude !== null &&
+      (typeof latitude !== 'number' || !Number.isFinite(latitude) || latitude < -90 || latitude > 90)) {
+    return 'latitude must be a number between -90 and 90 or null';
+  }
+
+  if (longitude !== undefined && longitude !== null &&
+      (typeof longitude !== 'number' || !Number.isFinite(longitude) || longitude < -180 || longitude > 180)) {
+    return 'longitude must be a number between -180 and 180 or null';
+  }
+
+  if (elevation !== undefined && elevation !== null &&
+      (typeof elevation !== 'number' || !Number.isFinite(elevation) || elevation < -500 || elevation > 9000)) {
+    return 'elevation must be a number between -500 and 9000 (meters above sea level) or null';
+  }
+
+  if (expected_interval_seconds !== undefined && expected_interval_seconds !== null &&
+      (!Number.isInteger(expected_interval_seconds) || expected_interval_seconds <= 0)) {
+    return 'expected_interval_seconds must be a positive integer or null';
+  }
+
+  return null;
+}
+
+/**
+ * POST /senders - Create a sender
+ * Body: { sender_id, name?, location?, description?, latitude?, longitude?, elevation?, expected_interval_seconds? }
+ * The ingestion key is issued separately (POST /senders/:senderId/api-key).
+ * Requires role: admin
+ */
+router.post('/senders', requireRole('admin'), async (req, res, next) => {
+  const body = req.body || {};
+  const senderId = typeof body.sender_id === 'number' ? String(body.sender_id) : body.sender_id;
+
+  if (typeof senderId !== 'string' || !SENDER_ID_PATTERN.test(senderId)) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'sender_id must be 1-64 characters (letters, digits, "_" or "-")'
+    });
+  }
+
+  const error = validateSenderFields(body);
+  if (error) {
+    return res.status(400).json({ status: 'error', error });
+  }
+
+  try {
+    if (await getSender(senderId)) {
+      return next(createError(409, `Sender existiert bereits: ${senderId}`));
+    }
+
+    await createSender(senderId, body);
+    const sender = await getSender(senderId);
+
+    await logAudit(req, 'sender_created', `Sender ${senderId} angelegt`, senderId);
+
+    res.status(201).json({
+      status: 'success',
+      sender
+    });
+
+  } catch (err) {
+    console.error('❌ Error creating sender:', err);
+    await logEvent('error', 'create_sender_failed', err.message);
+    next(createError(500, err.message));
+  }
+});
+
 /**
  * PUT /senders/:senderId - Update sender information
- * Body: { name?, location?, description?, is_active? }
+ * Body: { name?, location?, description?, latitude?, longitude?, elevation?, is_active?, expected_interval_seconds? }
+ * latitude/longitude: WGS84 coordinates (null clears them)
+ * elevation: meters above sea level, used for sea_level_pressure
+ * expected_interval_seconds: reporting interval for the watchdog (null = learn
+ * from the history)
+ * Requires role: admin
  */
-router.put('/senders/:senderId', async (req, res, next) => {
+router.put('/senders/:senderId', requireRole('admin'), async (req, res, next) => {
   const senderId = req.params.senderId;
-  const { name, location, description, is_active } = req.body;
+  const { name, location, description, latitude, longitude, elevation, is_active, expected_interval_seconds } = req.body;
 
   // Validation: at least one field must be provided
-  if (!name && !location && !description && is_active === undefined) {
+  if (!name && !location && !description && latitude === undefined && longitude === undefined &&
+      elevation === undefined && is_active === undefined && expected_interval_seconds === undefined) {
     return res.status(400).json({
       status: 'error',
-      error: 'At least one field (name, location, description, is_active) must be provided'
+      error: 'At least one field (name, location, description, latitude, longitude, elevation, is_active, expected_interval_seconds) must be provided'
     });
   }
 
@@ -423,6 +957,14 @@ router.put('/senders/:senderId', async (req, res, next) => {
     });
   }
 
+  const fieldError = validateSenderFields(req.body);
+  if (fieldError) {
+    return res.status(400).json({
+      status: 'error',
+      error: fieldError
+    });
+  }
+
   try {
     // Check if sender exists
     const existingSender = await getSender(senderId);
@@ -430,11 +972,13 @@ router.put('/senders/:senderId', async (req, res, next) => {
       return next(createError(404, `Sender nicht gefunden: ${senderId}`));
     }
 
-    await updateSender(senderId, { name, location, description, is_active });
+    await updateSender(senderId, { name, location, description, latitude, longitude, elevation, is_active, expected_interval_seconds });
     
     const updated = await getSender(senderId);
     
-    await logEvent('info', 'sender_updated', `Sender ${senderId} aktualisiert`, senderId);
+    await logAudit(req, 'sender_updated', `Sender ${senderId} aktualisiert`, senderId,
+      { changes: { name, location, description, latitude, longitude, elevation, is_active, expected_interval_seconds } }
+    );
     
     res.status(200).json({
       status: 'success',
@@ -448,56 +992,173 @@ router.put('/senders/:senderId', async (req, res, next) => {
   }
 });
 
-// ============================================================================
-// Alert Management Routes
-// ============================================================================
-
 /**
- * POST /alerts - Create a new alert
- * Body: { sender_id, alert_type, condition, threshold_value }
+ * POST /senders/:senderId/api-key - Issue or rotate the ingestion key
+ * The new key is only returned once; the old key stops working immediately.
+ * Requires role: admin
  */
-router.post('/alerts', async (req, res, next) => {
-  const { sender_id, alert_type, condition, threshold_value } = req.body;
+router.post('/senders/:senderId/api-key', requireRole('admin'), async (req, res, next) => {
+  const senderId = req.params.senderId;
 
-  // Input Validation
-  if (!sender_id || !alert_type || !condition || threshold_value === undefined) {
-    return res.status(400).json({
-      status: 'error',
-      error: 'Missing required fields: sender_id, alert_type, condition, threshold_value'
+  try {
+    const sender = await getSender(senderId);
+    if (!sender) {
+      return next(createError(404, `Sender nicht gefunden: ${senderId}`));
+    }
+
+    const apiKey = await issueApiKey(senderId);
+
+    await logAudit(req, sender.api_key_created_at ? 'api_key_rotated' : 'api_key_issued',
+      `API-Key für Sender ${senderId} ausgestellt`, senderId
+    );
+
+    res.status(201).json({
+      status: 'success',
+      sender_id: senderId,
+      api_key: apiKey
     });
+
+  } catch (err) {
+    console.error('❌ Error issuing API key:', err);
+    await logEvent('error', 'issue_api_key_failed', err.message, senderId);
+    next(createError(500, err.message));
   }
+});
 
-  // Validate alert_type
-  if (!VALID_ALERT_TYPES.includes(alert_type)) {
-    return res.status(400).json({
-      status: 'error',
-      error: `Invalid alert_type. Must be one of: ${VALID_ALERT_TYPES.join(', ')}`
+/**
+ * DELETE /senders/:senderId - Delete a sender with all its data
+ * Readings, alerts, statistics and sensor installations are deleted as well.
+ * Senders with readings are only deleted with ?purge=true (otherwise 409);
+ * to keep the data, deactivate the sender instead (PUT is_active=false).
+ * Requires role: admin
+ */
+router.delete('/senders/:senderId', requireRole('admin'), async (req, res, next) => {
+  const senderId = req.params.senderId;
+  const purge = req.query.purge === 'true' || req.query.purge === '1';
+
+  try {
+    const sender = await getSender(senderId);
+    if (!sender) {
+      return next(createError(404, `Sender nicht gefunden: ${senderId}`));
+    }
+
+    const readings = await countSenderReadings(senderId);
+    if (readings > 0 && !purge) {
+      return next(createError(409,
+        `Sender ${senderId} hat ${readings} Messwerte; zum Löschen mit allen Daten ?purge=true angeben`));
+    }
+
+    await deleteSender(senderId);
+
+    // The sender row is gone, so the log entry references it only in the metadata
+    await logAudit(req, 'sender_deleted', `Sender ${senderId} (${sender.name}) mit ${readings} Messwerten gelöscht`, null,
+      { sender_id: senderId, readings });
+
+    res.status(200).json({
+      status: 'success',
+      sender_id: senderId,
+      deleted_readings: readings
     });
+
+  } catch (err) {
+    console.error('❌ Error deleting sender:', err);
+    await logEvent('error', 'delete_sender_failed', err.message, senderId);
+    next(createError(500, err.message));
   }
+});
 
-  // Validate condition
-  if (!VALID_CONDITIONS.includes(condition)) {
-    return res.status(400).json({
-      status: 'error',
-      error: `Invalid condition. Must be one of: ${VALID_CONDITIONS.join(', ')}`
-    });
+/**
+ * POST /senders/:senderId/merge - Merge a sender into another one
+ * Body: { target_sender_id }
+ * Moves readings, statistics, alerts with their history and sensor
+ * installations of :senderId to the target in one transaction and deletes
+ * :senderId. Readings the target already has at the same time are dropped.
+ * Log entries stay on :senderId; the merge itself is logged as sender_merged.
+ * Requires role: admin
+ */
+router.post('/senders/:senderId/merge', requireRole('admin'), async (req, res, next) => {
+  const senderId = req.params.senderId;
+  const rawTarget = (req.body || {}).target_sender_id;
+  const targetId = typeof rawTarget === 'number' ? String(rawTarget) : rawTarget;
+
+  if (typeof targetId !== 'string' || targetId === '') {
+    return res.status(400).json({ status: 'error', error: 'Missing required field: target_sender_id' });
   }
 
-  // Validate threshold_value is a number
-  const threshold = parseFloat(threshold_value);
-  if (isNaN(threshold)) {
-    return res.status(400).json({
-      status: 'error',
-      error: 'threshold_value must be a valid number'
+  if (targetId === senderId) {
+    return res.status(400).json({ status: 'error', error: 'A sender cannot be merged into itself' });
+  }
+
+  try {
+    const [source, target] = await Promise.all([getSender(senderId), getSender(targetId)]);
+    if (!source) {
+      return next(createError(404, `Sender nicht gefunden: ${senderId}`));
+    }
+    if (!target) {
+      return next(createError(404, `Sender nicht gefunden: ${targetId}`));
+    }
+
+    const moved = await mergeSenders(senderId, targetId);
+
+    await logAudit(req, 'sender_merged', `Sender ${senderId} in Sender ${targetId} zusammengeführt`, targetId,
+      { source_sender_id: senderId, moved });
+
+    res.status(200).json({
+      status: 'success',
+      source_sender_id: senderId,
+      sender: await getSender(targetId),
+      moved
     });
+
+  } catch (err) {
+    console.error('❌ Error merging senders:', err);
+    await logEvent('error', 'merge_senders_failed', err.message, targetId);
+    next(createError(500, err.message));
+  }
+});
+
+// ============================================================================
+// Alert Management Routes
+// ============================================================================
+
+/**
+ * Reads the alert ID from the route and loads the alert
+ * @param {Object} req - Express Request
+ * @returns {Promise<Object|null>} Alert or null if not found
+ */
+async function findAlert(req) {
+  const alertId = parseInt(req.params.alertId);
+  return isNaN(alertId) ? null : getAlert(alertId);
+}
+
+/**
+ * POST /alerts - Create a new alert
+ * Body: { sender_id, alert_type, condition, threshold_value,
+ *   clear_threshold?, duration_minutes?, cooldown_minutes? }
+ * clear_threshold: a firing alert ends only once the value no longer meets the
+ * condition against this threshold (hysteresis, default: threshold_value)
+ * duration_minutes: condition must hold this long before the alert fires
+ * cooldown_minutes: minimum time between the end of a firing and the next one
+ * Requires role: teacher
+ */
+router.post('/alerts', requireRole('teacher'), async (req, res, next) => {
+  const { values, error } = validateAlertRule(req.body || {});
+
+  if (error) {
+    return res.status(400).json({ status: 'error', error });
   }
 
   try {
-    const result = await createAlert({ sender_id, alert_type, condition, threshold_value: threshold });
+    if (!await getSender(values.sender_id)) {
+      return next(createError(404, `Sender nicht gefunden: ${values.sender_id}`));
+    }
+
+    const result = await createAlert(values);
     
-    await logEvent('info', 'alert_created', 
-      `Alert erstellt: ${alert_type} ${condition} ${threshold}`, 
-      sender_id
+    await logAudit(req, 'alert_created', 
+      `Alert erstellt: ${values.alert_type} ${values.condition} ${values.threshold_value}`, 
+      values.sender_id,
+      { alert_id: result.lastID }
     );
     
     res.status(201).json({
@@ -507,45 +1168,227 @@ router.post('/alerts', async (req, res, next) => {
     
   } catch (err) {
     console.error('❌ Error creating alert:', err);
-    await logEvent('error', 'create_alert_failed', err.message, sender_id);
+    await logEvent('error', 'create_alert_failed', err.message, values.sender_id);
     next(createError(500, err.message));
   }
 });
 
 /**
- * GET /alerts/:senderId - Get alerts for a sender
+ * GET /alerts/events - Firing history of alerts (newest first)
+ * Query params: sender_id, alert_id (both optional), limit (default: 100, max: 1000)
+ * Each event has started_at and ended_at (unix seconds, null while firing)
  */
-router.get('/alerts/:senderId', async (req, res, next) => {
-  const senderId = req.params.senderId;
+router.get('/alerts/events', async (req, res, next) => {
+  const senderId = req.query.sender_id || null;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  let alertId = null;
+  if (req.query.alert_id !== undefined) {
+    alertId = parseInt(req.query.alert_id);
+    if (isNaN(alertId)) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'alert_id must be a number'
+      });
+    }
+  }
 
   try {
-    const alerts = await getAlerts(senderId);
-    
+    const events = await getAlertEvents({ senderId, alertId, limit });
+
     res.status(200).json({
-      sender_id: senderId,
-      alerts: alerts,
-      count: alerts.length
+      events: events,
+      count: events.length
     });
-    
+
   } catch (err) {
-    console.error('❌ Error getting alerts:', err);
-    await logEvent('error', 'get_alerts_failed', err.message, senderId);
+    console.error('❌ Error getting alert events:', err);
+    await logEvent('error', 'get_alert_events_failed', err.message, senderId);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * GET /alerts/:alertId - Get one alert with its current state
+ */
+router.get('/alerts/:alertId', async (req, res, next) => {
+  try {
+    const alert = await findAlert(req);
+    if (!alert) {
+      return next(createError(404, `Alert nicht gefunden: ${req.params.alertId}`));
+    }
+
+    res.status(200).json(alert);
+
+  } catch (err) {
+    console.error('❌ Error getting alert:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * GET /alerts/:alertId/events - Firing history of one alert
+ * Query params: limit (default: 100, max: 1000)
+ */
+router.get('/alerts/:alertId/events', async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+  try {
+    const alert = await findAlert(req);
+    if (!alert) {
+      return next(createError(404, `Alert nicht gefunden: ${req.params.alertId}`));
+    }
+
+    const events = await getAlertEvents({ alertId: alert.id, limit });
+
+    res.status(200).json({
+      alert_id: alert.id,
+      events: events,
+      count: events.length
+    });
+
+  } catch (err) {
+    console.error('❌ Error getting alert events:', err);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * Replaces (PUT) or changes (PATCH) an alert
+ * Validated like POST /alerts; PUT needs all required fields and resets the
+ * optional settings that are left out, PATCH changes only the given fields.
+ * @param {boolean} partial - PATCH semantics
+ * @returns {Function} Express handler
+ */
+function updateAlertHandler(partial) {
+  return async (req, res, next) => {
+    const { values, error } = validateAlertRule(req.body || {}, { partial });
+
+    if (error) {
+      return res.status(400).json({ status: 'error', error });
+    }
+
+    try {
+      const alert = await findAlert(req);
+      if (!alert) {
+        return next(createError(404, `Alert nicht gefunden: ${req.params.alertId}`));
+      }
+
+      const clearError = partial ? clearThresholdError({ ...alert, ...values }) : null;
+      if (clearError) {
+        return res.status(400).json({ status: 'error', error: clearError });
+      }
+
+      if (values.sender_id !== undefined && values.sender_id !== alert.sender_id && !await getSender(values.sender_id)) {
+        return next(createError(404, `Sender nicht gefunden: ${values.sender_id}`));
+      }
+
+      const updated = await updateAlert(alert.id, values);
+
+      await logAudit(req, 'alert_updated', `Alert ${alert.id} aktualisiert`, updated.sender_id,
+        { alert_id: alert.id, changes: values });
+
+      res.status(200).json({
+        status: 'success',
+        alert: updated
+      });
+
+    } catch (err) {
+      console.error('❌ Error updating alert:', err);
+      await logEvent('error', 'update_alert_failed', err.message);
+      next(createError(500, err.message));
+    }
+  };
+}
+
+/**
+ * PUT /alerts/:alertId - Replace an alert
+ * Body: same as POST /alerts, plus is_active?
+ * Requires role: teacher
+ */
+router.put('/alerts/:alertId', requireRole('teacher'), updateAlertHandler(false));
+
+/**
+ * PATCH /alerts/:alertId - Change single fields, e.g. { is_active: false } to pause
+ * Body: any of sender_id, alert_type, condition, threshold_value,
+ *   clear_threshold, duration_minutes, cooldown_minutes, is_active
+ * Requires role: teacher
+ */
+router.patch('/alerts/:alertId', requireRole('teacher'), updateAlertHandler(true));
+
+/**
+ * DELETE /alerts/:alertId - Delete an alert with its history
+ * Requires role: teacher
+ */
+router.delete('/alerts/:alertId', requireRole('teacher'), async (req, res, next) => {
+  try {
+    const alert = await findAlert(req);
+    if (!alert) {
+      return next(createError(404, `Alert nicht gefunden: ${req.params.alertId}`));
+    }
+
+    await deleteAlert(alert.id);
+    await logAudit(req, 'alert_deleted',
+      `Alert gelöscht: ${alert.alert_type} ${alert.condition} ${alert.threshold_value}`,
+      alert.sender_id,
+      { alert_id: alert.id }
+    );
+
+    res.status(200).json({ status: 'success' });
+
+  } catch (err) {
+    console.error('❌ Error deleting alert:', err);
+    await logEvent('error', 'delete_alert_failed', err.message);
+    next(createError(500, err.message));
+  }
+});
+
+/**
+ * POST /alerts/:alertId/acknowledge - Acknowledge a firing alert
+ * Only possible while the alert is firing (409 otherwise)
+ * Requires role: teacher
+ */
+router.post('/alerts/:alertId/acknowledge', requireRole('teacher'), async (req, res, next) => {
+  try {
+    const alert = await findAlert(req);
+    if (!alert) {
+      return next(createError(404, `Alert nicht gefunden: ${req.params.alertId}`));
+    }
+
+    if (alert.state !== 'firing') {
+      return next(createError(409, `Alert ${alert.id} ist nicht ausgelöst (Zustand: ${alert.state})`));
+    }
+
+    const updated = await acknowledgeAlert(alert.id, req.user.username);
+    await logAudit(req, 'alert_acknowledged', `Alert ${alert.id} bestätigt`, alert.sender_id,
+      { alert_id: alert.id });
+
+    res.status(200).json({
+      status: 'success',
+      alert: updated
+    });
+
+  } catch (err) {
+    console.error('❌ Error acknowledging alert:', err);
+    await logEvent('error', 'acknowledge_alert_failed', err.message);
     next(createError(500, err.message));
   }
 });
 
 /**
  * GET /visualization/data - Get all data for all senders for 3D visualization
- * Query params: hours (default: 24, max: 168 = 7 days for performance)
+ * Query params: hours (default: 24) or from/to (ISO 8601 or unix seconds),
+ * max. 168 hours = 7 days for performance
  */
 router.get('/visualization/data', async (req, res, next) => {
-  let hours = parseInt(req.query.hours) || 24;
-  
-  // Validate hours parameter (limit for visualization performance)
-  if (isNaN(hours) || hours < 1) {
-    hours = 24;
-  } else if (hours > MAX_HOURS.VISUALIZATION) {
-    hours = MAX_HOURS.VISUALIZATION;
+  const window = resolveTimeWindow(req.query, {
+    defaultHours: 24,
+    maxHours: MAX_HOURS.VISUALIZATION,
+    maxSpanHours: MAX_HOURS.VISUALIZATION
+  });
+
+  if (window.error) {
+    return res.status(400).json({ status: 'error', error: window.error });
   }
   
   try {
@@ -553,7 +1396,8 @@ router.get('/visualization/data', async (req, res, next) => {
     const visualizationData = [];
     
     for (const sender of senders) {
-      const data = await getWeatherDataRange(sender.sender_id, hours);
+      const data = calibrateReadings(await getWeatherDataRange(sender.sender_id, window),
+        await resolveCalibrations(sender.sender_id, req.query));
       
       visualizationData.push({
         sender: sender,
@@ -572,7 +1416,9 @@ router.get('/visualization/data', async (req, res, next) => {
     
     res.status(200).json({
       senders: visualizationData,
-      hours:  hours,
+      hours: window.hours,
+      from: window.from,
+      to: window.to,
       totalSenders: senders.length,
       totalDataPoints: visualizationData.reduce((sum, s) => sum + s.dataPoints.length, 0)
     });
@@ -0,0 +1,59 @@
+const db = require('../database/db');
+const { findDuplicateReadings, deleteDuplicateReadings, logEvent } = require('../database/queries');
+
+// ============================================================================
+// Duplicate Cleanup Script
+// ============================================================================
+
+/**
+ * Finds and removes duplicate readings (same sender and timestamp) that were
+ * stored before duplicate detection existed. Afterwards `npm run migrate`
+ * can create the unique indexes.
+ * Run this script with: node scripts/dedupeWeatherData.js [--dry-run]
+ * @param {boolean} dryRun - Only report, do not delete
+ * @returns {Promise<void>}
+ */
+async function dedupeWeatherData(dryRun = false) {
+  const groups = await findDuplicateReadings();
+  const surplus = groups.reduce((sum, group) => sum + group.count - 1, 0);
+
+  console.log(`🔍 ${groups.length} Zeitstempel mit Duplikaten, ${surplus} überzählige Einträge\n`);
+
+  const perSender = {};
+  for (const group of groups) {
+    perSender[group.sender_id] = (perSender[group.sender_id] || 0) + group.count - 1;
+  }
+  for (const [senderId, count] of Object.entries(perSender)) {
+    console.log(`   - Sender ${senderId}: ${count}`);
+  }
+
+  if (dryRun) {
+    console.log('\n💡 Dry-Run: Es wurde nichts gelöscht.');
+    return;
+  }
+
+  const deleted = await deleteDuplicateReadings();
+
+  await logEvent('info', 'duplicates_removed', `${deleted} doppelte Messwerte entfernt`, null,
+    { deleted, per_sender: perSender }, 'cli');
+
+  console.log(`\n✅ ${deleted} doppelte Einträge gelöscht`);
+  console.log('💡 Unique-Index anlegen: npm run migrate');
+}
+
+// Run if called directly
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  // Wait for DB initialization
+  setTimeout(() => {
+    dedupeWeatherData(dryRun)
+      .then(() => db.close(() => process.exit(0)))
+      .catch((err) => {
+        console.error('❌ Error removing duplicates:', err.message);
+        process.exit(1);
+      });
+  }, 1000);
+}
+
+module.exports = dedupeWeatherData;
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../database/db');
+const { getSender, logEvent } = require('../database/queries');
+const { resolveImportMapping, importReadings } = require('../lib/dataImport');
+
+// ============================================================================
+// Historical Import Script
+// ============================================================================
+
+const USAGE = `Usage:
+  node scripts/importReadings.js <file> [options]
+
+Options (same as the query params of POST /api/import/:format):
+  --mapping=FILE           JSON file with any of the options below (command line wins)
+  --format=csv|ndjson      Default: from the file extension (.csv, .ndjson, .jsonl)
+  --sender=ID              Sender of all rows (otherwise column sender_id/id)
+  --sender_column=NAME     Column with the sender ID
+  --columns=field:column   e.g. temperature:Temp,humidity:RH
+  --units=field:unit       e.g. temperature:F,pressure:Pa
+  --timestamp_column=NAME  Column with unix seconds/ms or ISO 8601 timestamps
+  --tz=ZONE                Time zone of timestamps without offset
+  --delimiter=,|;|tab      CSV delimiter (default: detected)
+  --decimal=,              Decimal comma`;
+
+/**
+ * Dateiendungen und ihr Importformat
+ */
+const FORMAT_EXTENSIONS = { '.csv': 'csv', '.txt': 'csv', '.ndjson': 'ndjson', '.jsonl': 'ndjson' };
+
+/**
+ * Reads all "--name=value" options from the command line
+ * @returns {Object}
+ */
+function commandLineOptions() {
+  const options = {};
+  for (const arg of process.argv.slice(2)) {
+    const match = /^--([a-z_]+)=(.*)$/.exec(arg);
+    if (match) options[match[1]] = match[2];
+  }
+  return options;
+}
+
+/**
+ * Imports a CSV or NDJSON file and prints the import report
+ * Run this script with: node scripts/importReadings.js <file> [--sender=ID] [--mapping=FILE] ...
+ * @param {string} file - Path of the file
+ * @param {Object} options - Mapping options (see USAGE)
+ * @returns {Promise<Object>} Import report
+ */
+async function importFile(file, options) {
+  const { mapping: mappingFile, ...overrides } = options;
+  const input = mappingFile ? { ...JSON.parse(fs.readFileSync(mappingFile, 'utf8')), ...overrides } : overrides;
+  input.format = input.format || FORMAT_EXTENSIONS[path.extname(file).toLowerCase()];
+
+  const mapping = resolveImportMapping(input);
+  if (mapping.error) {
+    throw new Error(mapping.error);
+  }
+
+  if (mapping.sender && !(await getSender(mapping.sender))) {
+    throw new Error(`Sender nicht gefunden: ${mapping.sender}`);
+  }
+
+  console.log(`📥 Importiere ${file} (${mapping.format})...\n`);
+  const report = await importReadings(fs.createReadStream(file), mapping);
+
+  for (const [senderId, counts] of Object.entries(report.per_sender)) {
+    console.log(`   - Sender ${senderId}: ${counts.accepted} neu, ${counts.duplicates} Duplikate, ${counts.rejected} abgelehnt`);
+  }
+
+  for (const error of report.errors) {
+    const details = error.errors ? `: ${error.errors.map(e => (e.field ? `${e.field} ${e.message}` : e.message)).join(', ')}` : '';
+    console.log(`   ⚠️  Zeile ${error.line}: ${error.reason}${details}`);
+  }
+  if (report.errors_truncated) {
+    console.log('   ⚠️  ... weitere abgelehnte Zeilen nicht aufgeführt');
+  }
+
+  await logEvent('info', 'data_imported',
+    `${report.accepted} Messwerte importiert (${report.duplicates} Duplikate, ${report.rejected} abgelehnt)`,
+    mapping.sender, {
+      file: path.basename(file),
+      format: mapping.format,
+      total: report.total,
+      accepted: report.accepted,
+      duplicates: report.duplicates,
+      rejected: report.rejected,
+      from: report.from,
+      to: report.to
+    }, 'cli');
+
+  const range = report.from === null ? '' : ` (${new Date(report.from * 1000).toISOString().slice(0, 10)} bis ` +
+    `${new Date(report.to * 1000).toISOString().slice(0, 10)})`;
+  console.log(`\n✅ ${report.accepted} von ${report.total} Zeilen importiert${range}, ` +
+    `${report.duplicates} Duplikate, ${report.rejected} abgelehnt`);
+
+  return report;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const file = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+  if (!file) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  // Wait for DB initialization
+  setTimeout(() => {
+    importFile(file, commandLineOptions())
+      .then(() => db.close(() => process.exit(0)))
+      .catch((err) => {
+        console.error('❌ Error importing data:', err.message);
+        process.exit(1);
+      });
+  }, 1000);
+}
+
+module.exports = importFile;
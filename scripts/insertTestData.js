@@ -54,7 +54,7 @@ async function insertTestData() {
           humidity: parseFloat(humidity),
           pressure: pressure,
           battery_level: parseFloat(battery),
-          unix: timestamp,
+          unix_timestamp: timestamp,
           hour: hour,
           name: 'Schulgarten'
         })
@@ -88,7 +88,7 @@ async function insertTestData() {
           temperature: parseFloat(temperature),
           humidity: parseFloat(humidity),
           pressure: pressure,
-          unix: timestamp,
+          unix_timestamp: timestamp,
           hour: hour,
           name: 'Dach Nord'
         })
@@ -123,7 +123,7 @@ async function insertTestData() {
           temperature: parseFloat(temperature),
           humidity: parseFloat(humidity),
           pressure: pressure,
-          unix: timestamp,
+          unix_timestamp: timestamp,
           hour: hour,
           name: 'Klassenzimmer 101'
         })
@@ -141,28 +141,28 @@ async function insertTestData() {
     await createAlert({
       sender_id: '1',
       alert_type: 'temperature',
-      condition: 'above',
+      condition: '>',
       threshold_value: 30.0
     });
     
     await createAlert({
       sender_id: '1',
       alert_type: 'humidity',
-      condition: 'below',
+      condition: '<',
       threshold_value: 20.0
     });
     
     await createAlert({
       sender_id: '1',
-      alert_type: 'battery',
-      condition: 'below',
+      alert_type: 'battery_level',
+      condition: '<',
       threshold_value: 15.0
     });
     
     await createAlert({
       sender_id: 'H001',
       alert_type: 'temperature',
-      condition: 'above',
+      condition: '>',
       threshold_value: 26.0
     });
     
@@ -180,7 +180,7 @@ async function insertTestData() {
     console.log(`   curl http://localhost:5000/api/weather/current/1`);
     console.log(`   curl http://localhost:5000/api/weather/1`);
     console.log(`   curl http://localhost:5000/api/weather/senders/all`);
-    console.log(`   curl http://localhost:5000/api/weather/alerts/1`);
+    console.log(`   curl http://localhost:5000/api/weather/alerts?sender_id=1`);
     console.log('');
     
     // Close database connection
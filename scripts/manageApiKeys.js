@@ -0,0 +1,69 @@
+const db = require('../database/db');
+const { ensureSender, getSender, setSenderApiKeyHash, logEvent } = require('../database/queries');
+const { issueApiKey } = require('../lib/senderAuth');
+
+// ============================================================================
+// Sender API Key Management Script
+// ============================================================================
+
+const USAGE = `Usage:
+  node scripts/manageApiKeys.js issue <senderId> [name]   Create sender if needed and issue a key
+  node scripts/manageApiKeys.js rotate <senderId>         Replace the key of an existing sender
+  node scripts/manageApiKeys.js revoke <senderId>         Remove the key (sender can no longer submit data)`;
+
+/**
+ * Issues, rotates or revokes the ingestion key of a sender
+ * Run this script with: node scripts/manageApiKeys.js <command> <senderId>
+ * @param {string} command - 'issue', 'rotate' or 'revoke'
+ * @param {string} senderId - Sender ID
+ * @param {string} name - Sender name for new senders (optional)
+ * @returns {Promise<void>}
+ */
+async function manageApiKey(command, senderId, name = null) {
+  if (command === 'issue') {
+    await ensureSender(senderId, name);
+  }
+
+  const sender = await getSender(senderId);
+  if (!sender) {
+    throw new Error(`Sender nicht gefunden: ${senderId}`);
+  }
+
+  if (command === 'revoke') {
+    await setSenderApiKeyHash(senderId, null);
+    await logEvent('warning', 'api_key_revoked', `API-Key für Sender ${senderId} widerrufen`, senderId, null, 'cli');
+    console.log(`✅ API-Key für Sender ${senderId} widerrufen`);
+    return;
+  }
+
+  const apiKey = await issueApiKey(senderId);
+  await logEvent('info', sender.api_key_created_at ? 'api_key_rotated' : 'api_key_issued',
+    `API-Key für Sender ${senderId} ausgestellt`, senderId, null, 'cli');
+
+  console.log(`✅ API-Key für Sender ${senderId} (${sender.name}):\n`);
+  console.log(`   ${apiKey}\n`);
+  console.log('💡 Der Schlüssel wird nur dieses eine Mal angezeigt.');
+  console.log('   Auf dem Sender als X-API-Key Header oder Feld "api_key" mitsenden.');
+}
+
+// Run if called directly
+if (require.main === module) {
+  const [command, senderId, name] = process.argv.slice(2);
+
+  if (!['issue', 'rotate', 'revoke'].includes(command) || !senderId) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  // Wait for DB initialization
+  setTimeout(() => {
+    manageApiKey(command, senderId, name)
+      .then(() => db.close(() => process.exit(0)))
+      .catch((err) => {
+        console.error('❌ Error managing API key:', err.message);
+        process.exit(1);
+      });
+  }, 1000);
+}
+
+module.exports = manageApiKey;
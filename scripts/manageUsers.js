@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const db = require('../database/db');
+const {
+  createUser,
+  getUserCredentials,
+  updateUser,
+  deleteUserSessions,
+  logEvent
+} = require('../database/queries');
+const { ROLES, MIN_PASSWORD_LENGTH, hashPassword } = require('../lib/auth');
+
+// ============================================================================
+// User Management Script
+// ============================================================================
+
+const USAGE = `Usage:
+  node scripts/manageUsers.js create <username> <${ROLES.join('|')}> [password]   Create a user
+  node scripts/manageUsers.js passwd <username> [password]                  Reset a password
+If no password is given, a random one is generated and printed once.`;
+
+/**
+ * Creates a user or resets a password
+ * Use this to create the first admin account.
+ * Run this script with: node scripts/manageUsers.js <command> <username> ...
+ * @param {string} command - 'create' or 'passwd'
+ * @param {string} username - Username
+ * @param {string} role - Role for new users
+ * @param {string} password - Password (optional, generated if missing)
+ * @returns {Promise<void>}
+ */
+async function manageUser(command, username, role, password) {
+  const plainPassword = password || crypto.randomBytes(12).toString('base64url');
+
+  if (plainPassword.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Passwort muss mindestens ${MIN_PASSWORD_LENGTH} Zeichen lang sein`);
+  }
+
+  const existing = await getUserCredentials(username);
+
+  if (command === 'create') {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Ungültige Rolle. Erlaubt: ${ROLES.join(', ')}`);
+    }
+    if (existing) {
+      throw new Error(`Benutzer existiert bereits: ${username}`);
+    }
+
+    await createUser({ username, password_hash: await hashPassword(plainPassword), role });
+    await logEvent('info', 'user_created', `Benutzer ${username} (${role}) per CLI erstellt`, null, { role }, 'cli');
+    console.log(`✅ Benutzer ${username} (${role}) erstellt`);
+  } else {
+    if (!existing) {
+      throw new Error(`Benutzer nicht gefunden: ${username}`);
+    }
+
+    await updateUser(existing.id, { password_hash: await hashPassword(plainPassword) });
+    await deleteUserSessions(existing.id);
+    await logEvent('info', 'user_updated', `Passwort von ${username} per CLI zurückgesetzt`, null,
+      { target_user_id: existing.id, changes: { password_changed: true } }, 'cli');
+    console.log(`✅ Passwort von ${username} zurückgesetzt`);
+  }
+
+  if (!password) {
+    console.log(`\n   Passwort: ${plainPassword}\n`);
+    console.log('💡 Das Passwort wird nur dieses eine Mal angezeigt.');
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const [command, username, ...rest] = process.argv.slice(2);
+  const role = command === 'create' ? rest[0] : null;
+  const password = command === 'create' ? rest[1] : rest[0];
+
+  if (!['create', 'passwd'].includes(command) || !username) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  // Wait for DB initialization
+  setTimeout(() => {
+    manageUser(command, username, role, password)
+      .then(() => db.close(() => process.exit(0)))
+      .catch((err) => {
+        console.error('❌ Error managing user:', err.message);
+        process.exit(1);
+      });
+  }, 1000);
+}
+
+module.exports = manageUser;
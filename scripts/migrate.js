@@ -0,0 +1,89 @@
+const db = require('../database/db');
+const { getStatus, migrateUp, migrateDown } = require('../database/migrate');
+
+// ============================================================================
+// Database Migration Script
+// ============================================================================
+
+const USAGE = `Usage:
+  node scripts/migrate.js up [version]   Apply pending migrations (up to version)
+  node scripts/migrate.js down [steps]   Roll back the last migration(s) (default: 1)
+  node scripts/migrate.js status         Show applied and pending migrations`;
+
+/**
+ * Prints applied and pending migrations
+ * @returns {Promise<void>}
+ */
+async function printStatus() {
+  const { applied, pending, unknown } = await getStatus();
+
+  for (const migration of applied) {
+    console.log(`   ✅ ${migration.version}_${migration.name} (${migration.applied_at})`);
+  }
+  for (const migration of pending) {
+    console.log(`   ⏳ ${migration.version}_${migration.name}`);
+  }
+  for (const row of unknown) {
+    console.log(`   ❓ ${row.version}_${row.name} (${row.applied_at}, Datei fehlt)`);
+  }
+
+  console.log(pending.length > 0
+    ? `\n💡 ${pending.length} ausstehende Migration(en): npm run migrate`
+    : '\n✅ Datenbankschema ist aktuell');
+}
+
+/**
+ * Applies, rolls back or lists schema migrations
+ * Run this script with: node scripts/migrate.js [up|down|status] [argument]
+ * @param {string} command - 'up', 'down' or 'status'
+ * @param {string} argument - Target version (up) or number of steps (down)
+ * @returns {Promise<void>}
+ */
+async function migrate(command, argument) {
+  if (command === 'status') {
+    await printStatus();
+    return;
+  }
+
+  if (command === 'down') {
+    const steps = argument !== undefined ? parseInt(argument) : 1;
+    if (isNaN(steps) || steps < 1) {
+      throw new Error(`Ungültige Anzahl Schritte: ${argument}`);
+    }
+
+    const rolledBack = await migrateDown({ steps });
+    for (const migration of rolledBack) {
+      console.log(`↩️  ${migration.version}_${migration.name} zurückgenommen`);
+    }
+    console.log(rolledBack.length > 0 ? '\n✅ Rollback abgeschlossen' : '💡 Keine Migration angewendet');
+    return;
+  }
+
+  const applied = await migrateUp({ to: argument });
+  for (const migration of applied) {
+    console.log(`✅ ${migration.version}_${migration.name}: ${migration.description}`);
+  }
+  console.log(applied.length > 0 ? '\n✅ Migrationen angewendet' : '✅ Keine ausstehenden Migrationen');
+}
+
+// Run if called directly
+if (require.main === module) {
+  const [command = 'up', argument] = process.argv.slice(2);
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  // Wait for DB initialization
+  setTimeout(() => {
+    migrate(command, argument)
+      .then(() => db.close(() => process.exit(0)))
+      .catch((err) => {
+        console.error('❌ Error running migrations:', err.message);
+        process.exit(1);
+      });
+  }, 1000);
+}
+
+module.exports = migrate;
@@ -0,0 +1,145 @@
+const net = require('net');
+const http = require('http');
+const crypto = require('crypto');
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, signWebhook } = require('../lib/notificationChannels');
+
+// ============================================================================
+// Local Notification Sink
+// Fake SMTP server and HTTP receiver (webhook, ntfy, Gotify) for testing
+// notification channels without real mail or push services
+// ============================================================================
+
+/**
+ * Reads "--name=value" from the command line
+ * @param {string} name - Option name
+ * @returns {string|undefined}
+ */
+function option(name) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+/**
+ * Starts a minimal SMTP server that prints every received mail
+ * Understands just enough of SMTP for nodemailer (no TLS, no AUTH check).
+ * @param {number} port - TCP port
+ * @returns {net.Server}
+ */
+function startSmtpServer(port) {
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let mail = { from: null, to: [], data: [] };
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 localhost WHG notification sink');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            console.log(`\n📧 E-Mail von ${mail.from} an ${mail.to.join(', ')}`);
+            console.log(mail.data.join('\n'));
+            mail = { from: null, to: [], data: [] };
+            reply('250 OK: queued');
+          } else {
+            mail.data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 localhost');
+        } else if (command === 'MAIL') {
+          mail.from = line.replace(/^MAIL FROM:\s*/i, '');
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          mail.to.push(line.replace(/^RCPT TO:\s*/i, ''));
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else if (command === 'RSET' || command === 'NOOP') {
+          reply('250 OK');
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+  });
+
+  return server.listen(port, () => {
+    console.log(`📧 SMTP-Server: localhost:${port} (SMTP_HOST=localhost SMTP_PORT=${port})`);
+  });
+}
+
+/**
+ * Starts an HTTP server that prints every request body
+ * Webhook signatures are checked if a secret is given.
+ * @param {number} port - TCP port
+ * @param {string|undefined} secret - Webhook secret
+ * @returns {http.Server}
+ */
+function startHttpReceiver(port, secret) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      console.log(`\n🌐 ${req.method} ${req.url}`);
+
+      const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+      if (signature) {
+        const timestamp = req.headers[TIMESTAMP_HEADER.toLowerCase()];
+        const expected = secret ? signWebhook(secret, timestamp, body) : null;
+        const valid = expected !== null && expected.length === signature.length &&
+          crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+        console.log(secret
+          ? `   Signatur: ${valid ? '✅ gültig' : '❌ ungültig'}`
+          : '   Signatur: nicht geprüft (--secret=... angeben)');
+      }
+
+      console.log(`   ${body}`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"status":"ok"}');
+    });
+  });
+
+  return server.listen(port, () => {
+    console.log(`🌐 Webhook/Push-Empfänger: http://localhost:${port}/`);
+  });
+}
+
+// Run if called directly
+if (require.main === module) {
+  const smtpPort = parseInt(option('smtp-port')) || 2525;
+  const httpPort = parseInt(option('http-port')) || 8025;
+  const secret = option('secret');
+
+  console.log('🔔 Lokaler Benachrichtigungs-Empfänger (Strg+C zum Beenden)\n');
+  const smtp = startSmtpServer(smtpPort);
+  const receiver = startHttpReceiver(httpPort, secret);
+
+  process.on('SIGINT', () => {
+    smtp.close();
+    receiver.close();
+    process.exit(0);
+  });
+}
+
+module.exports = {
+  startSmtpServer,
+  startHttpReceiver
+};
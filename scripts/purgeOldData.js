@@ -0,0 +1,78 @@
+const db = require('../database/db');
+const { createStatisticsRollup } = require('../services/statisticsRollup');
+const { createDataRetention } = require('../services/dataRetention');
+
+// ============================================================================
+// Data Retention Script
+// ============================================================================
+
+/**
+ * Reads "--name=value" from the command line
+ * @param {string} name - Option name
+ * @returns {string|undefined}
+ */
+function option(name) {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+/**
+ * Deletes raw readings older than the retention period (rollups are kept)
+ * Run this script with:
+ * node scripts/purgeOldData.js [--dry-run] [--days=N] [--archive=DIR] [--vacuum]
+ * Defaults come from RETENTION_RAW_DAYS and RETENTION_ARCHIVE_DIR.
+ * @param {Object} options - { dryRun, days, archiveDir, vacuum }
+ * @returns {Promise<void>}
+ */
+async function purgeOldData(options) {
+  const overrides = {};
+  if (options.days !== undefined) overrides.rawDays = parseInt(options.days);
+  if (options.archiveDir !== undefined) overrides.archiveDir = options.archiveDir;
+
+  const retention = createDataRetention({ ...overrides, rollup: createStatisticsRollup() });
+  const report = await retention.run({ dryRun: options.dryRun, actor: 'cli', vacuum: options.vacuum });
+
+  if (!report.enabled) {
+    console.log('💡 Keine Aufbewahrungsfrist gesetzt (RETENTION_RAW_DAYS oder --days=N).');
+    return;
+  }
+
+  console.log(`🔍 ${report.total} Rohdaten vor ${report.cutoff_date}\n`);
+  for (const row of report.per_sender) {
+    const from = new Date(row.oldest * 1000).toISOString().slice(0, 10);
+    const to = new Date(row.newest * 1000).toISOString().slice(0, 10);
+    console.log(`   - Sender ${row.sender_id}: ${row.count} (${from} bis ${to})`);
+  }
+
+  if (options.dryRun) {
+    console.log('\n💡 Dry-Run: Es wurde nichts gelöscht.');
+    return;
+  }
+
+  if (report.archive) {
+    console.log(`\n📦 Archiv: ${report.archive}`);
+  }
+  console.log(`\n✅ ${report.deleted} Rohdaten gelöscht, Statistiken bleiben erhalten`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  const options = {
+    dryRun: process.argv.includes('--dry-run'),
+    vacuum: process.argv.includes('--vacuum'),
+    days: option('days'),
+    archiveDir: option('archive')
+  };
+
+  // Wait for DB initialization
+  setTimeout(() => {
+    purgeOldData(options)
+      .then(() => db.close(() => process.exit(0)))
+      .catch((err) => {
+        console.error('❌ Error purging data:', err.message);
+        process.exit(1);
+      });
+  }, 1000);
+}
+
+module.exports = purgeOldData;
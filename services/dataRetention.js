@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const {
+  getExpiredReadingsSummary,
+  getExpiredReadings,
+  deleteExpiredReadings,
+  markReadingsPurged,
+  runQuery,
+  logEvent
+} = require('../database/queries');
+const { DEFAULT_TIMEZONE, zonedParts, zonedTimeToUnix } = require('../lib/timezone');
+
+// ============================================================================
+// Data Retention & Archival
+// ============================================================================
+
+/**
+ * Standard-Konfiguration aus der Umgebung
+ * rawDays: Rohdaten so viele Tage behalten (0 = unbegrenzt)
+ * archiveDir: abgelaufene Rohdaten vor dem Löschen als .ndjson.gz exportieren
+ */
+const DEFAULT_OPTIONS = {
+  rawDays: parseInt(process.env.RETENTION_RAW_DAYS) || 0,
+  archiveDir: process.env.RETENTION_ARCHIVE_DIR || null,
+  timeZone: DEFAULT_TIMEZONE,
+  intervalHours: 24,
+  startDelayMs: 60 * 1000,
+  pageSize: 5000
+};
+
+/**
+ * Start of the local day rawDays days ago; raw readings before it are expired
+ * @param {number} rawDays - Retention in days (0 = keep forever)
+ * @param {string} timeZone - IANA time zone
+ * @param {number} now - Unix timestamp in seconds (default: now)
+ * @returns {number|null} Unix timestamp, null if retention is disabled
+ */
+function retentionCutoff(rawDays = DEFAULT_OPTIONS.rawDays, timeZone = DEFAULT_OPTIONS.timeZone,
+  now = Math.floor(Date.now() / 1000)) {
+  if (!rawDays || rawDays < 1) return null;
+
+  const { year, month, day } = zonedParts(now, timeZone);
+  return zonedTimeToUnix(year, month, day - rawDays, 0, 0, 0, timeZone);
+}
+
+/**
+ * Creates the retention job
+ *
+ * Each run brings the rollups in weather_statistics up to date (if a rollup
+ * scheduler is passed as options.rollup), optionally exports the expired raw
+ * readings to <archiveDir>/weather_data_<from>_<to>_<run>.ndjson.gz and then deletes
+ * them. Rollups are kept forever; senders.purged_until tells the rollup which
+ * periods lost their raw readings.
+ *
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS, plus rollup
+ * @returns {{run: Function, start: Function, stop: Function, getMetrics: Function}}
+ */
+function createDataRetention(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let timer = null;
+  let running = null;
+
+  const metrics = {
+    runs: 0,
+    deleted: 0,
+    errors: 0,
+    last_run_at: null,
+    last_archive: null,
+    last_error: null
+  };
+
+  /**
+   * Writes the expired readings to a gzip-compressed NDJSON file
+   * @param {number} cutoff - Unix timestamp
+   * @param {number} maxId - Highest ID included
+   * @param {Object} range - { oldest, newest } unix timestamps
+   * @returns {Promise<{file: string, rows: number}>}
+   */
+  async function archiveReadings(cutoff, maxId, range) {
+    fs.mkdirSync(config.archiveDir, { recursive: true });
+
+    const day = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+    const runId = Math.floor(Date.now() / 1000);
+    const file = path.join(config.archiveDir,
+      `weather_data_${day(range.oldest)}_${day(range.newest)}_${runId}.ndjson.gz`);
+    const tmpFile = `${file}.tmp`;
+    let rows = 0;
+
+    async function* lines() {
+      let afterId = 0;
+      for (;;) {
+        const page = await getExpiredReadings(cutoff, maxId, afterId, config.pageSize);
+        if (page.length === 0) return;
+
+        rows += page.length;
+        afterId = page[page.length - 1].id;
+        yield page.map(row => JSON.stringify(row)).join('\n') + '\n';
+      }
+    }
+
+    await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(tmpFile));
+    // Only a complete archive gets its final name
+    fs.renameSync(tmpFile, file);
+
+    return { file, rows };
+  }
+
+  /**
+   * Runs the retention policy once
+   * @param {Object} runOptions - { dryRun, actor, vacuum }
+   * @returns {Promise<Object>} Report: cutoff, total, per_sender, archive, deleted
+   */
+  async function run(runOptions = {}) {
+    const { dryRun = false, actor = null, vacuum = false } = runOptions;
+    const cutoff = retentionCutoff(config.rawDays, config.timeZone);
+
+    if (cutoff === null) {
+      return { enabled: false, cutoff: null, total: 0, per_sender: [], archive: null, deleted: 0 };
+    }
+
+    if (!dryRun && config.rollup) {
+      await config.rollup.runOnce();
+    }
+
+    const perSender = await getExpiredReadingsSummary(cutoff);
+    const total = perSender.reduce((sum, row) => sum + row.count, 0);
+    const report = {
+      enabled: true,
+      cutoff,
+      cutoff_date: new Date(cutoff * 1000).toISOString(),
+      total,
+      per_sender: perSender.map(({ max_id: maxId, ...row }) => row),
+      archive: null,
+      deleted: 0
+    };
+
+    if (dryRun || total === 0) return report;
+
+    const maxId = Math.max(...perSender.map(row => row.max_id));
+
+    if (config.archiveDir) {
+      const range = {
+        oldest: Math.min(...perSender.map(row => row.oldest)),
+        newest: Math.max(...perSender.map(row => row.newest))
+      };
+      const archive = await archiveReadings(cutoff, maxId, range);
+      report.archive = archive.file;
+      metrics.last_archive = archive.file;
+    }
+
+    await markReadingsPurged(perSender);
+    report.deleted = await deleteExpiredReadings(cutoff, maxId, config.pageSize);
+
+    if (vacuum) {
+      await runQuery('VACUUM');
+    }
+
+    await logEvent('info', 'data_purged',
+      `${report.deleted} Rohdaten älter als ${config.rawDays} Tage gelöscht`,
+      null,
+      {
+        cutoff,
+        raw_days: config.rawDays,
+        deleted: report.deleted,
+        archive: report.archive,
+        per_sender: report.per_sender
+      },
+      actor
+    );
+
+    metrics.deleted += report.deleted;
+    return report;
+  }
+
+  /**
+   * Runs the policy from the scheduler (errors are logged, not thrown)
+   * @returns {Promise<void>}
+   */
+  async function scheduledRun() {
+    running = run()
+      .then(() => {
+        metrics.runs++;
+        metrics.last_run_at = new Date().toISOString();
+      })
+      .catch(async (err) => {
+        metrics.errors++;
+        metrics.last_error = err.message;
+        console.error('❌ Data retention failed:', err.message);
+        await logEvent('error', 'data_purge_failed', err.message).catch(() => {});
+      })
+      .finally(() => {
+        running = null;
+      });
+
+    return running;
+  }
+
+  /**
+   * Starts the daily schedule (no-op if retention is disabled)
+   */
+  function start() {
+    if (timer || retentionCutoff(config.rawDays, config.timeZone) === null) return;
+
+    timer = setTimeout(function tick() {
+      scheduledRun().then(() => {
+        if (timer) timer = setTimeout(tick, config.intervalHours * 3600 * 1000);
+      });
+    }, config.startDelayMs);
+  }
+
+  /**
+   * Stops the schedule and waits for a running purge
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    clearTimeout(timer);
+    timer = null;
+    if (running) await running;
+  }
+
+  /**
+   * Returns retention metrics
+   * @returns {Object}
+   */
+  function getMetrics() {
+    return {
+      ...metrics,
+      raw_days: config.rawDays,
+      archive_dir: config.archiveDir
+    };
+  }
+
+  return { run, start, stop, getMetrics };
+}
+
+module.exports = {
+  retentionCutoff,
+  createDataRetention
+};
@@ -0,0 +1,285 @@
+const mqtt = require('mqtt');
+const { ingestReading, ingestBatch } = require('../lib/ingestion');
+const { logEvent } = require('../database/queries');
+
+// ============================================================================
+// MQTT Ingestion Bridge
+// ============================================================================
+
+/**
+ * Standard-Konfiguration aus der Umgebung
+ */
+const DEFAULT_OPTIONS = {
+  url: process.env.MQTT_URL || 'mqtt://localhost:1883',
+  topic: process.env.MQTT_TOPIC || 'whg/weather/+',
+  username: process.env.MQTT_USERNAME || undefined,
+  password: process.env.MQTT_PASSWORD || undefined,
+  clientId: process.env.MQTT_CLIENT_ID || `whg-wetterstation-${process.pid}`,
+  qos: parseInt(process.env.MQTT_QOS) || 1,
+  // MQTT 5 für die User-Property "x-api-key"; 4 (3.1.1) für ältere Broker
+  protocolVersion: parseInt(process.env.MQTT_PROTOCOL_VERSION) || 5,
+  // Nachrichten mit mehreren Messwerten: 'best-effort' oder 'all-or-nothing'
+  batchMode: process.env.MQTT_BATCH_MODE === 'all-or-nothing' ? 'all-or-nothing' : 'best-effort',
+  reconnectMinMs: 1000,
+  reconnectMaxMs: 60 * 1000
+};
+
+/**
+ * Removes credentials from a broker URL (for status output)
+ * @param {string} url - Broker URL
+ * @returns {string}
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.toString();
+  } catch (err) {
+    return url;
+  }
+}
+
+/**
+ * Extracts the sender ID from a topic using the subscription pattern
+ * The segment matching the first "+" wildcard is the sender ID,
+ * e.g. pattern "whg/weather/+" and topic "whg/weather/42" -> "42".
+ * @param {string} pattern - Subscription pattern
+ * @param {string} topic - Topic of the received message
+ * @returns {string|null}
+ */
+function senderIdFromTopic(pattern, topic) {
+  const patternParts = pattern.split('/');
+  const topicParts = topic.split('/');
+  const index = patternParts.indexOf('+');
+
+  if (index === -1 || topicParts.length !== patternParts.length) return null;
+
+  const matches = patternParts.every((part, i) => part === '+' || part === topicParts[i]);
+  return matches && topicParts[index] ? topicParts[index] : null;
+}
+
+/**
+ * Creates an MQTT bridge that feeds messages into the ingestion pipeline
+ *
+ * Messages are JSON objects in the same format as POST /api/weather, or an
+ * array of them, which is stored like POST /api/weather/batch (one
+ * transaction, batchMode as its mode). The sender ID comes from the topic; the
+ * ingestion key is read from the MQTT 5 user property "x-api-key" or the
+ * "api_key" field.
+ *
+ * Reconnects use exponential backoff between reconnectMinMs and reconnectMaxMs.
+ *
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {{start: Function, stop: Function, getMetrics: Function}}
+ */
+function createMqttBridge(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let client = null;
+  let reconnectAttempts = 0;
+
+  const metrics = {
+    connected: false,
+    received: 0,
+    accepted: 0,
+    duplicates: 0,
+    rejected: 0,
+    errors: 0,
+    reconnects: 0,
+    last_message_at: null,
+    last_error: null
+  };
+
+  /**
+   * Checks that a reading does not claim another sender than the topic
+   * @returns {Promise<boolean>}
+   */
+  async function matchesTopic(senderId, payload) {
+    if (payload.id === undefined || String(payload.id) === senderId) return true;
+
+    await logEvent('warning', 'ingest_rejected', `Sender-ID passt nicht zum Topic: ${senderId}`, null,
+      { claimed_sender_id: payload.id, topic_sender_id: senderId, source: 'mqtt' });
+    return false;
+  }
+
+  /**
+   * Processes a message with a single reading
+   */
+  async function handleReading(senderId, payload, apiKey) {
+    if (!(await matchesTopic(senderId, payload))) {
+      metrics.rejected++;
+      return;
+    }
+
+    const result = await ingestReading(senderId, payload, apiKey || payload.api_key || null);
+
+    if (result.status === 'accepted') metrics.accepted++;
+    else if (result.status === 'duplicate') metrics.duplicates++;
+    else metrics.rejected++;
+  }
+
+  /**
+   * Processes a message with several readings in one transaction
+   */
+  async function handleBatch(senderId, payloads, apiKey) {
+    const atomic = config.batchMode === 'all-or-nothing';
+    const entries = [];
+
+    for (const payload of payloads) {
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload) || !(await matchesTopic(senderId, payload))) {
+        metrics.rejected++;
+        // Like a rejected entry in an all-or-nothing HTTP batch
+        if (atomic) {
+          metrics.rejected += payloads.length - 1;
+          return;
+        }
+        continue;
+      }
+      entries.push({ ...payload, id: senderId });
+    }
+
+    if (entries.length === 0) return;
+
+    const { results } = await ingestBatch(entries, {
+      atomic,
+      apiKeyFor: entry => apiKey || entry.api_key || null
+    });
+
+    for (const result of results) {
+      if (result.status === 'accepted') metrics.accepted++;
+      else if (result.status === 'duplicate') metrics.duplicates++;
+      else metrics.rejected++;
+    }
+  }
+
+  /**
+   * Handles an incoming MQTT message
+   */
+  async function handleMessage(topic, message, packet) {
+    metrics.received++;
+    metrics.last_message_at = new Date().toISOString();
+
+    const senderId = senderIdFromTopic(config.topic, topic);
+    if (!senderId) {
+      metrics.rejected++;
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(message.toString());
+    } catch (err) {
+      metrics.rejected++;
+      await logEvent('warning', 'mqtt_invalid_json', `Ungültiges JSON auf ${topic}`, null, { topic });
+      return;
+    }
+
+    const userProperties = (packet.properties && packet.properties.userProperties) || {};
+    const apiKey = userProperties['x-api-key'] || null;
+
+    if (Array.isArray(payload)) {
+      await handleBatch(senderId, payload, apiKey);
+    } else if (payload && typeof payload === 'object') {
+      await handleReading(senderId, payload, apiKey);
+    } else {
+      metrics.rejected++;
+    }
+  }
+
+  /**
+   * Connects to the broker and subscribes to the topic pattern
+   * @returns {Object} mqtt client
+   */
+  function start() {
+    if (client) return client;
+
+    client = mqtt.connect(config.url, {
+      clientId: config.clientId,
+      username: config.username,
+      password: config.password,
+      protocolVersion: config.protocolVersion,
+      reconnectPeriod: config.reconnectMinMs,
+      clean: true
+    });
+
+    client.on('connect', () => {
+      metrics.connected = true;
+      reconnectAttempts = 0;
+      client.options.reconnectPeriod = config.reconnectMinMs;
+
+      client.subscribe(config.topic, { qos: config.qos }, (err) => {
+        if (err) {
+          metrics.last_error = err.message;
+          console.error('❌ MQTT subscribe failed:', err.message);
+        } else {
+          console.log(`✅ MQTT Bridge verbunden: ${redactUrl(config.url)} (${config.topic})`);
+        }
+      });
+    });
+
+    client.on('reconnect', () => {
+      metrics.reconnects++;
+      reconnectAttempts++;
+      // Delay for the next attempt (mqtt.js reads it when the connection drops again)
+      client.options.reconnectPeriod = Math.min(
+        config.reconnectMaxMs,
+        config.reconnectMinMs * 2 ** reconnectAttempts
+      );
+    });
+
+    client.on('close', () => {
+      metrics.connected = false;
+    });
+
+    client.on('error', (err) => {
+      metrics.errors++;
+      metrics.last_error = err.message;
+      console.error('❌ MQTT error:', err.message);
+    });
+
+    client.on('message', (topic, message, packet) => {
+      handleMessage(topic, message, packet).catch(async (err) => {
+        metrics.errors++;
+        metrics.last_error = err.message;
+        console.error('❌ Error processing MQTT message:', err);
+        await logEvent('error', 'mqtt_ingest_failed', err.message, null, { topic }).catch(() => {});
+      });
+    });
+
+    return client;
+  }
+
+  /**
+   * Disconnects from the broker
+   * @returns {Promise<void>}
+   */
+  function stop() {
+    if (!client) return Promise.resolve();
+
+    const current = client;
+    client = null;
+    metrics.connected = false;
+
+    return new Promise((resolve) => current.end(false, {}, () => resolve()));
+  }
+
+  /**
+   * Returns ingestion metrics
+   * @returns {Object}
+   */
+  function getMetrics() {
+    return {
+      ...metrics,
+      url: redactUrl(config.url),
+      topic: config.topic,
+      reconnect_delay_ms: client ? client.options.reconnectPeriod : null
+    };
+  }
+
+  return { start, stop, getMetrics };
+}
+
+module.exports = {
+  createMqttBridge,
+  senderIdFromTopic
+};
@@ -0,0 +1,198 @@
+const {
+  getDueNotifications,
+  recordNotificationAttempt,
+  logEvent
+} = require('../database/queries');
+const { formatNotification, sendNotification } = require('../lib/notificationChannels');
+const liveEvents = require('../lib/liveEvents');
+
+// ============================================================================
+// Notification Dispatcher
+// ============================================================================
+
+/**
+ * Standard-Konfiguration aus der Umgebung
+ * Wartezeit zwischen Versuchen: retryBaseSeconds, verdoppelt je Fehlversuch,
+ * höchstens retryMaxSeconds. Nach maxAttempts Versuchen gilt die Zustellung
+ * als fehlgeschlagen.
+ */
+const DEFAULT_OPTIONS = {
+  intervalSeconds: parseInt(process.env.NOTIFY_INTERVAL_SECONDS) || 30,
+  maxAttempts: parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 6,
+  retryBaseSeconds: parseInt(process.env.NOTIFY_RETRY_BASE_SECONDS) || 60,
+  retryMaxSeconds: 60 * 60,
+  batchSize: 50
+};
+
+/**
+ * Creates the dispatcher that delivers queued notifications
+ *
+ * checkAlerts queues one delivery per state change and channel; the
+ * dispatcher sends them every intervalSeconds and right after alert events
+ * were published. Failed deliveries are retried with exponential backoff and
+ * every attempt is recorded in notification_deliveries.
+ *
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {{start: Function, stop: Function, runOnce: Function, getMetrics: Function}}
+ */
+function createNotificationDispatcher(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let timer = null;
+  let running = null;
+  let rerun = false;
+  let unsubscribe = null;
+
+  const metrics = {
+    runs: 0,
+    sent: 0,
+    retried: 0,
+    failed: 0,
+    errors: 0,
+    last_run_at: null,
+    last_error: null
+  };
+
+  /**
+   * Seconds until the next attempt after a failure
+   * @param {number} attempts - Attempts made so far
+   * @returns {number}
+   */
+  function retryDelay(attempts) {
+    return Math.min(config.retryBaseSeconds * 2 ** (attempts - 1), config.retryMaxSeconds);
+  }
+
+  /**
+   * Sends one delivery and records the outcome
+   * @param {Object} delivery - Row from getDueNotifications
+   * @returns {Promise<void>}
+   */
+  async function deliver(delivery) {
+    const now = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+
+    try {
+      const message = formatNotification(delivery.event_type, JSON.parse(delivery.payload_json));
+      await sendNotification(delivery, message);
+
+      await recordNotificationAttempt(delivery, {
+        status: 'sent',
+        attempts,
+        next_attempt_at: delivery.next_attempt_at,
+        sent_at: now
+      });
+      metrics.sent++;
+    } catch (err) {
+      const failed = attempts >= config.maxAttempts;
+
+      await recordNotificationAttempt(delivery, {
+        status: failed ? 'failed' : 'pending',
+        attempts,
+        next_attempt_at: failed ? delivery.next_attempt_at : now + retryDelay(attempts),
+        last_error: err.message
+      });
+
+      if (failed) {
+        metrics.failed++;
+        console.error(`❌ Benachrichtigung über "${delivery.channel_name}" endgültig fehlgeschlagen: ${err.message}`);
+        await logEvent('error', 'notification_failed',
+          `Benachrichtigung über Kanal "${delivery.channel_name}" nach ${attempts} Versuchen fehlgeschlagen`,
+          delivery.sender_id,
+          { delivery_id: delivery.id, channel_id: delivery.channel_id, alert_id: delivery.alert_id, error: err.message }
+        ).catch(() => {});
+      } else {
+        metrics.retried++;
+      }
+    }
+  }
+
+  /**
+   * Sends all due deliveries once
+   * @returns {Promise<number>} Number of processed deliveries
+   */
+  async function runOnce() {
+    // Only one run at a time; a request during a run triggers one more
+    if (running) {
+      rerun = true;
+      return running;
+    }
+
+    running = (async () => {
+      let processed = 0;
+
+      try {
+        do {
+          rerun = false;
+          let batch;
+          do {
+            batch = await getDueNotifications(Math.floor(Date.now() / 1000), config.batchSize);
+            for (const delivery of batch) {
+              await deliver(delivery);
+            }
+            processed += batch.length;
+          } while (batch.length === config.batchSize);
+        } while (rerun);
+
+        metrics.runs++;
+        metrics.last_run_at = new Date().toISOString();
+        return processed;
+      } catch (err) {
+        metrics.errors++;
+        metrics.last_error = err.message;
+        console.error('❌ Notification dispatch failed:', err.message);
+        await logEvent('error', 'notification_dispatch_failed', err.message).catch(() => {});
+        throw err;
+      } finally {
+        running = null;
+      }
+    })();
+
+    return running;
+  }
+
+  /**
+   * Starts the dispatcher (every intervalSeconds and after alert events)
+   */
+  function start() {
+    if (timer) return;
+
+    timer = setTimeout(function tick() {
+      runOnce().catch(() => {}).then(() => {
+        if (timer) timer = setTimeout(tick, config.intervalSeconds * 1000);
+      });
+    }, config.intervalSeconds * 1000);
+
+    unsubscribe = liveEvents.subscribe((event) => {
+      if (event.type === 'alert') runOnce().catch(() => {});
+    });
+  }
+
+  /**
+   * Stops the dispatcher and waits for a running dispatch
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    clearTimeout(timer);
+    timer = null;
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    if (running) await running.catch(() => {});
+  }
+
+  /**
+   * Returns dispatcher metrics
+   * @returns {Object}
+   */
+  function getMetrics() {
+    return {
+      ...metrics,
+      interval_seconds: config.intervalSeconds,
+      max_attempts: config.maxAttempts
+    };
+  }
+
+  return { start, stop, runOnce, getMetrics };
+}
+
+module.exports = {
+  createNotificationDispatcher
+};
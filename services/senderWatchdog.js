@@ -0,0 +1,258 @@
+const {
+  getWatchdogSenders,
+  getRecentReadingTimes,
+  setLearnedInterval,
+  setSenderOnlineStatus,
+  getDeviceSamples,
+  getAlerts,
+  checkAlerts,
+  logEvent
+} = require('../database/queries');
+const { NO_DATA_ALERT_TYPE, BATTERY_DAYS_ALERT_TYPE, isDeviceAlertType } = require('../lib/alertRules');
+const { DEFAULT_WINDOW_HOURS, typicalInterval, batteryHealth, batteryDaysValue } = require('../lib/deviceHealth');
+const { logAlertChanges } = require('../lib/ingestion');
+const liveEvents = require('../lib/liveEvents');
+
+// ============================================================================
+// Sender Watchdog
+// ============================================================================
+
+/**
+ * Standard-Konfiguration aus der Umgebung
+ * Ein Sender gilt als offline, wenn seit dem letzten Messwert mehr als
+ * missedIntervals erwartete Sendeintervalle vergangen sind. Das Intervall ist
+ * pro Sender einstellbar (expected_interval_seconds) oder wird aus den
+ * letzten historySize Messwerten gelernt (Median der Abstände).
+ */
+const DEFAULT_OPTIONS = {
+  intervalSeconds: parseInt(process.env.WATCHDOG_INTERVAL_SECONDS) || 60,
+  missedIntervals: parseFloat(process.env.WATCHDOG_MISSED_INTERVALS) || 3,
+  startDelayMs: 5000,
+  historySize: 50,
+  minSamples: 5
+};
+
+/**
+ * Minutes since the last reading, rounded up (so an offline sender never has 0)
+ * @param {Object} sender - Row from getWatchdogSenders
+ * @param {number} now - Unix seconds
+ * @returns {number}
+ */
+function silentMinutes(sender, now) {
+  return Math.ceil((now - Number(sender.last_seen_at)) / 60);
+}
+
+/**
+ * Creates the watchdog that detects senders that stopped reporting
+ *
+ * Every intervalSeconds the watchdog learns the reporting interval of each
+ * active sender, compares it with last_seen_at and stores status changes
+ * (logged and published as live 'status' events). Afterwards it evaluates
+ * all active no_data and battery_days alerts through checkAlerts, so they
+ * fire, resolve and notify like measurement alerts. A reading from an offline sender triggers
+ * an immediate run, so it comes back online without waiting for the timer.
+ *
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {{start: Function, stop: Function, runOnce: Function, getMetrics: Function}}
+ */
+function createSenderWatchdog(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let timer = null;
+  let running = null;
+  let rerun = false;
+  let unsubscribe = null;
+  const offline = new Set();
+
+  const metrics = {
+    runs: 0,
+    online: 0,
+    offline: 0,
+    unknown: 0,
+    errors: 0,
+    last_run_at: null,
+    last_error: null
+  };
+
+  /**
+   * Computes the current status of a sender
+   * @param {Object} sender - Row from getWatchdogSenders
+   * @param {number} now - Unix seconds
+   * @returns {string} 'online', 'offline' or 'unknown' (no reading or no
+   *   interval known yet)
+   */
+  function statusOf(sender, now) {
+    const interval = sender.expected_interval_seconds || sender.learned_interval_seconds;
+    if (!interval || sender.last_seen_at === null || sender.last_seen_at === undefined) return 'unknown';
+    return now - Number(sender.last_seen_at) > interval * config.missedIntervals ? 'offline' : 'online';
+  }
+
+  /**
+   * Stores, logs and publishes a status change
+   * @param {Object} sender - Row from getWatchdogSenders
+   * @param {string} status - New status
+   * @param {number} now - Unix seconds
+   * @returns {Promise<void>}
+   */
+  async function changeStatus(sender, status, now) {
+    const senderId = sender.sender_id;
+    const lastSeen = sender.last_seen_at === null ? null : Number(sender.last_seen_at);
+    await setSenderOnlineStatus(senderId, status, now);
+
+    if (status === 'offline') {
+      const minutes = silentMinutes(sender, now);
+      console.warn(`📴 Sender ${senderId} sendet keine Daten mehr (seit ${minutes} Minuten)`);
+      await logEvent('warning', 'sender_offline', `Sender seit ${minutes} Minuten ohne Daten`, senderId,
+        { last_seen_at: lastSeen, interval_seconds: sender.expected_interval_seconds || sender.learned_interval_seconds });
+    } else if (sender.online_status === 'offline') {
+      console.log(`📶 Sender ${senderId} sendet wieder Daten`);
+      await logEvent('info', 'sender_online', 'Sender sendet wieder Daten', senderId, { last_seen_at: lastSeen });
+    }
+
+    liveEvents.publish('status', senderId, {
+      online_status: status,
+      previous_status: sender.online_status,
+      last_seen_at: lastSeen
+    });
+  }
+
+  /**
+   * Evaluates the no_data and battery_days alerts of all senders that have one
+   * @param {Map<string, Object>} senders - Sender rows with their status
+   * @param {number} now - Unix seconds
+   * @returns {Promise<void>}
+   */
+  async function checkDeviceAlerts(senders, now) {
+    const alerts = (await getAlerts({ active: true })).filter(alert => isDeviceAlertType(alert.alert_type));
+
+    for (const senderId of new Set(alerts.map(alert => alert.sender_id))) {
+      const sender = senders.get(senderId);
+      if (!sender) continue;
+
+      const sample = {
+        unix_timestamp: now,
+        [NO_DATA_ALERT_TYPE]: sender.status === 'offline' ? silentMinutes(sender, now) : 0
+      };
+
+      if (alerts.some(alert => alert.sender_id === senderId && alert.alert_type === BATTERY_DAYS_ALERT_TYPE)) {
+        const samples = await getDeviceSamples(senderId, { from: now - DEFAULT_WINDOW_HOURS * 3600, to: now });
+        sample[BATTERY_DAYS_ALERT_TYPE] = batteryDaysValue(batteryHealth(samples));
+      }
+
+      const changes = await checkAlerts(senderId, sample);
+
+      if (changes.length > 0) {
+        liveEvents.publish('alert', senderId, { alerts: changes });
+        await logAlertChanges(senderId, changes);
+      }
+    }
+  }
+
+  /**
+   * Checks all senders once
+   * @returns {Promise<Object>} Number of senders per status
+   */
+  async function runOnce() {
+    // Only one run at a time; a request during a run triggers one more
+    if (running) {
+      rerun = true;
+      return running;
+    }
+
+    running = (async () => {
+      try {
+        let counts;
+        do {
+          rerun = false;
+          const now = Math.floor(Date.now() / 1000);
+          const senders = new Map();
+          counts = { online: 0, offline: 0, unknown: 0 };
+
+          for (const sender of await getWatchdogSenders()) {
+            if (!sender.expected_interval_seconds) {
+              const learned = typicalInterval(
+                await getRecentReadingTimes(sender.sender_id, config.historySize), config.minSamples);
+              if (learned !== null && learned !== sender.learned_interval_seconds) {
+                await setLearnedInterval(sender.sender_id, learned);
+                sender.learned_interval_seconds = learned;
+              }
+            }
+
+            const status = statusOf(sender, now);
+            if (status !== sender.online_status) await changeStatus(sender, status, now);
+
+            if (status === 'offline') offline.add(sender.sender_id);
+            else offline.delete(sender.sender_id);
+
+            counts[status]++;
+            senders.set(sender.sender_id, { ...sender, status });
+          }
+
+          await checkDeviceAlerts(senders, now);
+        } while (rerun);
+
+        Object.assign(metrics, counts);
+        metrics.runs++;
+        metrics.last_run_at = new Date().toISOString();
+        return counts;
+      } catch (err) {
+        metrics.errors++;
+        metrics.last_error = err.message;
+        console.error('❌ Sender watchdog failed:', err.message);
+        await logEvent('error', 'sender_watchdog_failed', err.message).catch(() => {});
+        throw err;
+      } finally {
+        running = null;
+      }
+    })();
+
+    return running;
+  }
+
+  /**
+   * Starts the watchdog (first run after startDelayMs, then every
+   * intervalSeconds and whenever an offline sender reports again)
+   */
+  function start() {
+    if (timer) return;
+
+    timer = setTimeout(function tick() {
+      runOnce().catch(() => {}).then(() => {
+        if (timer) timer = setTimeout(tick, config.intervalSeconds * 1000);
+      });
+    }, config.startDelayMs);
+
+    unsubscribe = liveEvents.subscribe((event) => {
+      if (event.type === 'reading' && offline.has(event.sender_id)) runOnce().catch(() => {});
+    });
+  }
+
+  /**
+   * Stops the watchdog and waits for a running check
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    clearTimeout(timer);
+    timer = null;
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    if (running) await running.catch(() => {});
+  }
+
+  /**
+   * Returns watchdog metrics
+   * @returns {Object}
+   */
+  function getMetrics() {
+    return {
+      ...metrics,
+      interval_seconds: config.intervalSeconds,
+      missed_intervals: config.missedIntervals
+    };
+  }
+
+  return { start, stop, runOnce, getMetrics };
+}
+
+module.exports = {
+  createSenderWatchdog
+};
@@ -0,0 +1,209 @@
+const {
+  upsertStatistics,
+  getReceivedBuckets,
+  getStatisticsPeriods,
+  getPurgedUntil,
+  logEvent
+} = require('../database/queries');
+const { BASE_BUCKET_SECONDS, bucketStart, bucketEnd } = require('../lib/aggregation');
+const { DEFAULT_TIMEZONE } = require('../lib/timezone');
+
+// ============================================================================
+// Statistics Rollup Scheduler
+// ============================================================================
+
+/**
+ * Statistik-Typen (weather_statistics.stat_type) und ihr Aggregationsintervall
+ */
+const STAT_TYPES = {
+  hourly: '1h',
+  daily: '1d',
+  weekly: '1w',
+  monthly: '1M'
+};
+
+/**
+ * Standard-Konfiguration aus der Umgebung
+ */
+const DEFAULT_OPTIONS = {
+  intervalMinutes: parseInt(process.env.STATS_ROLLUP_INTERVAL_MINUTES) || 5,
+  startDelayMs: 5000,
+  batchSize: 500,
+  timeZone: DEFAULT_TIMEZONE
+};
+
+/**
+ * Current time as SQLite UTC datetime (format of received_at/updated_at)
+ * @returns {string}
+ */
+function sqliteNow() {
+  return new Date().toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Creates the scheduler that keeps weather_statistics up to date
+ *
+ * The first run backfills every period that has data but no (or an outdated)
+ * rollup. Later runs only look at readings received since the previous run,
+ * so late uploads recompute exactly the periods they fall into. Periods are
+ * upserted, so each sender, type and period has one row. Existing rollups of
+ * periods whose raw readings were (partly) purged are kept as they are.
+ *
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {{start: Function, stop: Function, runOnce: Function, getMetrics: Function}}
+ */
+function createStatisticsRollup(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let timer = null;
+  let running = null;
+  let since = null;
+
+  const metrics = {
+    runs: 0,
+    periods_computed: 0,
+    errors: 0,
+    last_run_at: null,
+    last_duration_ms: null,
+    last_error: null
+  };
+
+  /**
+   * Collects the periods touched by readings received since the last run
+   * @returns {Promise<Array>} [{ sender_id, stat_type, start, end }]
+   */
+  async function findDirtyPeriods() {
+    const buckets = await getReceivedBuckets(BASE_BUCKET_SECONDS, since);
+    const periods = new Map();
+
+    for (const { sender_id: senderId, bucket, last_received: lastReceived } of buckets) {
+      for (const [statType, interval] of Object.entries(STAT_TYPES)) {
+        const start = bucketStart(bucket, interval, config.timeZone);
+        const key = `${senderId}|${statType}|${start}`;
+        const period = periods.get(key);
+
+        if (!period) {
+          periods.set(key, { sender_id: senderId, stat_type: statType, start, interval, lastReceived });
+        } else if (lastReceived > period.lastReceived) {
+          period.lastReceived = lastReceived;
+        }
+      }
+    }
+
+    // A period lost raw readings if it starts at or before the newest purged reading
+    const purgedUntil = await getPurgedUntil();
+    const isPurged = period => purgedUntil.has(period.sender_id) && period.start <= purgedUntil.get(period.sender_id);
+    const touchesPurged = [...periods.values()].some(isPurged);
+
+    if (since === null || touchesPurged) {
+      for (const stored of await getStatisticsPeriods()) {
+        const key = `${stored.sender_id}|${stored.stat_type}|${stored.start}`;
+        const period = periods.get(key);
+        if (!period) continue;
+
+        // Backfill: rollup is newer than its data
+        const upToDate = stored.updated_at && stored.updated_at > period.lastReceived;
+        // Raw data of the period was purged, a recompute would only see the
+        // late readings
+        if (upToDate || isPurged(period)) periods.delete(key);
+      }
+    }
+
+    return [...periods.values()].map(period => ({
+      sender_id: period.sender_id,
+      stat_type: period.stat_type,
+      start: period.start,
+      end: bucketEnd(period.start, period.interval, config.timeZone)
+    }));
+  }
+
+  /**
+   * Computes all outdated periods once
+   * @returns {Promise<number>} Number of computed periods
+   * @throws {Error} If the computation failed (already logged)
+   */
+  async function runOnce() {
+    // Only one run at a time; callers share the running one
+    if (running) return running;
+
+    running = (async () => {
+      const startedAt = Date.now();
+      // Taken before reading, so rows arriving during the run are picked up next time
+      const runStartedAt = sqliteNow();
+      const backfill = since === null;
+
+      try {
+        const periods = await findDirtyPeriods();
+
+        for (let i = 0; i < periods.length; i += config.batchSize) {
+          await upsertStatistics(periods.slice(i, i + config.batchSize));
+        }
+
+        since = runStartedAt;
+        metrics.runs++;
+        metrics.periods_computed += periods.length;
+        metrics.last_run_at = new Date().toISOString();
+        metrics.last_duration_ms = Date.now() - startedAt;
+
+        if (backfill && periods.length > 0) {
+          console.log(`📊 Statistik-Backfill: ${periods.length} Zeiträume berechnet`);
+          await logEvent('info', 'statistics_backfilled', `${periods.length} Statistik-Zeiträume berechnet`, null,
+            { periods: periods.length, duration_ms: metrics.last_duration_ms });
+        }
+
+        return periods.length;
+      } catch (err) {
+        metrics.errors++;
+        metrics.last_error = err.message;
+        console.error('❌ Statistics rollup failed:', err.message);
+        await logEvent('error', 'statistics_rollup_failed', err.message).catch(() => {});
+        throw err;
+      } finally {
+        running = null;
+      }
+    })();
+
+    return running;
+  }
+
+  /**
+   * Starts the scheduler (first run after startDelayMs, then every intervalMinutes)
+   */
+  function start() {
+    if (timer) return;
+
+    timer = setTimeout(function tick() {
+      runOnce().catch(() => {}).then(() => {
+        if (timer) timer = setTimeout(tick, config.intervalMinutes * 60 * 1000);
+      });
+    }, config.startDelayMs);
+  }
+
+  /**
+   * Stops the scheduler and waits for a running computation
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    clearTimeout(timer);
+    timer = null;
+    if (running) await running.catch(() => {});
+  }
+
+  /**
+   * Returns scheduler metrics
+   * @returns {Object}
+   */
+  function getMetrics() {
+    return {
+      ...metrics,
+      interval_minutes: config.intervalMinutes,
+      time_zone: config.timeZone
+    };
+  }
+
+  return { start, stop, runOnce, getMetrics };
+}
+
+module.exports = {
+  STAT_TYPES,
+  createStatisticsRollup
+};
@@ -0,0 +1,214 @@
+// Route tests against an in-memory SQLite database
+process.env.NODE_ENV = 'test';
+process.env.DB_BACKEND = 'sqlite';
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const db = require('../database/db');
+const { migrateUp } = require('../database/migrate');
+const { createUser, getAll } = require('../database/queries');
+const { MEASURED_FIELDS } = require('../lib/aggregation');
+const { authenticate, hashPassword } = require('../lib/auth');
+const weatherRoutes = require('../routes/weather');
+const authRoutes = require('../routes/auth');
+
+let server;
+let baseUrl;
+let token;
+
+/**
+ * Sends a JSON request to the test server
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below /api
+ * @param {Object} options - { body, headers }
+ * @returns {Promise<{status: number, body: *}>}
+ */
+async function request(method, path, options = {}) {
+  const response = await fetch(`${baseUrl}/api${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    body: options.body === undefined ? undefined : JSON.stringify(options.body)
+  });
+  const text = await response.text();
+  let body = text;
+  try {
+    body = JSON.parse(text);
+  } catch (err) {
+    // HTML error pages stay text
+  }
+  return { status: response.status, body };
+}
+
+const asAdmin = () => ({ Authorization: `Bearer ${token}` });
+
+/**
+ * Creates a sender through the API
+ * @param {string} senderId - Sender ID
+ * @returns {Promise<string>} Ingestion key
+ */
+async function createSender(senderId) {
+  const sender = await request('POST', '/weather/senders', { headers: asAdmin(), body: { sender_id: senderId } });
+  assert.equal(sender.status, 201);
+
+  const key = await request('POST', `/weather/senders/${senderId}/api-key`, { headers: asAdmin() });
+  assert.equal(key.status, 201);
+  return key.body.api_key;
+}
+
+/**
+ * One alert per measured field and a reading that crosses its threshold
+ */
+const FIELD_CASES = {
+  temperature: { condition: '>', threshold_value: 30, value: 32 },
+  humidity: { condition: '>=', threshold_value: 90, value: 95 },
+  pressure: { condition: '<', threshold_value: 980, value: 970 },
+  light_level: { condition: '>', threshold_value: 50000, value: 60000 },
+  battery_level: { condition: '<=', threshold_value: 20, value: 15 },
+  signal_strength: { condition: '<', threshold_value: -100, value: -110 }
+};
+
+test.before(async () => {
+  await migrateUp();
+  await createUser({ username: 'admin', password_hash: await hashPassword('secretpw123'), role: 'admin' });
+
+  const app = express();
+  app.use(express.json());
+  app.use(authenticate);
+  app.use('/api/weather', weatherRoutes);
+  app.use('/api/auth', authRoutes);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const login = await request('POST', '/auth/login', { body: { username: 'admin', password: 'secretpw123' } });
+  assert.equal(login.status, 200);
+  token = login.body.token;
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('an alert created through the API fires on an ingested reading', async () => {
+  const sender = await request('POST', '/weather/senders', {
+    headers: asAdmin(),
+    body: { sender_id: 'garden', name: 'Garten' }
+  });
+  assert.equal(sender.status, 201);
+
+  const key = await request('POST', '/weather/senders/garden/api-key', { headers: asAdmin() });
+  assert.equal(key.status, 201);
+
+  const created = await request('POST', '/weather/alerts', {
+    headers: asAdmin(),
+    body: { sender_id: 'garden', alert_type: 'temperature', condition: '>', threshold_value: 30, clear_threshold: 28 }
+  });
+  assert.equal(created.status, 201);
+  const alertId = created.body.alert_id;
+
+  const before = await request('GET', `/weather/alerts/${alertId}`);
+  assert.equal(before.body.state, 'ok');
+
+  const now = Math.floor(Date.now() / 1000);
+  const ingest = (temperature, unixTimestamp) => request('POST', '/weather', {
+    headers: { 'X-API-Key': key.body.api_key },
+    body: { id: 'garden', temperature, humidity: 40, unix_timestamp: unixTimestamp }
+  });
+
+  const reading = await ingest(32.5, now - 120);
+  assert.equal(reading.status, 200);
+
+  const after = await request('GET', `/weather/alerts/${alertId}`);
+  assert.equal(after.body.state, 'firing');
+
+  const rows = await getAll('SELECT * FROM alert_events WHERE alert_id = ?', [alertId]);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].sender_id, 'garden');
+  assert.equal(rows[0].peak_value, 32.5);
+  assert.equal(rows[0].ended_at, null);
+
+  const events = await request('GET', `/weather/alerts/${alertId}/events`);
+  assert.equal(events.body.count, 1);
+
+  // Below the threshold but above clear_threshold: still firing
+  await ingest(29, now - 60);
+  assert.equal((await request('GET', `/weather/alerts/${alertId}`)).body.state, 'firing');
+
+  await ingest(27, now);
+  assert.equal((await request('GET', `/weather/alerts/${alertId}`)).body.state, 'resolved');
+
+  const [ended] = await getAll('SELECT * FROM alert_events WHERE alert_id = ?', [alertId]);
+  assert.equal(Number(ended.ended_at), now);
+  assert.equal(ended.clear_value, 27);
+});
+
+test('a clear threshold on the firing side is rejected', async () => {
+  const response = await request('POST', '/weather/alerts', {
+    headers: asAdmin(),
+    body: { sender_id: 'garden', alert_type: 'temperature', condition: '<', threshold_value: 0, clear_threshold: -2 }
+  });
+
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /clear_threshold/);
+});
+
+test('creating an alert requires a login', async () => {
+  const response = await request('POST', '/weather/alerts', {
+    body: { sender_id: 'garden', alert_type: 'temperature', condition: '>', threshold_value: 30 }
+  });
+
+  assert.equal(response.status, 401);
+});
+
+test('alerts created through the API fire for every measured field', async (t) => {
+  assert.deepEqual(Object.keys(FIELD_CASES).sort(), [...MEASURED_FIELDS].sort());
+
+  for (const [field, { condition, threshold_value: threshold, value }] of Object.entries(FIELD_CASES)) {
+    await t.test(field, async () => {
+      const senderId = `field-${field}`;
+      const apiKey = await createSender(senderId);
+
+      const created = await request('POST', '/weather/alerts', {
+        headers: asAdmin(),
+        body: { sender_id: senderId, alert_type: field, condition, threshold_value: threshold }
+      });
+      assert.equal(created.status, 201);
+
+      const reading = await request('POST', '/weather', {
+        headers: { 'X-API-Key': apiKey },
+        body: { id: senderId, [field]: value }
+      });
+      assert.equal(reading.status, 200);
+
+      const alert = await request('GET', `/weather/alerts/${created.body.alert_id}`);
+      assert.equal(alert.body.alert_type, field);
+      assert.equal(alert.body.state, 'firing');
+    });
+  }
+});
+
+test('the legacy alert type "battery" watches battery_level', async () => {
+  const apiKey = await createSender('legacy-battery');
+
+  const created = await request('POST', '/weather/alerts', {
+    headers: asAdmin(),
+    body: { sender_id: 'legacy-battery', alert_type: 'battery', condition: 'below', threshold_value: 10 }
+  });
+  assert.equal(created.status, 201);
+
+  const stored = await request('GET', `/weather/alerts/${created.body.alert_id}`);
+  assert.equal(stored.body.alert_type, 'battery_level');
+  assert.equal(stored.body.condition, '<');
+
+  await request('POST', '/weather', {
+    headers: { 'X-API-Key': apiKey },
+    body: { id: 'legacy-battery', battery_level: 5 }
+  });
+  assert.equal((await request('GET', `/weather/alerts/${created.body.alert_id}`)).body.state, 'firing');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  dewPoint,
+  heatIndex,
+  absoluteHumidity,
+  seaLevelPressure,
+  deriveReadings
+} = require('../lib/derivedMetrics');
+
+/**
+ * Asserts that actual is within tolerance of expected
+ */
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+const fahrenheitToCelsius = f => (f - 32) * 5 / 9;
+
+test('dewPoint matches Magnus reference values', () => {
+  assertClose(dewPoint(20, 50), 9.3, 0.1, '20 °C / 50 %');
+  assertClose(dewPoint(25, 80), 21.3, 0.1, '25 °C / 80 %');
+  assertClose(dewPoint(0, 100), 0, 0.01, 'saturated air');
+  assert.equal(dewPoint(20, 0), null);
+});
+
+test('heatIndex matches the NWS table above 80 °F', () => {
+  // NWS heat index chart: 90 °F / 70 % -> 106 °F, 100 °F / 40 % -> 109 °F
+  assertClose(heatIndex(fahrenheitToCelsius(90), 70), fahrenheitToCelsius(106), 0.6, '90 °F / 70 %');
+  assertClose(heatIndex(fahrenheitToCelsius(100), 40), fahrenheitToCelsius(109), 0.6, '100 °F / 40 %');
+  // Low humidity adjustment: 95 °F / 5 % -> 88 °F
+  assertClose(heatIndex(fahrenheitToCelsius(95), 5), fahrenheitToCelsius(88), 0.6, '95 °F / 5 %');
+});
+
+test('heatIndex returns the air temperature below about 27 °C', () => {
+  assert.equal(heatIndex(10, 60), 10);
+  assert.equal(heatIndex(-5, 90), -5);
+  assert.equal(heatIndex(25, 40), 25);
+});
+
+test('absoluteHumidity matches reference values', () => {
+  assertClose(absoluteHumidity(20, 50), 8.65, 0.05, '20 °C / 50 %');
+  assertClose(absoluteHumidity(30, 100), 30.4, 0.2, '30 °C / 100 %');
+  assertClose(absoluteHumidity(0, 100), 4.85, 0.05, '0 °C / 100 %');
+});
+
+test('seaLevelPressure matches the hypsometric reduction', () => {
+  assertClose(seaLevelPressure(950, 15, 500), 1007.7, 0.1, '950 hPa / 15 °C / 500 m');
+  assertClose(seaLevelPressure(1000, 10, 60), 1007.3, 0.1, '1000 hPa / 10 °C / 60 m');
+  assert.equal(seaLevelPressure(1013.25, 15, 0), 1013.25);
+});
+
+test('deriveReadings rounds and leaves gaps for missing inputs', () => {
+  const rows = [
+    { temperature: 20, humidity: 50, pressure: 950 },
+    { temperature: null, humidity: 50, pressure: 950 }
+  ];
+
+  const derived = deriveReadings(rows, ['dew_point', 'sea_level_pressure'], { elevation: 500 });
+
+  assert.equal(derived[0].dew_point, 9.3);
+  assert.equal(derived[0].sea_level_pressure, 1006.7);
+  assert.equal(derived[1].dew_point, null);
+  assert.equal(derived[1].sea_level_pressure, null);
+  assert.equal(rows[0].dew_point, undefined);
+});
@@ -0,0 +1,170 @@
+// Bridge tests against an in-process broker and an in-memory SQLite database
+process.env.NODE_ENV = 'test';
+process.env.DB_BACKEND = 'sqlite';
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const mqtt = require('mqtt');
+const { Aedes } = require('aedes');
+
+const db = require('../database/db');
+const { migrateUp } = require('../database/migrate');
+const { createSender, getAll } = require('../database/queries');
+const { issueApiKey } = require('../lib/senderAuth');
+const { createMqttBridge, senderIdFromTopic } = require('../services/mqttBridge');
+
+// aedes only speaks MQTT 3.1.1, so the bridge connects with protocol version 4 here
+const PROTOCOL_VERSION = 4;
+
+let broker;
+let server;
+let url;
+let apiKey;
+
+/**
+ * Waits until the condition holds
+ * @param {Function} condition - Returns true when done
+ * @param {number} timeoutMs - Maximum wait
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Publishes one message with a separate client
+ * @param {string} topic - Topic
+ * @param {*} payload - JSON payload
+ */
+async function publish(topic, payload) {
+  const client = await mqtt.connectAsync(url, { protocolVersion: PROTOCOL_VERSION });
+  await client.publishAsync(topic, JSON.stringify(payload), { qos: 1 });
+  await client.endAsync();
+}
+
+/**
+ * Starts a bridge and waits for its subscription
+ * @param {Object} options - Overrides for the bridge options
+ */
+async function startBridge(options = {}) {
+  const bridge = createMqttBridge({
+    url,
+    topic: 'whg/weather/+',
+    clientId: `bridge-${Date.now()}`,
+    protocolVersion: PROTOCOL_VERSION,
+    ...options
+  });
+  const client = bridge.start();
+  await new Promise(resolve => client.once('connect', resolve));
+  // Subscription is sent right after CONNACK
+  await new Promise(resolve => setTimeout(resolve, 50));
+  return bridge;
+}
+
+const countReadings = async () => (await getAll("SELECT id FROM weather_data WHERE sender_id = 'roof'")).length;
+
+test.before(async () => {
+  // Bridge status output would interleave with the test runner's report
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'error', () => {});
+
+  await migrateUp();
+  await createSender('roof', { name: 'Dach' });
+  apiKey = await issueApiKey('roof');
+
+  broker = await Aedes.createBroker();
+  server = net.createServer(broker.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `mqtt://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise(resolve => broker.close(resolve));
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('senderIdFromTopic reads the wildcard segment', () => {
+  assert.equal(senderIdFromTopic('whg/weather/+', 'whg/weather/42'), '42');
+  assert.equal(senderIdFromTopic('whg/weather/+', 'whg/other/42'), null);
+  assert.equal(senderIdFromTopic('whg/weather/+', 'whg/weather/42/x'), null);
+});
+
+test('the bridge connects with MQTT 5 by default', async () => {
+  // Minimal fake broker that only records the protocol level of CONNECT
+  let protocolLevel = null;
+  const fake = net.createServer((socket) => {
+    socket.once('data', (data) => {
+      // Fixed header (1 byte type, 1 byte length), then "\0\x04MQTT" and the level
+      protocolLevel = data[8];
+      socket.destroy();
+    });
+  });
+  await new Promise(resolve => fake.listen(0, '127.0.0.1', resolve));
+
+  const bridge = createMqttBridge({ url: `mqtt://127.0.0.1:${fake.address().port}`, reconnectMinMs: 60000 });
+  bridge.start();
+  await waitFor(() => protocolLevel !== null);
+  await bridge.stop();
+  await new Promise(resolve => fake.close(resolve));
+
+  assert.equal(protocolLevel, 5);
+});
+
+test('array payloads are stored as one batch and retries are duplicates', async () => {
+  const bridge = await startBridge();
+  const now = Math.floor(Date.now() / 1000);
+  const payload = [
+    { temperature: 20.5, humidity: 40, unix_timestamp: now - 120, api_key: apiKey },
+    { temperature: 21, humidity: 41, unix_timestamp: now - 60, api_key: apiKey }
+  ];
+
+  await publish('whg/weather/roof', payload);
+  await waitFor(() => bridge.getMetrics().accepted === 2);
+  assert.equal(await countReadings(), 2);
+
+  await publish('whg/weather/roof', payload);
+  await waitFor(() => bridge.getMetrics().duplicates === 2);
+  assert.equal(await countReadings(), 2);
+
+  await bridge.stop();
+});
+
+test('an all-or-nothing batch with an invalid entry stores nothing', async () => {
+  const bridge = await startBridge({ batchMode: 'all-or-nothing' });
+  const before = await countReadings();
+  const now = Math.floor(Date.now() / 1000);
+
+  await publish('whg/weather/roof', [
+    { temperature: 19, humidity: 50, unix_timestamp: now - 30, api_key: apiKey },
+    { temperature: 500, humidity: 50, unix_timestamp: now - 20, api_key: apiKey }
+  ]);
+  await waitFor(() => bridge.getMetrics().rejected === 2);
+
+  assert.equal(bridge.getMetrics().accepted, 0);
+  assert.equal(await countReadings(), before);
+
+  const [log] = await getAll("SELECT * FROM system_logs WHERE event_type = 'batch_rolled_back'");
+  assert.ok(log);
+
+  await bridge.stop();
+});
+
+test('readings claiming another sender than the topic are rejected', async () => {
+  const bridge = await startBridge();
+  const before = await countReadings();
+
+  await publish('whg/weather/roof', [
+    { id: 'garden', temperature: 18, humidity: 50, api_key: apiKey }
+  ]);
+  await waitFor(() => bridge.getMetrics().rejected === 1);
+
+  assert.equal(await countReadings(), before);
+
+  await bridge.stop();
+});
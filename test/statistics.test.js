@@ -0,0 +1,117 @@
+// Route tests against an in-memory SQLite database
+process.env.NODE_ENV = 'test';
+process.env.DB_BACKEND = 'sqlite';
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const db = require('../database/db');
+const { migrateUp } = require('../database/migrate');
+const {
+  createSender,
+  insertWeatherData,
+  createSensorType,
+  createSenderSensor,
+  createCalibration,
+  markReadingsPurged
+} = require('../database/queries');
+const { createStatisticsRollup } = require('../services/statisticsRollup');
+const weatherRoutes = require('../routes/weather');
+
+// 2025-06-10 10:00 Europe/Berlin
+const MORNING = Date.UTC(2025, 5, 10, 8) / 1000;
+const HOUR = 3600;
+
+let server;
+let baseUrl;
+
+/**
+ * Gets statistics of the test sender
+ * @param {string} query - Query string
+ * @returns {Promise<Object>} Response body
+ */
+async function getStatistics(query) {
+  const response = await fetch(`${baseUrl}/api/weather/lab/statistics?${query}`);
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+/**
+ * Finds the row of the period starting at the given time
+ */
+const periodAt = (body, unixTimestamp) => body.statistics.find(
+  row => Date.parse(`${row.period_start.replace(' ', 'T')}Z`) / 1000 === unixTimestamp
+);
+
+test.before(async () => {
+  await migrateUp();
+  await createSender('lab', {});
+
+  await insertWeatherData('lab', { temperature: 20, unix_timestamp: MORNING });
+  await insertWeatherData('lab', { temperature: 22, unix_timestamp: MORNING + 4 * HOUR });
+  await insertWeatherData('lab', { temperature: 24, unix_timestamp: MORNING + 5 * HOUR });
+
+  // Calibration starting between the first and the second reading
+  const type = await createSensorType({ name: 'BME280' });
+  const installation = await createSenderSensor('lab', { sensor_type_id: type.lastID, installed_at: '2025-06-01 00:00:00' });
+  await createCalibration(installation.lastID, {
+    field: 'temperature',
+    offset_value: -1,
+    scale_factor: 1,
+    valid_from: MORNING + 2 * HOUR
+  });
+
+  await createStatisticsRollup().runOnce();
+
+  const app = express();
+  app.use('/api/weather', weatherRoutes);
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('periods a calibration starts within are calibrated per reading', async () => {
+  const body = await getStatistics('type=daily');
+  const [day] = body.statistics;
+
+  assert.equal(body.calibration, 'per_reading');
+  assert.equal(day.avg_temperature, 21.33);
+  assert.equal(day.min_temperature, 20);
+  assert.equal(day.max_temperature, 23);
+  assert.equal(day.data_points, 3);
+  assert.equal(day.calibration_approximate, undefined);
+});
+
+test('periods covered by one calibration are corrected with it', async () => {
+  const body = await getStatistics('type=hourly');
+
+  assert.equal(periodAt(body, MORNING).avg_temperature, 20);
+  assert.equal(periodAt(body, MORNING + 4 * HOUR).avg_temperature, 21);
+  assert.equal(periodAt(body, MORNING + 5 * HOUR).max_temperature, 23);
+});
+
+test('raw=true returns the uncorrected rollups', async () => {
+  const body = await getStatistics('type=daily&raw=true');
+  const [day] = body.statistics;
+
+  assert.equal(body.calibration, null);
+  assert.equal(day.avg_temperature, 22);
+  assert.equal(day.max_temperature, 24);
+});
+
+test('periods with purged readings fall back to the calibration at their start', async () => {
+  await markReadingsPurged([{ sender_id: 'lab', newest: MORNING }]);
+
+  const [day] = (await getStatistics('type=daily')).statistics;
+
+  assert.equal(day.calibration_approximate, true);
+  assert.equal(day.avg_temperature, 22);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PAGE_SIZE, encodeCursor, resolvePage } = require('../lib/timeWindow');
+
+test('resolvePage clamps the page size', () => {
+  assert.equal(resolvePage({}, ['t', 'id']).limit, PAGE_SIZE.DEFAULT);
+  assert.equal(resolvePage({ limit: '0' }, ['t', 'id']).limit, PAGE_SIZE.DEFAULT);
+  assert.equal(resolvePage({ limit: String(PAGE_SIZE.MAX + 1) }, ['t', 'id']).limit, PAGE_SIZE.MAX);
+  assert.equal(resolvePage({}, ['t', 'id']).after, null);
+});
+
+test('resolvePage accepts a cursor of the same route', () => {
+  const cursor = encodeCursor({ t: 1760000000, id: 42 });
+
+  assert.deepEqual(resolvePage({ cursor }, ['t', 'id']).after, { t: 1760000000, id: 42 });
+  assert.deepEqual(resolvePage({ cursor: encodeCursor({ bucket: 1760000400 }) }, ['bucket']).after, { bucket: 1760000400 });
+});
+
+test('resolvePage rejects malformed, foreign and tampered cursors', () => {
+  const invalid = [
+    'not-a-cursor',
+    encodeCursor([1, 2]),
+    encodeCursor(null),
+    // Cursor of /averages on /range and vice versa
+    encodeCursor({ bucket: 1760000400 }),
+    encodeCursor({ t: 1760000000 }),
+    encodeCursor({ t: '1760000000', id: 42 }),
+    encodeCursor({ t: 1760000000.5, id: 42 }),
+    encodeCursor({ t: 1760000000, id: null })
+  ];
+
+  for (const cursor of invalid) {
+    assert.deepEqual(resolvePage({ cursor }, ['t', 'id']), { error: 'Invalid cursor' }, cursor);
+  }
+  assert.deepEqual(resolvePage({ cursor: encodeCursor({ t: 1760000000, id: 42 }) }, ['bucket']), { error: 'Invalid cursor' });
+});
@@ -0,0 +1,85 @@
+// Storage tests against the configured backend: in-memory SQLite, or
+// PostgreSQL when TEST_DATABASE_URL is set
+process.env.NODE_ENV = 'test';
+if (process.env.TEST_DATABASE_URL) {
+  process.env.DB_BACKEND = 'postgres';
+  process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+} else {
+  process.env.DB_BACKEND = 'sqlite';
+  process.env.DB_PATH = ':memory:';
+}
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../database/db');
+const { migrateUp } = require('../database/migrate');
+const { createSender, getAll, insertWeatherDataBatch, withTransaction } = require('../database/queries');
+
+// Unique per run, so a reused PostgreSQL database starts without readings
+const senderId = `batch-${Date.now()}`;
+const start = 1760000000;
+
+/**
+ * Builds a batch row; sender "missing" does not exist and fails the foreign key
+ */
+const row = (offset, sender = senderId) => ({
+  senderId: sender,
+  reading: { temperature: 20 + offset, unix_timestamp: start + offset * 60 },
+  raw: null
+});
+
+const storedTimestamps = async () => (await getAll(
+  'SELECT unix_timestamp FROM weather_data WHERE sender_id = ? ORDER BY unix_timestamp',
+  [senderId]
+)).map(stored => Number(stored.unix_timestamp));
+
+test.before(async () => {
+  await migrateUp();
+  await createSender(senderId, {});
+});
+
+test.after(async () => {
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('best-effort batches skip failing rows and commit the others', async () => {
+  const outcomes = await insertWeatherDataBatch([row(0), row(1, 'missing'), row(2)], { atomic: false });
+
+  assert.equal(outcomes[0].ok, true);
+  assert.equal(outcomes[1].ok, false);
+  assert.equal(outcomes[2].ok, true);
+  assert.deepEqual(await storedTimestamps(), [start, start + 120]);
+});
+
+test('retried rows are reported as duplicates with the stored id', async () => {
+  const [stored] = await getAll('SELECT id FROM weather_data WHERE sender_id = ? AND unix_timestamp = ?', [senderId, start]);
+  const outcomes = await insertWeatherDataBatch([row(0), row(3)], { atomic: false });
+
+  assert.deepEqual(outcomes[0], { ok: true, id: stored.id, duplicate: true });
+  assert.equal(outcomes[1].duplicate, false);
+  assert.deepEqual(await storedTimestamps(), [start, start + 120, start + 180]);
+});
+
+test('all-or-nothing batches roll back on the first failing row', async () => {
+  await assert.rejects(
+    insertWeatherDataBatch([row(4), row(5, 'missing'), row(6)], { atomic: true }),
+    err => err.index === 1
+  );
+
+  assert.deepEqual(await storedTimestamps(), [start, start + 120, start + 180]);
+});
+
+test('a transaction with a swallowed statement error is not reported as committed', async (t) => {
+  if (db.dialect !== 'postgres') {
+    t.skip('only PostgreSQL aborts the transaction on a failed statement');
+    return;
+  }
+
+  await assert.rejects(withTransaction(async (tx) => {
+    await tx.run('INSERT INTO weather_data (sender_id, unix_timestamp) VALUES (?, ?)', [senderId, start + 420]);
+    await tx.run('INSERT INTO weather_data (sender_id, unix_timestamp) VALUES (?, ?)', ['missing', start]).catch(() => {});
+  }), /rolled back/);
+
+  assert.deepEqual(await storedTimestamps(), [start, start + 120, start + 180]);
+});